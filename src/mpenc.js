@@ -18,22 +18,35 @@
 
 define([
     "mpenc/version",
+    "mpenc/archive",
+    "mpenc/capability",
     "mpenc/session",
     "mpenc/message",
     "mpenc/channel",
+    "mpenc/attachment",
+    "mpenc/fingerprint",
+    "mpenc/padding",
+    "mpenc/persist",
+    "mpenc/pubkeydir",
+    "mpenc/query",
+    "mpenc/binding",
     "mpenc/impl/applied",
+    "mpenc/impl/attachment",
+    "mpenc/impl/manager",
+    "mpenc/impl/persist",
     "mpenc/impl/session",
     "mpenc/impl/channel",
     "mpenc/impl/transcript",
     "mpenc/greet/greeter",
     "mpenc/helper/async",
+    "mpenc/helper/diagram",
     "mpenc/helper/struct",
     "mpenc/helper/utils",
     "megalogger"
 ], function(
-    version, session, message, channel,
-    applied, sessionImpl, channelImpl, transcriptImpl, greeter,
-    async, struct, utils, MegaLogger
+    version, archive, capability, session, message, channel, attachment, fingerprint, padding, persist, pubkeydir,
+    query, binding, applied, attachmentImpl, managerImpl, persistImpl, sessionImpl, channelImpl, transcriptImpl,
+    greeter, async, diagram, struct, utils, MegaLogger
 ) {
     "use strict";
 
@@ -75,17 +88,30 @@ define([
          * to denote that. Of course, this is by convention; in JS there is no
          * easy non-intrusive way to enforce this.
          */
+        archive: archive,
+        attachment: attachment,
+        binding: binding,
         channel: channel,
+        fingerprint: fingerprint,
         helper: {
             async: async,
+            diagram: diagram,
             struct: struct,
         },
         impl: {
             applied: applied,
+            attachment: attachmentImpl,
             channel: {
                 BaseGroupChannel: channelImpl.BaseGroupChannel,
+                ChannelMux: channelImpl.ChannelMux,
             },
+            manager: managerImpl,
+            persist: persistImpl,
         },
+        padding: padding,
+        persist: persist,
+        pubkeydir: pubkeydir,
+        query: query,
         session: session,
         version: version,
     };
@@ -140,10 +166,6 @@ define([
     };
 
 
-    /** Default size in bytes for the exponential padding to pad to. */
-    var DEFAULT_EXPONENTIAL_PADDING = 128;
-
-
     /**
      * Create a new timer to run scheduled tasks.
      *
@@ -218,15 +240,23 @@ define([
      * @param ownKeyPair {module:mpenc~SignatureKeyPair}
      *      The Ed25519 long-term (identity) key pair for the local user; e.g.
      *      see {@link module:mpenc.createKeyPair}.
-     * @param pubKeyDir {{get: function}}
-     *      Object with a 1-arg "get" method (userId -> pubKey) for obtaining
-     *      Ed25519 long-term (identity) public keys for other members.
+     * @param pubKeyDir {module:mpenc/pubkeydir.PubKeyDir}
+     *      Object with a 1-arg "get" method (userId -> pubKey, or a Promise
+     *      for it) for obtaining Ed25519 long-term (identity) public keys for
+     *      other members. Unless this is already a {@link
+     *      module:mpenc/pubkeydir.CachingPubKeyDir}, it is wrapped in one with
+     *      default options. Pass your own instance to control how key changes
+     *      are handled, e.g. to block them or to accept them later.
      * @returns {SessionContext}
      * @memberOf module:mpenc
      */
     var createContext = function(userId, timer, ownKeyPair, pubKeyDir, flowControl) {
+        if (!(pubKeyDir instanceof pubkeydir.CachingPubKeyDir)) {
+            pubKeyDir = new pubkeydir.CachingPubKeyDir(pubKeyDir);
+        }
+        pubKeyDir.pin(userId, ownKeyPair.pubKey);
         return new sessionImpl.SessionContext(
-            userId, false, timer, ownKeyPair.privKey, ownKeyPair.pubKey, pubKeyDir,
+            userId, true, timer, ownKeyPair.privKey, ownKeyPair.pubKey, pubKeyDir,
             flowControl || DEFAULT_FLOW_CONTROL,
             message.DefaultMessageCodec,
             transcriptImpl.DefaultMessageLog);
@@ -253,19 +283,117 @@ define([
      *      new members that enter the transport channel. Default: false.
      * @param [options.stayIfLastMember] {boolean} Whether to remain in the channel
      *      instead of leaving it, as the last member. Default: false.
+     * @param [options.cipherSuite] {string} Our most preferred cipher suite
+     *      for data messages, one of "aes-gcm", "xsalsa20-poly1305" or
+     *      "aes-ctr". Each group uses a single suite, the one most preferred
+     *      by the member who initiated its greeting, out of those that all
+     *      members support; so this applies to the groups that we form, and
+     *      messages using any other suite are rejected. Default: "aes-gcm".
+     * @param [options.maxMessageSize] {number} Maximum size in bytes of a
+     *      (UTF-8 encoded) message that we will send, or reassemble from the
+     *      fragments sent by others. Default: 1 MiB.
+     * @param [options.padding] {(module:mpenc/padding.PaddingStrategy|string|number)}
+     *      How to pad our data and greet packets, to hide their exact length;
+     *      one of "none", "exponential", "buckets", "padme" or "random", or a
+     *      strategy object. See {@link module:mpenc/padding.fromOption} for
+     *      details. Other members need not use the same strategy. Default:
+     *      exponential padding to multiples of 128 bytes.
+     * @param [options.refreshEveryMessages] {number} Automatically refresh the
+     *      group key after this many messages were sent with it. One member
+     *      is elected to do this, so everyone should use the same value.
+     *      Default: never.
+     * @param [options.refreshEveryTicks] {number} Automatically refresh the
+     *      group key after it has been used for this many ticks. Default:
+     *      never.
+     * @param [options.verificationStore] {module:mpenc/fingerprint.VerificationStore}
+     *      Where to record which identity keys our user has verified, e.g. a
+     *      persistent store shared between all sessions. Default: a new
+     *      {@link module:mpenc/fingerprint.MemoryVerificationStore} for each
+     *      session.
+     * @param [options.deniable] {boolean} When we part the session, publish
+     *      the key that we signed our messages with, once all of them were
+     *      acknowledged, so that anyone could have forged them afterwards.
+     *      Others mark such messages with {@link
+     *      module:mpenc/transcript.MessageLog#isForgeable}. Default: false.
+     * @param [options.shareHistory] {function} Called when we include others
+     *      into the session, with our {@link module:mpenc/transcript.MessageLog}
+     *      and the set of members that we included. Should return the IDs of
+     *      earlier messages to share with them, e.g. <code>log.slice(-20)</code>,
+     *      or nothing to share none. See the <code>share</code> property of
+     *      {@link module:mpenc/session.SessionAction}. Default: share none.
+     * @param [options.onSnapshot] {function} Called with a new {@link
+     *      module:mpenc/session.Session#snapshot} whenever it changes, so
+     *      that the session may be resumed after the application restarts;
+     *      or with <code>null</code> when it can no longer be resumed. See
+     *      {@link module:mpenc/persist.autoSaver}. Each snapshot only has the
+     *      messages since the last checkpoint; see
+     *      <code>checkpointEveryMessages</code>. Default: none.
+     * @param [options.archive] {boolean} Keep the signed packets of all
+     *      messages, so that {@link module:mpenc/session.Session#exportArchive}
+     *      includes them and {@link module:mpenc/archive.verify} can check
+     *      them. This uses more memory the longer the session. Default: false.
+     * @param [options.checkpointEveryMessages] {number} Automatically forget
+     *      the oldest messages of the session after this many messages were
+     *      accepted, to bound its memory use; see {@link
+     *      module:mpenc/session.Session#checkpoint}. This also bounds the
+     *      size of each snapshot. Use 0 for never. Default: never.
+     * @param [options.checkpointArchive] {function} Called with the messages
+     *      that each automatic checkpoint removes, e.g. to store them
+     *      elsewhere; see {@link module:mpenc/session.Session#checkpoint}.
+     *      Default: none.
+     * @param [options.messageOrder] {string} How to order the messages of
+     *      {@link module:mpenc/session.Session#messages}. "accept" appends
+     *      each message as it is accepted. "topological" gives the same order
+     *      to all members that have the same messages, but may insert a late
+     *      message before earlier ones; see {@link module:mpenc/binding}.
+     *      Default: "accept".
      * @returns {module:mpenc/session.Session}
      * @memberOf module:mpenc
      */
     var createSession = function(context, sessionId, groupChannel, options) {
+        options = options || {};
+        if (options.cipherSuite && !options.capabilities) {
+            // don't modify the caller's object
+            options = Object.create(options);
+            options.capabilities = capability.DEFAULT.prefer("cipher:" + options.cipherSuite);
+        }
+        var paddingStrategy = padding.fromOption(options.padding);
         return new sessionImpl.HybridSession(
             context, sessionId, groupChannel,
-            new greeter.Greeter(context.owner, context.privKey, context.pubKey, context.pubKeyDir),
-            function(greetState) {
-                return new message.MessageSecurity(greetState, DEFAULT_EXPONENTIAL_PADDING);
+            new greeter.Greeter(context.owner, context.privKey, context.pubKey, context.pubKeyDir,
+                                paddingStrategy),
+            function(greetState, caps) {
+                return new message.MessageSecurity(
+                    greetState, paddingStrategy, caps.preferred("cipher"),
+                    options.maxMessageSize);
             }, options);
     };
     mpenc.createSession = createSession;
 
+    /**
+     * Create a manager for many sessions, that share a single context and a
+     * single transport.
+     *
+     * @example
+     * var manager = mpenc.createSessionManager(context, ?transport);
+     * var session = manager.create(?sessionId, ?options);
+     * manager.onUnreadCount(function(evt) { ?updateBadge(evt.total); });
+     *
+     * @param context {SessionContext}
+     *      Session context; see {@link module:mpenc.createContext}.
+     * @param transport {module:mpenc/helper/utils.ReceivingSender}
+     *      Transport that carries all channels, tagging each item with the
+     *      id of its channel; see {@link module:mpenc/impl/channel.ChannelMux}
+     *      for details. Sessions are created with {@link
+     *      module:mpenc.createSession}, using the channel with the same id.
+     * @returns {module:mpenc/impl/manager.SessionManager}
+     * @memberOf module:mpenc
+     */
+    var createSessionManager = function(context, transport) {
+        return new managerImpl.SessionManager(context, transport, createSession);
+    };
+    mpenc.createSessionManager = createSessionManager;
+
 
     return mpenc;
 });
@@ -0,0 +1,358 @@
+/*
+ * (c) 2014-2016 by Mega Limited, Auckland, New Zealand
+ *     https://mega.nz/
+ *
+ * This file is part of the multi-party chat encryption suite.
+ *
+ * This code is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License version 3
+ * as published by the Free Software Foundation. See the accompanying
+ * LICENSE file or <https://www.gnu.org/licenses/> if it is unavailable.
+ *
+ * This code is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ */
+
+
+define([
+    "mpenc/message",
+    "mpenc/helper/struct"
+], function(message, struct) {
+    "use strict";
+
+    /**
+     * @exports mpenc/archive
+     * @description
+     * Archiving the transcripts of sessions, and checking archives offline.
+     *
+     * A session that was created with the <code>archive</code> option keeps
+     * the packets of all of its messages, exactly as their authors signed
+     * them. {@link module:mpenc/session.Session#exportArchive} then returns
+     * an archive of everything that happened in the session since then, in
+     * the JSON-compatible format below. {@link module:mpenc/archive.verify}
+     * checks an archive without a live session, e.g. years afterwards.
+     *
+     * Along with its packets, each message has the keys that decrypt them.
+     * These are derived one-way for each message, so they disclose nothing
+     * about any other messages, or about the session's other secrets. The
+     * verifier decrypts the packets, and checks that the author, parents,
+     * readers and body that the author signed are the ones in the archive.
+     * This shows that the message was signed by the member that it claims to
+     * be from, with the ephemeral signing key that the greeting of its
+     * sub-session agreed on. The application should check the signing keys
+     * against the identity keys of the members separately, if needed. The
+     * signatures of members that published their signing key in deniable
+     * mode prove nothing.
+     *
+     * Other values are only what the exporter says, and are not verified:
+     * the <code>unackby</code> of each message, which is the exporter's own
+     * view of who acknowledged it; and the body of a whisper that the
+     * exporter could not read, which is <code>null</code>.
+     *
+     * Binary values are base64-encoded, and other ids are kept as they are:
+     *
+     * <pre>
+     * {
+     *   version: 2,                    // see VERSION
+     *   sId: string,                   // session id
+     *   owner: string,                 // member that exported the archive
+     *   subSessions: [{                // in the order they were created
+     *     sId: base64,                 // sub-session id, from the greeting
+     *     members: [string],
+     *     include: [string],           // members that the greeting included
+     *     exclude: [string],           // members that the greeting excluded
+     *     parents: [base64],           // latest messages before the greeting
+     *     sidkeyHash: base64,          // bound into every signature
+     *     signingKeys: { uId: base64 }, // ephemeral signing key of each member
+     *     forgeable: [string],         // members that published their signing key
+     *     messages: [{                 // in causal order
+     *       mId: base64,
+     *       author: string,
+     *       parents: [base64],
+     *       readers: [string],
+     *       body: ?base64,             // encoded MessageBody; null for whispers to others
+     *       unackby: [string],         // readers that never acknowledged it to us
+     *       packets: ?[string],        // wire packets; null if they were not kept
+     *       keys: ?[base64],           // key of each packet; null if packets is
+     *       whisperKey: ?base64        // key of the body of a whisper that we read
+     *     }]
+     *   }]
+     * }
+     * </pre>
+     */
+    var ns = {};
+
+    var ImmutableSet = struct.ImmutableSet;
+
+    /**
+     * Version of the archive format. This is increased when the format
+     * changes incompatibly; older archives are then rejected.
+     */
+    var VERSION = 2;
+    ns.VERSION = VERSION;
+
+    // Protect multi-byte characters (encode UTF-8), e.g. in legacy bodies.
+    var _encodeText = function(data) {
+        return btoa(unescape(encodeURIComponent(data)));
+    };
+
+    var _decodeText = function(data) {
+        return decodeURIComponent(escape(atob(data)));
+    };
+
+    /**
+     * What we recorded about a sub-session, to archive it later. Only
+     * public values are kept, so that we don't hold on to its secrets.
+     *
+     * @class
+     * @private
+     * @property sId {string} Sub-session id.
+     * @property members {module:mpenc/helper/struct.ImmutableSet} Its members.
+     * @property prevMembers {module:mpenc/helper/struct.ImmutableSet}
+     *      Members before the greeting that created it.
+     * @property parents {module:mpenc/helper/struct.ImmutableSet} Latest
+     *      messages before the greeting.
+     * @property transcript {module:mpenc/transcript.Transcript} Its messages.
+     * @property codec {module:mpenc/message.DefaultMessageCodec} Codec that
+     *      it encodes message bodies with.
+     * @property signingParams {Object} As returned by {@link
+     *      module:mpenc/message.MessageSecurity#signingParams}.
+     * @property signed {?Map} A {@link module:mpenc/archive.SignedMessage}
+     *      for each message, if we kept them.
+     * @memberOf module:mpenc/archive
+     */
+    var SubSessionRecord = struct.createTupleClass("SubSessionRecord",
+        "sId members prevMembers parents transcript codec signingParams signed");
+
+    Object.freeze(SubSessionRecord.prototype);
+    ns.SubSessionRecord = SubSessionRecord;
+
+    /**
+     * What we kept of a message, to archive it later.
+     *
+     * @class
+     * @private
+     * @property packets {Array.<string>} Its packets, exactly as its author
+     *      signed them.
+     * @property keys {Array.<string>} Key of each packet, which decrypts only
+     *      that packet.
+     * @property whisperKey {?string} Key of the body, if it is a whisper that
+     *      we could read.
+     * @see module:mpenc/message.openPackets
+     * @memberOf module:mpenc/archive
+     */
+    var SignedMessage = struct.createTupleClass("SignedMessage", "packets keys whisperKey");
+
+    Object.freeze(SignedMessage.prototype);
+    ns.SignedMessage = SignedMessage;
+
+    var _exportMessage = function(record, mId) {
+        var ts = record.transcript;
+        var msg = ts.get(mId);
+        var signed = record.signed ? record.signed.get(mId) : null;
+        return {
+            mId: btoa(mId),
+            author: msg.author,
+            parents: msg.parents.toArray().map(btoa),
+            readers: msg.readers.toArray(),
+            body: msg.body === null ? null : _encodeText(record.codec.encode(msg.body)),
+            unackby: ts.unackby(mId).toArray(),
+            packets: signed ? signed.packets.slice() : null,
+            keys: signed ? signed.keys.map(btoa) : null,
+            whisperKey: signed && signed.whisperKey ? btoa(signed.whisperKey) : null,
+        };
+    };
+
+    var _exportSubSession = function(record) {
+        var signing = record.signingParams;
+        var signingKeys = {};
+        Object.keys(signing.signingKeys).forEach(function(uId) {
+            signingKeys[uId] = btoa(signing.signingKeys[uId]);
+        });
+        var diff = record.prevMembers.diff(record.members);
+        return {
+            sId: btoa(record.sId),
+            members: record.members.toArray(),
+            include: diff[0].toArray(),
+            exclude: diff[1].toArray(),
+            parents: record.parents.toArray().map(btoa),
+            sidkeyHash: btoa(signing.sidkeyHash),
+            signingKeys: signingKeys,
+            forgeable: record.transcript.forgeableAuthors().toArray(),
+            messages: record.transcript.all().map(_exportMessage.bind(null, record)),
+        };
+    };
+
+    /**
+     * Export the records of a session as an archive.
+     *
+     * @param sId {string} Session id.
+     * @param owner {string} Member that is exporting it.
+     * @param subSessions {Array.<module:mpenc/archive.SubSessionRecord>}
+     *      Records of its sub-sessions, in the order they were created.
+     * @returns {Object} The archive, in the format described above.
+     * @private
+     */
+    ns.exportArchive = function(sId, owner, subSessions) {
+        return {
+            version: VERSION,
+            sId: sId,
+            owner: owner,
+            subSessions: subSessions.map(_exportSubSession),
+        };
+    };
+
+    /**
+     * Decode the body of an archived message.
+     *
+     * @param archived {Object} A message from an archive.
+     * @returns {?module:mpenc/message.MessageBody} Its body, or
+     *      <code>null</code> if it was a whisper to others.
+     */
+    ns.readBody = function(archived) {
+        return archived.body === null ? null : message.DefaultMessageCodec.decode(_decodeText(archived.body));
+    };
+
+    /**
+     * Result of checking an archive. Messages are identified by their id
+     * as it appears in the archive, i.e. base64-encoded.
+     *
+     * @class
+     * @property errors {Array.<string>} Problems that were found.
+     * @property signed {Array.<string>} Messages whose signatures verified,
+     *      and whose packets decrypted to what the archive says.
+     * @property unsigned {Array.<string>} Messages that were archived
+     *      without their packets, so that nothing about them is verified
+     *      except that they are consistent with the rest of the archive.
+     * @property forgeable {Array.<string>} Messages whose signatures
+     *      verified, but whose authors later published their signing key.
+     * @memberOf module:mpenc/archive
+     */
+    var Verification = struct.createTupleClass("Verification", "errors signed unsigned forgeable");
+
+    /**
+     * @returns {boolean} Whether no problems were found.
+     */
+    Verification.prototype.ok = function() {
+        return !this.errors.length;
+    };
+
+    Object.freeze(Verification.prototype);
+    ns.Verification = Verification;
+
+    // Check everything except the signatures; returns a problem, or null.
+    var _checkMessage = function(archived, members, earlier) {
+        var readers = new ImmutableSet(archived.readers);
+        if (earlier.has(archived.mId)) {
+            return "duplicate message";
+        } else if (!members.has(archived.author)) {
+            return "author " + archived.author + " not a member";
+        } else if (!readers.size || readers.has(archived.author) || readers.subtract(members).size) {
+            return "readers not all other members: " + archived.readers;
+        } else if (!archived.parents.every(earlier.has.bind(earlier))) {
+            return "parents not all earlier in the sub-session";
+        } else if (new ImmutableSet(archived.unackby).subtract(readers).size) {
+            return "unacknowledged by non-readers: " + archived.unackby;
+        }
+        return null;
+    };
+
+    // Compare what the author signed, with what the archive says.
+    var _compareSigned = function(sub, archived, opened) {
+        var members = new ImmutableSet(sub.members);
+        var readers = opened.readers ? new ImmutableSet(opened.readers) :
+            members.subtract(new ImmutableSet([archived.author]));
+        if (opened.parents.map(btoa).sort().join() !== archived.parents.slice().sort().join()) {
+            return "parents differ from the signed ones";
+        } else if (!readers.equals(new ImmutableSet(archived.readers))) {
+            return "readers differ from the signed ones";
+        } else if ((opened.body === null ? null : _encodeText(opened.body)) !== archived.body) {
+            return "body differs from the signed one";
+        }
+        return null;
+    };
+
+    var _checkSignature = function(sub, archived) {
+        var signingKey = sub.signingKeys[archived.author];
+        if (!signingKey) {
+            return "no signing key for " + archived.author;
+        } else if (!archived.keys) {
+            return "packets archived without their keys";
+        }
+        try {
+            var mId = message.verifyPackets(archived.packets, atob(signingKey), atob(sub.sidkeyHash));
+            if (mId !== atob(archived.mId)) {
+                return "packets are of another message";
+            }
+            var opened = message.openPackets(archived.packets, archived.keys.map(atob),
+                archived.whisperKey ? atob(archived.whisperKey) : null);
+            return _compareSigned(sub, archived, opened);
+        } catch (e) {
+            if (e instanceof message.DecryptVerifyError) {
+                return "packets failed to verify: " + e.message;
+            }
+            throw e;
+        }
+    };
+
+    var _verifyMessage = function(sub, members, earlier, result, archived) {
+        var problem = _checkMessage(archived, members, earlier);
+        earlier.add(archived.mId);
+        if (!problem && !archived.packets) {
+            result.unsigned.push(archived.mId);
+            return;
+        }
+        // the checks above are only meaningful if this passes too
+        problem = problem || _checkSignature(sub, archived);
+        if (problem) {
+            result.errors.push("message " + archived.mId + ": " + problem);
+            return;
+        }
+        result.signed.push(archived.mId);
+        if (sub.forgeable.indexOf(archived.author) >= 0) {
+            result.forgeable.push(archived.mId);
+        }
+    };
+
+    var _verifySubSession = function(earlier, result, sub) {
+        var members = new ImmutableSet(sub.members);
+        if (new ImmutableSet(sub.include).subtract(members).size ||
+            new ImmutableSet(sub.exclude).intersect(members).size) {
+            result.errors.push("sub-session " + sub.sId + ": membership change inconsistent with members");
+        }
+        if (!sub.parents.every(earlier.has.bind(earlier))) {
+            result.errors.push("sub-session " + sub.sId + ": parents not all in earlier sub-sessions");
+        }
+        // messages may only refer to others of the same sub-session
+        var local = new Set();
+        sub.messages.forEach(function(archived) {
+            _verifyMessage(sub, members, local, result, archived);
+            earlier.add(archived.mId);
+        });
+    };
+
+    /**
+     * Check an archive offline: that all the signatures that it contains
+     * verify against the signing keys that it contains, that the packets
+     * decrypt to the messages that it contains, and that all of its messages
+     * are consistent with each other and with the members.
+     *
+     * @param archive {Object} As returned by {@link
+     *      module:mpenc/session.Session#exportArchive}.
+     * @returns {module:mpenc/archive.Verification} What was found.
+     * @throws {Error} If the archive is of an unsupported version.
+     */
+    ns.verify = function(archive) {
+        if (archive.version !== VERSION) {
+            throw new Error("unsupported archive version: " + archive.version);
+        }
+        var result = new Verification([], [], [], []);
+        var earlier = new Set();
+        archive.subSessions.forEach(_verifySubSession.bind(null, earlier, result));
+        return result;
+    };
+
+
+    return ns;
+});
@@ -0,0 +1,147 @@
+/*
+ * (c) 2014-2016 by Mega Limited, Auckland, New Zealand
+ *     https://mega.nz/
+ *
+ * This file is part of the multi-party chat encryption suite.
+ *
+ * This code is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License version 3
+ * as published by the Free Software Foundation. See the accompanying
+ * LICENSE file or <https://www.gnu.org/licenses/> if it is unavailable.
+ *
+ * This code is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ */
+
+define([
+    "mpenc/message",
+    "mpenc/helper/utils",
+    "megalogger"
+], function(message, utils, MegaLogger) {
+    "use strict";
+
+    /**
+     * @exports mpenc/attachment
+     * @description
+     * Encrypted file transfer, on top of a {@link module:mpenc/session.Session}.
+     *
+     * Files are too large to send through the session itself. Instead, each
+     * file is encrypted under a fresh random key, and the ciphertext is handed
+     * to an {@link module:mpenc/attachment.AttachmentStorage}, which needs not
+     * be trusted. The key, together with the storage reference and a hash of
+     * the ciphertext, is then sent through the session as a {@link
+     * module:mpenc/message.Attachment}:
+     *
+     * @example
+     * mpenc.attachment.upload(storage, data, "cat.png", "image/png")
+     *   .then(function(attachment) {
+     *     session.send({ attachment: attachment });
+     *   });
+     *
+     * // on receiving a MsgReady whose body is an Attachment:
+     * mpenc.attachment.download(storage, attachment).then(function(data) {
+     *   // show data to the user
+     * });
+     */
+    var ns = {};
+
+    var logger = MegaLogger.getLogger('attachment', undefined, 'mpenc');
+
+    /**
+     * Cipher suite used to encrypt files. This is authenticated, so that a
+     * file that was modified in storage fails to decrypt, even apart from the
+     * hash check.
+     *
+     * @private
+     */
+    var SUITE = message.XSALSA20_POLY1305;
+
+    /**
+     * Storage backend for encrypted files, e.g. an adapter to an HTTP file
+     * server. This only ever sees ciphertext.
+     *
+     * @interface
+     * @memberOf module:mpenc/attachment
+     * @see module:mpenc/impl/attachment.MemoryStorage
+     */
+    var AttachmentStorage = function() {
+        throw new Error("cannot instantiate an interface");
+    };
+    // jshint -W030
+
+    /**
+     * Store some data.
+     *
+     * @method
+     * @param data {string} Encrypted file, as a binary string.
+     * @returns {Promise} A Promise that resolves to a reference (string)
+     *      that other members may use to retrieve the data via `get`.
+     */
+    AttachmentStorage.prototype.put;
+
+    /**
+     * Retrieve some data that was previously stored.
+     *
+     * @method
+     * @param ref {string} Reference, as returned by `put`.
+     * @returns {Promise} A Promise that resolves to the data (string) that
+     *      was stored under the given reference, or rejects if this is not
+     *      available.
+     */
+    AttachmentStorage.prototype.get;
+
+    ns.AttachmentStorage = AttachmentStorage;
+    // jshint +W030
+
+
+    /**
+     * Encrypt a file and store the ciphertext.
+     *
+     * @param storage {module:mpenc/attachment.AttachmentStorage}
+     *      Where to store the encrypted file.
+     * @param data {string} Contents of the file, as a binary string.
+     * @param name {string} Name of the file; must be non-empty.
+     * @param mimeType {string} MIME type of the file.
+     * @returns {Promise} A Promise that resolves to a {@link
+     *      module:mpenc/message.Attachment}, to be sent to the session as a
+     *      {@link module:mpenc/session.SessionAction}.
+     */
+    ns.upload = function(storage, data, name, mimeType) {
+        var key = utils.randomString(SUITE.keySize);
+        var encrypted = SUITE.encrypt(data, key);
+        var ciphertext = encrypted.iv + encrypted.data;
+        var hash = utils.sha256(ciphertext);
+        return Promise.resolve(storage.put(ciphertext)).then(function(ref) {
+            logger.debug("stored attachment " + name + " as " + ref);
+            return new message.Attachment(name, ref, key, hash, mimeType, data.length);
+        });
+    };
+
+    /**
+     * Retrieve an encrypted file from storage, verify and decrypt it.
+     *
+     * @param storage {module:mpenc/attachment.AttachmentStorage}
+     *      Where the encrypted file was stored.
+     * @param attachment {module:mpenc/message.Attachment} Reference to the
+     *      file, as received from the session.
+     * @returns {Promise} A Promise that resolves to the contents of the file
+     *      (string), or rejects if it was not retrievable or was modified.
+     */
+    ns.download = function(storage, attachment) {
+        return Promise.resolve(storage.get(attachment.ref)).then(function(ciphertext) {
+            if (utils.sha256(ciphertext) !== attachment.hash) {
+                throw new Error("attachment " + attachment.ref + " failed hash check");
+            }
+            var data = SUITE.decrypt(
+                ciphertext.slice(SUITE.nonceSize), attachment.key, ciphertext.slice(0, SUITE.nonceSize));
+            if (data === null || data.length !== attachment.size) {
+                throw new Error("attachment " + attachment.ref + " failed to decrypt");
+            }
+            return data;
+        });
+    };
+
+
+    return ns;
+});
@@ -0,0 +1,145 @@
+/*
+ * (c) 2014-2016 by Mega Limited, Auckland, New Zealand
+ *     https://mega.nz/
+ *
+ * This file is part of the multi-party chat encryption suite.
+ *
+ * This code is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License version 3
+ * as published by the Free Software Foundation. See the accompanying
+ * LICENSE file or <https://www.gnu.org/licenses/> if it is unavailable.
+ *
+ * This code is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ */
+
+define([
+    "mpenc/session"
+], function(session) {
+    "use strict";
+
+    /**
+     * @exports mpenc/binding
+     * @description
+     * Helpers for binding the messages of a session to a UI.
+     *
+     * A session's {@link module:mpenc/session.Session#messages|messages} may
+     * be ordered such that a message is inserted before messages that were
+     * already displayed, e.g. with the "topological" order option of {@link
+     * module:mpenc.createSession}. {@link module:mpenc/binding.MessageListBinding}
+     * turns the {@link module:mpenc/session.MsgReady} events of a session into
+     * positive indexes, and tells the UI which messages to (un)highlight.
+     */
+    var ns = {};
+
+    /**
+     * A UI list of messages, to be driven by a
+     * {@link module:mpenc/binding.MessageListBinding}.
+     *
+     * @interface
+     * @memberOf module:mpenc/binding
+     */
+    var MessageListView = function() {
+        throw new Error("cannot instantiate an interface");
+    };
+    // jshint -W030
+
+    /**
+     * Insert a message into the list.
+     *
+     * @method
+     * @param index {number} Positive index to insert at; the message that was
+     *      at this index, and all later ones, move one index higher.
+     * @param mId {string} ID of the message.
+     * @param highlight {boolean} Whether to highlight the message; see
+     *      {@link module:mpenc/session.MsgReady}.
+     */
+    MessageListView.prototype.insert;
+
+    /**
+     * Update the highlighting of a message that is already in the list,
+     * because a message was inserted just before it.
+     *
+     * @method
+     * @param index {number} Positive index of the message.
+     * @param mId {string} ID of the message.
+     * @param highlight {boolean} Whether to highlight the message.
+     */
+    MessageListView.prototype.highlight;
+
+    // jshint +W030
+    ns.MessageListView = MessageListView;
+
+
+    /**
+     * Keep a {@link module:mpenc/binding.MessageListView} in sync with the
+     * messages of a session.
+     *
+     * Messages that are already in the session are inserted into the view
+     * when this is created. A message should be highlighted if it is not the
+     * first, and its only parent is not the message displayed before it.
+     *
+     * Pruning the log of the session, with {@link
+     * module:mpenc/session.Session#checkpoint}, does not update the view; the
+     * view and this binding should be recreated after each {@link
+     * module:mpenc/session.MsgsPruned}.
+     *
+     * @class
+     * @param sess {module:mpenc/session.Session} Session to bind.
+     * @param view {module:mpenc/binding.MessageListView} View to update.
+     * @memberOf module:mpenc/binding
+     */
+    var MessageListBinding = function(sess, view) {
+        if (!(this instanceof MessageListBinding)) { return new MessageListBinding(sess, view); }
+        this._log = sess.messages();
+        this._view = view;
+        this._mIds = [];
+
+        var self = this;
+        this._log.slice().forEach(function(mId) {
+            self._insert(self._mIds.length, mId);
+        });
+        this._cancel = sess.onEvent(session.MsgReady)(function(evt) {
+            self._insert(self._mIds.length - evt.rIdx, evt.mId);
+        });
+    };
+
+    MessageListBinding.prototype._shouldHighlight = function(index) {
+        if (index === 0) {
+            return false;
+        }
+        var parents = this._log.parents(this._mIds[index]);
+        return parents.size !== 1 || !parents.has(this._mIds[index - 1]);
+    };
+
+    MessageListBinding.prototype._insert = function(index, mId) {
+        this._mIds.splice(index, 0, mId);
+        this._view.insert(index, mId, this._shouldHighlight(index));
+        if (index + 1 < this._mIds.length) {
+            this._view.highlight(index + 1, this._mIds[index + 1], this._shouldHighlight(index + 1));
+        }
+    };
+
+    /**
+     * @returns {Array.<string>} IDs of the messages in the view, in order.
+     */
+    MessageListBinding.prototype.mIds = function() {
+        return this._mIds.slice();
+    };
+
+    /**
+     * Stop updating the view.
+     *
+     * @returns {boolean} Whether we were still updating it.
+     */
+    MessageListBinding.prototype.stop = function() {
+        return this._cancel();
+    };
+
+    Object.freeze(MessageListBinding.prototype);
+    ns.MessageListBinding = MessageListBinding;
+
+
+    return ns;
+});
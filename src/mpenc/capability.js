@@ -0,0 +1,181 @@
+/*
+ * (c) 2014-2016 by Mega Limited, Auckland, New Zealand
+ *     https://mega.nz/
+ *
+ * This file is part of the multi-party chat encryption suite.
+ *
+ * This code is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License version 3
+ * as published by the Free Software Foundation. See the accompanying
+ * LICENSE file or <https://www.gnu.org/licenses/> if it is unavailable.
+ *
+ * This code is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ */
+
+define([
+    "mpenc/version",
+    "mpenc/helper/struct"
+], function(version, struct) {
+    "use strict";
+
+    /**
+     * @exports mpenc/capability
+     * @private
+     * @description
+     * Protocol capabilities of members, and negotiation between them.
+     *
+     * Each member advertises the protocol versions and optional features it
+     * supports, when entering the transport channel. A group may only be
+     * formed if its members have, in common, our protocol version and at least
+     * one feature from each of the {@link module:mpenc/capability.REQUIRED_CATEGORIES
+     * required categories}. The features actually used by the group are then
+     * the common ones most preferred by the member who initiated its greeting,
+     * so that every member chooses the same ones.
+     *
+     * Members that never advertise anything run an older version of this
+     * library, with {@link module:mpenc/capability.LEGACY} capabilities. These
+     * lack our protocol version, so such members are refused from groups. When
+     * proposing a greeting, we optimistically assume that members who did not
+     * advertise yet are compatible; but not when the greeting completes.
+     */
+    var ns = {};
+
+    /**
+     * Feature categories, for which all members of a group must support at
+     * least one common feature.
+     */
+    ns.REQUIRED_CATEGORIES = ["body", "cipher", "padding"];
+
+
+    /**
+     * Capabilities of a member.
+     *
+     * @class
+     * @private
+     * @property versions {Array.<number>} Supported protocol versions.
+     * @property features {Array.<string>} Supported optional features, as
+     *      "category:name" strings, most preferred first within each category.
+     * @memberOf module:mpenc/capability
+     */
+    var Capabilities = struct.createTupleClass("Capabilities", "versions features");
+
+    Capabilities.prototype._postInit = function() {
+        if (!(this.versions instanceof Array) || !this.versions.every(function(v) {
+                return typeof v === "number"; })) {
+            throw new Error("Capabilities.versions must be an Array of numbers");
+        }
+        if (!(this.features instanceof Array) || !this.features.every(function(f) {
+                return typeof f === "string" && f.indexOf(":") > 0; })) {
+            throw new Error("Capabilities.features must be an Array of category:name strings");
+        }
+    };
+
+    /**
+     * @param category {string} Feature category, e.g. "cipher".
+     * @returns {Array.<string>} Names of the features in the given category,
+     *      most preferred first.
+     */
+    Capabilities.prototype.inCategory = function(category) {
+        var prefix = category + ":";
+        return this.features.filter(function(f) {
+            return f.indexOf(prefix) === 0;
+        }).map(function(f) {
+            return f.substring(prefix.length);
+        });
+    };
+
+    /**
+     * @param category {string} Feature category, e.g. "cipher".
+     * @returns {?string} Name of the most preferred feature in the given
+     *      category, or <code>null</code> if there are none.
+     */
+    Capabilities.prototype.preferred = function(category) {
+        var features = this.inCategory(category);
+        return features.length ? features[0] : null;
+    };
+
+    /**
+     * @param feature {string} Feature, as a "category:name" string.
+     * @returns {module:mpenc/capability.Capabilities} Capabilities equal to
+     *      these, but with the given feature most preferred in its category.
+     * @throws If we don't have the given feature.
+     */
+    Capabilities.prototype.prefer = function(feature) {
+        var i = this.features.indexOf(feature);
+        if (i < 0) {
+            throw new Error("unsupported feature: " + feature);
+        }
+        var rest = this.features.slice(0, i).concat(this.features.slice(i + 1));
+        return new Capabilities(this.versions, [feature].concat(rest));
+    };
+
+    /**
+     * @param other {module:mpenc/capability.Capabilities}
+     * @returns {module:mpenc/capability.Capabilities} Capabilities that both
+     *      we and the other have, in our order of preference.
+     */
+    Capabilities.prototype.intersect = function(other) {
+        return new Capabilities(
+            this.versions.filter(function(v) { return other.versions.indexOf(v) >= 0; }),
+            this.features.filter(function(f) { return other.features.indexOf(f) >= 0; }));
+    };
+
+    /**
+     * @returns {Array.<string>} Reasons why a group with (common) capabilities
+     *      equal to these, is unable to run our protocol. Empty if it is able.
+     */
+    Capabilities.prototype.problems = function() {
+        var self = this;
+        var problems = [];
+        if (this.versions.indexOf(version.PROTOCOL_VERSION) < 0) {
+            problems.push("no common protocol version; we need " + version.PROTOCOL_VERSION +
+                " but got [" + this.versions + "]");
+        }
+        ns.REQUIRED_CATEGORIES.forEach(function(category) {
+            if (!self.inCategory(category).length) {
+                problems.push("no common " + category + " feature");
+            }
+        });
+        return problems;
+    };
+
+    Object.freeze(Capabilities.prototype);
+    ns.Capabilities = Capabilities;
+
+
+    /** Our own capabilities, as per {@link module:mpenc/version}. */
+    ns.DEFAULT = new Capabilities(version.SUPPORTED_VERSIONS, version.FEATURES);
+
+    /**
+     * Capabilities of older versions of this library, that did not advertise
+     * anything. These are not compatible with ours; see {@link
+     * module:mpenc/version.PROTOCOL_VERSION}.
+     */
+    ns.LEGACY = new Capabilities([1], [
+        "body:default",
+        "cipher:aes-ctr",
+        "padding:exponential",
+    ]);
+
+    /**
+     * Negotiate the common capabilities of a group.
+     *
+     * @param initiator {module:mpenc/capability.Capabilities} Capabilities of
+     *      the member who initiated the greeting that forms the group.
+     * @param all {Array.<module:mpenc/capability.Capabilities>}
+     *      Capabilities of all the members.
+     * @returns {module:mpenc/capability.Capabilities} Common capabilities, in
+     *      the initiator's order of preference, so that every member gets the
+     *      same result. Check <code>problems()</code> on this.
+     */
+    ns.negotiate = function(initiator, all) {
+        return all.reduce(function(common, caps) {
+            return common.intersect(caps);
+        }, initiator);
+    };
+
+
+    return ns;
+});
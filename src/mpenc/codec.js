@@ -52,13 +52,20 @@ define([
      * @property PLAIN {integer}
      *     Plain text message (not using mpENC).
      * @property MPENC_QUERY {integer}
-     *     Query to initiate an mpENC session.
+     *     Query to initiate an mpENC session, or advertise the capabilities
+     *     of a member; see {@link module:mpenc/codec.encodeQueryMessage}.
      * @property MPENC_GREET_MESSAGE {integer}
      *     mpENC greet message.
      * @property MPENC_DATA_MESSAGE {integer}
      *     mpENC data message.
      * @property MPENC_ERROR {integer}
      *     Message for error in mpENC protocol.
+     * @property MPENC_SIGNING_KEY {integer}
+     *     Publication of a departing member's ephemeral signing key; see
+     *     {@link module:mpenc/codec.encodeSigningKeyMessage}.
+     * @property MPENC_RETRANSMIT {integer}
+     *     Request for, or reply with, data packets that a member missed; see
+     *     {@link module:mpenc/codec.encodeRetransmitMessage}.
      */
     ns.MESSAGE_TYPE = {
         PLAIN:               0x00,
@@ -66,6 +73,8 @@ define([
         MPENC_GREET_MESSAGE: 0x02,
         MPENC_DATA_MESSAGE:  0x03,
         MPENC_ERROR:         0x04,
+        MPENC_SIGNING_KEY:   0x05,
+        MPENC_RETRANSMIT:    0x06,
     };
 
 
@@ -81,6 +90,7 @@ define([
     _MAGIC_NUMBERS[ns.MESSAGE_TYPE.MPENC_GREET_MESSAGE] = 'greetmsgsig';
     _MAGIC_NUMBERS[ns.MESSAGE_TYPE.MPENC_DATA_MESSAGE] = 'datamsgsig';
     _MAGIC_NUMBERS[ns.MESSAGE_TYPE.MPENC_ERROR] = 'errormsgsig';
+    _MAGIC_NUMBERS[ns.MESSAGE_TYPE.MPENC_QUERY] = 'querymsgsig';
 
 
     /**
@@ -105,6 +115,24 @@ define([
      *     Direct parent id of the message, as seen by its author.
      * @property MESSAGE_BODY {string}
      *     Secret content of the message.
+     * @property MESSAGE_KEY_INDEX {integer}
+     *     Position in the author's hash chain, of the key used to encrypt a
+     *     data message, as a 32-bit unsigned integer.
+     * @property CIPHER_SUITE {integer}
+     *     Id of the cipher suite used to encrypt a data message, as an 8-bit
+     *     unsigned integer. If absent, AES-128-CTR is assumed. See
+     *     {@link module:mpenc/message.CipherSuite}.
+     * @property MESSAGE_FRAGMENT {integer}
+     *     Position of a data message packet within its fragmented message, and
+     *     the total number of fragments, as two 16-bit unsigned integers. If
+     *     absent, the message is not fragmented.
+     * @property MESSAGE_READER {string}
+     *     A reader of a data message that is only readable by some of the
+     *     session members, i.e. a "whisper". If absent, all other members are
+     *     readers. Each is followed by a MESSAGE_READER_KEY.
+     * @property MESSAGE_READER_KEY {string}
+     *     Key for decrypting the body of a whisper, encrypted to the preceding
+     *     MESSAGE_READER with a key shared only between them and the author.
      *
      * @property GREET_TYPE {integer}
      *     mpENC key agreement message type. See {@link mpenc.greet.greeter.GREET_TYPE}.
@@ -129,6 +157,16 @@ define([
      * @property SIGNING_KEY {integer}
      *     Session's ephemeral (private) signing key, published upon departing
      *     from a chat.
+     * @property GREET_PADDING {string}
+     *     Zero bytes to hide the exact length of a greet message, ignored by
+     *     the receiver. If present, must be the last record.
+     *
+     * @property QUERY_VERSION {integer}
+     *     A protocol version supported by the sender of a query message, as a
+     *     8-bit unsigned integer.
+     * @property QUERY_FEATURE {string}
+     *     An optional feature supported by the sender of a query message, as
+     *     a "category:name" string.
      */
     ns.TLV_TYPE = {
         MESSAGE_SIGNATURE: 0x0003, // 3
@@ -140,6 +178,11 @@ define([
         SIDKEY_HINT:       0x0012, // 18
         MESSAGE_PARENT:    0x0013, // 19
         MESSAGE_BODY:      0x0014, // 20
+        MESSAGE_KEY_INDEX: 0x0015, // 21
+        CIPHER_SUITE:      0x0016, // 22
+        MESSAGE_FRAGMENT:  0x0017, // 23
+        MESSAGE_READER:    0x0018, // 24
+        MESSAGE_READER_KEY: 0x0019, // 25
         // Greet messages
         GREET_TYPE:        0x01ff, // 511
         SOURCE:            0x0100, // 256
@@ -150,12 +193,19 @@ define([
         PUB_KEY:           0x0105, // 261
         SESSION_SIGNATURE: 0x0106, // 262
         SIGNING_KEY:       0x0107, // 263
+        GREET_PADDING:     0x0108, // 264
         // Greet proposal messages
         PREV_PF:           0x0301,
         CHAIN_HASH:        0x0302,
         LATEST_PM:         0x0303,
         // Error messages
         SEVERITY:          0x0201, // 513
+        // Query messages
+        QUERY_VERSION:     0x0401, // 1025
+        QUERY_FEATURE:     0x0402, // 1026
+        // Retransmission messages
+        RETRANSMIT_MID:    0x0501, // 1281
+        RETRANSMIT_PACKET: 0x0502, // 1282
     };
 
 
@@ -444,6 +494,27 @@ define([
     };
 
 
+    /**
+     * Finds the PROTOCOL_VERSION of a message without decoding the rest of
+     * it, e.g. to recognise messages from members that run another version.
+     *
+     * @param message {string}
+     *     A binary TLV string.
+     * @returns {?integer}
+     *     The protocol version, or <code>null</code> if there is none.
+     */
+    ns.getProtocolVersion = function(message) {
+        while (message.length > 0) {
+            var tlv = ns.decodeTLV(message);
+            if (tlv.type === ns.TLV_TYPE.PROTOCOL_VERSION) {
+                return tlv.value.charCodeAt(0);
+            }
+            message = tlv.rest;
+        }
+        return null;
+    };
+
+
     /**
      * Encodes a given error message.
      *
@@ -487,6 +558,10 @@ define([
      *
      * @param content {string}
      *     A TLV string.
+     * @param [getPubKey] {function}
+     *     1-arg function that takes the (decoded) sender of the message, and
+     *     returns their (ephemeral) public signing key, or a falsy value if
+     *     this is not known.
      * @returns {object}
      *     The error descriptor object, documented in {@link #encodeMessage()}.
      *     Has the additional field `signatureOk` {?bool} (`true` if signature
@@ -502,10 +577,7 @@ define([
         rest = ns.popTLVMaybe(rest, ns.TLV_TYPE.MESSAGE_SIGNATURE, function(value) {
             out.signature = value;
         });
-        if (out.signature) {
-            out.signatureOk = ns.verifyMessageSignature(ns.MESSAGE_TYPE.MPENC_ERROR,
-                                                        rest, out.signature, getPubKey(out.from));
-        }
+        var signedContent = rest;
 
         rest = ns.popStandardFields(rest, ns.MESSAGE_TYPE.MPENC_ERROR);
         rest = ns.popTLV(rest, ns.TLV_TYPE.SOURCE, function(value) {
@@ -518,6 +590,235 @@ define([
             out.message = value;
         });
 
+        // the sender is only known after decoding, so verify at the end
+        var pubKey = (out.signature && getPubKey) ? getPubKey(out.from) : null;
+        if (pubKey) {
+            out.signatureOk = ns.verifyMessageSignature(ns.MESSAGE_TYPE.MPENC_ERROR,
+                                                        signedContent, out.signature, pubKey);
+        }
+
+        return out;
+    };
+
+
+    /**
+     * Encodes a given query message, that advertises our capabilities.
+     *
+     * Unlike other messages, the PROTOCOL_VERSION of this message is not
+     * required to match the receiver's version, so that members running
+     * different versions are able to discover this about each other.
+     *
+     * @param query {Object}
+     *     Descriptor object for the query; must contain these properties:
+     *     from: Participant ID of the sender;
+     *     versions: Array of supported protocol versions;
+     *     features: Array of supported optional features.
+     * @param [privKey] {string}
+     *     Sender's (static) private signing key. (Ed25519 key seed.)
+     * @param [pubKey] {string}
+     *     Sender's (static) public signing key.
+     * @returns {string}
+     *     A TLV string.
+     */
+    ns.encodeQueryMessage = function(query, privKey, pubKey) {
+        var content = ns.MPENC_QUERY_MESSAGE;
+        content += ns.encodeTLV(ns.TLV_TYPE.SOURCE, query.from);
+        content += ns._encodeTlvArray(ns.TLV_TYPE.QUERY_VERSION, query.versions.map(function(v) {
+            return String.fromCharCode(v);
+        }));
+        content += ns._encodeTlvArray(ns.TLV_TYPE.QUERY_FEATURE, query.features);
+
+        if (privKey) {
+            var signature = ns.signMessage(ns.MESSAGE_TYPE.MPENC_QUERY,
+                                           content, privKey, pubKey);
+            return ns.encodeTLV(ns.TLV_TYPE.MESSAGE_SIGNATURE, signature) + content;
+        } else {
+            return content;
+        }
+    };
+
+
+    /**
+     * Decodes a given query message.
+     *
+     * A bare query (i.e. {@link module:mpenc/codec.MPENC_QUERY_MESSAGE}) is
+     * also accepted; in this case `from` is `null` and the arrays are empty.
+     *
+     * @param content {string}
+     *     A TLV string.
+     * @param [getPubKey] {function}
+     *     1-arg function that takes the (decoded) sender of the message, and
+     *     returns their (static) public signing key, or a falsy value if this
+     *     is not known.
+     * @returns {Object}
+     *     The query descriptor object, documented in {@link #encodeQueryMessage()}.
+     *     Has the additional fields `version` {integer} (the PROTOCOL_VERSION
+     *     of the message itself) and `signatureOk` {?bool} (`true` if signature
+     *     verifies, `false` if failed, `null` if signature does not exist or
+     *     could not be verified).
+     */
+    ns.decodeQueryMessage = function(content, getPubKey) {
+        var out = { from: null, versions: [], features: [] };
+        out.signatureOk = null;
+        var rest = content;
+
+        rest = ns.popTLVMaybe(rest, ns.TLV_TYPE.MESSAGE_SIGNATURE, function(value) {
+            out.signature = value;
+        });
+        var signedContent = rest;
+
+        rest = ns.popTLV(rest, ns.TLV_TYPE.PROTOCOL_VERSION, function(value) {
+            if (value.length !== 1) {
+                ns.decodeError("unexpected length for PROTOCOL_VERSION");
+            }
+            out.version = value.charCodeAt(0);
+        });
+        rest = ns.popTLV(rest, ns.TLV_TYPE.MESSAGE_TYPE, function(value) {
+            if (value.charCodeAt(0) !== ns.MESSAGE_TYPE.MPENC_QUERY) {
+                ns.decodeError("expected message type: " + ns.MESSAGE_TYPE.MPENC_QUERY +
+                    " but got: " + value.charCodeAt(0));
+            }
+        });
+        if (!rest.length) {
+            return out;
+        }
+        rest = ns.popTLV(rest, ns.TLV_TYPE.SOURCE, function(value) {
+            out.from = value;
+        });
+        while (rest.length) {
+            var tlv = ns.decodeTLV(rest);
+            if (tlv.type === ns.TLV_TYPE.QUERY_VERSION) {
+                if (tlv.value.length !== 1) {
+                    ns.decodeError("unexpected length for QUERY_VERSION");
+                }
+                out.versions.push(tlv.value.charCodeAt(0));
+            } else if (tlv.type === ns.TLV_TYPE.QUERY_FEATURE) {
+                out.features.push(tlv.value);
+            }
+            // ignore unknown records, they might be from a newer version
+            rest = tlv.rest;
+        }
+
+        var pubKey = (out.signature && getPubKey) ? getPubKey(out.from) : null;
+        if (pubKey) {
+            out.signatureOk = ns.verifyMessageSignature(ns.MESSAGE_TYPE.MPENC_QUERY,
+                                                        signedContent, out.signature, pubKey);
+        }
+
+        return out;
+    };
+
+
+    /**
+     * Encodes a message that publishes the sender's ephemeral signing key for
+     * a sub-session, after they have left it.
+     *
+     * This is not signed, since anyone may sign anything with the key after
+     * it is published. Instead, receivers check that it matches the ephemeral
+     * public key that they have for the sender.
+     *
+     * @param published {Object}
+     *     Descriptor object; must contain these properties:
+     *     from: Participant ID of the sender;
+     *     signingKey: Sender's ephemeral private signing key.
+     * @returns {string}
+     *     A TLV string.
+     */
+    ns.encodeSigningKeyMessage = function(published) {
+        var content = ns.ENCODED_VERSION + ns.ENCODED_TYPE_SIGNING_KEY;
+        content += ns.encodeTLV(ns.TLV_TYPE.SOURCE, published.from);
+        content += ns.encodeTLV(ns.TLV_TYPE.SIGNING_KEY, published.signingKey);
+        return content;
+    };
+
+
+    /**
+     * Decodes a given signing key message.
+     *
+     * @param content {string}
+     *     A TLV string.
+     * @returns {Object}
+     *     The descriptor object, documented in {@link #encodeSigningKeyMessage()}.
+     */
+    ns.decodeSigningKeyMessage = function(content) {
+        var out = {};
+        var rest = ns.popStandardFields(content, ns.MESSAGE_TYPE.MPENC_SIGNING_KEY);
+        rest = ns.popTLV(rest, ns.TLV_TYPE.SOURCE, function(value) {
+            out.from = value;
+        });
+        rest = ns.popTLV(rest, ns.TLV_TYPE.SIGNING_KEY, function(value) {
+            out.signingKey = value;
+        });
+        return out;
+    };
+
+
+    /**
+     * Encodes a given retransmission message. This is either a request for
+     * the data packets of some messages that the sender is missing, or a
+     * reply with one of these packets, exactly as its author sent it.
+     *
+     * These are not signed; the packets in replies are verified as normal
+     * data packets by the recipient.
+     *
+     * @param retransmit {Object}
+     *     Descriptor object; must contain either of these properties:
+     *     mIds: Array of the ids of the messages that the sender is missing;
+     *     or all of these properties:
+     *     to: Participant ID of the member that asked for the packet;
+     *     author: Participant ID of the author of the packet;
+     *     packet: The data packet, as a wire packet string.
+     * @returns {string}
+     *     A TLV string.
+     */
+    ns.encodeRetransmitMessage = function(retransmit) {
+        var content = ns.ENCODED_VERSION + ns.ENCODED_TYPE_RETRANSMIT;
+        if (retransmit.mIds) {
+            return content + ns._encodeTlvArray(ns.TLV_TYPE.RETRANSMIT_MID, retransmit.mIds);
+        }
+        content += ns.encodeTLV(ns.TLV_TYPE.DEST, retransmit.to);
+        content += ns.encodeTLV(ns.TLV_TYPE.SOURCE, retransmit.author);
+        // packets may be longer than a single record
+        var packet = retransmit.packet;
+        do {
+            content += ns.encodeTLV(ns.TLV_TYPE.RETRANSMIT_PACKET, packet.slice(0, 0xffff));
+            packet = packet.slice(0xffff);
+        } while (packet.length);
+        return content;
+    };
+
+
+    /**
+     * Decodes a given retransmission message.
+     *
+     * @param content {string}
+     *     A TLV string.
+     * @returns {Object}
+     *     The descriptor object, documented in {@link #encodeRetransmitMessage()}.
+     */
+    ns.decodeRetransmitMessage = function(content) {
+        var out = {};
+        var rest = ns.popStandardFields(content, ns.MESSAGE_TYPE.MPENC_RETRANSMIT);
+        if (ns.decodeTLV(rest).type === ns.TLV_TYPE.RETRANSMIT_MID) {
+            out.mIds = [];
+            ns.popTLVAll(rest, ns.TLV_TYPE.RETRANSMIT_MID, function(value) {
+                out.mIds.push(value);
+            });
+            return out;
+        }
+        rest = ns.popTLV(rest, ns.TLV_TYPE.DEST, function(value) {
+            out.to = value;
+        });
+        rest = ns.popTLV(rest, ns.TLV_TYPE.SOURCE, function(value) {
+            out.author = value;
+        });
+        out.packet = "";
+        ns.popTLVAll(rest, ns.TLV_TYPE.RETRANSMIT_PACKET, function(value) {
+            out.packet += value;
+        });
+        if (!out.packet) {
+            ns.decodeError("expected TLV type " + ns.TLV_TYPE.RETRANSMIT_PACKET);
+        }
         return out;
     };
 
@@ -625,6 +926,10 @@ define([
     ns.ENCODED_TYPE_GREET = ns.encodeTLV(ns.TLV_TYPE.MESSAGE_TYPE, String.fromCharCode(ns.MESSAGE_TYPE.MPENC_GREET_MESSAGE));
     ns.ENCODED_TYPE_QUERY = ns.encodeTLV(ns.TLV_TYPE.MESSAGE_TYPE, String.fromCharCode(ns.MESSAGE_TYPE.MPENC_QUERY));
     ns.ENCODED_TYPE_ERROR = ns.encodeTLV(ns.TLV_TYPE.MESSAGE_TYPE, String.fromCharCode(ns.MESSAGE_TYPE.MPENC_ERROR));
+    ns.ENCODED_TYPE_SIGNING_KEY = ns.encodeTLV(ns.TLV_TYPE.MESSAGE_TYPE,
+        String.fromCharCode(ns.MESSAGE_TYPE.MPENC_SIGNING_KEY));
+    ns.ENCODED_TYPE_RETRANSMIT = ns.encodeTLV(ns.TLV_TYPE.MESSAGE_TYPE,
+        String.fromCharCode(ns.MESSAGE_TYPE.MPENC_RETRANSMIT));
     ns.PROTOCOL_VERSION = version.PROTOCOL_VERSION;
 
     /**
@@ -0,0 +1,290 @@
+/*
+ * (c) 2014-2016 by Mega Limited, Auckland, New Zealand
+ *     https://mega.nz/
+ *
+ * This file is part of the multi-party chat encryption suite.
+ *
+ * This code is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License version 3
+ * as published by the Free Software Foundation. See the accompanying
+ * LICENSE file or <https://www.gnu.org/licenses/> if it is unavailable.
+ *
+ * This code is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ */
+
+define([
+    "mpenc/helper/async",
+    "mpenc/helper/struct",
+    "mpenc/helper/utils"
+], function(async, struct, utils) {
+    "use strict";
+
+    /**
+     * @exports mpenc/fingerprint
+     * @description
+     * Fingerprints of identity keys, for users to compare out-of-band.
+     *
+     * The identity keys of other members are supplied by the client's
+     * <code>pubKeyDir</code>, which we cannot check ourselves. Users may
+     * instead compare fingerprints over a channel that they already trust,
+     * e.g. in person or over a phone call, and then record the result in a
+     * {@link module:mpenc/fingerprint.VerificationStore}.
+     *
+     * - A member fingerprint covers one member's user id and identity key.
+     *   Both users should see the same value for the same member.
+     * - A session fingerprint covers the id of the current sub-session, as
+     *   agreed by the greeting that created it, and the identity keys of all
+     *   of its members. If all members see the same value, then nobody was
+     *   given a wrong key for anyone else.
+     */
+    var ns = {};
+
+    var _FORMAT_VERSION = "\x00\x01";
+
+    /**
+     * Number of times the fingerprint hash is iterated. This makes it more
+     * expensive to search for a second key with a similar-looking fingerprint.
+     */
+    var HASH_ITERATIONS = 1024;
+    ns.HASH_ITERATIONS = HASH_ITERATIONS;
+
+    // 64 emoji that are easy to tell apart and to name, as also used by Matrix
+    var _EMOJI = [
+        "🐶", "🐱", "🦁", "🐎", "🦄", "🐷", "🐘", "🐰",
+        "🐼", "🐓", "🐧", "🐢", "🐟", "🐙", "🦋", "🌷",
+        "🌳", "🌵", "🍄", "🌏", "🌙", "☁️", "🔥", "🍌",
+        "🍎", "🍓", "🌽", "🍕", "🎂", "❤️", "😀", "🤖",
+        "🎩", "👓", "🔧", "🎅", "👍", "☂️", "⌛", "⏰",
+        "🎁", "💡", "📕", "✏️", "📎", "✂️", "🔒", "🔑",
+        "🔨", "☎️", "🏁", "🚂", "🚲", "✈️", "🚀", "🏆",
+        "⚽", "🎸", "🎺", "🔔", "⚓", "🎧", "📁", "📌"
+    ];
+
+    /**
+     * Number of emoji in the emoji form of a fingerprint. These encode 102
+     * bits, so that it is no weaker than the 30 digits (about 100 bits) of
+     * the numeric form; users compare it out-of-band and may rely on it for
+     * as long as the keys are used.
+     */
+    var EMOJI_LENGTH = 17;
+    ns.EMOJI_LENGTH = EMOJI_LENGTH;
+
+    var _encodeLength = function(s) {
+        if (s.length > 0xffff) {
+            throw new Error("value too long for a fingerprint: " + s.length);
+        }
+        return String.fromCharCode(s.length >> 8, s.length & 0xff) + s;
+    };
+
+    var _digest = function(label, data) {
+        var h = utils.sha256(_FORMAT_VERSION + _encodeLength(label) + data);
+        for (var i = 1; i < HASH_ITERATIONS; i++) {
+            h = utils.sha256(h + data);
+        }
+        return h;
+    };
+
+    /**
+     * A fingerprint, displayable in a human-comparable form.
+     *
+     * @class
+     * @property digest {string} The underlying hash, as a binary string.
+     * @memberOf module:mpenc/fingerprint
+     */
+    var Fingerprint = struct.createTupleClass("Fingerprint", "digest");
+
+    /**
+     * @returns {string} The fingerprint as 30 decimal digits, in groups of 5
+     *      separated by spaces.
+     */
+    Fingerprint.prototype.numeric = function() {
+        var groups = [];
+        for (var i = 0; i < 30; i += 5) {
+            var n = 0;
+            for (var j = i; j < i + 5; j++) {
+                n = n * 256 + this.digest.charCodeAt(j);
+            }
+            groups.push(("0000" + (n % 100000)).slice(-5));
+        }
+        return groups.join(" ");
+    };
+
+    /**
+     * @returns {Array.<string>} The fingerprint as
+     *      {@link module:mpenc/fingerprint.EMOJI_LENGTH} emoji, each encoding
+     *      6 bits of it.
+     */
+    Fingerprint.prototype.emoji = function() {
+        var result = [];
+        var bits = 0;
+        var nbits = 0;
+        for (var i = 0; result.length < EMOJI_LENGTH; i++) {
+            bits = (bits << 8 | this.digest.charCodeAt(i)) & 0xfff;
+            nbits += 8;
+            while (nbits >= 6 && result.length < EMOJI_LENGTH) {
+                nbits -= 6;
+                result.push(_EMOJI[(bits >> nbits) & 0x3f]);
+            }
+        }
+        return result;
+    };
+
+    Object.freeze(Fingerprint.prototype);
+    ns.Fingerprint = Fingerprint;
+
+    /**
+     * Fingerprint of a member's identity key.
+     *
+     * @param uId {string} User id of the member.
+     * @param pubKey {string} Ed25519 identity key of the member.
+     * @returns {module:mpenc/fingerprint.Fingerprint}
+     */
+    ns.memberFingerprint = function(uId, pubKey) {
+        return new Fingerprint(_digest("member", _encodeLength(uId) + _encodeLength(pubKey)));
+    };
+
+    /**
+     * Fingerprint of a session, and the identity keys of its members.
+     *
+     * @param sId {string} Session id, as agreed by the greeting that created
+     *      the session.
+     * @param pubKeys {Map} Map of user id to Ed25519 identity key, for every
+     *      member including ourselves.
+     * @returns {module:mpenc/fingerprint.Fingerprint}
+     */
+    ns.sessionFingerprint = function(sId, pubKeys) {
+        var data = _encodeLength(sId);
+        struct.iteratorToArray(pubKeys.keys()).sort().forEach(function(uId) {
+            data += _encodeLength(uId) + _encodeLength(pubKeys.get(uId));
+        });
+        return new Fingerprint(_digest("session", data));
+    };
+
+
+    /**
+     * Whether our user has checked a member's identity key.
+     *
+     * @enum {number}
+     * @memberOf module:mpenc/fingerprint
+     */
+    var VerificationState = {
+        /** Our user has not compared fingerprints for this key. */
+        UNVERIFIED : 1,
+        /** Our user has compared fingerprints for this key, and they matched. */
+        VERIFIED   : 2
+    };
+    ns.VerificationState = VerificationState;
+
+    /**
+     * The verification state of a member's identity key has changed.
+     *
+     * @class
+     * @property uId {string} User id of the member.
+     * @property pubKey {string} The identity key.
+     * @property state {module:mpenc/fingerprint.VerificationState} Its new state.
+     * @memberOf module:mpenc/fingerprint
+     */
+    var VerificationChange = struct.createTupleClass("VerificationChange", "uId pubKey state");
+
+    Object.freeze(VerificationChange.prototype);
+    ns.VerificationChange = VerificationChange;
+
+    /**
+     * Store of which identity keys our user has verified.
+     *
+     * States are recorded against the key, rather than the user, so that a
+     * verified user whose key changes becomes unverified. The same store may
+     * be shared between several sessions.
+     *
+     * @interface
+     * @memberOf module:mpenc/fingerprint
+     */
+    var VerificationStore = function() {
+        throw new Error("cannot instantiate an interface");
+    };
+    // jshint -W030
+
+    /**
+     * @method
+     * @param uId {string} User id.
+     * @param pubKey {string} Identity key of the user.
+     * @returns {module:mpenc/fingerprint.VerificationState} Current state.
+     */
+    VerificationStore.prototype.get;
+
+    /**
+     * @method
+     * @param uId {string} User id.
+     * @param pubKey {string} Identity key of the user.
+     * @param state {module:mpenc/fingerprint.VerificationState} New state.
+     * @returns {boolean} Whether the state changed.
+     */
+    VerificationStore.prototype.set;
+
+    /**
+     * Subscribe to changes.
+     *
+     * @method
+     * @param subscriber {module:mpenc/helper/async~subscriber} Takes a
+     *      {@link module:mpenc/fingerprint.VerificationChange}.
+     * @returns canceller {module:mpenc/helper/async~canceller}
+     */
+    VerificationStore.prototype.onChange;
+
+    Object.freeze(VerificationStore.prototype);
+    ns.VerificationStore = VerificationStore;
+    // jshint +W030
+
+
+    /**
+     * A VerificationStore that is kept in memory, and forgotten afterwards.
+     *
+     * At most one key per user is verified at any one time; verifying a new
+     * key for a user makes their old key unverified.
+     *
+     * @class
+     * @implements {module:mpenc/fingerprint.VerificationStore}
+     * @memberOf module:mpenc/fingerprint
+     */
+    var MemoryVerificationStore = function() {
+        if (!(this instanceof MemoryVerificationStore)) { return new MemoryVerificationStore(); }
+        this._verified = new Map();
+        this._change = new async.Observable();
+    };
+
+    MemoryVerificationStore.prototype.get = function(uId, pubKey) {
+        return this._verified.get(uId) === pubKey ?
+            VerificationState.VERIFIED : VerificationState.UNVERIFIED;
+    };
+
+    MemoryVerificationStore.prototype.set = function(uId, pubKey, state) {
+        if (state !== VerificationState.VERIFIED && state !== VerificationState.UNVERIFIED) {
+            throw new Error("invalid verification state: " + state);
+        }
+        if (this.get(uId, pubKey) === state) {
+            return false;
+        }
+        var oldKey = this._verified.get(uId);
+        if (state === VerificationState.VERIFIED) {
+            this._verified.set(uId, pubKey);
+        } else {
+            this._verified.delete(uId);
+        }
+        if (oldKey !== undefined && oldKey !== pubKey) {
+            this._change.publish(new VerificationChange(uId, oldKey, VerificationState.UNVERIFIED));
+        }
+        this._change.publish(new VerificationChange(uId, pubKey, state));
+        return true;
+    };
+
+    MemoryVerificationStore.prototype.onChange = function(sub) {
+        return this._change.subscribe(sub);
+    };
+
+    ns.MemoryVerificationStore = MemoryVerificationStore;
+
+
+    return ns;
+});
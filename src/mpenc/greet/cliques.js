@@ -401,6 +401,9 @@ define([
      * @private
      */
     ns.CliquesMember.prototype._setKeys = function(intKeys) {
+        // Without our private keys, the "group key" would just be a public
+        // intermediate key; e.g. they were erased, and a new ika is needed.
+        _assert(this.privKeyList.length !== 0, 'No private keys to compute the group key with.');
         // New objects for intermediate keys.
         var myPos = this.members.indexOf(this.id);
         this.intKeys = intKeys;
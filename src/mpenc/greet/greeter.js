@@ -24,9 +24,11 @@ define([
     "mpenc/greet/cliques",
     "mpenc/greet/ske",
     "mpenc/codec",
+    "mpenc/padding",
+    "mpenc/pubkeydir",
     "promise-polyfill",
     "megalogger",
-], function(assert, async, struct, utils, cliques, ske, codec, Promise, MegaLogger) {
+], function(assert, async, struct, utils, cliques, ske, codec, paddingMod, pubkeydir, Promise, MegaLogger) {
     "use strict";
 
     /**
@@ -43,6 +45,14 @@ define([
      * This implementation is using the an authenticated signature key exchange that
      * also provides participant authentication as well as a CLIQUES-based group
      * key agreement.</p>
+     *
+     * <p>
+     * The CLIQUES private contributions of a member, together with the
+     * intermediate keys that were broadcast, reproduce the group key. For
+     * forward secrecy, they are erased once the group key has been used, see
+     * {@link module:mpenc/message.MessageSecurity}; after that, any further
+     * membership operation agrees on a new key from scratch, as for a new
+     * group, instead of using the auxiliary (include, exclude, refresh) flows.</p>
      */
     var ns = {};
 
@@ -634,6 +644,10 @@ define([
             debugOutput.push('signingKey: ' + btoa(value));
         });
 
+        rest = codec.popTLVMaybe(rest, _T.GREET_PADDING, function(value) {
+            debugOutput.push('padding: ' + value.length + ' bytes');
+        });
+
         // TODO(xl): maybe complain if too much junk afterwards
         // Debugging output.
         logger.debug('mpENC decoded message debug: ', debugOutput);
@@ -673,9 +687,11 @@ define([
     };
 
 
-    ns._determineFlowType = function(owner, prevMembers, members) {
+    ns._determineFlowType = function(owner, prevMembers, members, erased) {
         // Determine the mpENC GKA flow type (start/include/exclude/refresh)
         // from the requested prevMembers -> members abstract transition.
+        // If the previous key material was erased, the auxiliary flows can't
+        // be used, so everyone that remains must start() again.
         _assert(owner);
         _assert(prevMembers.has(owner));
         _assert(members.has(owner));
@@ -693,7 +709,9 @@ define([
         // We can't both exclude and include members at the same time.
         _assert(!(exclude.size && include.size), "Cannot both exclude and join members.");
 
-        if (include.size) {
+        if (erased && members.size) {
+            return { greetType: ns.GREET_TYPE.INIT_INITIATOR_UP, members: members };
+        } else if (include.size) {
             if (!keeping.size) {
                 // no previous session, start() instead of include()
                 return { greetType: ns.GREET_TYPE.INIT_INITIATOR_UP, members: members };
@@ -708,6 +726,21 @@ define([
     };
 
 
+    // Size of an encoded MESSAGE_SIGNATURE record: header plus an Ed25519 signature.
+    var _SIGNATURE_RECORD_SIZE = 4 + 64;
+
+    var _encodePadding = function(size, padding) {
+        // GREET_PADDING record to pad a message of the given size, if needed.
+        if (!padding || padding.paddedSize(size) <= size) {
+            return "";
+        }
+        // Adding the padding record itself may push us into the next size.
+        var numPaddingBytes = Math.min(padding.paddedSize(size + 4) - size - 4, 0xffff);
+        return codec.encodeTLV(codec.TLV_TYPE.GREET_PADDING,
+                               (new Array(numPaddingBytes + 1)).join('\u0000'));
+    };
+
+
     /**
      * Encodes a given greet message ready to be put onto the wire, using
      * base64 encoding for the binary message pay load.
@@ -718,19 +751,16 @@ define([
      *     Sender's (ephemeral) private signing key.
      * @param pubKey {string}
      *     Sender's (ephemeral) public signing key.
-     * @param paddingSize {integer}
-     *     Number of bytes to pad the cipher text to come out as (default: 0
-     *     to turn off padding). If the clear text will result in a larger
-     *     cipher text than paddingSize, power of two exponential padding sizes
-     *     will be used.
+     * @param [padding] {module:mpenc/padding.PaddingStrategy}
+     *     Strategy to pad the whole encoded message with (default: no
+     *     padding). Padding is added as a signed GREET_PADDING record.
      * @returns {string}
      *     A TLV string.
      */
-    ns.encodeGreetMessage = function(message, privKey, pubKey, paddingSize) {
+    ns.encodeGreetMessage = function(message, privKey, pubKey, padding) {
         if (message === null || message === undefined) {
             return null;
         }
-        paddingSize = paddingSize | 0;
 
         var out = codec.ENCODED_VERSION + codec.ENCODED_TYPE_GREET;
         // Process message attributes in this order:
@@ -766,6 +796,7 @@ define([
         if (message.signingKey) {
             out += codec.encodeTLV(codec.TLV_TYPE.SIGNING_KEY, message.signingKey);
         }
+        out += _encodePadding(out.length + _SIGNATURE_RECORD_SIZE, padding);
         // Sign `out` and prepend signature.
         var signature = codec.signMessage(codec.MESSAGE_TYPE.MPENC_GREET_MESSAGE,
                                           out, privKey, pubKey);
@@ -785,6 +816,18 @@ define([
     };
 
 
+    ns._makeMetadataHash = function(metadata) {
+        // Calculate the hash of a GreetingMetadata. This is bound into the
+        // session signatures of the SKE, so that the greeting only completes
+        // if every member saw the same metadata from the same author.
+        return utils.sha256(
+            codec.encodeTLV(codec.TLV_TYPE.SOURCE, metadata.author) +
+            codec.encodeTLV(codec.TLV_TYPE.PREV_PF, metadata.prevPf) +
+            codec.encodeTLV(codec.TLV_TYPE.CHAIN_HASH, metadata.prevCh) +
+            codec._encodeTlvArray(codec.TLV_TYPE.LATEST_PM, metadata.parents.toArray().sort()));
+    };
+
+
     /**
      * Metadata about the context of a greeting.
      *
@@ -915,16 +958,29 @@ define([
      *      The static private key for this member.
      * @param pubKey {string}
      *      The static public key for this member.
-     * @param staticPubKeyDir {{get: function}}
+     * @param staticPubKeyDir {module:mpenc/pubkeydir.PubKeyDir}
      *      Object with a 1-arg "get" method for obtaining static public keys
-     *      for other members.
+     *      for other members, possibly asynchronously. Unless it is already a
+     *      {@link module:mpenc/pubkeydir.CachingPubKeyDir}, it is wrapped in
+     *      one, and the keys of the members of a proposed greeting are
+     *      fetched as soon as we see it.
+     * @param [padding] {module:mpenc/padding.PaddingStrategy}
+     *      Strategy to pad our outgoing greet messages with (default: none).
      * @memberOf module:mpenc/greet/greeter
      */
-    var Greeter = function(id, privKey, pubKey, staticPubKeyDir) {
+    var Greeter = function(id, privKey, pubKey, staticPubKeyDir, padding) {
         this.id = id;
         this.privKey = privKey;
         this.pubKey = pubKey;
+        if (!(staticPubKeyDir instanceof pubkeydir.CachingPubKeyDir)) {
+            staticPubKeyDir = new pubkeydir.CachingPubKeyDir(staticPubKeyDir);
+            staticPubKeyDir.fetch([id]);
+            if (staticPubKeyDir.isFetching(id)) {
+                staticPubKeyDir.pin(id, pubKey);
+            }
+        }
         this.staticPubKeyDir = staticPubKeyDir;
+        this.padding = padding || paddingMod.NONE;
         _assert(staticPubKeyDir.get(id) === pubKey, "bad static pubkey dir");
 
         // The current proposal started by the local user, if one is pending
@@ -962,6 +1018,14 @@ define([
      * @returns {?module:mpenc/greet/greeter.GreetingSummary}
      */
     Greeter.prototype.partialDecode = function(prevMembers, pubtxt, from, makePacketId) {
+        var greetingSummary = this._partialDecode(prevMembers, pubtxt, from, makePacketId);
+        if (greetingSummary && greetingSummary.isInitial()) {
+            this._fetchKeys(greetingSummary.members.toArray());
+        }
+        return greetingSummary;
+    };
+
+    Greeter.prototype._partialDecode = function(prevMembers, pubtxt, from, makePacketId) {
         var message = codec.decodeWirePacket(pubtxt);
         if (message.type !== codec.MESSAGE_TYPE.MPENC_GREET_MESSAGE) {
             return null;
@@ -1037,6 +1101,24 @@ define([
         return greetingSummary;
     };
 
+    /**
+     * Start fetching the static public keys of the given members, that we
+     * don't have yet, so that they are hopefully available by the time the
+     * greeting needs to verify their signatures.
+     *
+     * @private
+     * @param members {Array.<string>} Members of a greeting.
+     */
+    Greeter.prototype._fetchKeys = function(members) {
+        var dir = this.staticPubKeyDir;
+        var missing = members.filter(function(uId) {
+            return !dir.has(uId) && !dir.isFetching(uId);
+        });
+        if (missing.length) {
+            dir.fetch(missing).catch(logger.warn.bind(logger));
+        }
+    };
+
     /**
      * Encode a new Greeting proposal, given local context.
      *
@@ -1066,7 +1148,10 @@ define([
 
         var message = null;
         var greeting = new Greeting(this, prevGreetStore);
-        var greetData = ns._determineFlowType(this.id, prevMembers, members);
+        // some flows sign the session immediately, so this must be set first
+        greeting.askeMember.metadataHash = ns._makeMetadataHash(metadata);
+        var erased = Boolean(prevGreetStore) && !(prevGreetStore.privKeyList && prevGreetStore.privKeyList.length);
+        var greetData = ns._determineFlowType(this.id, prevMembers, members, erased);
         switch (greetData.greetType) {
             case ns.GREET_TYPE.INIT_INITIATOR_UP:
                 message = greeting.start(greetData.members.toArray());
@@ -1092,7 +1177,7 @@ define([
         // no need to set greeting.metadata here, it will be set automatically
         // by greeting.recv() if the proposal is accepted
         var payLoad = ns.encodeGreetMessage(message, greeting.getEphemeralPrivKey(),
-            greeting.getEphemeralPubKey());
+            greeting.getEphemeralPubKey(), this.padding);
 
         this.proposedGreeting = greeting;
         this.proposalHash = ns._makePacketHash(payLoad);
@@ -1271,6 +1356,39 @@ define([
         return this;
     };
 
+    /**
+     * @returns {Object} The state of this store, as a JSON-compatible object,
+     *      e.g. to save it across restarts. This contains secret keys.
+     */
+    GreetStore.prototype.snapshot = function() {
+        return {
+            id: this.id,
+            opState: this._opState,
+            members: this.members,
+            sessionId: this.sessionId,
+            ephemeralPrivKey: this.ephemeralPrivKey,
+            ephemeralPubKey: this.ephemeralPubKey,
+            nonce: this.nonce,
+            ephemeralPubKeys: this.ephemeralPubKeys,
+            nonces: this.nonces,
+            groupKey: this.groupKey,
+            privKeyList: this.privKeyList,
+            intKeys: this.intKeys,
+        };
+    };
+
+    /**
+     * @param state {Object} As returned by {@link
+     *      module:mpenc/greet/greeter.GreetStore#snapshot}.
+     * @returns {module:mpenc/greet/greeter.GreetStore}
+     */
+    GreetStore.fromSnapshot = function(state) {
+        return new GreetStore(state.id, state.opState, state.members,
+            state.sessionId, state.ephemeralPrivKey, state.ephemeralPubKey, state.nonce,
+            state.ephemeralPubKeys, state.nonces,
+            state.groupKey, state.privKeyList, state.intKeys);
+    };
+
     ns.GreetStore = GreetStore;
 
 
@@ -1301,6 +1419,7 @@ define([
         this.privKey = greeter.privKey;
         this.pubKey = greeter.pubKey;
         this.staticPubKeyDir = greeter.staticPubKeyDir;
+        this.padding = greeter.padding;
 
         this._opState = store._opState;
         this._send = new async.Observable(true);
@@ -1329,6 +1448,7 @@ define([
         this._metadataIsAuthenticated = false;
         this._recvOwnAuthMessage = false;
         this._nextMembers = null;
+        this._upflowDest = null;
 
         var self = this;
         this._finished = 0; // 0 = pending,
@@ -1390,6 +1510,12 @@ define([
      *      packet was authenticated against its claimed author/source by this
      *      operation itself. If not, then a higher layer (e.g. Session) must
      *      do this retroactively.
+     *
+     *      <p>This is true once the Greeting has completed. For a refresh,
+     *      the initial packet is signed by an ephemeral key from the previous
+     *      sub-session; otherwise, the metadata is covered by the session
+     *      signatures of every member, and the Greeting fails with an
+     *      "AuthenticationFailed" error if any of these do not match.</p>
      */
     Greeting.prototype.metadataIsAuthenticated = function () {
         return this._metadataIsAuthenticated;
@@ -1427,6 +1553,27 @@ define([
         }
     };
 
+    /**
+     * Members that we are waiting on for the operation to progress. During
+     * the upflow phase this is the member that was last sent the upflow
+     * message; during the downflow phase this is everyone that has not yet
+     * broadcast their authentication.
+     *
+     * @returns {module:mpenc/helper/struct.ImmutableSet} Members that have
+     *      not yet responded; empty if the operation is finished, or if it is
+     *      only waiting on the server to echo packets back to us.
+     */
+    Greeting.prototype.getPendingMembers = function () {
+        if (this._finished) {
+            return ImmutableSet.EMPTY;
+        } else if (this.askeMember.authenticatedMembers.length) {
+            return new ImmutableSet(this.askeMember.yetToAuthenticate());
+        } else if (this._upflowDest) {
+            return new ImmutableSet([this._upflowDest]);
+        }
+        return ImmutableSet.EMPTY;
+    };
+
     Greeting.prototype.getPromise = function () {
         return this._promise.promise;
     };
@@ -1453,7 +1600,8 @@ define([
         var payload = ns.encodeGreetMessage(
             message,
             this.getEphemeralPrivKey(),
-            this.getEphemeralPubKey());
+            this.getEphemeralPubKey(),
+            this.padding);
         var recipients = message.dest ? new ImmutableSet([message.dest]) : this.getNextMembers();
         this._send.publish({ pubtxt: codec.encodeWirePacket(payload), recipients: recipients });
         if (state !== undefined) {
@@ -1470,6 +1618,8 @@ define([
 
     /**
      * Mechanism to start the protocol negotiation with the group participants.
+     * This is also used to agree on a new key from scratch in an existing
+     * group, after its previous key material was erased.
      *
      * @method
      * @param otherMembers {Array}
@@ -1478,8 +1628,8 @@ define([
      *      The message to commence the intial key exchange.
      */
     Greeting.prototype.start = function(otherMembers) {
-        this._assertStartState([ns.STATE.NULL],
-                'start() can only be called from an uninitialised state.');
+        this._assertStartState([ns.STATE.NULL, ns.STATE.READY],
+                'start() can only be called from an uninitialised or ready state.');
         _assert(otherMembers && otherMembers.length !== 0, 'No members to add.');
 
         var cliquesMessage = this.cliquesMember.ika(otherMembers);
@@ -1638,12 +1788,14 @@ define([
                 return true; // TODO(xl): tweak as per "identify" comment
             }
             this.metadata = decodedMessage.metadata;
-            // TODO(xl): #2350 need to tweak ske to verify metadata, e.g. by hashing
-            // the packet-id of the proposal into the session-id
+            this.askeMember.metadataHash = ns._makeMetadataHash(this.metadata);
         }
 
+        if (!decodedMessage.isDownflow() && decodedMessage.dest) {
+            this._upflowDest = decodedMessage.dest;
+        }
         var prevState = this._opState;
-        var result = this._processMessage(decodedMessage);
+        var result = this._processMessageOrFail(decodedMessage);
         if (result === null) {
             return true; // TODO(xl): tweak as per "identify" comment
         }
@@ -1657,6 +1809,30 @@ define([
     };
 
 
+    Greeting.prototype._processMessageOrFail = function(message) {
+        try {
+            return this._processMessage(message);
+        } catch (e) {
+            if (e instanceof Error && e.message.indexOf("StaticKeyMissing:") === 0) {
+                // We can't check their signature, e.g. because the directory
+                // didn't give us their key in time. We can't just fail the
+                // greeting locally, since everyone must agree on how it ended;
+                // it is up to our caller to kick the member, which aborts it.
+                logger.warn(e.message);
+                return null;
+            }
+            if (!(e instanceof Error) || e.message.indexOf("SessionAuthFailed:") !== 0) {
+                throw e;
+            }
+            // Either the member is lying, or they saw different metadata from
+            // us, e.g. because the server sent different packets to each of
+            // us. Either way, this greeting cannot safely complete.
+            logger.warn(e.message);
+            this.fail(new Error("AuthenticationFailed: " + e.message));
+            return null;
+        }
+    };
+
     /**
      * Handles greet (key agreement) protocol execution with all participants.
      *
@@ -1711,7 +1887,7 @@ define([
                 this._recvOwnAuthMessage = true;
             }
 
-            newState = this._maybeFulfill() ? ns.STATE.READY : newState;
+            newState = this._maybeFulfill(message) ? ns.STATE.READY : newState;
             return { decodedMessage: null,
                      newState: newState };
         }
@@ -1734,7 +1910,7 @@ define([
             // QUIT message.
             //_assert(message.signingKey,
             //        'Inconsistent message content with message type (signingKey).');
-            // TODO: not currently publishing signatures; see ske.js for details
+            // signing keys are published separately, if at all; see ske.js for details
         } else if (message.isDownflow()) {
             // Downflow message.
             if (message.isGKA()) {
@@ -1784,7 +1960,7 @@ define([
             }
         }
 
-        newState = this._maybeFulfill() ? ns.STATE.READY : newState;
+        newState = this._maybeFulfill(message) ? ns.STATE.READY : newState;
         if (outMessage) {
             logger.debug('Sending message of type '
                          + outMessage.getGreetTypeString());
@@ -1796,10 +1972,11 @@ define([
     };
 
 
-    Greeting.prototype._maybeFulfill = function() {
+    Greeting.prototype._maybeFulfill = function(message) {
         // Check if the operation is complete.
         // If so, set public variables and fire hooks (e.g. promises)
-        var isRefresh = this.getPrevMembers().equals(this.getNextMembers());
+        // a new key for the same members may also come from start(), see ns._determineFlowType
+        var isRefresh = message.greetType === ns.GREET_TYPE.REFRESH_AUX_INITIATOR_DOWN;
         if (isRefresh || this.askeMember.isSessionAcknowledged() && this._recvOwnAuthMessage) {
             // check that we got where we wanted to go
             _assert(this.getNextMembers().equals(new ImmutableSet(this.askeMember.members)));
@@ -1809,6 +1986,7 @@ define([
             this.sessionId = this.askeMember.sessionId;
             this.ephemeralPubKeys = this.askeMember.ephemeralPubKeys;
             this.groupKey = this.cliquesMember.groupKey;
+            this._metadataIsAuthenticated = this.metadata !== null;
 
             _assert(!this._finished);
             this._promise.resolve(this);
@@ -132,8 +132,19 @@ define([
      *     Session ID of this session.
      * @property staticPrivKey {string}
      *     Own static (long term) signing key.
-     * @property staticPubKeyDir {mpenc/handler.PubKeyDir}
+     * @property metadataHash {string}
+     *     Hash of the metadata of the greeting that this exchange is part of,
+     *     which is covered by the session signatures, or empty if there is
+     *     none. All members must use the same value for the exchange to
+     *     succeed. This binding is part of protocol version 2, so members of
+     *     older versions can't take part; see {@link
+     *     module:mpenc/version.PROTOCOL_VERSION}.
+     * @property staticPubKeyDir {module:mpenc/pubkeydir.PubKeyDir}
      *     "Directory" of static public keys, using the participant ID as key.
+     *     Keys that it returns asynchronously count as missing, so such
+     *     directories should be wrapped in a
+     *     {@link module:mpenc/pubkeydir.CachingPubKeyDir}, as the
+     *     {@link module:mpenc/greet/greeter.Greeter} does.
      */
     ns.SignatureKeyExchangeMember = function(id) {
         this.id = id;
@@ -147,6 +158,7 @@ define([
         this.sessionId = null;
         this.staticPrivKey = null;
         this.staticPubKeyDir = null;
+        this.metadataHash = '';
         return this;
     };
 
@@ -231,7 +243,8 @@ define([
 
     /**
      * Computes a session acknowledgement signature sigma(m) of a message
-     * m = (pid_i, E_i, k_i, sid) using the static private key.
+     * m = (pid_i, E_i, k_i, sid, h) using the static private key, where h is
+     * the metadata hash.
      *
      * @returns {string}
      *     Session signature.
@@ -241,7 +254,7 @@ define([
         _assert(this.sessionId, 'Session ID not available.');
         _assert(this.ephemeralPubKey, 'No ephemeral key pair available.');
         var sessionAck = MAGIC_NUMBER + this.id + this.ephemeralPubKey
-                       + this.nonce + this.sessionId;
+                       + this.nonce + this.sessionId + this.metadataHash;
         var hashValue = utils.sha256(sessionAck);
         var keyPair = nacl.sign.keyPair.fromSeed(utils.string2bytes(this.staticPrivKey));
         return utils.bytes2string(nacl.sign.detached(utils.string2bytes(hashValue), keyPair.secretKey));
@@ -250,7 +263,8 @@ define([
 
     /**
      * Verifies a session acknowledgement signature sigma(m) of a message
-     * m = (pid_i, E_i, k_i, sid) using the static public key.
+     * m = (pid_i, E_i, k_i, sid, h) using the static public key, where h is
+     * our own metadata hash.
      *
      * @param memberId {string}
      *     Participant ID of the member to verify the signature against.
@@ -266,13 +280,39 @@ define([
         _assert(memberPos >= 0, 'Member not in participants list.');
         _assert(this.ephemeralPubKeys[memberPos],
                 "Member's ephemeral pub key missing.");
-        _assert(this.staticPubKeyDir.get(memberId),
-                "Member's static pub key missing.");
+        var staticPubKey = this._getStaticPubKey(memberId);
+        if (!staticPubKey) {
+            // not an assertion; the directory may still be fetching it
+            throw new Error("StaticKeyMissing: Member's static pub key missing.");
+        }
         var sessionAck = MAGIC_NUMBER + memberId + this.ephemeralPubKeys[memberPos]
-                       + this.nonces[memberPos] + this.sessionId;
+                       + this.nonces[memberPos] + this.sessionId + this.metadataHash;
         var hashValue = utils.sha256(sessionAck);
         return nacl.sign.detached.verify(utils.string2bytes(hashValue), utils.string2bytes(signature),
-            utils.string2bytes(this.staticPubKeyDir.get(memberId)));
+            utils.string2bytes(staticPubKey));
+    };
+
+
+    /**
+     * Look up the static public key of a member, if it is available locally.
+     *
+     * For a {@link module:mpenc/pubkeydir.CachingPubKeyDir}, this fetches
+     * keys that were not fetched yet; keys from synchronous sources are then
+     * available straight away.
+     *
+     * @param memberId {string}
+     *     Participant ID of the member.
+     * @returns {?string}
+     *     The member's static public key, or null if it is not available.
+     * @method
+     */
+    ns.SignatureKeyExchangeMember.prototype._getStaticPubKey = function(memberId) {
+        var dir = this.staticPubKeyDir;
+        if (typeof dir.fetch === "function" && !dir.has(memberId) && !dir.isFetching(memberId)) {
+            dir.fetch([memberId]);
+        }
+        var pubKey = dir.get(memberId);
+        return pubKey && typeof pubKey.then !== "function" ? pubKey : null;
     };
 
 
@@ -307,7 +347,11 @@ define([
         // Verify the session authentication from sender.
         var isValid = this._verifySessionSig(message.source,
                                              message.sessionSignature);
-        _assert(isValid, 'Session authentication by member ' + message.source + ' failed.');
+        if (!isValid) {
+            // not an assertion; this may be caused by others, see Greeting.recv
+            throw new Error('SessionAuthFailed: Session authentication by member '
+                            + message.source + ' failed.');
+        }
         var senderPos = message.members.indexOf(message.source);
         this.authenticatedMembers[senderPos] = true;
 
@@ -491,8 +535,7 @@ define([
 
         // Pass broadcast message on to all members.
         var broadcastMessage = new ns.SignatureKeyExchangeMessage(this.id, '', 'down');
-        // TODO: it is probably not appropriate to publish the signing key at this stage.
-        //broadcastMessage.signingKey = this.ephemeralPrivKey;
+        // It is not appropriate to publish the signing key at this stage:
         //
         // The server could pretend that Alice hasn't left, drop her QUIT message,
         // then carry on signing messages on behalf of her.
@@ -515,6 +558,11 @@ define([
         //   - if we have not yet received E, then everything is unauthenticated
         //      - we could publish K inside E (authenticated but not encrypted)
         //        which would remove this special case
+        //
+        // HybridSession does this in its "deniable" mode, outside of the greeting
+        // protocol: E is our final message in the sub-session being fully-acked,
+        // which others authenticate with their own keys; K is published after
+        // this in a separate MPENC_SIGNING_KEY packet.
 
         return broadcastMessage;
     };
@@ -444,7 +444,9 @@ define([
      * @class
      * @property rIdx {number} Negative index at which the element was
      *      inserted. For example, 0 means it was appended to the sequence,
-     *      after all other elements.
+     *      after all other elements, and 1 means that it was inserted just
+     *      before the last one. Afterwards, the element is at the positive
+     *      index <code>length - 1 - rIdx</code>.
      * @property elem {} The element that was inserted.
      * @memberOf module:mpenc/helper/async
      */
@@ -476,6 +478,20 @@ define([
         this._updates.publish(new SequenceInsert(rIdx, item));
     };
 
+    /**
+     * Used by subclasses to insert an element anywhere in the sequence, and
+     * publish this with the right rIdx.
+     *
+     * @protected
+     * @param idx {number} Positive index to insert at; elements from here
+     *      onwards move up by one.
+     * @param elem {}
+     */
+    ObservableSequence.prototype.__insert__ = function(idx, elem) {
+        this.splice(idx, 0, elem);
+        this.__rInsert__(this.length - 1 - idx, elem);
+    };
+
     /**
      * Subscribe to updates to the sequence.
      *
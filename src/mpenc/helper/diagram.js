@@ -0,0 +1,197 @@
+/*
+ * (c) 2014-2016 by Mega Limited, Auckland, New Zealand
+ *     https://mega.nz/
+ *
+ * This file is part of the multi-party chat encryption suite.
+ *
+ * This code is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License version 3
+ * as published by the Free Software Foundation. See the accompanying
+ * LICENSE file or <https://www.gnu.org/licenses/> if it is unavailable.
+ *
+ * This code is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ */
+
+
+define([], function() {
+    "use strict";
+
+    /**
+     * @exports mpenc/helper/diagram
+     * @description
+     * Diagrams of causal orders, e.g. to attach to bug reports.
+     *
+     * Any {@link module:mpenc/helper/graph.CausalOrder} may be rendered, as
+     * the JSON-compatible node-link format that is understood by graph tools
+     * such as d3 or networkx, or as <a href="https://graphviz.org/">Graphviz</a>
+     * DOT source. For a {@link module:mpenc/transcript.Transcript}, nodes are
+     * also annotated with the readers, body type and ack state of their
+     * messages, and links with whether they are implicit acks, or instead
+     * link consecutive messages by the same author.
+     *
+     * @example
+     * var dot = mpenc.helper.diagram.toDot([transcript0, transcript1]);
+     * // then e.g. "dot -Tsvg transcript.dot > transcript.svg"
+     */
+    var ns = {};
+
+    /**
+     * A node of a diagram.
+     *
+     * @typedef {Object} DiagramNode
+     * @property id {string} Encoded id of the node.
+     * @property author {string} Author of the event.
+     * @property [subSession] {number} Index of the order that it is in, if
+     *      several were rendered together.
+     * @property [readers] {Array.<string>} Readers of the message.
+     * @property [bodyType] {?string} Name of the type of its body, or
+     *      <code>null</code> if this is a whisper to others.
+     * @property [unackby] {Array.<string>} Readers that have not yet acked it.
+     */
+
+    /**
+     * A link of a diagram, from an event to one that it caused.
+     *
+     * @typedef {Object} DiagramLink
+     * @property source {string} Encoded id of the parent.
+     * @property target {string} Encoded id of the child.
+     * @property [ack] {boolean} Whether the child implicitly acks the
+     *      parent, i.e. its author was a reader of the parent. Otherwise,
+     *      both are by the same author.
+     */
+
+    /**
+     * A causal order in node-link format, e.g. for d3 or networkx.
+     *
+     * @typedef {Object} DiagramGraph
+     * @property directed {boolean} Always true.
+     * @property nodes {Array.<module:mpenc/helper/diagram~DiagramNode>}
+     *      Nodes, in topological order within each order.
+     * @property links {Array.<module:mpenc/helper/diagram~DiagramLink>}
+     */
+
+    var _isTranscript = function(order) {
+        return typeof order.get === "function" && typeof order.unackby === "function";
+    };
+
+    // tuple classes are named by the first word of their string form
+    var _typeName = function(body) {
+        var match = /^(\w+) \[/.exec(String(body.constructor));
+        return match ? match[1] : typeof body;
+    };
+
+    var _node = function(order, subSession, encodeId, mId) {
+        var node = { id: encodeId(mId), author: order.author(mId) };
+        if (subSession !== null) {
+            node.subSession = subSession;
+        }
+        if (_isTranscript(order)) {
+            var msg = order.get(mId);
+            node.readers = msg.readers.toArray();
+            node.bodyType = (msg.body === null || msg.body === undefined) ? null : _typeName(msg.body);
+            node.unackby = order.unackby(mId).toArray();
+        }
+        return node;
+    };
+
+    var _links = function(order, encodeId, mId) {
+        var author = order.author(mId);
+        return order.pre(mId).toArray().map(function(pmId) {
+            var link = { source: encodeId(pmId), target: encodeId(mId) };
+            if (_isTranscript(order)) {
+                link.ack = order.get(pmId).readers.has(author);
+            }
+            return link;
+        });
+    };
+
+    /**
+     * Render causal orders in a node-link format.
+     *
+     * @param orders {(module:mpenc/helper/graph.CausalOrder|Array)} What to
+     *      render; or several of them, e.g. the transcripts of consecutive
+     *      sub-sessions, in which case nodes are annotated with their index.
+     * @param [options] {Object}
+     * @param [options.encodeId] {function} 1-arg function to encode ids
+     *      with, since message ids are binary. Default: base64.
+     * @returns graph {module:mpenc/helper/diagram~DiagramGraph}
+     */
+    ns.toNodeLink = function(orders, options) {
+        options = options || {};
+        var encodeId = options.encodeId || btoa;
+        var several = Array.isArray(orders);
+        var nodes = [];
+        var links = [];
+        (several ? orders : [orders]).forEach(function(order, i) {
+            order.all().forEach(function(mId) {
+                nodes.push(_node(order, several ? i : null, encodeId, mId));
+                links.push.apply(links, _links(order, encodeId, mId));
+            });
+        });
+        return { directed: true, nodes: nodes, links: links };
+    };
+
+    var _quote = function(s) {
+        return '"' + String(s).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n") + '"';
+    };
+
+    var _dotNode = function(node) {
+        var lines = [node.id.slice(0, 8), node.author];
+        if ("bodyType" in node) {
+            lines.push(node.bodyType === null ? "(whisper)" : node.bodyType);
+        }
+        var attrs = "label=" + _quote(lines.join("\n"));
+        if (node.unackby && node.unackby.length) {
+            attrs += ", style=dashed, xlabel=" + _quote("unacked by " + node.unackby.join(", "));
+        }
+        return _quote(node.id) + " [" + attrs + "];";
+    };
+
+    var _dotLink = function(link) {
+        return _quote(link.source) + " -> " + _quote(link.target) + (link.ack === false ? " [style=dotted];" : ";");
+    };
+
+    /**
+     * Render causal orders as Graphviz DOT source. Each node shows the start
+     * of its id, its author and body type; nodes that are not yet fully-acked
+     * are dashed, and links that are not acks are dotted. Several orders are
+     * drawn as separate clusters.
+     *
+     * @param orders {(module:mpenc/helper/graph.CausalOrder|Array)} As for
+     *      {@link module:mpenc/helper/diagram.toNodeLink}.
+     * @param [options] {Object} As for {@link module:mpenc/helper/diagram.toNodeLink}.
+     * @returns {string} DOT source of a directed graph.
+     */
+    ns.toDot = function(orders, options) {
+        var graph = ns.toNodeLink(orders, options);
+        var clusters = new Map();
+        graph.nodes.forEach(function(node) {
+            var key = "subSession" in node ? node.subSession : null;
+            if (!clusters.has(key)) {
+                clusters.set(key, []);
+            }
+            clusters.get(key).push("    " + _dotNode(node));
+        });
+        var out = ["digraph transcript {", "    node [shape=box];"];
+        clusters.forEach(function(lines, key) {
+            if (key === null) {
+                out.push.apply(out, lines);
+                return;
+            }
+            out.push("    subgraph " + _quote("cluster_" + key) + " {");
+            out.push("        label=" + _quote("sub-session " + key) + ";");
+            out.push.apply(out, lines.map(function(line) { return "    " + line; }));
+            out.push("    }");
+        });
+        graph.links.forEach(function(link) {
+            out.push("    " + _dotLink(link));
+        });
+        out.push("}");
+        return out.join("\n") + "\n";
+    };
+
+
+    return ns;
+});
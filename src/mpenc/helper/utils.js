@@ -104,6 +104,144 @@ define([
     };
 
 
+    // Arithmetic modulo 2^255 - 19, on 16 limbs of 16 bits each. This is
+    // the same representation as tweetnacl uses internally, which does not
+    // export it; we only need enough for converting public keys.
+
+    var _gf = function(init) {
+        var r = new Float64Array(16);
+        if (init) {
+            for (var i = 0; i < init.length; i++) {
+                r[i] = init[i];
+            }
+        }
+        return r;
+    };
+
+    var _gfCarry = function(o) {
+        for (var i = 0; i < 16; i++) {
+            o[i] += 65536;
+            var c = Math.floor(o[i] / 65536);
+            o[(i + 1) * (i < 15 ? 1 : 0)] += c - 1 + 37 * (c - 1) * (i === 15 ? 1 : 0);
+            o[i] -= c * 65536;
+        }
+    };
+
+    var _gfAdd = function(a, b) {
+        var o = _gf();
+        for (var i = 0; i < 16; i++) {
+            o[i] = a[i] + b[i];
+        }
+        return o;
+    };
+
+    var _gfSub = function(a, b) {
+        var o = _gf();
+        for (var i = 0; i < 16; i++) {
+            o[i] = a[i] - b[i];
+        }
+        return o;
+    };
+
+    var _gfMul = function(a, b) {
+        var i;
+        var t = new Float64Array(31);
+        for (i = 0; i < 16; i++) {
+            for (var j = 0; j < 16; j++) {
+                t[i + j] += a[i] * b[j];
+            }
+        }
+        for (i = 0; i < 15; i++) {
+            t[i] += 38 * t[i + 16];
+        }
+        var o = _gf(t.subarray(0, 16));
+        _gfCarry(o);
+        _gfCarry(o);
+        return o;
+    };
+
+    var _gfInverse = function(a) {
+        // a^(p - 2), where p - 2 = 2^255 - 21
+        var c = _gf(a);
+        for (var i = 253; i >= 0; i--) {
+            c = _gfMul(c, c);
+            if (i !== 2 && i !== 4) {
+                c = _gfMul(c, a);
+            }
+        }
+        return c;
+    };
+
+    var _gfPack = function(n) {
+        var i;
+        var m = _gf();
+        var t = _gf(n);
+        _gfCarry(t);
+        _gfCarry(t);
+        _gfCarry(t);
+        for (var j = 0; j < 2; j++) {
+            m[0] = t[0] - 0xffed;
+            for (i = 1; i < 15; i++) {
+                m[i] = t[i] - 0xffff - ((m[i - 1] >> 16) & 1);
+                m[i - 1] &= 0xffff;
+            }
+            m[15] = t[15] - 0x7fff - ((m[14] >> 16) & 1);
+            var b = (m[15] >> 16) & 1;
+            m[14] &= 0xffff;
+            if (!b) {
+                t = m;
+                m = _gf();
+            }
+        }
+        var o = new Uint8Array(32);
+        for (i = 0; i < 16; i++) {
+            o[2 * i] = t[i] & 0xff;
+            o[2 * i + 1] = t[i] >> 8;
+        }
+        return o;
+    };
+
+    var _gfUnpack = function(bytes) {
+        var o = _gf();
+        for (var i = 0; i < 16; i++) {
+            o[i] = bytes[2 * i] + (bytes[2 * i + 1] << 8);
+        }
+        o[15] &= 0x7fff;
+        return o;
+    };
+
+
+    /**
+     * Convert a private ed25519 key seed to a private curve25519 key, that
+     * corresponds to the public key given by `toCurve25519PubKey`.
+     *
+     * @param privKey {string} Private ed25519 key seed, as a 8-bit string.
+     * @returns {string} Private curve25519 key, as a 8-bit string.
+     * @private
+     */
+    ns.toCurve25519PrivKey = function(privKey) {
+        return ns.bytes2string(nacl.hash(ns.string2bytes(privKey)).subarray(0, 32));
+    };
+
+
+    /**
+     * Convert a public ed25519 key to a public curve25519 key, so that it may
+     * be used for Diffie-Hellman key agreement with `nacl.scalarMult`.
+     *
+     * This is the birational map u = (1 + y) / (1 - y) from the Edwards
+     * y-coordinate to the Montgomery u-coordinate.
+     *
+     * @param pubKey {string} Public ed25519 key, as a 8-bit string.
+     * @returns {string} Public curve25519 key, as a 8-bit string.
+     * @private
+     */
+    ns.toCurve25519PubKey = function(pubKey) {
+        var one = _gf([1]);
+        var y = _gfUnpack(ns.string2bytes(pubKey));
+        return ns.bytes2string(_gfPack(_gfMul(_gfAdd(one, y), _gfInverse(_gfSub(one, y)))));
+    };
+
+
     /**
      * Convert a byte string to a Uint8Array.
      *
@@ -0,0 +1,79 @@
+/*
+ * (c) 2014-2016 by Mega Limited, Auckland, New Zealand
+ *     https://mega.nz/
+ *
+ * This file is part of the multi-party chat encryption suite.
+ *
+ * This code is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License version 3
+ * as published by the Free Software Foundation. See the accompanying
+ * LICENSE file or <https://www.gnu.org/licenses/> if it is unavailable.
+ *
+ * This code is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ */
+
+define([
+    "mpenc/helper/utils",
+    "es6-collections"
+], function(utils, es6_shim) {
+    "use strict";
+
+    /**
+     * @exports mpenc/impl/attachment
+     * @description
+     * Implementations of {@link module:mpenc/attachment.AttachmentStorage}.
+     */
+    var ns = {};
+
+
+    /**
+     * Storage that keeps everything in local memory.
+     *
+     * This is a stand-in for a real storage backend, for testing or for
+     * when all members share a single process. Data is only available to
+     * users of the same instance, and is lost when it is garbage-collected.
+     *
+     * @class
+     * @implements {module:mpenc/attachment.AttachmentStorage}
+     * @memberOf module:mpenc/impl/attachment
+     */
+    var MemoryStorage = function() {
+        this._data = new Map();
+    };
+
+    /**
+     * @inheritDoc
+     */
+    MemoryStorage.prototype.put = function(data) {
+        var ref = btoa(utils.sha256(data));
+        this._data.set(ref, data);
+        return Promise.resolve(ref);
+    };
+
+    /**
+     * @inheritDoc
+     */
+    MemoryStorage.prototype.get = function(ref) {
+        if (!this._data.has(ref)) {
+            return Promise.reject(new Error("not found: " + ref));
+        }
+        return Promise.resolve(this._data.get(ref));
+    };
+
+    /**
+     * Remove some data that was previously stored.
+     *
+     * @param ref {string} Reference, as returned by `put`.
+     * @returns {boolean} Whether anything was removed.
+     */
+    MemoryStorage.prototype.remove = function(ref) {
+        return this._data.delete(ref);
+    };
+
+    ns.MemoryStorage = MemoryStorage;
+
+
+    return ns;
+});
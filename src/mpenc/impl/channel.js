@@ -246,6 +246,113 @@ define([
     ns.BaseGroupChannel = BaseGroupChannel;
 
 
+    var _withChannelId = function(item, channelId) {
+        var tagged = {};
+        Object.keys(item).forEach(function(k) { tagged[k] = item[k]; });
+        tagged.channelId = channelId;
+        return tagged;
+    };
+
+    var _withoutChannelId = function(item) {
+        var untagged = {};
+        Object.keys(item).forEach(function(k) {
+            if (k !== "channelId") {
+                untagged[k] = item[k];
+            }
+        });
+        return untagged;
+    };
+
+    /**
+     * Demultiplexes a single transport that carries many group channels, into
+     * a separate {@link module:mpenc/channel.GroupChannel} for each of them,
+     * e.g. so that one XMPP connection may serve many sessions.
+     *
+     * The transport is a {@link module:mpenc/helper/utils.ReceivingSender}
+     * whose items are the same as those of a GroupChannel, but with an extra
+     * <code>channelId</code> property (string) that says which channel they
+     * belong to. This property is added to every {@link
+     * module:mpenc/channel~ChannelAction} that the channels send, and removed
+     * from every {@link module:mpenc/channel~ChannelNotice} before it is
+     * passed to the channel with that id. Notices for channels that were not
+     * created via <code>get()</code> are rejected.
+     *
+     * @class
+     * @param transport {module:mpenc/helper/utils.ReceivingSender} Transport
+     *      for all of the channels.
+     * @memberOf module:mpenc/impl/channel
+     */
+    var ChannelMux = function(transport) {
+        if (!(this instanceof ChannelMux)) { return new ChannelMux(transport); }
+        this._transport = transport;
+        this._channels = new Map(); // channelId -> { channel, cancel }
+        this._cancel = transport.onRecv(this._recv.bind(this));
+    };
+
+    /**
+     * @param channelId {string} Channel id.
+     * @returns {module:mpenc/impl/channel.BaseGroupChannel} The channel for
+     *      this id, created if it did not exist yet.
+     */
+    ChannelMux.prototype.get = function(channelId) {
+        if (!this._channels.has(channelId)) {
+            var transport = this._transport;
+            var channel = new BaseGroupChannel();
+            var cancel = channel.onSend(function(send_out) {
+                return transport.send(_withChannelId(send_out, channelId));
+            });
+            this._channels.set(channelId, { channel: channel, cancel: cancel });
+        }
+        return this._channels.get(channelId).channel;
+    };
+
+    /**
+     * @param channelId {string} Channel id.
+     * @returns {boolean} Whether a channel was created for this id.
+     */
+    ChannelMux.prototype.has = function(channelId) {
+        return this._channels.has(channelId);
+    };
+
+    /**
+     * Detach a channel from the transport. This does not leave the channel;
+     * do that first via its <code>execute()</code> if necessary.
+     *
+     * @param channelId {string} Channel id.
+     * @returns {boolean} Whether there was a channel to detach.
+     */
+    ChannelMux.prototype.remove = function(channelId) {
+        if (!this._channels.has(channelId)) {
+            return false;
+        }
+        this._channels.get(channelId).cancel();
+        this._channels.delete(channelId);
+        return true;
+    };
+
+    ChannelMux.prototype._recv = function(recv_in) {
+        var entry = this._channels.get(recv_in.channelId);
+        if (!entry) {
+            logger.debug("ignored notice for unknown channel: " + recv_in.channelId);
+            return false;
+        }
+        return entry.channel.recv(_withoutChannelId(recv_in));
+    };
+
+    /**
+     * Detach all channels from the transport, and stop receiving from it.
+     */
+    ChannelMux.prototype.stop = function() {
+        var self = this;
+        struct.iteratorToArray(this._channels.keys()).forEach(function(channelId) {
+            self.remove(channelId);
+        });
+        this._cancel();
+    };
+
+    ns.ChannelMux = ChannelMux;
+
+
     /**
      * Total order on membership operations using a server to break ties.
      *
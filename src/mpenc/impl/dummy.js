@@ -20,6 +20,7 @@ define([
     "mpenc/channel",
     "mpenc/impl/channel",
     "mpenc/message",
+    "mpenc/session",
     "mpenc/helper/async",
     "mpenc/helper/struct",
     "mpenc/helper/utils",
@@ -27,7 +28,7 @@ define([
     "es6-collections",
     "megalogger"
 ], function(
-    channel, channelImpl, message,
+    channel, channelImpl, message, session,
     async, struct, utils, assert, es6_shim, MegaLogger
 ) {
     "use strict";
@@ -54,7 +55,9 @@ define([
      * Dummy {@link module:mpenc/message.MessageSecurity} used for testing.
      *
      * The <code>greetState</code> parameter is assumed to contain a <code>
-     * sessionId</code> field which is a string.
+     * sessionId</code> field which is a string. If it also contains an <code>
+     * id</code> field, then bodies of messages whose readers do not include
+     * this id are hidden, as with whispers to others.
      *
      * @class
      * @private
@@ -62,6 +65,7 @@ define([
      */
     var DummyMessageSecurity = function(greetState) {
         var sId = greetState.sessionId;
+        var owner = greetState.id;
         var stub = function() {};
         return {
             authEncrypt: function(ts, message) {
@@ -90,7 +94,7 @@ define([
                     throw new DecryptVerifyError("PacketRejected: not our expected sId " + btoa(sId) + "; actual " + body.sId);
                 }
                 body.parents = body.parents.map(atob);
-                body.body = atob(body.sectxt);
+                body.body = (owner && body.readers.indexOf(owner) < 0) ? null : atob(body.sectxt);
                 return {
                     message: body,
                     secrets: {
@@ -340,6 +344,30 @@ define([
             .catch(logger.warn.bind(logger));
     };
 
+    /**
+     * Send a message from one session, and run the server asynchronously
+     * until some other sessions have all received it.
+     *
+     * The action may also be given as just a string, to send as content.
+     *
+     * @returns {Promise} Resolves to the message's id once every receiver
+     *     has emitted a <code>MsgReady</code> for it.
+     */
+    DummyGroupServer.prototype.sendAndWait = function(sender, receivers, action, timer) {
+        if (typeof action === "string") {
+            action = { content: action };
+        }
+        _assert(sender.send(action), "send failed");
+        var mId = sender.messages().at(-1);
+        var ps = [].concat(receivers).map(function(receiver) {
+            var p = async.newPromiseAndWriters();
+            receiver.onEvent(session.MsgReady, [mId])(p.resolve);
+            return p.promise;
+        });
+        this.runAsync(16, timer);
+        return Promise.all(ps).then(function() { return mId; });
+    };
+
     /**
      * Get a GroupChannel object for the given user.
      *
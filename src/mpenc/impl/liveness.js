@@ -18,10 +18,11 @@
 
 define([
     "mpenc/liveness",
+    "mpenc/session",
     "mpenc/transcript",
     "mpenc/helper/async",
     "mpenc/helper/struct"
-], function(liveness, transcript, async, struct) {
+], function(liveness, session, transcript, async, struct) {
     "use strict";
 
     /**
@@ -34,6 +35,7 @@ define([
     var Monitor = async.Monitor;
     var Subscribe = async.Subscribe;
     var ImmutableSet = struct.ImmutableSet;
+    var PresenceState = session.PresenceState;
 
     /**
      * Default ConsistencyMonitor.
@@ -142,5 +144,109 @@ define([
 
     ns.DefaultConsistencyMonitor = DefaultConsistencyMonitor;
 
+
+    /**
+     * Tracks the presence of other members, based on when we last received a
+     * message from them.
+     *
+     * A member is present from when they are renewed, until they expire
+     * without being renewed again, after which they are unresponsive.
+     *
+     * @class
+     * @private
+     * @memberOf module:mpenc/impl/liveness
+     * @param timer {module:mpenc/helper/async.Timer} Timer for scheduling calls.
+     * @param onChange {function} 2-arg function, takes a member and their new
+     *      {@link module:mpenc/session.PresenceState}; called whenever this
+     *      changes.
+     */
+    var PresenceTracker = function(timer, onChange) {
+        this._timer = timer;
+        this._onChange = onChange;
+        this._state = new Map(); // uId -> PresenceState
+        this._idle = new Map(); // uId -> boolean
+        this._lastSeen = new Map(); // uId -> Date
+        this._expiry = new Map(); // uId -> canceller
+    };
+
+    /**
+     * Renew the presence of a member.
+     *
+     * @param uId {string} Member that we received a message from.
+     * @param [idle] {boolean} Whether they said they were idle. If omitted,
+     *      this is unchanged from before, or false if they are new.
+     * @param [expireAfter] {?number} Ticks after which they become
+     *      unresponsive, unless renewed again. If omitted, they never do.
+     */
+    PresenceTracker.prototype.renew = function(uId, idle, expireAfter) {
+        if (idle !== undefined) {
+            this._idle.set(uId, idle);
+        }
+        this._lastSeen.set(uId, new Date());
+        this._cancelExpiry(uId);
+        if (expireAfter) {
+            this._expiry.set(uId, this._timer.after(expireAfter, this._expire.bind(this, uId)));
+        }
+        this._setState(uId, this._idle.get(uId) ? PresenceState.IDLE : PresenceState.ONLINE);
+    };
+
+    /**
+     * Stop tracking a member, e.g. because they left the session.
+     *
+     * @param uId {string} Member that is no longer present.
+     */
+    PresenceTracker.prototype.absent = function(uId) {
+        this._cancelExpiry(uId);
+        this._state.delete(uId);
+        this._idle.delete(uId);
+        this._lastSeen.delete(uId);
+    };
+
+    /**
+     * @param uId {string} Member.
+     * @returns {?module:mpenc/session.PresenceState} Their presence, or
+     *      <code>null</code> if they are not tracked.
+     */
+    PresenceTracker.prototype.state = function(uId) {
+        return this._state.has(uId) ? this._state.get(uId) : null;
+    };
+
+    /**
+     * @param uId {string} Member.
+     * @returns {?Date} When they were last renewed, or <code>null</code> if
+     *      they are not tracked.
+     */
+    PresenceTracker.prototype.lastSeen = function(uId) {
+        return this._lastSeen.has(uId) ? this._lastSeen.get(uId) : null;
+    };
+
+    /**
+     * Stop tracking all members.
+     */
+    PresenceTracker.prototype.stop = function() {
+        struct.iteratorToArray(this._state.keys()).forEach(this.absent.bind(this));
+    };
+
+    PresenceTracker.prototype._expire = function(uId) {
+        this._expiry.delete(uId);
+        this._setState(uId, PresenceState.UNRESPONSIVE);
+    };
+
+    PresenceTracker.prototype._cancelExpiry = function(uId) {
+        if (this._expiry.has(uId)) {
+            this._expiry.get(uId)();
+            this._expiry.delete(uId);
+        }
+    };
+
+    PresenceTracker.prototype._setState = function(uId, state) {
+        if (this._state.get(uId) !== state) {
+            this._state.set(uId, state);
+            this._onChange(uId, state);
+        }
+    };
+
+    ns.PresenceTracker = PresenceTracker;
+
     return ns;
 });
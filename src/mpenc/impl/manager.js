@@ -0,0 +1,284 @@
+/*
+ * (c) 2014-2016 by Mega Limited, Auckland, New Zealand
+ *     https://mega.nz/
+ *
+ * This file is part of the multi-party chat encryption suite.
+ *
+ * This code is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License version 3
+ * as published by the Free Software Foundation. See the accompanying
+ * LICENSE file or <https://www.gnu.org/licenses/> if it is unavailable.
+ *
+ * This code is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ */
+
+define([
+    "mpenc/session",
+    "mpenc/impl/channel",
+    "mpenc/helper/async",
+    "mpenc/helper/struct",
+    "promise-polyfill",
+    "es6-collections",
+    "megalogger"
+], function(
+    session, channelImpl,
+    async, struct, Promise, es6_shim, MegaLogger
+) {
+    "use strict";
+
+    /**
+     * @exports mpenc/impl/manager
+     * @description
+     * Managing many concurrent sessions of a single user.
+     */
+    var ns = {};
+
+    var logger = MegaLogger.getLogger("manager", undefined, "mpenc");
+
+    var MsgReady      = session.MsgReady;
+    var NotAccepted   = session.NotAccepted;
+    var NotFullyAcked = session.NotFullyAcked;
+    var SessionState  = session.SessionState;
+
+    var Observable = async.Observable;
+    var ChannelMux = channelImpl.ChannelMux;
+
+    /**
+     * Emitted when the number of unread messages of a session changes.
+     *
+     * @class
+     * @property sId {string} Session id.
+     * @property count {number} Unread messages in this session.
+     * @property total {number} Unread messages in all sessions.
+     * @memberOf module:mpenc/impl/manager
+     */
+    var UnreadCount = struct.createTupleClass("UnreadCount", "sId count total");
+
+    Object.freeze(UnreadCount.prototype);
+    ns.UnreadCount = UnreadCount;
+
+    /**
+     * Emitted when a session warns that its transcript might not be
+     * consistent with that of others, i.e. a {@link
+     * module:mpenc/session.NotAccepted} or {@link
+     * module:mpenc/session.NotFullyAcked}.
+     *
+     * @class
+     * @property sId {string} Session id.
+     * @property notice {module:mpenc/session.SessionNotice} The warning.
+     * @memberOf module:mpenc/impl/manager
+     */
+    var ConsistencyWarning = struct.createTupleClass("ConsistencyWarning", "sId notice");
+
+    Object.freeze(ConsistencyWarning.prototype);
+    ns.ConsistencyWarning = ConsistencyWarning;
+
+
+    /**
+     * Creates and keeps track of many sessions that share a single context,
+     * and a single transport via a {@link module:mpenc/impl/channel.ChannelMux}.
+     * Each session uses the channel whose id is the same as its session id.
+     *
+     * A message is "unread" if it was sent by someone else, and has not yet
+     * been marked as read via {@link
+     * module:mpenc/impl/manager.SessionManager#markRead}.
+     *
+     * @class
+     * @param context {module:mpenc/impl/session.SessionContext} Context shared
+     *      by all sessions.
+     * @param transport {module:mpenc/helper/utils.ReceivingSender} Transport
+     *      for all channels; see {@link module:mpenc/impl/channel.ChannelMux}.
+     * @param makeSession {function} 4-arg factory function, that takes the
+     *      context, a session id, a {@link module:mpenc/channel.GroupChannel}
+     *      and an options object, and creates a new {@link
+     *      module:mpenc/session.Session}, e.g. {@link
+     *      module:mpenc.createSession}.
+     * @memberOf module:mpenc/impl/manager
+     */
+    var SessionManager = function(context, transport, makeSession) {
+        if (!(this instanceof SessionManager)) { return new SessionManager(context, transport, makeSession); }
+        this._context = context;
+        this._mux = new ChannelMux(transport);
+        this._makeSession = makeSession;
+        this._sessions = new Map(); // sId -> { session, cancel, unread }
+        this._totalUnread = 0;
+        this._unreadCount = new Observable();
+        this._warning = new Observable();
+    };
+
+    /**
+     * @returns {module:mpenc/impl/session.SessionContext} The context shared
+     *      by all sessions.
+     */
+    SessionManager.prototype.context = function() {
+        return this._context;
+    };
+
+    /**
+     * Create a new session.
+     *
+     * @param sId {string} Session id, which is also the channel id.
+     * @param [options] {Object} Options for the session.
+     * @returns {module:mpenc/session.Session} The new session.
+     * @throws {Error} If a session with this id already exists.
+     */
+    SessionManager.prototype.create = function(sId, options) {
+        if (this._sessions.has(sId)) {
+            throw new Error("session already exists: " + btoa(sId));
+        }
+        var sess = this._makeSession(this._context, sId, this._mux.get(sId), options);
+        var entry = { session: sess, cancel: null, unread: 0 };
+        var self = this;
+        var warn = function(evt) {
+            self._warning.publish(new ConsistencyWarning(sId, evt));
+        };
+        entry.cancel = async.combinedCancel([
+            sess.onEvent(MsgReady)(this._onMsgReady.bind(this, sId, entry)),
+            sess.onEvent(NotAccepted)(warn),
+            sess.onEvent(NotFullyAcked)(warn),
+        ]);
+        this._sessions.set(sId, entry);
+        return sess;
+    };
+
+    /**
+     * @param sId {string} Session id.
+     * @returns {?module:mpenc/session.Session} The session with this id, or
+     *      <code>null</code> if there is none.
+     */
+    SessionManager.prototype.get = function(sId) {
+        return this._sessions.has(sId) ? this._sessions.get(sId).session : null;
+    };
+
+    /**
+     * @returns {Array.<string>} Ids of all sessions, in order of creation.
+     */
+    SessionManager.prototype.sessionIds = function() {
+        return struct.iteratorToArray(this._sessions.keys());
+    };
+
+    SessionManager.prototype._onMsgReady = function(sId, entry, evt) {
+        var sess = entry.session;
+        if (sess.messages().get(evt.mId).author === sess.owner()) {
+            return;
+        }
+        entry.unread++;
+        this._totalUnread++;
+        this._unreadCount.publish(new UnreadCount(sId, entry.unread, this._totalUnread));
+    };
+
+    /**
+     * @param [sId] {string} Session id.
+     * @returns {number} Number of unread messages in the session, or in all
+     *      sessions if no id is given.
+     */
+    SessionManager.prototype.unread = function(sId) {
+        if (sId === undefined) {
+            return this._totalUnread;
+        }
+        return this._sessions.has(sId) ? this._sessions.get(sId).unread : 0;
+    };
+
+    /**
+     * Mark all messages of a session as read.
+     *
+     * @param sId {string} Session id.
+     */
+    SessionManager.prototype.markRead = function(sId) {
+        var entry = this._sessions.get(sId);
+        if (!entry || !entry.unread) {
+            return;
+        }
+        this._totalUnread -= entry.unread;
+        entry.unread = 0;
+        this._unreadCount.publish(new UnreadCount(sId, 0, this._totalUnread));
+    };
+
+    /**
+     * Subscribe to changes in unread counts.
+     *
+     * @method
+     * @param sub {module:mpenc/helper/async~subscriber} Takes a
+     *      {@link module:mpenc/impl/manager.UnreadCount}.
+     * @returns canceller {module:mpenc/helper/async~canceller}
+     */
+    SessionManager.prototype.onUnreadCount = function(sub) {
+        return this._unreadCount.subscribe(sub);
+    };
+
+    /**
+     * Subscribe to consistency warnings from any session.
+     *
+     * @method
+     * @param sub {module:mpenc/helper/async~subscriber} Takes a
+     *      {@link module:mpenc/impl/manager.ConsistencyWarning}.
+     * @returns canceller {module:mpenc/helper/async~canceller}
+     */
+    SessionManager.prototype.onConsistencyWarning = function(sub) {
+        return this._warning.subscribe(sub);
+    };
+
+    /**
+     * Stop a session and forget about it, without parting it first. Its
+     * channel is detached from the transport.
+     *
+     * @param sId {string} Session id.
+     * @returns {boolean} Whether there was a session to remove.
+     */
+    SessionManager.prototype.remove = function(sId) {
+        var entry = this._sessions.get(sId);
+        if (!entry) {
+            return false;
+        }
+        this.markRead(sId);
+        entry.cancel();
+        entry.session.stop();
+        this._mux.remove(sId);
+        this._sessions.delete(sId);
+        return true;
+    };
+
+    /**
+     * Part all sessions that we are joined to.
+     *
+     * @returns {Promise} Resolves when all sessions have parted, to the ids
+     *      of those that were parted. Rejects if any of them failed to.
+     */
+    SessionManager.prototype.partAll = function() {
+        var parted = [];
+        var promises = [];
+        this._sessions.forEach(function(entry, sId) {
+            if (entry.session.state() !== SessionState.JOINED) {
+                return;
+            }
+            var p = entry.session.execute({ part: true });
+            if (p) {
+                parted.push(sId);
+                promises.push(p);
+            }
+        });
+        logger.info("parting " + parted.length + " sessions");
+        return Promise.all(promises).then(function() { return parted; });
+    };
+
+    /**
+     * Stop all sessions, e.g. before the application shuts down, and stop
+     * receiving from the transport. Sessions are not parted; call {@link
+     * module:mpenc/impl/manager.SessionManager#partAll} first, or save them
+     * via {@link module:mpenc/persist} to resume them later.
+     */
+    SessionManager.prototype.stop = function() {
+        var self = this;
+        this.sessionIds().forEach(function(sId) {
+            self.remove(sId);
+        });
+        this._mux.stop();
+    };
+
+    ns.SessionManager = SessionManager;
+
+
+    return ns;
+});
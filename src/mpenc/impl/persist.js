@@ -0,0 +1,70 @@
+/*
+ * (c) 2014-2016 by Mega Limited, Auckland, New Zealand
+ *     https://mega.nz/
+ *
+ * This file is part of the multi-party chat encryption suite.
+ *
+ * This code is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License version 3
+ * as published by the Free Software Foundation. See the accompanying
+ * LICENSE file or <https://www.gnu.org/licenses/> if it is unavailable.
+ *
+ * This code is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ */
+
+define([
+    "es6-collections"
+], function(es6_shim) {
+    "use strict";
+
+    /**
+     * @exports mpenc/impl/persist
+     * @description
+     * Implementations of {@link module:mpenc/persist.SessionStorage}.
+     */
+    var ns = {};
+
+
+    /**
+     * Storage that keeps everything in local memory.
+     *
+     * This is a stand-in for a real storage backend, for testing, or for
+     * when snapshots only need to survive the restart of a session object
+     * but not of the whole process.
+     *
+     * @class
+     * @implements {module:mpenc/persist.SessionStorage}
+     * @memberOf module:mpenc/impl/persist
+     */
+    var MemoryStorage = function() {
+        this._data = new Map();
+    };
+
+    /**
+     * @inheritDoc
+     */
+    MemoryStorage.prototype.getItem = function(name) {
+        return this._data.has(name) ? this._data.get(name) : null;
+    };
+
+    /**
+     * @inheritDoc
+     */
+    MemoryStorage.prototype.setItem = function(name, data) {
+        this._data.set(name, String(data));
+    };
+
+    /**
+     * @inheritDoc
+     */
+    MemoryStorage.prototype.removeItem = function(name) {
+        this._data.delete(name);
+    };
+
+    ns.MemoryStorage = MemoryStorage;
+
+
+    return ns;
+});
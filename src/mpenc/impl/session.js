@@ -18,10 +18,15 @@
 
 define([
     "mpenc/session",
+    "mpenc/archive",
     "mpenc/channel",
+    "mpenc/codec",
+    "mpenc/capability",
+    "mpenc/fingerprint",
     "mpenc/greet/greeter",
     "mpenc/liveness",
     "mpenc/message",
+    "mpenc/query",
     "mpenc/impl/channel",
     "mpenc/impl/liveness",
     "mpenc/impl/transcript",
@@ -31,7 +36,7 @@ define([
     "mpenc/helper/utils",
     "promise-polyfill",
     "megalogger"
-], function(session, channel, greeter, liveness, message,
+], function(session, archive, channel, codec, capability, fingerprint, greeter, liveness, message, query,
     channelImpl, livenessImpl, transcriptImpl,
     assert, struct, async, utils, Promise, MegaLogger) {
     "use strict";
@@ -51,25 +56,37 @@ define([
     var MsgAccepted   = session.MsgAccepted;
     var MsgFullyAcked = session.MsgFullyAcked;
     var MsgReady      = session.MsgReady;
+    var MsgsPruned    = session.MsgsPruned;
     var NotAccepted   = session.NotAccepted;
     var NotFullyAcked = session.NotFullyAcked;
     var SNState = session.SNState;
     var SessionState = session.SessionState;
     var SNMembers = session.SNMembers;
+    var SNError = session.SNError;
     var NotDecrypted = session.NotDecrypted;
+    var NotCompatible = session.NotCompatible;
+    var SNPresence = session.SNPresence;
+    var SNVerification = session.SNVerification;
+    var SNKeyChanged = session.SNKeyChanged;
+    var SNOperationFailed = session.SNOperationFailed;
+    var PresenceState = session.PresenceState;
 
     // import components
     var Session = session.Session;
     var Flow = liveness.Flow;
     var BaseTranscript = transcriptImpl.BaseTranscript;
     var DefaultConsistencyMonitor = livenessImpl.DefaultConsistencyMonitor;
+    var PresenceTracker = livenessImpl.PresenceTracker;
     var ServerOrder = channelImpl.ServerOrder;
+    var MemoryVerificationStore = fingerprint.MemoryVerificationStore;
 
     // import message-types
     var Message = message.Message;
     var Payload = message.Payload;
     var ExplicitAck = message.ExplicitAck;
+    var HeartBeat = message.HeartBeat;
     var Consistency = message.Consistency;
+    var SharedHistory = message.SharedHistory;
     var GreetingMetadata = greeter.GreetingMetadata;
     var DecryptVerifyError = message.DecryptVerifyError;
 
@@ -86,6 +103,12 @@ define([
     /**
      * Context of a session.
      *
+     * <code>keepfresh</code> is whether to send heartbeats when we are idle,
+     * so that others can tell we are still present.
+     *
+     * <code>makeMessageLog</code> is called with an options object, such as
+     * that taken by {@link module:mpenc/impl/transcript.DefaultMessageLog}.
+     *
      * @class
      * @private
      * @memberOf module:mpenc/impl/session
@@ -127,6 +150,26 @@ define([
      */
     var REENTER_GRACE_RATIO = 1.5;
 
+    /**
+     * Ratio of refresh backup delay to the broadcast-latency.
+     * How long each member waits for the one ranked before it to start an
+     * automatic key refresh, before trying to start one itself.
+     */
+    var REFRESH_BACKUP_RATIO = 16;
+
+    /**
+     * Ratio of public key fetch timeout to the broadcast-latency.
+     * How long to hold back packets whilst fetching the public keys of users
+     * that entered the channel, before processing them anyway.
+     */
+    var KEY_FETCH_TIMEOUT_RATIO = 16;
+
+    /**
+     * Number of recent messages, whose data packets each sub-session keeps,
+     * so that it can retransmit them to members that missed them.
+     */
+    var RETRANSMIT_CACHE_SIZE = 256;
+
     /**
      * Implementation of roughly the lower (transport-facing) part of Session.
      *
@@ -152,9 +195,11 @@ define([
      * @param sId {string} Session id, shared between all members.
      * @param members {module:mpenc/helper/struct.ImmutableSet} Set of members.
      * @param msgsec {module:mpenc/message.MessageSecurity} Security component.
+     * @param [codec] {module:mpenc/message.DefaultMessageCodec} Codec for
+     *      message bodies. Default: <code>context.codec</code>.
      * @see module:mpenc/session.Session
      */
-    var SessionBase = function(context, sId, members, msgsec) {
+    var SessionBase = function(context, sId, members, msgsec, codec) {
         this._stateMachine = new StateMachine(SNState, SessionState.JOINED);
         this._events = new EventContext(SessionBase.EventTypes);
 
@@ -189,7 +234,7 @@ define([
             function() {},
             this._handleUnackedByOwn.bind(this));
 
-        this._codec = context.codec;
+        this._codec = codec || context.codec;
         var tryAccept = new TrialTimeoutTarget(
             context.timer, this._broadcastLatency(),
             this._tryAcceptTimeout.bind(this),
@@ -202,7 +247,17 @@ define([
         this._tryAccept = new TrialBuffer('try-accept for ' + this.toString(true), tryAccept);
 
         this._fin = new Observable();
-        this._pubtxt = new Map(); /* ciphertxt cache, mId->pubtxt and pubtxt->mId*/
+        this._invalid = new Observable();
+        this._pubtxt = new Map(); /* ciphertxt cache, mId->[pubtxt] and pubtxt->mId*/
+        this._packets = new Map(); /* retransmit cache, mId->[pubtxt], oldest first */
+        this._signed = null; /* archive, mId->archive.SignedMessage, see archiveTo */
+        this._snapshotted = new Map(); /* mId->entry of snapshot().messages, once it can't change */
+
+        this._keepfresh = context.keepfresh;
+        this._idle = false;
+        this._heartbeatCancel = function() {};
+        this._scheduleHeartbeat();
+        cancels.push(function() { return self._heartbeatCancel(); });
 
         this._cancels = async.combinedCancel(cancels);
     };
@@ -227,6 +282,27 @@ define([
         return r * this._flowctl.getFullAckInterval(this, mId);
     };
 
+    // Ticks to wait while idle before sending a heartbeat, or null if we don't.
+    SessionBase.prototype._heartbeatInterval = function() {
+        // members without the "tlv" body feature can't decode heartbeats
+        if (!this._keepfresh || this._codec === message.LegacyMessageCodec) {
+            return null;
+        }
+        return this._fullAckInterval(null, HEARTBEAT_RATIO);
+    };
+
+    SessionBase.prototype._scheduleHeartbeat = function() {
+        this._heartbeatCancel();
+        var interval = this._heartbeatInterval();
+        if (!interval || this._stateMachine.state() !== SessionState.JOINED) {
+            return;
+        }
+        var self = this;
+        this._heartbeatCancel = this._timer.after(interval, function() {
+            self.sendObject(new HeartBeat(self._idle));
+        });
+    };
+
     SessionBase.prototype._onFullAck = function(mId) {
         var sub_evt = this._events.subscribe(MsgFullyAcked, [mId]);
         return Subscribe.wrap(function(sub) {
@@ -259,7 +335,7 @@ define([
     SessionBase.prototype._membersChangedBy = function(transcript, membersBefore, msg) {
         _assert(membersBefore.equals(this._members),
             'members is not equal to members before');
-        if (!membersBefore.equals(msg.members())) {
+        if (msg.members().subtract(membersBefore).size) {
             throw new Error("msg has unexpected members: expected " + membersBefore +
                             ", actual " + msg.members());
         }
@@ -349,7 +425,9 @@ define([
      * @inheritDoc
      */
     SessionBase.prototype.needAckmon = function(mId) {
-        return !(this._transcript.get(mId).body instanceof ExplicitAck);
+        var msg = this._transcript.get(mId);
+        return msg.members().has(this._owner) &&
+            !(msg.body instanceof ExplicitAck || msg.body instanceof HeartBeat);
     };
 
     /**
@@ -388,28 +466,40 @@ define([
      * Send application-level data.
      *
      * @param content {?string}
+     * @param [readers] {module:mpenc/helper/struct.ImmutableSet} See
+     *      {@link module:mpenc/impl/session.SessionBase#sendObject}.
      * @returns {boolean} Whether the content were accepted to be sent.
      */
-    SessionBase.prototype.sendData = function(content) {
+    SessionBase.prototype.sendData = function(content, readers) {
         // TODO(xl): [F] if we "recently" (e.g. <1s ago) accepted a message, the
         // user is unlikely to have fully-understood it. so perhaps we should
         // actually only point to non-recent messages as the "parent" messages.
-        return this.sendObject((content) ? new Payload(content) : new ExplicitAck(true));
+        return this.sendObject((content) ? new Payload(content) : new ExplicitAck(true), readers);
     };
 
     /**
-     * @method
-     * @inheritDoc
+     * Send a message body.
+     *
+     * @param body {module:mpenc/message.MessageBody} Body to send.
+     * @param [readers] {module:mpenc/helper/struct.ImmutableSet} Members
+     *      that may read the message. Default: all other current members.
+     *      The packets are sent to all other members regardless, so that they
+     *      can keep their transcripts consistent.
+     * @returns {boolean} Whether the body was accepted to be sent.
      */
-    SessionBase.prototype.sendObject = function(body) {
+    SessionBase.prototype.sendObject = function(body, readers) {
         if ((this._stateMachine.state() !== SessionState.JOINED) &&
              this._onlyWhileJoined(body)) {
             return false;
         }
         var ts = this.transcript();
         var author = this.owner();
-        var parents = ts.max();
-        var readers = this.curMembers().subtract(new ImmutableSet([author]));
+        var parents = this._curParents();
+        var others = this.curMembers().subtract(new ImmutableSet([author]));
+        readers = readers ? ImmutableSet.from(readers) : others;
+        if (!readers.size || readers.subtract(others).size) {
+            throw new Error("readers not all other members: " + readers.toArray());
+        }
 
         var enc = this._msgsec.authEncrypt(ts, {
             author: author,
@@ -418,20 +508,24 @@ define([
             body: this._codec.encode(body),
         });
         var pubtxt = enc.pubtxt, secret = enc.secrets;
+        var fragments = enc.fragments || [pubtxt];
 
         var mId = secret.mId;
         var msg = new Message(mId, author, parents, readers, body);
         try {
-            this._add(msg, pubtxt);
+            this._add(msg, fragments);
             secret.commit();
         } catch (e) {
             secret.destroy();
             this._handleInvalidMessage(mId, author, parents, readers, e);
             return false;
         }
+        this._cachePackets(mId, fragments, secret);
 
-        var stat = this._send.publish({ pubtxt: pubtxt, recipients: readers });
-        return stat.some(Boolean);
+        var self = this;
+        return fragments.map(function(fragment) {
+            return self._send.publish({ pubtxt: fragment, recipients: others }).some(Boolean);
+        }).every(Boolean);
     };
 
     /**
@@ -445,10 +539,23 @@ define([
             // duplicate received
             return true;
         }
+        var packets;
         try {
             var dec = this._msgsec.decryptVerify(this._transcript, pubtxt, sender);
+            if (!dec) {
+                // fragment of a message that is not yet complete
+                return true;
+            }
+            packets = dec.packets;
             var message = dec.message, secret = dec.secrets;
             mId = secret.mId;
+            if (this._transcript.forgeableAuthors().has(message.author)) {
+                // they published the key that it was signed with
+                secret.destroy();
+                logger.warn("ignored message " + btoa(mId) + " from " + message.author +
+                    " after they published their signing key");
+                return true;
+            }
         } catch (e) {
             if (e instanceof DecryptVerifyError) {
                 logger.debug("SessionBase.recv rejected packet: " + e);
@@ -459,8 +566,10 @@ define([
         }
         _assert(message.author !== this.owner(), 'received non-duplicate message from self: ' + btoa(mId));
 
+        var encoded = message.body;
         try {
-            var body = this._codec.decode(message.body);
+            // null if this is a whisper to others; we still accept it, without its body
+            var body = (encoded === null) ? null : this._codec.decode(encoded);
         } catch (e) {
             secret.destroy();
             this._handleInvalidMessage(mId, message.author, message.parents, message.readers, e);
@@ -468,7 +577,7 @@ define([
         }
 
         var msg = new Message(mId, message.author, message.parents, message.readers, body);
-        this._tryAccept.trial([msg, pubtxt, secret]);
+        this._tryAccept.trial([msg, pubtxt, secret, packets]);
         return true;
     };
 
@@ -485,9 +594,9 @@ define([
         // - total-order breaking
         // - transitive-reduction breaking
         // - bad membership change
-        // TODO(xl): [F] (invalid-msg) also should emit error message and shutdown the session
         logger.warn('BAD MESSAGE (malicious/buggy peer?) in verified-decrypted msg ' +
             btoa(mId) + ' : ' + error);
+        this._invalid.publish({ mId: mId, author: author, error: error });
     };
 
     SessionBase.prototype._tryAcceptCleanup = function(replace, param) {
@@ -503,7 +612,7 @@ define([
     };
 
     SessionBase.prototype._tryAcceptTry = function(_, param) {
-        var msg = param[0], pubtxt = param[1], secret = param[2];
+        var msg = param[0], pubtxt = param[1], secret = param[2], packets = param[3];
 
         // a slight hack, works because Transcript implements "has" which subtract needs
         var diff = msg.parents.subtract(this._transcript);
@@ -514,8 +623,9 @@ define([
 
         try {
             var mId = msg.mId;
-            this._add(msg, pubtxt);
+            this._add(msg, packets);
             secret.commit();
+            this._cachePackets(mId, packets, secret);
             return true;
         } catch (e) {
             secret.destroy();
@@ -524,7 +634,107 @@ define([
         }
     };
 
-    SessionBase.prototype._add = function(msg, pubtxt) {
+    SessionBase.prototype._cachePackets = function(mId, packets, secret) {
+        if (this._signed) {
+            this._signed.set(mId, new archive.SignedMessage(packets, secret.messageKeys, secret.whisperKey));
+        }
+        this._packets.set(mId, packets);
+        if (this._packets.size > RETRANSMIT_CACHE_SIZE) {
+            this._packets.delete(this._packets.keys().next().value);
+        }
+    };
+
+    /**
+     * The data packets of a recent message, exactly as its author sent them,
+     * e.g. to retransmit them to others that missed them.
+     *
+     * @param mId {string} Message id.
+     * @returns {?Array.<string>} The packets, or <code>null</code> if we
+     *      did not keep them.
+     */
+    SessionBase.prototype.cachedPackets = function(mId) {
+        return this._packets.get(mId) || null;
+    };
+
+    /**
+     * Keep the data packets of all messages accepted from now on, unlike
+     * {@link module:mpenc/impl/session.SessionBase#cachedPackets}, so that
+     * they may be archived along with the transcript, with the keys that
+     * decrypt only them.
+     *
+     * @param signed {Map} Where to keep them, by message id, as {@link
+     *      module:mpenc/archive.SignedMessage}. This may outlive the session,
+     *      without holding on to any of its other secrets.
+     */
+    SessionBase.prototype.archiveTo = function(signed) {
+        this._signed = signed;
+    };
+
+    /**
+     * Prune the fully-acked prefix of the transcript, as in {@link
+     * module:mpenc/impl/transcript.BaseTranscript#checkpoint}, and forget
+     * everything else that we kept about the pruned messages.
+     *
+     * @param [archive] {function} As in {@link
+     *      module:mpenc/impl/transcript.BaseTranscript#checkpoint}.
+     * @returns {Array.<string>} Ids of the pruned messages, in accept order.
+     */
+    SessionBase.prototype.checkpoint = function(archive) {
+        var pruned = this._transcript.checkpoint(archive);
+        var prunedSet = new ImmutableSet(pruned);
+        var self = this;
+        pruned.forEach(function(mId) {
+            self._ctime.delete(mId);
+            self._ktime.delete(mId);
+            self._packets.delete(mId);
+            self._snapshotted.delete(mId);
+        });
+        // their parents changed
+        this._transcript.frontier().forEach(function(mId) {
+            self._snapshotted.delete(mId);
+        });
+        // keyed by both mId and pubtxt; see _add
+        this._pubtxt.forEach(function(v, k) {
+            if (prunedSet.has(k) || prunedSet.has(v)) {
+                self._pubtxt.delete(k);
+            }
+        });
+        return pruned;
+    };
+
+    /**
+     * Messages that others referred to as parents, that we have not yet
+     * received, so that their children are waiting to be accepted.
+     *
+     * @returns {module:mpenc/helper/struct.ImmutableSet} Set of mIds.
+     */
+    SessionBase.prototype.missing = function() {
+        var ts = this._transcript;
+        var queued = this._tryAccept.queue().map(function(param) { return param[0]; });
+        var waiting = new ImmutableSet(queued.map(function(msg) { return msg.mId; }));
+        var missing = [];
+        queued.forEach(function(msg) {
+            missing.push.apply(missing, msg.parents.toArray().filter(function(mId) {
+                return !ts.has(mId) && !waiting.has(mId);
+            }));
+        });
+        return new ImmutableSet(missing);
+    };
+
+    // Latest messages that we can read, to use as the parents of our next
+    // message. Whispers to others are skipped in favour of their ancestors.
+    SessionBase.prototype._curParents = function() {
+        var ts = this._transcript;
+        var owner = this._owner;
+        var hidden = function(mId) { return !ts.get(mId).members().has(owner); };
+        var max = ts.max().toArray();
+        if (!max.some(hidden)) {
+            return ts.max();
+        }
+        return new ImmutableSet(struct.iteratorToArray(ts.iterAncestors(max, null, hidden, true)));
+    };
+
+    SessionBase.prototype._add = function(msg, packets) {
         var self = this;
         var ts = this.transcript();
         var membersBefore = this._membersAfter(ts, msg.parents);
@@ -536,8 +746,12 @@ define([
         var mId = msg.mId;
         var tick = this._timer.now();
 
-        this._pubtxt.set(pubtxt, mId);
-        this._pubtxt.set(mId, pubtxt);
+        if (packets) {
+            // null for fully-acked messages restored from a snapshot. map all
+            // the fragments, so that we recognise duplicates of any of them
+            packets.forEach(function(pubtxt) { self._pubtxt.set(pubtxt, mId); });
+            this._pubtxt.set(mId, packets);
+        }
         this._ctime.set(mId, tick);
         this._ktime.set(mId, null);
         for (var i = 0; i < fullAcked.length; i++) {
@@ -552,6 +766,11 @@ define([
             // TODO(xl): [D] this is hard to get right; see python for ideas
         });
 
+        if (msg.author === this._owner) {
+            // anything we send tells others we're present
+            this._scheduleHeartbeat();
+        }
+
         this._events.publish(new MsgAccepted(mId));
         for (var i = 0; i < fullAcked.length; i++) {
             this._events.publish(new MsgFullyAcked(fullAcked[i]));
@@ -578,10 +797,9 @@ define([
         }
 
         // TODO(xl): [D/F] if transcript is empty, perhaps make this a no-op
-        var ts = this.transcript();
-        _assert(ts.max().size === 1);
-        var mId = ts.max().toArray()[0];
+        var mId = this.transcript().by(this._owner).slice(-1)[0];
         this._setState(SessionState.PARTING);
+        this._heartbeatCancel();
 
         var self = this;
         var _pubFin = function() {
@@ -612,6 +830,18 @@ define([
         return this._fin.subscribe(sub);
     };
 
+    /**
+     * Subscribe to notices that a verified-decrypted message was invalid, e.g.
+     * it failed to decode or broke the transcript ordering rules. Such a
+     * message is not accepted, and the owning component should treat this as
+     * a protocol violation by its author.
+     *
+     * Subscribers receive objects of the form `{ mId, author, error }`.
+     */
+    SessionBase.prototype.onInvalidMessage = function(sub) {
+        return this._invalid.subscribe(sub);
+    };
+
     /**
      * Stop running monitors, close resources, cancel subscriptions.
      */
@@ -623,27 +853,124 @@ define([
         this._cancels();
     };
 
+    /**
+     * Get the state of this session, e.g. to save it across restarts.
+     *
+     * Only the messages since the last {@link
+     * module:mpenc/impl/session.SessionBase#checkpoint} are included, and
+     * each one is only encoded again until it is fully-acked, so that taking
+     * a snapshot after every message stays cheap if we checkpoint regularly.
+     *
+     * @returns {Object} A JSON-compatible object, containing the messages
+     *      of the transcript in the order that we accepted them, and the
+     *      state of our security component. Callers must not modify it.
+     */
+    SessionBase.prototype.snapshot = function() {
+        var ts = this._transcript;
+        return {
+            sId: this._sId,
+            members: this._members.toArray(),
+            messages: ts.all().map(this._snapshotMessage.bind(this)),
+            forgeable: ts.forgeableAuthors().toArray(),
+            msgsec: this._msgsec.snapshot(),
+        };
+    };
+
+    SessionBase.prototype._snapshotMessage = function(mId) {
+        if (this._snapshotted.has(mId)) {
+            return this._snapshotted.get(mId);
+        }
+        var ts = this._transcript;
+        var msg = ts.get(mId);
+        var entry = {
+            mId: mId,
+            author: msg.author,
+            // not msg.parents, which may have been pruned
+            parents: ts.pre(mId).toArray(),
+            readers: msg.readers.toArray(),
+            body: msg.body === null ? null : this._codec.encode(msg.body),
+            packets: this._pubtxt.get(mId) || null,
+        };
+        if (!ts.unackby(mId).size && !this._pubtxt.has(mId)) {
+            // fully-acked, and we dropped its packets; see _add
+            this._snapshotted.set(mId, entry);
+        }
+        return entry;
+    };
+
+    /**
+     * Restore the state of this session from a snapshot, by accepting its
+     * messages again. This publishes the same events as when they were
+     * first accepted, and restarts the monitors of any that are not yet
+     * fully-acked.
+     *
+     * This must only be called on a new session, created with the same
+     * session id, members and security component as the snapshot.
+     *
+     * @param state {Object} As returned by <code>snapshot()</code>.
+     */
+    SessionBase.prototype.restore = function(state) {
+        _assert(!this._transcript.size(), "tried to restore a session that has messages");
+        _assert(state.sId === this._sId && this._members.equals(new ImmutableSet(state.members)),
+                "tried to restore a snapshot of a different session");
+        this._msgsec.restore(state.msgsec);
+        var self = this;
+        state.forgeable.forEach(this._transcript.markForgeable.bind(this._transcript));
+        state.messages.forEach(function(m) {
+            var body = m.body === null ? null : self._codec.decode(m.body);
+            self._add(new Message(m.mId, m.author, m.parents, m.readers, body), m.packets);
+        });
+    };
+
+    /**
+     * Tell others whether our user is idle. If this changed, send a heartbeat
+     * immediately, if we send heartbeats at all.
+     *
+     * @param idle {boolean} Whether our user is idle.
+     */
+    SessionBase.prototype.setIdle = function(idle) {
+        if (this._idle === idle) {
+            return;
+        }
+        this._idle = idle;
+        if (this._heartbeatInterval() && this._stateMachine.state() === SessionState.JOINED) {
+            this.sendObject(new HeartBeat(idle));
+        }
+    };
+
+    /**
+     * Ticks after which we should assume that others are unresponsive, if we
+     * don't hear from them; or null if we should never assume this.
+     */
+    SessionBase.prototype.othersExpiry = function() {
+        var interval = this._heartbeatInterval();
+        return interval ? interval * EXPIRE_GRACE_RATIO + this._broadcastLatency() : null;
+    };
+
     /**
      * Update the presence of a user, based on a MsgAccepted event.
-     * @param {type} presence
-     * @param {type} evt
+     *
+     * @param presence {module:mpenc/impl/liveness.PresenceTracker}
+     * @param evt {module:mpenc/session.MsgAccepted}
      */
     SessionBase.prototype.updateFreshness = function(presence, evt) {
         var mId = evt.mId;
         var msg = this._transcript.get(mId);
         var uId = msg.author;
-        var own = (uId === this.owner());
-        // last own message that this message was sent after
-        var lastOwn = own ? mId : this._transcript.pre_ruId(mId, this.owner());
-        // TODO(xl): [F/D] need some other mechanism to determine known_ts if there is no own last message
-        var knownTs = lastOwn ? this.ctime.get(lastOwn) : 0;
-        var expireAfter = this._fullAckInterval(mId, HEARTBEAT_RATIO);
-        presence.renew(uId, knownTs,
-                       own ? expireAfter : expireAfter * EXPIRE_GRACE_RATIO);
-        // if message is Consistency(close=True) then set UserAbsent(intend=True) on full-ack
+        if (uId === this.owner()) {
+            return;
+        }
+        var idle;
+        if (msg.body instanceof HeartBeat) {
+            idle = msg.body.idle;
+        } else if (msg.body instanceof Payload) {
+            idle = false;
+        }
+        presence.renew(uId, idle, this.othersExpiry());
+        // if message is Consistency(close=True) then they are absent on full-ack
         if (Consistency.isFin(msg.body)) {
             this._events.subscribe(MsgFullyAcked, [mId])(function() {
-                presence.absent(uId, knownTs);
+                presence.absent(uId);
             });
         }
     };
@@ -699,9 +1026,10 @@ define([
      * @param sId {string} Session id, shared between all members.
      * @param channel {module:mpenc/channel.GroupChannel} Group transport channel.
      * @param greeter {module:mpenc/greet/greeter.Greeter} Membership operation component.
-     * @param makeMessageSecurity {function} 1-arg factory function, that takes
-     *      a {@link module:mpenc/greet/greeter.GreetStore} and creates a new
-     *      {@link module:mpenc/message.MessageSecurity}.
+     * @param makeMessageSecurity {function} 2-arg factory function, that takes
+     *      a {@link module:mpenc/greet/greeter.GreetStore} and the negotiated
+     *      {@link module:mpenc/capability.Capabilities} of the group, and
+     *      creates a new {@link module:mpenc/message.MessageSecurity}.
      * @param [options] {Object} Tweak some behaviours; see below. Note that
      *      non-default values are, in some sense, "less safe" than the default
      *      values; please be aware of this and don't surprise your users.
@@ -709,6 +1037,39 @@ define([
      *      new members that enter the transport channel. Default: false.
      * @param [options.stayIfLastMember] {boolean} Whether to remain in the channel
      *      instead of leaving it, as the last member. Default: false.
+     * @param [options.capabilities] {module:mpenc/capability.Capabilities}
+     *      Protocol versions and features to advertise to other members.
+     *      Default: {@link module:mpenc/capability.DEFAULT}.
+     * @param [options.refreshEveryMessages] {number} Automatically refresh the
+     *      group key after this many messages were sent in the session with
+     *      the current key. Default: never.
+     * @param [options.refreshEveryTicks] {number} Automatically refresh the
+     *      group key after it has been used for this many ticks. Default:
+     *      never.
+     * @param [options.verificationStore] {module:mpenc/fingerprint.VerificationStore}
+     *      Where to record which identity keys our user has verified. This
+     *      may be shared between sessions. Default: a new {@link
+     *      module:mpenc/fingerprint.MemoryVerificationStore}.
+     * @param [options.deniable] {boolean} Whether to publish our ephemeral
+     *      signing key after parting, if our final message was fully-acked.
+     *      Default: false.
+     * @param [options.onSnapshot] {function} 1-arg function, called with a
+     *      new {@link module:mpenc/session.Session#snapshot} whenever a
+     *      message is accepted (before our own ones are sent) or the members
+     *      change; or with <code>null</code> if the session can no longer be
+     *      resumed. Default: none.
+     * @param [options.archive] {boolean} Whether to keep the packets of all
+     *      messages, for {@link module:mpenc/session.Session#exportArchive}.
+     *      Default: false.
+     * @param [options.checkpointEveryMessages] {number} Automatically call
+     *      {@link module:mpenc/session.Session#checkpoint} after this many
+     *      messages were accepted since the last time, or never if 0.
+     *      Default: never.
+     * @param [options.checkpointArchive] {function} The <code>archive</code>
+     *      callback to pass to these automatic checkpoints. Default: none.
+     * @param [options.messageOrder] {string} Order of the messages log, passed
+     *      to <code>context.makeMessageLog</code>; either "accept" or
+     *      "topological". Default: "accept".
      */
     var HybridSession = function(context, sId, channel,
         greeter, makeMessageSecurity, options) {
@@ -717,7 +1078,15 @@ define([
         this._events = new EventContext(Session.EventTypes);
         this._autoIncludeExtra = options.autoIncludeExtra || false;
         this._stayIfLastMember = options.stayIfLastMember || false;
+        this._deniable = options.deniable || false;
+        this._onSnapshot = options.onSnapshot;
+        this._shareHistory = options.shareHistory;
+        this._archive = options.archive;
+        this._restoring = false;
         this._fubar = false;
+        this._terminalError = null;
+        this._capabilities = options.capabilities || capability.DEFAULT;
+        this._peerCaps = new Map();
 
         this._owner = context.owner;
         this._ownSet = new ImmutableSet([this._owner]);
@@ -730,11 +1099,44 @@ define([
 
         this._flowctl = context.flowctl;
 
-        var messageLog = context.makeMessageLog();
+        var messageLog = context.makeMessageLog({ order: options.messageOrder });
         cancels.push(messageLog.onUpdate(function(update) {
             self._events.publish(MsgReady.fromMessageLogUpdate(messageLog, update));
         }));
         this._messages = messageLog;
+        this._query = new query.MessageQuery(messageLog, {
+            now: this._timer.now.bind(this._timer),
+            subSessionOf: this._subSessionOf.bind(this),
+        });
+        cancels.push(this._query.stop.bind(this._query));
+        this._whispers = new Set(); // mIds of whispers, never to be shared
+
+        this._refreshEveryMessages = options.refreshEveryMessages || 0;
+        this._refreshEveryTicks = options.refreshEveryTicks || 0;
+        this._refreshCancel = function() { return false; };
+        this._refreshDue = false;
+        this._refreshUrgent = false;
+        this._msgsSinceRefresh = 0;
+
+        this._checkpointEveryMessages = options.checkpointEveryMessages;
+        this._checkpointArchive = options.checkpointArchive;
+        this._checkpointCancel = function() { return false; };
+        this._msgsSinceCheckpoint = 0;
+
+        this._idle = false;
+        this._presence = new PresenceTracker(this._timer, function(uId, state) {
+            self._events.publish(new SNPresence(uId, state));
+        });
+
+        this._verification = options.verificationStore || new MemoryVerificationStore();
+        cancels.push(this._verification.onChange(this._onVerificationChange.bind(this)));
+
+        // packets held back whilst fetching the keys of users that entered
+        this._keyFetch = null;
+        this._heldForKeys = [];
+        if (typeof context.pubKeyDir.onKeyChange === "function") {
+            cancels.push(context.pubKeyDir.onKeyChange(this._onKeyChange.bind(this)));
+        }
 
         this._greeter = greeter;
         this._makeMessageSecurity = makeMessageSecurity;
@@ -742,6 +1144,7 @@ define([
         // sub-sessions
         this._current = null;
         this._previous = null;
+        this._subSessions = []; // all of them, as archive.SubSessionRecord
         this._droppedInconsistentSession = false;
 
         // sub-session send/recv logic
@@ -769,6 +1172,7 @@ define([
         // own ops
         this._clearOwnProposal();
         this._clearOwnOperation();
+        this._cancelledProposalHash = null;
 
         this._cancel = async.combinedCancel(cancels);
     };
@@ -869,13 +1273,28 @@ define([
         // it would be cleaner to chain a bunch of then()s here; but unfortunately
         // JS promises resolve in the next tick, which means clear() would run too
         // late and break some other stuff that depends on it
+        var abort = function(r) {
+            if (!self._current && self._channel.curMembers() &&
+                greeting.getMetadata().author !== self._owner) {
+                // we were being included by others, but we never became part of
+                // their ServerOrder chain. forget it, so that we can sync with
+                // whoever next tries to include us [rule EII]
+                logger.info("greeting to include us failed; will re-sync with the next one");
+                self._serverOrder.clear();
+            }
+            clear();
+            if (r instanceof Error && r.message.indexOf("AuthenticationFailed:") === 0) {
+                self._onGreetingUnauthenticated(r);
+            }
+            return async.exitFinally(r);
+        };
         p.then(function(greeting) {
             try {
                 return self._changeSubSession(self._onGreetingComplete(greeting));
             } finally {
                 clear();
             }
-        }, clear).catch(logger.warn.bind(logger));
+        }, abort).catch(logger.warn.bind(logger));
         // greeting accepted, try to achieve consistency in case this succeeds
         // and we need to rotate the sub-session
         if (this._current && this._current.sess.state() === SessionState.JOINED) {
@@ -886,16 +1305,89 @@ define([
     HybridSession.prototype._clearOwnOperation = function(r) {
         this._ownOperationPr = null;
         this._ownOperationParam = null;
+        this._ownOperationFail = null;
+        this._ownOperationStop = null;
         return async.exitFinally(r);
     };
 
     HybridSession.prototype._setOwnOperation = function(promise, opParam) {
         this._ownOperationPr = promise;
         this._ownOperationParam = opParam;
-        var clear = this._clearOwnOperation.bind(this);
+        var self = this;
+        var clear = function(r) {
+            // might have been failed and replaced already, see _failOwnOperation
+            return (self._ownOperationPr === promise) ? self._clearOwnOperation(r) : async.exitFinally(r);
+        };
         promise.then(clear, clear).catch(logger.warn.bind(logger));
     };
 
+    HybridSession.prototype._failOwnOperation = function(promise, reject, message) {
+        if (this._ownOperationPr !== promise) {
+            return false;
+        }
+        var unresponsive = this._abortOwnOperation(message);
+        if (!unresponsive) {
+            logger.info("not failing our operation, it is about to complete: " + message);
+            return false;
+        }
+        var reason = new Error(message +
+            (unresponsive.size ? "; unresponsive: " + unresponsive.toArray() : ""));
+        this._clearOwnOperation();
+        reject(reason);
+        this._events.publish(new SNOperationFailed(unresponsive, reason.message));
+        return true;
+    };
+
+    // Make everyone abort our own operation in the same way, so that the
+    // ServerOrder is released for the next one. Returns the members that were
+    // holding it up, or null if it is too late, i.e. it is about to complete.
+    HybridSession.prototype._abortOwnOperation = function(message) {
+        if (this._pendingGreetPP) {
+            return null;
+        }
+        if (this._ownOperationStop) {
+            this._ownOperationStop(new Error(message));
+        }
+        var greeting = this._greeting;
+        var action = this._ownOperationParam.action;
+        if (action === "j" || action === "p") {
+            // [rule LOI] leaving the channel aborts any greeting to include us,
+            // and makes others exclude us if we were parting
+            var unresponsive = greeting ? greeting.getPendingMembers().subtract(this._ownSet) : ImmutableSet.EMPTY;
+            if (this._channel.curMembers()) {
+                this._maybeLeaveChannel().catch(logger.warn.bind(logger));
+            }
+            return unresponsive;
+        } else if (this._ownProposalHash) {
+            // not yet accepted, see _maybeFinishOwnProposal for if it is later
+            this._cancelledProposalHash = this._ownProposalHash;
+            this._ownProposalPr.reject(new Error(message));
+            this._clearOwnProposal();
+            return ImmutableSet.EMPTY;
+        } else if (greeting && greeting.getMetadata().author === this._owner) {
+            return this._kickToAbort(greeting, "they did not respond to our operation in time");
+        }
+        // not yet proposed; see _changeMembership
+        return ImmutableSet.EMPTY;
+    };
+
+    // [rule LOI] we can't just fail a greeting locally, since everyone must
+    // agree on how it ended. kicking the members that are holding it up, or
+    // else the ones that it would include, makes everyone abort it, and accept
+    // a pseudo-packet in its place. Returns the members that were holding it
+    // up, or null if there is nobody to kick.
+    HybridSession.prototype._kickToAbort = function(greeting, because) {
+        var unresponsive = greeting.getPendingMembers().subtract(this._ownSet);
+        var kick = unresponsive.size ? unresponsive :
+            greeting.getNextMembers().subtract(greeting.getPrevMembers());
+        if (!kick.size) {
+            return null;
+        }
+        logger.info("automatically kicking: " + kick.toArray() + " because " + because);
+        this._channel.send({ leave: kick });
+        return unresponsive;
+    };
+
     HybridSession.prototype._clearOwnProposal = function(r) {
         this._ownProposalPr = null;
         this._ownProposalPrev = null;
@@ -919,6 +1411,11 @@ define([
         if (pHash === this._ownProposalHash) {
             _assert(this._ownProposalPrev === inPrevPid);
             this._ownProposalPr.resolve(greeting);
+        } else if (pHash === this._cancelledProposalHash) {
+            this._cancelledProposalHash = null;
+            if (!this._kickToAbort(greeting, "our operation to include them was cancelled")) {
+                logger.info("our cancelled proposal was accepted anyway; letting it complete");
+            }
         } else if (this._ownProposalPrev === inPrevPid) {
             this._ownProposalPr.reject(new Error("ProposalRejected: " +
                 btoa(this._ownProposalHash) + " (pHash) by accepted " + btoa(inPid)));
@@ -946,6 +1443,15 @@ define([
     };
 
     HybridSession.prototype._maybeHandleExtra = function(preamble, extras) {
+        var incompatible = this._findIncompatible(extras);
+        if (incompatible.size) {
+            logger.info(preamble + ": " + incompatible.toArray() +
+                "; ignored, they are not compatible with us");
+            extras = extras.subtract(incompatible);
+            if (!extras.size) {
+                return;
+            }
+        }
         if (this._autoIncludeExtra) {
             logger.info(preamble + ": " + extras.toArray() +
                 "; auto-include them as per autoIncludeExtra=true");
@@ -961,7 +1467,7 @@ define([
     HybridSession.prototype._maybeHandleTasks = function() {
         this._assertConsistentTasks(true);
 
-        if (this._ownOperationCb) {
+        if (this._ownOperationPr) {
             logger.info("ignored tasks due to ongoing own operation: " +
                 this._ownOperationParam.slice());
         } else if (this._greeting) {
@@ -1040,6 +1546,198 @@ define([
         }
     };
 
+    /* Automatic key refresh. Everyone sees roughly the same triggers at roughly
+     * the same time, so we deterministically elect one member to start the
+     * refresh; the others act as backups in case it is unavailable, each one
+     * waiting a bit longer than the one ranked before it. The elected member
+     * varies between sub-sessions, so that everyone's key share is eventually
+     * renewed. Any other membership change also gives us a new key, and resets
+     * the triggers.
+     */
+
+    HybridSession.prototype._resetRefresh = function() {
+        this._refreshCancel();
+        this._refreshDue = false;
+        this._msgsSinceRefresh = 0;
+        if (!this._current) {
+            return;
+        }
+        if (this._refreshUrgent) {
+            // flagged whilst another operation was in progress
+            this._scheduleRefresh(0);
+        } else if (this._refreshEveryTicks) {
+            this._refreshCancel = this._timer.after(
+                this._refreshEveryTicks, this._onRefreshDue.bind(this));
+        }
+    };
+
+    HybridSession.prototype._onMaybeRefreshDue = function(sess, evt) {
+        if (!this._refreshEveryMessages || !this._current || sess !== this._current.sess) {
+            return;
+        }
+        if (!(sess.transcript().get(evt.mId).body instanceof Payload)) {
+            return;
+        }
+        this._msgsSinceRefresh++;
+        if (this._msgsSinceRefresh >= this._refreshEveryMessages && !this._refreshDue) {
+            this._onRefreshDue();
+        }
+    };
+
+    HybridSession.prototype._onRefreshDue = function() {
+        // rank 0 is the elected member; the choice is the same for everyone
+        // since the ServerOrder is, and it changes with every sub-session
+        var members = this.curMembers().toArray().sort();
+        var prevPf = this._serverOrder.prevPf();
+        var elected = ((prevPf.charCodeAt(0) << 8) + prevPf.charCodeAt(1)) % members.length;
+        var rank = (members.indexOf(this._owner) - elected + members.length) % members.length;
+        this._scheduleRefresh(rank * this._refreshBackupDelay());
+    };
+
+    HybridSession.prototype._refreshBackupDelay = function() {
+        return REFRESH_BACKUP_RATIO * this._flowctl.getBroadcastLatency();
+    };
+
+    HybridSession.prototype._scheduleRefresh = function(delay) {
+        this._refreshCancel();
+        this._refreshDue = true;
+        this._refreshCancel = this._timer.after(delay, this._tryAutoRefresh.bind(this));
+    };
+
+    HybridSession.prototype._tryAutoRefresh = function() {
+        if (!this._current) {
+            return;
+        }
+        if (this._greeting || this._ownOperationPr || this._ownProposalPr) {
+            // this will probably rotate the sub-session anyway, which resets
+            // the triggers; but in case it fails, try again later
+            this._scheduleRefresh(this._refreshBackupDelay());
+            return;
+        }
+        var self = this;
+        var urgent = this._refreshUrgent;
+        this._refreshUrgent = false;
+        logger.info("automatically refreshing the group key: " + this.toString());
+        var p;
+        try {
+            p = this._runOwnOperation(new OwnOp("r"), this._refreshKey.bind(this));
+        } catch (e) {
+            p = Promise.reject(e);
+        }
+        p.catch(function(e) {
+            logger.info("automatic key refresh failed: " + e.message);
+            self._refreshUrgent = self._refreshUrgent || urgent;
+            if (self._current && (self._refreshUrgent || self._refreshDue)) {
+                self._scheduleRefresh(self._refreshBackupDelay());
+            }
+        });
+    };
+
+    HybridSession.prototype._onMaybeCheckpointDue = function() {
+        if (!this._checkpointEveryMessages) {
+            return;
+        }
+        this._msgsSinceCheckpoint++;
+        if (this._msgsSinceCheckpoint >= this._checkpointEveryMessages) {
+            this._msgsSinceCheckpoint = 0;
+            // not now, since other subscribers may still be handling the message
+            this._checkpointCancel();
+            this._checkpointCancel = this._timer.after(0, this.checkpoint.bind(this, this._checkpointArchive));
+        }
+    };
+
+    // Respond to a sub-session detecting a protocol violation, i.e. a message
+    // that was properly authenticated but whose contents are invalid. We can't
+    // recover from this since members might now have inconsistent transcripts,
+    // so tell everyone about it and shut down.
+    HybridSession.prototype._onSubSessionInvalid = function(sess, greetState, evt) {
+        var text = "invalid message " + btoa(evt.mId) + " from " + evt.author + ": " +
+            (evt.error instanceof Error ? evt.error.message : evt.error);
+        this._sendError(sess.curMembers(), greetState, codec.ERROR.TERMINAL, text);
+        this._events.publish(new SNError(this._owner, codec.ERROR.TERMINAL, text));
+        this._terminate(new Error("TerminalError: " + text));
+    };
+
+    // Members disagreed about the metadata of a greeting (or forged their
+    // session signatures), so the transport is not giving us all the same
+    // packets and ServerOrder cannot be trusted any more.
+    HybridSession.prototype._onGreetingUnauthenticated = function(r) {
+        var text = "greeting failed authentication: " + r.message;
+        if (this._current) {
+            this._sendError(this._current.sess.curMembers(), this._current.greetState,
+                codec.ERROR.TERMINAL, text);
+        }
+        this._events.publish(new SNError(this._owner, codec.ERROR.TERMINAL, text));
+        this._terminate(new Error("TerminalError: " + text));
+    };
+
+    // Broadcast an error packet, signed with our ephemeral key for the given
+    // sub-session, so that its members can verify it came from us.
+    HybridSession.prototype._sendError = function(members, greetState, severity, text) {
+        var content = codec.encodeErrorMessage({
+            from: this._owner,
+            severity: severity,
+            message: text
+        }, greetState.ephemeralPrivKey, greetState.ephemeralPubKey);
+        var recipients = members.subtract(this._ownSet);
+        if (!recipients.size) {
+            return;
+        }
+        logger.info("sending error packet to " + recipients.toArray() + ": " + text);
+        this._channel.send({ pubtxt: codec.encodeWirePacket(content), recipients: recipients });
+    };
+
+    /* Tear down the session after a terminal error, whether detected locally or
+     * reported by another member. This is a one-way transition to state ERROR:
+     *
+     * - any ongoing greeting is failed, and own operations/proposals cleared
+     * - all sub-sessions are stopped and forgotten, without sending any further
+     *   messages into them; if we had other members, an SNMembers is published
+     *   that excludes all of them
+     * - we leave the transport channel
+     * - further packets are ignored and further actions refused
+     */
+    HybridSession.prototype._terminate = function(reason) {
+        if (this._terminalError) {
+            return;
+        }
+        var oldState = this.state();
+        var oldMembers = this.curMembers();
+        this._terminalError = reason;
+        logger.warn("terminating session " + this.toString(true) + ": " + reason.message);
+
+        this._clearOwnOperation();
+        this._clearOwnProposal();
+        if (this._greeting && !this._pendingGreetPP) {
+            // if pendingGreetPP, the greeting already completed; onGreetingComplete
+            // will see that we terminated and ignore it
+            this._greeting.fail(new Error("OperationAborted: session terminated: " + reason.message));
+        }
+
+        var subSessions = [this._previous, this._current];
+        for (var i = 0; i < subSessions.length; i++) {
+            if (subSessions[i]) {
+                subSessions[i].sess.stop();
+                subSessions[i].cancel();
+            }
+        }
+        this._previous = null;
+        this._current = null;
+        this._presence.stop();
+        this._refreshCancel();
+
+        if (oldMembers.size > 1) {
+            this._events.publish(new SNMembers(this._ownSet, ImmutableSet.EMPTY,
+                oldMembers.subtract(this._ownSet), this._messages.curParents()));
+        }
+        this._events.publish(new SNState(SessionState.ERROR, oldState));
+
+        if (this._channel.curMembers()) {
+            this._channel.execute({ leave: true }).catch(logger.warn.bind(logger));
+        }
+        this._maybeSnapshot();
+    };
+
     // Called when the previous session reaches consistency.
     // Leave the channel, or make others leave, depending on what is appropriate.
     HybridSession.prototype._onPrevSessionFin = function(sess) {
@@ -1075,6 +1773,9 @@ define([
 
     HybridSession.prototype._onGreetingComplete = function(greeting) {
         _assert(greeting === this._greeting);
+        if (this._terminalError) {
+            throw new Error("OperationIgnored: ignored completed greeting after session was terminated");
+        }
         var prevMembers = greeting.getPrevMembers();
         var newMembers = greeting.getNextMembers();
         // we use _pendingGreetPP to store this._channel.curMembers() back from when
@@ -1088,9 +1789,11 @@ define([
             throw new Error("OperationIgnored: ignored completed greeting to exclude us");
         }
 
-        if (greeting.metadataIsAuthenticated()) {
-            this._serverOrder.setMetadataAuthenticated(greeting.getMetadata().prevPf);
+        if (!greeting.metadataIsAuthenticated()) {
+            throw new Error("OperationIgnored: ignored completed greeting with unauthenticated metadata");
         }
+        this._serverOrder.setMetadataAuthenticated(greeting.getMetadata().prevPf);
+        this._checkNegotiated(greeting);
 
         var self = this;
         _assert(!newMembers.subtract(channelMembers).size,
@@ -1177,6 +1880,87 @@ define([
     // Receive handlers
 
     HybridSession.prototype._recv = function(recv_in) {
+        if (this._keyFetch) {
+            this._heldForKeys.push(recv_in);
+            return true;
+        }
+        var r = this._recvNow(recv_in);
+        if (!("pubtxt" in recv_in) && recv_in.enter) {
+            this._fetchKeys();
+        }
+        return r;
+    };
+
+    // Fetch the keys of everyone in the channel, if the directory supports
+    // this. If some are not available locally yet, hold back all packets until
+    // they are, or until this times out, since the greeting protocol needs
+    // them synchronously.
+    HybridSession.prototype._fetchKeys = function() {
+        var dir = this._context.pubKeyDir;
+        if (typeof dir.fetch !== "function") {
+            return;
+        }
+        var others = this._channel.curMembers().subtract(this._ownSet).toArray();
+        var promise = dir.fetch(others);
+        var fetching = others.filter(function(uId) {
+            // for users with a pinned key, we only check for changes
+            return dir.isFetching(uId) && !dir.has(uId);
+        });
+        if (!fetching.length) {
+            return;
+        }
+        logger.info("waiting for public keys of: " + fetching);
+        var self = this;
+        this._keyFetch = promise;
+        var release = function() {
+            if (self._keyFetch !== promise) {
+                return;
+            }
+            self._keyFetch = null;
+            var held = self._heldForKeys;
+            self._heldForKeys = [];
+            // any packets that start another fetch will be held again, in order
+            held.forEach(self._recv.bind(self));
+        };
+        // don't let a hung directory freeze the session; users whose keys are
+        // still missing are kicked from greetings instead, see _refuseIncluded
+        var timeout = KEY_FETCH_TIMEOUT_RATIO * this._flowctl.getBroadcastLatency();
+        var cancelTimeout = this._timer.after(timeout, function() {
+            logger.warn("timed out waiting for public keys of: " + fetching);
+            release();
+        });
+        promise.then(function() {
+            cancelTimeout();
+            release();
+        }).catch(logger.warn.bind(logger));
+    };
+
+    HybridSession.prototype._onKeyChange = function(change) {
+        var uId = change.uId;
+        var inChannel = this._channel.curMembers().has(uId);
+        if (!inChannel && !this.curMembers().has(uId)) {
+            return;
+        }
+        this._events.publish(new SNKeyChanged(uId, change.blocked));
+        if (!change.blocked) {
+            return;
+        }
+        if (inChannel) {
+            logger.info("automatically kicking: " + uId + " because their public key changed");
+            this._channel.send({ leave: new ImmutableSet([uId]) });
+        }
+        var op = this._ownOperationParam;
+        if (op && op.action === "m" && op.include.has(uId)) {
+            this._ownOperationFail("OperationAborted: public key of " + uId + " changed");
+        }
+    };
+
+    HybridSession.prototype._recvNow = function(recv_in) {
+        if ("pubtxt" in recv_in && !this._terminalError && this._recvQuery(recv_in)) {
+            // capability adverts don't interact with greetings or sub-sessions,
+            // so there is no need to queue them during pendingGreetPP
+            return true;
+        }
         if (this._pendingGreetPP) {
             if (!("pubtxt" in recv_in)) {
                 // Tag the packet with a unique channel-control-id so trialBuffer can identify it.
@@ -1194,13 +1978,7 @@ define([
     HybridSession.prototype._recvMain = function(recv_in, useQueue) {
         try {
             if ("pubtxt" in recv_in) {
-                if (this._recvGreet(recv_in)) {
-                    return true;
-                } else if (useQueue) {
-                    return this._tryDecrypt.trial(recv_in);
-                } else {
-                    return this._sessionRecv.publish(recv_in).some(Boolean);
-                }
+                return this._recvPacket(recv_in, useQueue);
             } else {
                 recv_in = channel.checkChannelControl(recv_in);
                 var enter = recv_in.enter;
@@ -1222,14 +2000,19 @@ define([
                     if (this._current) {
                         this._changeSubSession(null);
                     }
+                    this._peerCaps.clear();
                 } else if (leave && leave.size) {
+                    leave.forEach(this._peerCaps.delete.bind(this._peerCaps));
                     this._onOthersLeave(leave);
                 }
 
                 if (enter === true) {
                     this._moreSeniorThanUs = this._channel.curMembers().subtract(this._ownSet).asMutable();
+                    this._peerCaps.clear();
+                    this._advertise(this._channel.curMembers().subtract(this._ownSet));
                     this._maybeSyncNew();
                 } else if (enter && enter.size) {
+                    this._advertise(enter);
                     this._onOthersEnter(enter);
                 }
 
@@ -1241,6 +2024,66 @@ define([
         }
     };
 
+    HybridSession.prototype._recvPacket = function(recv_in, useQueue) {
+        if (this._terminalError) {
+            // drop everything after a terminal error, see _terminate
+            return true;
+        } else if (this._recvOtherVersion(recv_in) ||
+                   this._recvError(recv_in) || this._recvSigningKey(recv_in) ||
+                   this._recvRetransmit(recv_in) || this._recvGreet(recv_in)) {
+            return true;
+        } else if (useQueue) {
+            return this._tryDecrypt.trial(recv_in);
+        } else {
+            return this._sessionRecv.publish(recv_in).some(Boolean);
+        }
+    };
+
+    // Drop packets of other protocol versions, rather than failing to decode
+    // them. Their senders can't be in any group with us, so we also remember
+    // them as incompatible; see _findIncompatible.
+    HybridSession.prototype._recvOtherVersion = function(recv_in) {
+        var packet = codec.decodeWirePacket(recv_in.pubtxt);
+        if (!packet || packet.type === codec.MESSAGE_TYPE.PLAIN || packet.type === codec.MESSAGE_TYPE.MPENC_QUERY) {
+            return false;
+        }
+        var version = codec.getProtocolVersion(packet.content);
+        if (version === null || version === codec.PROTOCOL_VERSION) {
+            return false;
+        }
+        var sender = recv_in.sender;
+        logger.info("ignored packet of protocol version " + version + " from " + sender);
+        if (!this._peerCaps.has(sender)) {
+            // they didn't advertise anything, e.g. they run an older version
+            this._peerCaps.set(sender, new capability.Capabilities([version], []));
+            this._findIncompatible(new ImmutableSet([sender]));
+        }
+        return true;
+    };
+
+    // Someone (perhaps us) is trying to include members that are not compatible
+    // with us, perhaps because they didn't see their capabilities yet; or whose
+    // public keys we don't have, e.g. because the directory didn't give them to
+    // us in time. Refuse it by kicking them, which will make the greeting fail,
+    // like for [rule IAL]. (If we are the ones being included, then the existing
+    // members will kick us instead, if necessary.)
+    HybridSession.prototype._refuseIncluded = function(included) {
+        var incompatible = this._findIncompatible(included);
+        if (incompatible.size) {
+            logger.info("automatically kicking: " + incompatible.toArray() +
+                " because they are not compatible with us");
+            this._channel.send({ leave: incompatible });
+        }
+        var dir = this._context.pubKeyDir;
+        var keyless = included.subtract(incompatible).toArray().filter(function(uId) {
+            return !dir.get(uId);
+        });
+        if (keyless.length) {
+            logger.info("automatically kicking: " + keyless + " because we don't have their public keys");
+            this._channel.send({ leave: new ImmutableSet(keyless) });
+        }
+    };
+
     HybridSession.prototype._recvGreet = function(recv_in) {
         var pubtxt = recv_in.pubtxt;
         var sender = recv_in.sender;
@@ -1291,6 +2134,9 @@ define([
                 // accepted greeting packet, deliver it and maybe complete the operation
                 var r = this._greeting.recv(recv_in);
                 _assert(r); // TODO: [F] (handle-error) this may be false, if partialDecode is too lenient
+                if (op.isInitial() && (this._current || op.metadata.author === this._owner)) {
+                    this._refuseIncluded(this._greeting.getNextMembers().subtract(this.curMembers()));
+                }
                 if (op.isInitial() && this._taskLeave.size) {
                     // [rule IAL] Members haven't left the channel after being excluded, but
                     // someone is trying to re-include them. This is against protocol and
@@ -1319,7 +2165,168 @@ define([
         }
     };
 
-    HybridSession.prototype._tryDecryptTimeout = function(recv_in) {
+    HybridSession.prototype._recvError = function(recv_in) {
+        var packet = codec.decodeWirePacket(recv_in.pubtxt);
+        if (!packet || packet.type !== codec.MESSAGE_TYPE.MPENC_ERROR) {
+            return false;
+        }
+        var sender = recv_in.sender;
+        var error;
+        try {
+            error = codec.decodeErrorMessage(packet.content, this._getEphemeralPubKey.bind(this));
+        } catch (e) {
+            logger.warn("ignored malformed error packet from " + sender + ": " + e);
+            return true;
+        }
+        if (!error.signatureOk || error.from !== sender) {
+            // we can't tell if this is genuine, so don't let it affect us
+            logger.warn("ignored unverified error packet from " + sender + " claiming to be " +
+                error.from + ": " + codec.errorToUiString(error));
+            return true;
+        }
+
+        logger.info("received error packet from " + sender + ": " + codec.errorToUiString(error));
+        this._events.publish(new SNError(error.from, error.severity, error.message));
+        if (error.severity === codec.ERROR.TERMINAL) {
+            this._terminate(new Error("TerminalError: reported by " + sender + ": " + error.message));
+        }
+        return true;
+    };
+
+    // Get the ephemeral signing key of a member, from any sub-session we still
+    // remember, or null if they are not a member of any of them.
+    HybridSession.prototype._getEphemeralPubKey = function(uId) {
+        var subSessions = [this._current, this._previous];
+        for (var i = 0; i < subSessions.length; i++) {
+            var pubKeyMap = subSessions[i] ? subSessions[i].greetState.pubKeyMap : {};
+            if (pubKeyMap.hasOwnProperty(uId)) {
+                return pubKeyMap[uId];
+            }
+        }
+        return null;
+    };
+
+    HybridSession.prototype._recvQuery = function(recv_in) {
+        var packet = codec.decodeWirePacket(recv_in.pubtxt);
+        if (!packet || packet.type !== codec.MESSAGE_TYPE.MPENC_QUERY) {
+            return false;
+        }
+        var sender = recv_in.sender;
+        if (sender === this._owner) {
+            return true;
+        }
+        var query;
+        try {
+            query = codec.decodeQueryMessage(packet.content, this._context.pubKeyDir.get.bind(this._context.pubKeyDir));
+        } catch (e) {
+            logger.warn("ignored malformed query packet from " + sender + ": " + e);
+            return true;
+        }
+        if (query.from === null) {
+            // bare query, e.g. from a client that wants to discover us
+            this._advertise(new ImmutableSet([sender]));
+            return true;
+        }
+        if (!query.signatureOk || query.from !== sender) {
+            logger.warn("ignored unverified query packet from " + sender + " claiming to be " + query.from);
+            return true;
+        }
+
+        var caps;
+        try {
+            caps = new capability.Capabilities(query.versions, query.features);
+        } catch (e) {
+            logger.warn("ignored invalid capabilities from " + sender + ": " + e.message);
+            return true;
+        }
+        this._peerCaps.set(sender, caps);
+        var problems = this._capabilities.intersect(caps).problems();
+        if (problems.length) {
+            logger.info(sender + " is not compatible with us: " + problems.join("; "));
+            this._events.publish(new NotCompatible(sender, problems));
+        } else {
+            logger.info("received capabilities from " + sender + ": " + caps.features);
+        }
+        return true;
+    };
+
+    // Advertise our capabilities to the given members, signed with our static
+    // key since they might not be in any sub-session with us yet.
+    HybridSession.prototype._advertise = function(recipients) {
+        if (!recipients.size) {
+            return;
+        }
+        var content = codec.encodeQueryMessage({
+            from: this._owner,
+            versions: this._capabilities.versions,
+            features: this._capabilities.features
+        }, this._context.privKey, this._context.pubKey);
+        this._channel.send({ pubtxt: codec.encodeWirePacket(content), recipients: recipients });
+    };
+
+    // Find the members who advertised capabilities that are incompatible with
+    // ours, publishing NotCompatible for each of them. Members who did not yet
+    // advertise anything are assumed to be compatible, unless strict is set,
+    // in which case they are taken to run an older version. We refuse to
+    // include incompatible members ourselves, and kick them from others' greetings.
+    HybridSession.prototype._findIncompatible = function(members, strict) {
+        var self = this;
+        var incompatible = members.toArray().filter(function(uId) {
+            var caps = self._peerCaps.get(uId) || (strict ? capability.LEGACY : null);
+            if (!caps) {
+                return false;
+            }
+            var problems = self._capabilities.intersect(caps).problems();
+            if (problems.length) {
+                self._events.publish(new NotCompatible(uId, problems));
+                return true;
+            }
+            return false;
+        });
+        return new ImmutableSet(incompatible);
+    };
+
+    // Negotiate the capabilities that a group with the given members may use,
+    // in the order of preference of the member who initiated its greeting, so
+    // that every member chooses the same features. Members who did not yet
+    // advertise anything are left out if optimistic is set, e.g. when we
+    // propose a greeting; the channel is ordered, so we'll have their advert
+    // by the time it completes. Otherwise they are taken to run an older version.
+    HybridSession.prototype._negotiate = function(members, initiator, optimistic) {
+        var self = this;
+        var capsOf = function(uId) {
+            if (uId === self._owner) {
+                return self._capabilities;
+            }
+            return self._peerCaps.get(uId) || (optimistic ? null : capability.LEGACY);
+        };
+        var all = members.toArray().map(capsOf).filter(Boolean);
+        return capability.negotiate(capsOf(initiator) || this._capabilities, all);
+    };
+
+    // Check that the members of a completed greeting have common capabilities.
+    // If not, e.g. because someone included members that never advertised, we
+    // kick the incompatible ones and ignore the greeting, like for [rule IAL].
+    HybridSession.prototype._checkNegotiated = function(greeting) {
+        var members = greeting.getNextMembers();
+        var problems = this._negotiate(members, greeting.getMetadata().author).problems();
+        if (!problems.length) {
+            return;
+        }
+        var incompatible = this._findIncompatible(members.subtract(this._ownSet), true);
+        if (incompatible.size) {
+            logger.info("automatically kicking: " + incompatible.toArray() +
+                " because they are not compatible with us");
+            this._channel.send({ leave: incompatible });
+        }
+        var message = "no common capabilities: " + problems.join("; ");
+        if (greeting.getMetadata().author === this._owner && this._ownOperationStop) {
+            this._ownOperationStop(new Error("OperationAborted: " + message));
+        }
+        throw new Error("OperationIgnored: ignored completed greeting with " + message);
+    };
+
+    HybridSession.prototype._tryDecryptTimeout = function(recv_in) {
         // in unit tests, this sometimes throws a harmless stack trace due to
         // recv_in actually being a ChannelControl packet; in real code this
         // probably won't happen because the timeout should be set to a much
@@ -1341,10 +2348,11 @@ define([
             } else {
                 return false;
             }
-        } else if (pending) {
+        } else if (pending && !recv_in.relayed) {
             // [2, 3] we might be acting on queued greeter/control packets.
             // for [2] this is inefficient (but correct). we should do else{}
-            // instead, but detecting that would add too much complexity
+            // instead, but detecting that would add too much complexity.
+            // relayed packets are always session packets, see _recvRetransmitted
             return this._recvMain(recv_in, false);
         } else {
             // [2] only session packets should reach this code path
@@ -1401,29 +2409,37 @@ define([
             " -> " + (this._current ? this._current.sess.toString() : null));
         var oldMembers = this._previous ? this._previous.sess.curMembers() : ownSet;
         var newMembers = greeting ? greeting.getNextMembers() : ownSet;
-        var diff = oldMembers.diff(newMembers);
-        this._events.publish(new SNMembers(
-            newMembers.subtract(diff[0]), diff[0], diff[1], this._messages.curParents()));
+        this._resetRefresh();
+        this._publishMembersChange(oldMembers, newMembers);
+        this._maybeSnapshot();
 
         return greeting;
     };
 
-    HybridSession.prototype._makeSubSession = function(greeting, previous) {
-        var subSId = greeting.getResultSId();
-        var greetState = greeting.getResultState();
-        var members = greeting.getNextMembers();
-        var msgSecurity = this._makeMessageSecurity(greetState);
-
-        var sess = new SessionBase(this._context, subSId, members, msgSecurity);
+    HybridSession.prototype._publishMembersChange = function(oldMembers, newMembers) {
+        var diff = oldMembers.diff(newMembers);
+        this._updatePresence(newMembers.subtract(this._ownSet), diff[1]);
+        if (diff[0].size || diff[1].size) {
+            // otherwise, it was only a key refresh
+            this._events.publish(new SNMembers(
+                newMembers.subtract(diff[0]), diff[0], diff[1], this._messages.curParents()));
+        }
+    };
 
-        var cancels = [];
-        cancels.push(this._sessionRecv.subscribe(sess.recv.bind(sess)));
-        cancels.push(sess.onSend(this._channel.send.bind(this._channel)));
-        cancels.push(sess.chainUserEventsTo(this, this._events));
-        cancels.push(sess.onEvent(MsgAccepted)(this._onMaybeLeaveIntent.bind(this, sess)));
+    HybridSession.prototype._updatePresence = function(others, excluded) {
+        // members that just completed a greeting with us are present
+        var presence = this._presence;
+        var expireAfter = this._current ? this._current.sess.othersExpiry() : null;
+        excluded.forEach(function(uId) {
+            presence.absent(uId);
+        });
+        others.forEach(function(uId) {
+            presence.renew(uId, undefined, expireAfter);
+        });
+    };
 
-        // TODO(xl): (server-consistency) check greeting.metadataIsAuthenticated === true here
-        // and arrange for retroactive authentication if not...
+    HybridSession.prototype._makeSubSession = function(greeting, previous) {
+        // _onGreetingComplete already checked greeting.metadataIsAuthenticated()
         var parents = greeting.getMetadata().parents;
         var inPrevSession = function(mId) { return previous.sess.transcript().has(mId); };
         if (parents.size && previous && !(parents.toArray().every(inPrevSession))) {
@@ -1433,6 +2449,39 @@ define([
                 + parents.toArray().map(btoa));
         }
 
+        var members = greeting.getNextMembers();
+        return this._makeSubSessionWith(greeting.getResultSId(), greeting.getResultState(),
+            members, this._negotiate(members, greeting.getMetadata().author), parents, previous);
+    };
+
+    HybridSession.prototype._makeSubSessionWith = function(subSId, greetState, members, caps, parents, previous,
+                                                           msgsecState) {
+        var msgSecurity = this._makeMessageSecurity(greetState, caps);
+        if (msgsecState) {
+            // the group key was wiped, so the keys must come from the snapshot
+            // before anything reads them, e.g. the archive record below
+            msgSecurity.restore(msgsecState);
+        }
+
+        // members without the "tlv" body feature only understand the legacy format
+        var codec = caps.preferred("body") === "tlv" ? this._context.codec : message.LegacyMessageCodec;
+        var sess = new SessionBase(this._context, subSId, members, msgSecurity, codec);
+        logger.info("sub-session " + sess.toString(true) + " will use features: " + caps.features);
+        this._recordSubSession(sess, members, msgSecurity, codec, parents, previous);
+
+        var cancels = [];
+        cancels.push(this._sessionRecv.subscribe(sess.recv.bind(sess)));
+        cancels.push(sess.onSend(this._channel.send.bind(this._channel)));
+        cancels.push(sess.chainUserEventsTo(this, this._events));
+        cancels.push(sess.onEvent(MsgAccepted)(this._onMaybeLeaveIntent.bind(this, sess)));
+        cancels.push(sess.onEvent(MsgAccepted)(sess.updateFreshness.bind(sess, this._presence)));
+        cancels.push(sess.onEvent(MsgAccepted)(this._onMaybeRefreshDue.bind(this, sess)));
+        cancels.push(sess.onEvent(MsgAccepted)(this._onMaybeCheckpointDue.bind(this)));
+        // before our own messages are sent, so that we never reuse their keys
+        cancels.push(sess.onEvent(MsgAccepted)(this._maybeSnapshot.bind(this)));
+        cancels.push(sess.onInvalidMessage(this._onSubSessionInvalid.bind(this, sess, greetState)));
+        cancels.push(sess.onEvent(NotAccepted)(this._requestMissing.bind(this, sess)));
+
         // publish MsgAccepted events into our MessageLog
         var msgAcceptedSubscriber = this._messages.getSubscriberFor(sess.transcript(), new Map(previous ? [
             [parents, previous.sess.transcript()]
@@ -1440,15 +2489,90 @@ define([
         cancels.push(sess.onEvent(MsgAccepted)(function(evt) {
             return msgAcceptedSubscriber(evt.mId);
         }));
+        cancels.push(sess.onEvent(MsgAccepted)(this._onMaybeWhisper.bind(this, sess, members)));
+        cancels.push(sess.onEvent(MsgAccepted)(this._onMaybeSharedHistory.bind(this, sess)));
+
+        sess.setIdle(this._idle);
 
         return {
             sess: sess,
             cancel: async.combinedCancel(cancels),
             greetState: greetState,
             parents: parents,
+            caps: caps,
         };
     };
 
+    HybridSession.prototype._recordSubSession = function(sess, members, msgSecurity, codec, parents, previous) {
+        var signed = this._archive ? new Map() : null;
+        if (signed) {
+            sess.archiveTo(signed);
+        }
+        this._subSessions.push(new archive.SubSessionRecord(sess.sId(), members,
+            previous ? previous.sess.curMembers() : this._ownSet, parents,
+            sess.transcript(), codec, msgSecurity.signingParams(), signed));
+    };
+
+    HybridSession.prototype._subSessionOf = function(mId) {
+        for (var i = this._subSessions.length - 1; i >= 0; i--) {
+            if (this._subSessions[i].transcript.has(mId)) {
+                return this._subSessions[i].sId;
+            }
+        }
+        return null;
+    };
+
+    HybridSession.prototype._onMaybeWhisper = function(sess, members, evt) {
+        if (!sess.transcript().get(evt.mId).members().equals(members)) {
+            this._whispers.add(evt.mId);
+        }
+    };
+
+    HybridSession.prototype._onMaybeSharedHistory = function(sess, evt) {
+        var msg = sess.transcript().get(evt.mId);
+        if (!(msg.body instanceof SharedHistory) || msg.author === this._owner) {
+            return;
+        }
+        var shared;
+        try {
+            shared = msg.body.messages(this._context.codec);
+        } catch (e) {
+            logger.warn("ignored bad shared history from " + msg.author + ": " + e);
+            return;
+        }
+        var added = this._messages.addShared(sess.transcript(), evt.mId, shared);
+        logger.info("added " + added.length + " messages of shared history from " + msg.author);
+    };
+
+    HybridSession.prototype._sendHistory = function(mIds, readers) {
+        var current = this._current;
+        if (current.caps.preferred("body") !== "tlv") {
+            logger.warn("not sharing history, as some members don't support body:tlv");
+            return false;
+        }
+        var log = this._messages;
+        var whispers = this._whispers;
+        var messages = mIds.filter(function(mId) {
+            return !whispers.has(mId) && log.attestedBy(mId) === null;
+        }).sort(function(a, b) {
+            return log.indexOf(a) - log.indexOf(b);
+        }).map(log.get.bind(log));
+        if (!messages.length) {
+            return false;
+        }
+        return current.sess.sendObject(SharedHistory.fromMessages(messages, this._context.codec), readers);
+    };
+
+    HybridSession.prototype._maybeShareHistory = function(include) {
+        if (!this._shareHistory || !include.size) {
+            return;
+        }
+        var mIds = this._shareHistory(this._messages, include);
+        if (mIds && mIds.length && !this.send({ share: mIds, readers: include })) {
+            logger.warn("failed to share history with: " + include.toArray());
+        }
+    };
+
     // implements Session
 
     /**
@@ -1472,10 +2596,20 @@ define([
         return this._messages;
     };
 
+    /**
+     * @inheritDoc
+     */
+    HybridSession.prototype.query = function() {
+        return this._query;
+    };
+
     /**
      * @inheritDoc
      */
     HybridSession.prototype.state = function() {
+        if (this._terminalError) {
+            return SessionState.ERROR;
+        }
         var state = this._internalState();
         var greeting = this._greeting;
         if (state === "COS_") {
@@ -1510,6 +2644,239 @@ define([
                 (!this._current || this._current.sess.isConsistent()));
     };
 
+    /**
+     * @inheritDoc
+     */
+    HybridSession.prototype.presence = function(uId) {
+        if (uId === this._owner) {
+            return this._idle ? PresenceState.IDLE : PresenceState.ONLINE;
+        }
+        return this.curMembers().has(uId) ? this._presence.state(uId) : null;
+    };
+
+    /**
+     * @inheritDoc
+     */
+    HybridSession.prototype.lastSeen = function(uId) {
+        return this.curMembers().has(uId) ? this._presence.lastSeen(uId) : null;
+    };
+
+    /**
+     * @inheritDoc
+     */
+    HybridSession.prototype.setIdle = function(idle) {
+        this._idle = Boolean(idle);
+        if (this._current) {
+            this._current.sess.setIdle(this._idle);
+        }
+    };
+
+    HybridSession.prototype._pubKey = function(uId) {
+        return uId === this._owner ? this._context.pubKey : this._context.pubKeyDir.get(uId);
+    };
+
+    /**
+     * @inheritDoc
+     */
+    HybridSession.prototype.fingerprint = function(uId) {
+        return this.curMembers().has(uId) ? fingerprint.memberFingerprint(uId, this._pubKey(uId)) : null;
+    };
+
+    /**
+     * @inheritDoc
+     */
+    HybridSession.prototype.sessionFingerprint = function() {
+        if (!this._current) {
+            return null;
+        }
+        var pubKeys = new Map();
+        this.curMembers().forEach(function(uId) {
+            pubKeys.set(uId, this._pubKey(uId));
+        }, this);
+        return fingerprint.sessionFingerprint(this._current.sess.sId(), pubKeys);
+    };
+
+    /**
+     * @inheritDoc
+     */
+    HybridSession.prototype.verification = function(uId) {
+        if (uId === this._owner || !this.curMembers().has(uId)) {
+            return null;
+        }
+        return this._verification.get(uId, this._pubKey(uId));
+    };
+
+    /**
+     * @inheritDoc
+     */
+    HybridSession.prototype.setVerification = function(uId, state) {
+        if (uId === this._owner || !this.curMembers().has(uId)) {
+            throw new Error("not another current member: " + uId);
+        }
+        return this._verification.set(uId, this._pubKey(uId), state);
+    };
+
+    HybridSession.prototype._onVerificationChange = function(change) {
+        var uId = change.uId;
+        if (uId !== this._owner && this.curMembers().has(uId) && change.pubKey === this._pubKey(uId)) {
+            this._events.publish(new SNVerification(uId, change.state));
+        }
+    };
+
+    /**
+     * @inheritDoc
+     */
+    HybridSession.prototype.flagDevice = function(uId) {
+        var curMembers = this.curMembers();
+        if (!curMembers.has(uId) || curMembers.size < 2) {
+            return false;
+        }
+        logger.info("device of " + uId + " was flagged; will refresh the group key");
+        this._refreshUrgent = true;
+        this._scheduleRefresh(0);
+        return true;
+    };
+
+    /**
+     * @inheritDoc
+     */
+    HybridSession.prototype.checkpoint = function(archive) {
+        if (this._archive || this._greeting) {
+            return [];
+        }
+        var live = [this._previous, this._current].filter(Boolean).map(function(sub) { return sub.sess; });
+        var pruned = [];
+        var archived = new Map();
+        var keep = function(msgs) {
+            msgs.forEach(function(msg) { archived.set(msg.mId, msg); });
+        };
+        this._subSessions.forEach(function(record) {
+            var sess = live.filter(function(s) { return s.transcript() === record.transcript; })[0];
+            // older sub-sessions only have their transcripts left
+            pruned.push.apply(pruned, sess ? sess.checkpoint(keep) : record.transcript.checkpoint(keep));
+        });
+        var whispers = this._whispers;
+        pruned.forEach(function(mId) { whispers.delete(mId); });
+
+        var removed = this._messages.prune(pruned, keep);
+        if (removed.length) {
+            this._query.prune(removed);
+            if (archive) {
+                archive(removed.map(archived.get.bind(archived)));
+            }
+            this._events.publish(new MsgsPruned(removed));
+        }
+        return removed;
+    };
+
+    /**
+     * @inheritDoc
+     */
+    HybridSession.prototype.snapshot = function() {
+        if (this.state() !== SessionState.JOINED) {
+            return null;
+        }
+        var sub = this._current;
+        var peerCaps = {};
+        this._peerCaps.forEach(function(caps, uId) {
+            peerCaps[uId] = caps.slice();
+        });
+        return {
+            sId: this._sId,
+            owner: this._owner,
+            prevPf: this._serverOrder.prevPf(),
+            prevCh: this._serverOrder.prevCh(),
+            peerCaps: peerCaps,
+            caps: sub.caps.slice(),
+            greetStore: sub.greetState.snapshot(),
+            session: sub.sess.snapshot(),
+        };
+    };
+
+    /**
+     * @inheritDoc
+     */
+    HybridSession.prototype.restore = function(snapshot) {
+        var members = new ImmutableSet(snapshot.session.members);
+        if (!this._canRestore(snapshot, members)) {
+            return false;
+        }
+
+        var self = this;
+        Object.keys(snapshot.peerCaps).forEach(function(uId) {
+            var caps = snapshot.peerCaps[uId];
+            self._peerCaps.set(uId, new capability.Capabilities(caps[0], caps[1]));
+        });
+        this._serverOrder.syncWithPrev(snapshot.prevPf, snapshot.prevCh);
+        this._current = this._makeSubSessionWith(snapshot.session.sId,
+            greeter.GreetStore.fromSnapshot(snapshot.greetStore), members,
+            new capability.Capabilities(snapshot.caps[0], snapshot.caps[1]), ImmutableSet.EMPTY, null,
+            snapshot.session.msgsec);
+        logger.info("resumed session: " + this._current.sess.toString());
+        this._resetRefresh();
+        this._publishMembersChange(this._ownSet, members);
+        this._restoring = true;
+        try {
+            this._current.sess.restore(snapshot.session);
+        } finally {
+            this._restoring = false;
+        }
+        this._maybeSnapshot();
+        return true;
+    };
+
+    /**
+     * @inheritDoc
+     */
+    HybridSession.prototype.exportArchive = function() {
+        return archive.exportArchive(this._sId, this._owner, this._subSessions);
+    };
+
+    HybridSession.prototype._canRestore = function(snapshot, members) {
+        var channelMembers = this._channel.curMembers();
+        if (snapshot.sId !== this._sId || snapshot.owner !== this._owner) {
+            logger.warn("not resuming from a snapshot of another session");
+            return false;
+        } else if (this._serverOrder.isSynced()) {
+            logger.info("not resuming from snapshot; already synced with the channel");
+            return false;
+        } else if (!channelMembers || !channelMembers.equals(members)) {
+            logger.info("not resuming from snapshot; channel members changed since it was taken");
+            return false;
+        }
+        return true;
+    };
+
+    HybridSession.prototype._maybeSnapshot = function() {
+        if (!this._onSnapshot || this._restoring) {
+            return;
+        }
+        try {
+            this._onSnapshot(this.snapshot());
+        } catch (e) {
+            logger.warn("failed to save snapshot: " + e);
+        }
+    };
+
+    /**
+     * @inheritDoc
+     */
+    HybridSession.prototype.stop = function() {
+        this._cancel();
+        this._refreshCancel();
+        this._checkpointCancel();
+        if (this._greeting) {
+            this._greetingCancel();
+        }
+        var subSessions = [this._previous, this._current];
+        for (var i = 0; i < subSessions.length; i++) {
+            if (subSessions[i]) {
+                subSessions[i].sess.stop();
+                subSessions[i].cancel();
+            }
+        }
+    };
+
     HybridSession.prototype._proposeGreetInit = function(include, exclude) {
         _assert(!this._ownProposalHash);
         _assert(!include.intersect(this._taskLeave).size);
@@ -1523,7 +2890,8 @@ define([
         _assert(!include.intersect(curMembers).size);
         _assert(!exclude.subtract(curMembers).size && !exclude.has(this._owner));
         var newMembers = curMembers.patch([include, exclude]);
-        _assert(!curMembers.equals(newMembers));
+        // same members means a key refresh, which needs someone else to be there
+        _assert(!curMembers.equals(newMembers) || curMembers.size > 1);
 
         // concurrency resolution requires that everyone is in the channel when the server
         // echoes back the proposal, which is not exactly the same as when we send it.
@@ -1533,6 +2901,15 @@ define([
             throw new Error("proposal not appropriate now: not in channel: " + needToJoin.toArray());
         }
 
+        var incompatible = this._findIncompatible(include);
+        if (incompatible.size) {
+            throw new Error("proposal not appropriate now: incompatible members: " + incompatible.toArray());
+        }
+        var problems = this._negotiate(newMembers, this._owner, true).problems();
+        if (problems.length) {
+            throw new Error("proposal not appropriate now: no common capabilities: " + problems.join("; "));
+        }
+
         var prevPf = this._serverOrder.prevPf();
         var prevCh = this._serverOrder.prevCh();
 
@@ -1567,8 +2944,10 @@ define([
      * entering the channel before a membership operation, must be waited upon,
      * of course.)
      *
-     * TODO(xl): [D] (timeout-op) fail these operations after a timeout and/or
-     * retry sub-operations if their failures are probably transitive
+     * Timeouts and cancellation are handled generically by _runOwnOperation,
+     * which wraps the Deferred returned by these.
+     *
+     * TODO(xl): [D] retry sub-operations if their failures are probably transitive
      */
 
     HybridSession.prototype._changeMembership = function(include, exclude) {
@@ -1587,6 +2966,8 @@ define([
         var ch = this._channel;
         var p = async.newPromiseAndWriters();
         var p1 = Promise.resolve(ch);
+        // if the greeting completes but we ignore it, see _checkNegotiated
+        this._ownOperationStop = p.reject;
 
         // By protocol, leave users in taskLeave before trying to re-include them
         _assert(!include.intersect(this._taskExclude).size);
@@ -1600,11 +2981,21 @@ define([
             p1 = p1.then(ch.execute.bind(ch, { enter: include }));
         }
 
-        p1 = p1.then(this._proposeGreetInit.bind(this, include, exclude));
+        p1 = p1.then(function() {
+            if (!self._ownOperationPr) {
+                // it timed out or was cancelled, before we could propose it
+                throw new Error("OperationAborted: not proposed");
+            }
+            return self._proposeGreetInit(include, exclude);
+        }).then(function(greeting) {
+            // others may still make it fail, e.g. by kicking members they refuse
+            return greeting.getPromise();
+        });
 
         // TODO(xl): [D] this could be resolved more intelligently, e.g. with PromisingSet
         this._events.subscribe(SNMembers).untilTrue(function(evt) {
             if (evt.include.equals(include) && evt.exclude.equals(exclude)) {
+                self._maybeShareHistory(include);
                 p.resolve(self);
                 return true;
             }
@@ -1631,6 +3022,11 @@ define([
         var p = async.newPromiseAndWriters();
         var p1 = Promise.resolve(ch);
         var cancels = [];
+        // if this fails, stop trying before we leave, see _abortOwnOperation
+        this._ownOperationStop = function(reason) {
+            async.combinedCancel(cancels)();
+            p.reject(reason);
+        };
 
         if (!this._channel.curMembers()) {
             p1 = p1.then(ch.execute.bind(ch, { enter: true }));
@@ -1707,6 +3103,23 @@ define([
         return p.promise.then(cleanup, cleanup);
     };
 
+    HybridSession.prototype._refreshKey = function() {
+        // Expected post-state is:
+        // COS_
+        var state = this._internalState();
+        if (state !== "COS_") {
+            throw new Error("not in a session with others yet; try { join: true } first");
+        }
+
+        var self = this;
+        var p = this._proposeGreetInit(ImmutableSet.EMPTY, ImmutableSet.EMPTY);
+        return p.then(function(greeting) {
+            return greeting.getPromise();
+        }).then(function() {
+            return self;
+        });
+    };
+
     HybridSession.prototype._excludeSelf = function() {
         // Expected post-state is:
         // cos_ || COsj (-> cos by onPrevSessionFin, after promise resolves)
@@ -1737,6 +3150,9 @@ define([
         // try to reach consistency, then leave the channel
         sess.onFin(function(mId) {
             if (self._current && sess === self._current.sess && self._channel.curMembers()) {
+                if (self._deniable && !sess.transcript().unackby(mId).size) {
+                    self._publishSigningKey(self._current);
+                }
                 self._maybeLeaveChannel();
             }
         });
@@ -1750,14 +3166,156 @@ define([
         return p.promise;
     };
 
-    HybridSession.prototype._runOwnOperation = function(opParam, run) {
-        if (!this._ownOperationCb) {
-            var p = run();
-            this._setOwnOperation(p, opParam);
-            return p;
+    /* Deniability. Once everyone has acked our final message in a sub-session,
+     * they have authenticated everything that we sent in it, so we may publish
+     * the key that we signed it with. Afterwards, anyone could have forged our
+     * messages, including the ones already in their transcript. See ske.js
+     * SignatureKeyExchangeMember.quit for more discussion.
+     */
+
+    HybridSession.prototype._publishSigningKey = function(sub) {
+        var recipients = sub.sess.curMembers().intersect(this._channel.curMembers()).subtract(this._ownSet);
+        sub.sess.transcript().markForgeable(this._owner);
+        if (!recipients.size) {
+            return;
+        }
+        var content = codec.encodeSigningKeyMessage({
+            from: this._owner,
+            signingKey: sub.greetState.ephemeralPrivKey
+        });
+        logger.info("publishing our signing key to " + recipients.toArray());
+        this._channel.send({ pubtxt: codec.encodeWirePacket(content), recipients: recipients });
+    };
+
+    HybridSession.prototype._recvSigningKey = function(recv_in) {
+        var packet = codec.decodeWirePacket(recv_in.pubtxt);
+        if (!packet || packet.type !== codec.MESSAGE_TYPE.MPENC_SIGNING_KEY) {
+            return false;
+        }
+        var sender = recv_in.sender;
+        var published;
+        var pubKey;
+        try {
+            published = codec.decodeSigningKeyMessage(packet.content);
+            // throws on keys of the wrong length
+            pubKey = utils.toPublicKey(published.signingKey);
+        } catch (e) {
+            logger.warn("ignored malformed signing key packet from " + sender + ": " + e);
+            return true;
+        }
+        if (published.from !== sender) {
+            pubKey = null;
+        }
+        var subSessions = [this._current, this._previous];
+        for (var i = 0; i < subSessions.length; i++) {
+            var sub = subSessions[i];
+            if (sub && sub.greetState.pubKeyMap[sender] === pubKey) {
+                logger.info("received signing key of " + sender + "; their messages in " +
+                    btoa(sub.sess.sId()) + " are now forgeable");
+                sub.sess.transcript().markForgeable(sender);
+                return true;
+            }
+        }
+        logger.warn("ignored signing key packet from " + sender + " claiming to be " +
+            published.from + ", that does not match any of our sub-sessions");
+        return true;
+    };
+
+    // Ask the author of a message that we could not accept, to retransmit
+    // its parents that we never received, e.g. because our connection to the
+    // transport dropped for a while. They must have accepted these parents,
+    // and keep their packets unless they are quite old.
+    HybridSession.prototype._requestMissing = function(sess, evt) {
+        var missing = evt.pmId.intersect(sess.missing());
+        if (!missing.size || !this._channel.curMembers().has(evt.uId)) {
+            return;
+        }
+        logger.info("asking " + evt.uId + " to retransmit missing messages: " + missing.toArray().map(btoa));
+        var content = codec.encodeRetransmitMessage({ mIds: missing.toArray() });
+        this._channel.send({ pubtxt: codec.encodeWirePacket(content), recipients: new ImmutableSet([evt.uId]) });
+    };
+
+    HybridSession.prototype._recvRetransmit = function(recv_in) {
+        var packet = codec.decodeWirePacket(recv_in.pubtxt);
+        if (!packet || packet.type !== codec.MESSAGE_TYPE.MPENC_RETRANSMIT) {
+            return false;
+        }
+        var sender = recv_in.sender;
+        var retransmit;
+        try {
+            retransmit = codec.decodeRetransmitMessage(packet.content);
+        } catch (e) {
+            logger.warn("ignored malformed retransmit packet from " + sender + ": " + e);
+            return true;
+        }
+        if (sender === this._owner) {
+            return true;
+        } else if (retransmit.mIds) {
+            this._answerRetransmit(sender, retransmit.mIds);
+        } else if (retransmit.to === this._owner) {
+            this._recvRetransmitted(sender, retransmit);
+        }
+        return true;
+    };
+
+    // The relay chooses the claimed author, so only take data packets from it,
+    // whose signatures prove who the author is; and only pass them to our
+    // sub-sessions, never to the greeter or the other control handlers.
+    HybridSession.prototype._recvRetransmitted = function(sender, retransmit) {
+        var inner;
+        try {
+            inner = codec.decodeWirePacket(retransmit.packet);
+        } catch (e) {
+            inner = null;
+        }
+        if (!inner || inner.type !== codec.MESSAGE_TYPE.MPENC_DATA_MESSAGE) {
+            logger.warn("ignored retransmitted packet from " + sender + " that is not a data message");
+            return;
+        }
+        logger.info("received retransmitted packet by " + retransmit.author + " from " + sender);
+        this._tryDecrypt.trial({ pubtxt: retransmit.packet, sender: retransmit.author, relayed: true });
+    };
+
+    HybridSession.prototype._answerRetransmit = function(sender, mIds) {
+        // only to members of the sub-session, who could have received them anyway
+        var subSessions = [this._current, this._previous].filter(function(sub) {
+            return sub && sub.sess.curMembers().has(sender);
+        });
+        var recipients = new ImmutableSet([sender]);
+        var self = this;
+        mIds.forEach(function(mId) {
+            var found = subSessions.filter(function(sub) { return sub.sess.cachedPackets(mId); })[0];
+            if (!found) {
+                logger.info("could not retransmit " + btoa(mId) + " to " + sender + "; packets not kept");
+                return;
+            }
+            var author = found.sess.transcript().author(mId);
+            found.sess.cachedPackets(mId).forEach(function(pubtxt) {
+                var content = codec.encodeRetransmitMessage({ to: sender, author: author, packet: pubtxt });
+                self._channel.send({ pubtxt: codec.encodeWirePacket(content), recipients: recipients });
+            });
+        });
+    };
+
+    HybridSession.prototype._runOwnOperation = function(opParam, run, timeout) {
+        if (!this._ownOperationPr) {
+            var p = async.newPromiseAndWriters();
+            var promise = p.promise;
+            run().then(p.resolve, p.reject);
+            this._setOwnOperation(promise, opParam);
+
+            var fail = this._failOwnOperation.bind(this, promise, p.reject);
+            this._ownOperationFail = fail;
+            promise.cancel = fail.bind(null, "OperationAborted: cancelled by the user");
+            if (timeout) {
+                var cancelTimeout = this._timer.after(timeout,
+                    fail.bind(null, "OperationTimedOut: after " + timeout + " ticks"));
+                promise.then(cancelTimeout, cancelTimeout).catch(logger.warn.bind(logger));
+            }
+            return promise;
 
         } else if (this._ownOperationParam.equals(opParam)) {
-            return this._ownOperationCb;
+            return this._ownOperationPr;
         } else {
             throw new Error("OperationInProgress: " + this._ownOperationParam);
         }
@@ -1767,8 +3325,18 @@ define([
      * @inheritDoc
      */
     HybridSession.prototype.send = function(action) {
-        if ("content" in action) {
-            return this._current ? this._current.sess.sendData(action.content) : false;
+        if ("content" in action || "attachment" in action || "share" in action) {
+            action = session.checkSessionAction(action);
+            if (!this._current) {
+                return false;
+            }
+            if ("share" in action) {
+                return this._sendHistory(action.share, action.readers);
+            }
+            var sess = this._current.sess;
+            return ("attachment" in action) ?
+                sess.sendObject(action.attachment, action.readers) :
+                sess.sendData(action.content, action.readers);
         } else {
             return this.execute(action) !== null;
         }
@@ -1779,33 +3347,49 @@ define([
      */
     HybridSession.prototype.execute = function(action) {
         action = session.checkSessionAction(action);
+        if (this._terminalError) {
+            throw new Error("OperationRefused: session was terminated: " + this._terminalError.message);
+        }
 
         if ("content" in action) {
             throw new Error("not implemented");
 
         } else if ("include" in action || "exclude" in action) {
-            var curMembers = this.curMembers();
-            var diff = curMembers.diff(curMembers.patch([action.include, action.exclude]));
-            var include = diff[0], exclude = diff[1];
-            if (exclude.has(this._owner)) {
-                throw new Error("cannot exclude yourself");
-            } else if (!include.size && !exclude.size) {
-                return Promise.resolve(this);
-            }
-            return this._runOwnOperation(new OwnOp("m", include, exclude),
-                this._changeMembership.bind(this, include, exclude));
+            return this._executeMembership(action);
 
         } else if ("join" in action && !this._current) {
-            return this._runOwnOperation(new OwnOp("j"), this._includeSelf.bind(this));
+            return this._runOwnOperation(new OwnOp("j"), this._includeSelf.bind(this), action.timeout);
 
         } else if ("part" in action && this._current) {
-            return this._runOwnOperation(new OwnOp("p"), this._excludeSelf.bind(this));
+            return this._runOwnOperation(new OwnOp("p"), this._excludeSelf.bind(this), action.timeout);
+
+        } else if ("refresh" in action && this._current) {
+            return this._runOwnOperation(new OwnOp("r"), this._refreshKey.bind(this), action.timeout);
 
         } else {
             return Promise.resolve(this);
         }
     };
 
+    HybridSession.prototype._executeMembership = function(action) {
+        var curMembers = this.curMembers();
+        var diff = curMembers.diff(curMembers.patch([action.include, action.exclude]));
+        var include = diff[0], exclude = diff[1];
+        var dir = this._context.pubKeyDir;
+        var blocked = include.toArray().filter(function(uId) {
+            return typeof dir.isBlocked === "function" && dir.isBlocked(uId);
+        });
+        if (exclude.has(this._owner)) {
+            throw new Error("cannot exclude yourself");
+        } else if (blocked.length) {
+            throw new Error("OperationRefused: public keys changed and not yet accepted: " + blocked);
+        } else if (!include.size && !exclude.size) {
+            return Promise.resolve(this);
+        }
+        return this._runOwnOperation(new OwnOp("m", include, exclude),
+            this._changeMembership.bind(this, include, exclude), action.timeout);
+    };
+
     /**
      * @inheritDoc
      */
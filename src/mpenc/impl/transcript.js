@@ -64,21 +64,27 @@ define([
         this._maxMessages = ImmutableSet.EMPTY;
 
         this._successors = new Map(); // mId: Set[mId], successors
+        this._parents = new Map(); // mId: Set[mId], parents of frontier messages, replacing pruned ones
 
         // overall sequence. only meaningful internally
-        this._length = 0;
-        this._messageIndex = new Map(); // mId: int, index into _log
+        this._length = 0; // number of messages ever added, including pruned ones
+        this._messageIndex = new Map(); // mId: int, index into _log before any pruning
         this._log = [];
 
         // per-author sequence. only meaningful internally. like a local vector clock.
         this._authorMessages = new Map(); // uId: [mId], messages in the order they were authored
-        this._authorIndex = new Map(); // mId: int, index into _authorMessages[mId's author]
+        this._authorIndex = new Map(); // mId: int, index into _authorMessages[mId's author] before any pruning
 
         this._context = new Map(); // mId: uId: mId1, latest message sent by uId before mId, or null
+        // _authorIndex is kept for pruned messages that are still values in here
 
         this._unackby = new Map(); // mId: Set[uId], readers of mId that we have not yet seen ack it
         this._unacked = ImmutableSet.EMPTY; // Set[mId] of not fully-acked messages
 
+        this._forgeable = ImmutableSet.EMPTY; // Set[uId] that published their signing key
+
+        this._frontier = ImmutableSet.EMPTY; // Set[mId] kept by the last checkpoint
+
         var self = this;
         this._merge = graph.createMerger(
             function(m) { return self.pre(m).toArray(); },
@@ -107,8 +113,9 @@ define([
         pmId.forEach(function(m) {
             var mc = self._context.get(m);
             mc.forEach(function(um, u) {
+                // compare indexes directly since these may be pruned messages
                 if (!context.has(u) || context.get(u) === null ||
-                    (um !== null && self.ge(um, context.get(u)))) {
+                    (um !== null && self._authorIndex.get(um) >= self._authorIndex.get(context.get(u)))) {
                     context.set(u, um);
                 }
             });
@@ -128,7 +135,7 @@ define([
     // CausalOrder
 
     BaseTranscript.prototype.size = function() {
-        return this._length;
+        return this._log.length;
     };
 
     BaseTranscript.prototype.all = function() {
@@ -148,7 +155,8 @@ define([
     };
 
     BaseTranscript.prototype.pre = function(mId) {
-        return safeGet(this._messages, mId).parents;
+        var parents = safeGet(this._messages, mId).parents;
+        return this._parents.has(mId) ? this._parents.get(mId) : parents;
     };
 
     BaseTranscript.prototype.suc = function(mId) {
@@ -217,6 +225,33 @@ define([
         return this._cacheBy.get(uId);
     };
 
+    /**
+     * Record that a member published their signing key for this transcript,
+     * so that anyone could have forged their messages in it.
+     *
+     * @param uId {string} The member.
+     */
+    BaseTranscript.prototype.markForgeable = function(uId) {
+        this._forgeable = this._forgeable.union(new ImmutableSet([uId]));
+    };
+
+    /**
+     * @returns {module:mpenc/helper/struct.ImmutableSet} Members that
+     *      published their signing key for this transcript.
+     */
+    BaseTranscript.prototype.forgeableAuthors = function() {
+        return this._forgeable;
+    };
+
+    /**
+     * @param mId {string} Message ID.
+     * @returns {boolean} Whether the author of the message published their
+     *      signing key for this transcript.
+     */
+    BaseTranscript.prototype.isForgeable = function(mId) {
+        return this._forgeable.has(this.author(mId));
+    };
+
     BaseTranscript.prototype.iterAncestors = graph.CausalOrder.prototype.iterAncestors;
 
     BaseTranscript.prototype.iterDescendants = graph.CausalOrder.prototype.iterDescendants;
@@ -350,11 +385,14 @@ define([
             this._length++;
 
             // update per-author sequences
+            var mSeq = 0;
             if (pumId === null) {
                 this._authorMessages.set(uId, []);
+            } else {
+                // not the length of _authorMessages, which may have been pruned
+                mSeq = this._authorIndex.get(pumId) + 1;
             }
             this._authorMessages.get(uId).push(mId);
-            var mSeq = this._authorMessages.get(uId).length - 1;
             this._authorIndex.set(mId, mSeq);
 
             // update context
@@ -386,19 +424,152 @@ define([
         }
     };
 
+    /**
+     * Prune the largest prefix of this transcript that is fully-acked, to
+     * bound its memory use in long-lived sessions.
+     *
+     * The prefix is collapsed into its frontier: the messages in it that
+     * later messages may still reference, i.e. the parents of messages
+     * outside of it, and the latest message of each author. Everything else
+     * in it is forgotten, and treated as absent by all other methods. Each
+     * frontier message takes the latest frontier messages before it as its
+     * parents, so that causal queries such as <code>le</code> and
+     * <code>unackby</code> remain correct for the messages that were kept.
+     * Queries that would return a pruned message, such as
+     * <code>pre_uId</code> and <code>pre_ruId</code>, return
+     * <code>null</code> instead.
+     *
+     * @method
+     * @param [archive] {function} 1-arg function, called with an Array of the
+     *      {@link module:mpenc/message.Message} that are about to be pruned,
+     *      in accept order, e.g. to store their bodies elsewhere.
+     * @returns {Array.<string>} Ids of the pruned messages, in accept order.
+     */
+    BaseTranscript.prototype.checkpoint = function(archive) {
+        if (this._fubar) {
+            throw new Error("something horrible happened previously, refusing all operations");
+        }
+
+        var self = this;
+        var prefix = new Set();
+        this._log.forEach(function(mId) {
+            if (!self._unacked.has(mId) && self.pre(mId).toArray().every(prefix.has.bind(prefix))) {
+                prefix.add(mId);
+            }
+        });
+        var frontier = new ImmutableSet(this._log.filter(function(mId) {
+            return prefix.has(mId) && self._isFrontier(prefix, mId);
+        }));
+        var pruned = this._log.filter(function(mId) {
+            return prefix.has(mId) && !frontier.has(mId);
+        });
+        if (!pruned.length) {
+            return pruned;
+        }
+
+        var prunedSet = new ImmutableSet(pruned);
+        var isKept = function(mId) { return !prunedSet.has(mId); };
+        var parents = new Map();
+        frontier.forEach(function(mId) {
+            parents.set(mId, self.pre_pred(mId, isKept));
+        });
+        if (archive) {
+            archive(pruned.map(this.get.bind(this)));
+        }
+
+        try {
+            this._prune(prunedSet, parents);
+            this._frontier = frontier;
+            logger.info("pruned " + pruned.length + " messages; kept " + this._log.length);
+            return pruned;
+        } catch (e) {
+            this._fubar = true;
+            throw e;
+        }
+    };
+
+    BaseTranscript.prototype._isFrontier = function(prefix, mId) {
+        var authored = this._authorMessages.get(this.author(mId));
+        return authored[authored.length - 1] === mId ||
+            this.suc(mId).toArray().some(function(m) { return !prefix.has(m); });
+    };
+
+    BaseTranscript.prototype._prune = function(pruned, parents) {
+        var self = this;
+        pruned.forEach(function(mId) {
+            self._messages.delete(mId);
+            self._successors.delete(mId);
+            self._parents.delete(mId);
+            self._messageIndex.delete(mId);
+            self._context.delete(mId);
+            self._unackby.delete(mId);
+        });
+
+        parents.forEach(function(_, mId) {
+            self._successors.set(mId, self._successors.get(mId).subtract(pruned));
+        });
+        parents.forEach(function(pmId, mId) {
+            self._parents.set(mId, pmId);
+            var mIdS = new ImmutableSet([mId]);
+            pmId.forEach(function(m) {
+                self._successors.set(m, self._successors.get(m).union(mIdS));
+            });
+        });
+
+        this._log = this._log.filter(function(mId) { return !pruned.has(mId); });
+        this._minMessages = new ImmutableSet(this._log.filter(function(mId) {
+            return !self.pre(mId).size;
+        }));
+        this._authorMessages.forEach(function(mIds, uId) {
+            self._authorMessages.set(uId, mIds.filter(function(mId) { return !pruned.has(mId); }));
+        });
+
+        var referenced = new Set();
+        this._context.forEach(function(context) {
+            context.forEach(function(m) { referenced.add(m); });
+        });
+        this._authorIndex.forEach(function(_, mId) {
+            if (!self._messages.has(mId) && !referenced.has(mId)) {
+                self._authorIndex.delete(mId);
+            }
+        });
+
+        this._invalidateCaches();
+    };
+
+    /**
+     * @returns {module:mpenc/helper/struct.ImmutableSet} Messages that the
+     *      last {@link module:mpenc/impl/transcript.BaseTranscript#checkpoint}
+     *      kept from the pruned prefix, or the empty set if there was none.
+     */
+    BaseTranscript.prototype.frontier = function() {
+        return this._frontier;
+    };
+
     // Transcript
 
     BaseTranscript.prototype.pre_uId = function(mId) {
-        var i = safeGet(this._authorIndex, mId);
-        var uId = this.author(mId);
-        return (i)? this._authorMessages.get(uId)[i]: null;
+        var authored = this._authorMessages.get(this.author(mId));
+        var i = authored.indexOf(mId);
+        // _authorMessages may have been pruned, so check it was the one just before
+        var pumId = (i > 0) ? authored[i - 1] : null;
+        return (pumId !== null && this._authorIndex.get(pumId) === this._authorIndex.get(mId) - 1) ? pumId : null;
+    };
+
+    // Messages in _context may have been pruned; hide those.
+    BaseTranscript.prototype._keptOrNull = function(mId) {
+        return (mId !== null && this._messages.has(mId)) ? mId : null;
     };
 
     BaseTranscript.prototype.pre_ruId = function(mId, ruId) {
+        var self = this;
+        var context = safeGet(this._context, mId);
         if (ruId === undefined) {
-            return new Map(safeGet(this._context, mId).entries());
+            var pre = new Map();
+            context.forEach(function(m, u) { pre.set(u, self._keptOrNull(m)); });
+            return pre;
         } else {
-            return safeGet(safeGet(this._context, mId), ruId);
+            return this._keptOrNull(safeGet(context, ruId));
         }
     };
 
@@ -412,7 +583,7 @@ define([
         if (ruId === undefined) {
             throw new Error("not implemented");
         }
-        if (!this._messages.get(mId).readers.has(ruId)) {
+        if (!this.get(mId).readers.has(ruId)) {
             throw new ReferenceError("invalid reader: " + ruId);
         }
         var self = this;
@@ -431,25 +602,43 @@ define([
 
 
     /**
-     * MessageLog that orders messages in the same way as the accept-order.
+     * MessageLog that orders messages in the accept-order, or optionally in a
+     * deterministic topological order.
      *
-     * Much of the code could be reused if we ever want to do different UI
-     * orderings; for now we'll avoid too many levels of inheritance.
+     * In the "accept" order, new messages are always appended to the end. In
+     * the "topological" order, messages are sorted by their height in the
+     * causal order (i.e. the length of the longest path to a message with no
+     * parents) and then by their ID. Members that have the same messages will
+     * see them in the same order, but a message that arrives late may be
+     * inserted before messages that were already added; subscribers will see
+     * this as a {@link module:mpenc/helper/async.SequenceInsert} with a
+     * non-zero `rIdx`.
      *
      * @class
      * @private
+     * @param [options] {object} Options.
+     * @param [options.order] {string} Either "accept" (the default) or
+     *      "topological".
      * @extends {module:mpenc/helper/async.ObservableSequence}
      * @implements {module:mpenc/transcript.MessageLog}
      * @memberOf module:mpenc/impl/transcript
      */
-    var DefaultMessageLog = function() {
-        if (!(this instanceof DefaultMessageLog)) { return new DefaultMessageLog(); }
+    var DefaultMessageLog = function(options) {
+        if (!(this instanceof DefaultMessageLog)) { return new DefaultMessageLog(options); }
+        var order = (options && options.order) || "accept";
+        if (order !== "accept" && order !== "topological") {
+            throw new Error("unknown message order: " + order);
+        }
         ObservableSequence.call(this);
+        this._order = order;
+        this._height = new Map(); // mId: int, length of longest path to a minimum
+        this._prunedHeight = -1; // max height of any pruned message, standing in for their heights
         this._messageIndex = new Map(); // mId: int, index into self as an Array
         this._parents = []; // [ImmutableSet([mId of parents])]
         this._transcripts = new Set();
         this._transcriptParents = new Map();
         this._lastTranscript = null;
+        this._shared = new Map(); // mId: { message, transcript, carrier }
     };
 
     DefaultMessageLog.prototype = Object.create(ObservableSequence.prototype);
@@ -484,10 +673,44 @@ define([
             }
         }
         this._transcripts.add(transcript);
-        this._messageIndex.set(mId, this.length);
-        this._parents.push(parents);
-        this.push(mId);
-        this.__rInsert__(0, mId);
+        this._insert(mId, parents);
+    };
+
+    // Insert a message at the index given by our order, and notify subscribers.
+    DefaultMessageLog.prototype._insert = function(mId, parents) {
+        var self = this;
+        var height = parents.toArray().reduce(function(h, pmId) {
+            // a pruned parent may be as high as any pruned message
+            var ph = self._height.has(pmId) ? self._height.get(pmId) : self._prunedHeight;
+            return Math.max(h, ph + 1);
+        }, 0);
+        this._height.set(mId, height);
+        var idx = this._insertIndex(mId, height);
+        for (var i = idx; i < this.length; i++) {
+            this._messageIndex.set(this[i], i + 1);
+        }
+        this._messageIndex.set(mId, idx);
+        this._parents.splice(idx, 0, parents);
+        this.__insert__(idx, mId);
+    };
+
+    // Index at which a message with the given height should be inserted.
+    DefaultMessageLog.prototype._insertIndex = function(mId, height) {
+        if (this._order === "accept") {
+            return this.length;
+        }
+        var lo = 0;
+        var hi = this.length;
+        while (lo < hi) {
+            var mid = (lo + hi) >>> 1;
+            var midHeight = this._height.get(this[mid]);
+            if (midHeight < height || (midHeight === height && this[mid] < mId)) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+        return lo;
     };
 
     // Resolve some mIds to latest earlier Payload mIds, "falling back" to that
@@ -544,6 +767,95 @@ define([
         };
     };
 
+    /**
+     * Add messages that another member shared with us, at the indexes given by
+     * the order of this log.
+     *
+     * Messages that are already in the log are skipped; parents that are not
+     * in the log are dropped from the parents of the others.
+     *
+     * @method
+     * @protected
+     * @param transcript {module:mpenc/transcript.Transcript}
+     *      Transcript object that contains the carrier message.
+     * @param carrier {string} ID of the message that the messages were shared
+     *      in; its author is the one that attested to them.
+     * @param messages {Array.<module:mpenc/message.Message>} Messages that
+     *      were shared, in some topological order.
+     * @returns {Array.<string>} IDs of the messages that were added.
+     */
+    DefaultMessageLog.prototype.addShared = function(transcript, carrier, messages) {
+        _assert(transcript.has(carrier));
+        var self = this;
+        return messages.filter(function(msg) {
+            return !self.has(msg.mId);
+        }).map(function(msg) {
+            var mId = msg.mId;
+            self._shared.set(mId, { message: msg, transcript: transcript, carrier: carrier });
+            self._insert(mId, new ImmutableSet(msg.parents.toArray().filter(self.has.bind(self))));
+            return mId;
+        });
+    };
+
+    /**
+     * Remove messages that were pruned from their transcripts, e.g. by
+     * {@link module:mpenc/impl/transcript.BaseTranscript#checkpoint}, and
+     * any shared history that they carried.
+     *
+     * Later messages move to lower indexes; subscribers are not notified.
+     * Parents that were removed are dropped from the parents of the others.
+     * Messages added later that still reference removed parents are placed
+     * after all of the removed messages, in the topological order.
+     *
+     * @method
+     * @param mIds {Array.<string>} IDs of the pruned messages; these need
+     *      not all be in this log.
+     * @param [archive] {function} 1-arg function, called with an Array of the
+     *      {@link module:mpenc/message.Message} of the shared history that is
+     *      about to be removed. The messages of transcripts are given to the
+     *      <code>archive</code> of their own <code>checkpoint</code>.
+     * @returns {Array.<string>} IDs of the messages that were removed.
+     */
+    DefaultMessageLog.prototype.prune = function(mIds, archive) {
+        var pruned = new Set(mIds);
+        this._shared.forEach(function(shared, mId) {
+            if (pruned.has(shared.carrier)) {
+                pruned.add(mId);
+            }
+        });
+        var all = this.slice();
+        var removed = all.filter(function(mId) { return pruned.has(mId); });
+        if (!removed.length) {
+            return removed;
+        }
+
+        var self = this;
+        if (archive) {
+            archive(removed.filter(this._shared.has.bind(this._shared)).map(this.get.bind(this)));
+        }
+        var removedSet = new ImmutableSet(removed);
+        var parents = this._parents;
+        this._messageIndex = new Map();
+        this._parents = [];
+        this.splice(0, this.length);
+        all.forEach(function(mId, i) {
+            if (!removedSet.has(mId)) {
+                self._parents.push(parents[i].subtract(removedSet));
+                self._messageIndex.set(mId, self.length);
+                self.push(mId);
+            }
+        });
+        removed.forEach(function(mId) {
+            self._prunedHeight = Math.max(self._prunedHeight, self._height.get(mId));
+            self._shared.delete(mId);
+            self._height.delete(mId);
+        });
+        this._transcriptParents.forEach(function(trParents, ts) {
+            self._transcriptParents.set(ts, trParents.subtract(removedSet));
+        });
+        return removed;
+    };
+
     DefaultMessageLog.prototype._getTranscript = function(mId) {
         var targetTranscript;
         this._transcripts.forEach(function(ts) {
@@ -582,6 +894,9 @@ define([
     };
 
     DefaultMessageLog.prototype.get = function(mId) {
+        if (this._shared.has(mId)) {
+            return this._shared.get(mId).message;
+        }
         return safeGet(this._getTranscript(mId), mId);
     };
 
@@ -590,9 +905,30 @@ define([
     };
 
     DefaultMessageLog.prototype.unackby = function(mId) {
+        if (this._shared.has(mId)) {
+            // not part of our session, so nobody is expected to ack it
+            return ImmutableSet.EMPTY;
+        }
         return this._getTranscript(mId).unackby(mId);
     };
 
+    DefaultMessageLog.prototype.isForgeable = function(mId) {
+        if (this._shared.has(mId)) {
+            var shared = this._shared.get(mId);
+            return shared.transcript.isForgeable(shared.carrier);
+        }
+        return this._getTranscript(mId).isForgeable(mId);
+    };
+
+    DefaultMessageLog.prototype.attestedBy = function(mId) {
+        if (this._shared.has(mId)) {
+            var shared = this._shared.get(mId);
+            return shared.transcript.author(shared.carrier);
+        }
+        safeGet(this._messageIndex, mId); // throw if absent
+        return null;
+    };
+
     DefaultMessageLog.prototype.unacked = function() {
         var unacked = [];
         var self = this;
@@ -21,9 +21,11 @@ define([
     "mpenc/helper/struct",
     "mpenc/helper/utils",
     "mpenc/codec",
+    "mpenc/padding",
     "asmcrypto",
+    "tweetnacl",
     "megalogger",
-], function(assert, struct, utils, codec, asmCrypto, MegaLogger) {
+], function(assert, struct, utils, codec, paddingMod, asmCrypto, nacl, MegaLogger) {
     "use strict";
 
     /**
@@ -104,10 +106,14 @@ define([
      * Message body object, one of the following child types.
      *
      * - {@link module:mpenc/message.Payload}
+     * - {@link module:mpenc/message.Attachment}
      * - {@link module:mpenc/message.ExplicitAck}
+     * - {@link module:mpenc/message.HeartBeat}
      * - {@link module:mpenc/message.Consistency}
+     * - {@link module:mpenc/message.SharedHistory}
      *
-     * In practise, clients of our API will only ever see `Payload` objects.
+     * In practise, clients of our API will only ever see `Payload` objects,
+     * some of which may be `Attachment` objects.
      *
      * @class
      * @memberOf module:mpenc/message
@@ -136,9 +142,54 @@ define([
         }
     };
 
-    Object.freeze(Payload.prototype);
     ns.Payload = Payload;
 
+    /**
+     * Reference to an encrypted file, stored outside of the session. This is
+     * a Payload whose <code>content</code> is the name of the file, so that
+     * clients which don't handle attachments can still show something.
+     *
+     * See {@link module:mpenc/attachment} for how to create these, and how to
+     * retrieve the file that they refer to.
+     *
+     * @class
+     * @extends module:mpenc/message.Payload
+     * @property content {string} Name of the file.
+     * @property ref {string} Storage reference of the encrypted file, as
+     *      returned by {@link module:mpenc/attachment.AttachmentStorage#put}.
+     * @property key {string} 256-bit key that the file was encrypted with.
+     * @property hash {string} SHA-256 hash of the encrypted file.
+     * @property mimeType {string} MIME type of the file.
+     * @property size {number} Size of the (unencrypted) file in bytes.
+     * @memberOf module:mpenc/message
+     */
+    var Attachment = struct.createTupleClass("Attachment", "content ref key hash mimeType size", Payload);
+
+    Attachment.prototype._postInit = function() {
+        // hook for createTupleClass constructor
+        Payload.prototype._postInit.call(this);
+        if (!(typeof this.ref === "string" && this.ref.length)) {
+            throw new Error("Attachment ref must be non-empty");
+        }
+        if (!(typeof this.key === "string" && this.key.length === 32)) {
+            throw new Error("Attachment key must be 32 bytes");
+        }
+        if (!(typeof this.hash === "string" && this.hash.length === 32)) {
+            throw new Error("Attachment hash must be 32 bytes");
+        }
+        if (typeof this.mimeType !== "string") {
+            throw new Error("Attachment mimeType must be a string");
+        }
+        if (!(typeof this.size === "number" && this.size >= 0 && this.size % 1 === 0)) {
+            throw new Error("Attachment size must be a non-negative integer");
+        }
+    };
+
+    // Payload.prototype can only be frozen after it is subclassed
+    Object.freeze(Payload.prototype);
+    Object.freeze(Attachment.prototype);
+    ns.Attachment = Attachment;
+
     /**
      * Explicit ack of the message parents.
      *
@@ -168,7 +219,33 @@ define([
     Object.freeze(ExplicitAck.prototype);
     ns.ExplicitAck = ExplicitAck;
 
-    var HeartBeat = {}; // TODO(xl): TBD
+    /**
+     * Notice that the author is still present in the session, sent when they
+     * have not sent anything else for a while.
+     *
+     * Like explicit acks, heartbeats ack their parents, but they themselves
+     * need not be acked, nor have ack-monitors set on them. They are never
+     * shown to the user, but other members use them to track the author's
+     * presence.
+     *
+     * @class
+     * @private
+     * @extends module:mpenc/message.MessageBody
+     * @property idle {boolean} Whether the author's user is idle, e.g. away
+     *      from their device.
+     * @memberOf module:mpenc/message
+     */
+    var HeartBeat = struct.createTupleClass("HeartBeat", "idle", MessageBody);
+
+    HeartBeat.prototype._postInit = function() {
+        // hook for createTupleClass constructor
+        if (typeof this.idle !== "boolean") {
+            throw new Error("HeartBeat idle must be boolean");
+        }
+    };
+
+    Object.freeze(HeartBeat.prototype);
+    ns.HeartBeat = HeartBeat;
 
     /**
      * Request immediate acks from others so that consistency can be reached.
@@ -203,19 +280,149 @@ define([
     ns.Consistency = Consistency;
 
 
+    var _EXCERPT_MID = 0x01;
+    var _EXCERPT_AUTHOR = 0x02;
+    var _EXCERPT_PARENT = 0x03;
+    var _EXCERPT_READER = 0x04;
+    var _EXCERPT_BODY = 0x05;
+
+    var _decodeUId = function(value) {
+        return decodeURIComponent(escape(value));
+    };
+
+    var _popSharedMessage = function(rest, bodyCodec) {
+        var msg = { parents: [], readers: [] };
+        rest = codec.popTLV(rest, _EXCERPT_MID, function(value) { msg.mId = value; });
+        rest = codec.popTLV(rest, _EXCERPT_AUTHOR, function(value) { msg.author = _decodeUId(value); });
+        rest = codec.popTLVAll(rest, _EXCERPT_PARENT, function(value) { msg.parents.push(value); });
+        rest = codec.popTLVAll(rest, _EXCERPT_READER, function(value) { msg.readers.push(_decodeUId(value)); });
+        var field = _popField(rest);
+        if (field.tag !== _EXCERPT_BODY) {
+            throw new Error("bad decode: no body for shared message " + btoa(msg.mId));
+        }
+        var body = bodyCodec.decode(field.value);
+        if (!(body instanceof Payload)) {
+            throw new Error("bad decode: shared non-Payload message " + btoa(msg.mId));
+        }
+        return {
+            message: new Message(msg.mId, msg.author, msg.parents, msg.readers, body),
+            rest: field.rest,
+        };
+    };
+
+    /**
+     * Earlier messages of the session, re-sent by the author to members that
+     * were included after these were sent, so that they may see some of the
+     * history before they joined.
+     *
+     * The original authors and parents of the messages are preserved, but
+     * readers cannot verify that the original authors really wrote them; they
+     * only have the word of the author of this message, and should show them
+     * as such. See {@link module:mpenc/transcript.MessageLog#attestedBy}.
+     *
+     * @class
+     * @private
+     * @extends module:mpenc/message.MessageBody
+     * @property excerpt {string} The messages, encoded as TLV records; use
+     *      {@link module:mpenc/message.SharedHistory#messages} to decode them.
+     * @memberOf module:mpenc/message
+     */
+    var SharedHistory = struct.createTupleClass("SharedHistory", "excerpt", MessageBody);
+
+    /**
+     * @param messages {Array.<module:mpenc/message.Message>} Messages to
+     *      share, in some topological order. Their bodies must be Payloads.
+     * @param [bodyCodec] {Object} Codec for the bodies of the messages.
+     *      Default: {@link module:mpenc/message.DefaultMessageCodec}.
+     * @returns {module:mpenc/message.SharedHistory}
+     */
+    SharedHistory.fromMessages = function(messages, bodyCodec) {
+        bodyCodec = bodyCodec || DefaultMessageCodec;
+        var excerpt = messages.map(function(msg) {
+            if (!(msg.body instanceof Payload)) {
+                throw new Error("tried to share non-Payload message: " + btoa(msg.mId));
+            }
+            return codec.encodeTLV(_EXCERPT_MID, msg.mId) +
+                codec.encodeTLV(_EXCERPT_AUTHOR, unescape(encodeURIComponent(msg.author))) +
+                codec._encodeTlvArray(_EXCERPT_PARENT, msg.parents.toArray()) +
+                codec._encodeTlvArray(_EXCERPT_READER, msg.readers.toArray().map(function(uId) {
+                    return unescape(encodeURIComponent(uId));
+                })) +
+                _encodeField(_EXCERPT_BODY, bodyCodec.encode(msg.body));
+        }).join("");
+        return new SharedHistory(excerpt);
+    };
+
+    /**
+     * @param [bodyCodec] {Object} Codec for the bodies of the messages.
+     *      Default: {@link module:mpenc/message.DefaultMessageCodec}.
+     * @returns {Array.<module:mpenc/message.Message>} The shared messages.
+     * @throws {Error} If the excerpt is malformed, or contains messages that
+     *      are not Payloads.
+     */
+    SharedHistory.prototype.messages = function(bodyCodec) {
+        bodyCodec = bodyCodec || DefaultMessageCodec;
+        var messages = [];
+        var rest = this.excerpt;
+        while (rest.length) {
+            var popped = _popSharedMessage(rest, bodyCodec);
+            messages.push(popped.message);
+            rest = popped.rest;
+        }
+        return messages;
+    };
+
+    SharedHistory.prototype._postInit = function() {
+        // hook for createTupleClass constructor
+        if (!(typeof this.excerpt === "string" && this.excerpt.length)) {
+            throw new Error("SharedHistory excerpt must be non-empty");
+        }
+    };
+
+    Object.freeze(SharedHistory.prototype);
+    ns.SharedHistory = SharedHistory;
+
+
+    /**
+     * Body of a message whose type we don't know, e.g. because it was
+     * defined by a later version of this library, or by an application that
+     * we don't share; or that has a critical field that we don't know. It is
+     * accepted into the transcript (and so acks its ancestors) but is
+     * otherwise ignored.
+     *
+     * @class
+     * @private
+     * @extends module:mpenc/message.MessageBody
+     * @property type {number} Body type id, as registered by the author.
+     * @property data {string} The rest of the encoded body, undecoded.
+     * @memberOf module:mpenc/message
+     */
+    var UnknownBody = struct.createTupleClass("UnknownBody", "type data", MessageBody);
+
+    Object.freeze(UnknownBody.prototype);
+    ns.UnknownBody = UnknownBody;
+
+
     var MESSAGE_BODY_TYPES = [
         Payload,            // 0x00
         ExplicitAck,        // 0x01
         HeartBeat,          // 0x02
         Consistency,        // 0x03
+        Attachment,         // 0x04
     ];
 
     /**
-     * Object for converting MessageBody to/from string representation.
+     * Object for converting MessageBody to/from string representation, as a
+     * type byte followed by the JSON of the tuple.
+     *
+     * This is the "body:default" feature of {@link
+     * module:mpenc/capability.Capabilities}. It is only used to talk to members
+     * that don't support "body:tlv"; see {@link
+     * module:mpenc/message.DefaultMessageCodec} for the current format.
+     *
+     * @private
      */
-    var DefaultMessageCodec = {
-        // TODO(xl): maybe move this as static methods of MessageBody
-        // and/or use TLV-based encoding to be consistent
+    var LegacyMessageCodec = {
 
         encode: function(body) {
             if (!(body instanceof MessageBody)) {
@@ -235,6 +442,224 @@ define([
             return new (Function.prototype.bind.apply(cls, [undefined].concat(body)))();
         },
 
+    };
+    ns.LegacyMessageCodec = LegacyMessageCodec;
+
+
+    /**
+     * Flag set on the tag of a body field, if decoders that don't know about
+     * the field must not interpret the rest of the body, rather than ignore
+     * the field. They decode it as a {@link module:mpenc/message.UnknownBody}.
+     */
+    var CRITICAL_FIELD = 0x8000;
+    ns.CRITICAL_FIELD = CRITICAL_FIELD;
+
+    var _BODY_TYPE_TAG = 0x0000;
+
+    /**
+     * How to encode a single field of a registered MessageBody type.
+     *
+     * @typedef {Object} BodyField
+     * @property tag {number} Tag of the field, between 0x0001 and 0x7fff and
+     *      unique within the body type.
+     * @property kind {string} How to encode the value; one of "string" (any
+     *      Javascript string), "binary" (a string of 8-bit characters),
+     *      "boolean" or "uint32".
+     * @property [critical] {boolean} Whether decoders that don't know about
+     *      this field must ignore the whole body. Default: false, i.e. they
+     *      will decode the body as if the field was absent.
+     */
+
+    var _FIELD_KINDS = {
+        string: {
+            encode: function(value) { return unescape(encodeURIComponent(value)); },
+            decode: function(value) { return decodeURIComponent(escape(value)); },
+        },
+        binary: {
+            encode: function(value) { return value; },
+            decode: function(value) { return value; },
+        },
+        boolean: {
+            encode: function(value) { return value ? "\x01" : "\x00"; },
+            decode: function(value) {
+                if (value !== "\x00" && value !== "\x01") {
+                    throw new Error("bad boolean field");
+                }
+                return value === "\x01";
+            },
+        },
+        uint32: {
+            encode: function(value) {
+                return codec._short2bin(value >>> 16) + codec._short2bin(value & 0xffff);
+            },
+            decode: function(value) {
+                if (value.length !== 4) {
+                    throw new Error("bad uint32 field");
+                }
+                return codec._bin2short(value.slice(0, 2)) * 0x10000 + codec._bin2short(value.slice(2));
+            },
+        },
+    };
+
+    var _bodyTypes = new Map(); // type id -> { cls, fields }
+    var _bodyTypeIds = new Map(); // cls -> type id
+
+    /**
+     * Register a MessageBody type with {@link
+     * module:mpenc/message.DefaultMessageCodec}, so that it may be sent to
+     * and received from a session.
+     *
+     * Fields may be added to a type in later versions, as long as their tags
+     * are new. Those that older versions may safely ignore should be
+     * non-critical. Fields must never be removed or have their tag or kind
+     * changed; if necessary, register a new type instead.
+     *
+     * @param type {number} Type id, unique among all registered types. Ids
+     *      below 0x0100 are reserved for this library; applications should
+     *      use ids between 0x0100 and 0xffff.
+     * @param cls {function} Class of the type, created by {@link
+     *      module:mpenc/helper/struct.createTupleClass} with a base class of
+     *      {@link module:mpenc/message.MessageBody}.
+     * @param fields {Array.<module:mpenc/message~BodyField>} How to encode
+     *      each field of the tuple, in order. Values that are
+     *      <code>undefined</code> are omitted from the encoding.
+     */
+    ns.registerBodyType = function(type, cls, fields) {
+        if (!(cls.prototype instanceof MessageBody)) {
+            throw new Error("tried to register non-MessageBody: " + cls);
+        }
+        if (typeof type !== "number" || type < 0 || type > 0xffff || type % 1) {
+            throw new Error("bad body type id: " + type);
+        }
+        if (_bodyTypes.has(type) || _bodyTypeIds.has(cls)) {
+            throw new Error("body type already registered: " + type + ", " + cls);
+        }
+        var tags = new Map(); // tag -> index of field
+        fields.forEach(function(field, i) {
+            if (!(field.tag > 0 && field.tag < CRITICAL_FIELD) || tags.has(field.tag)) {
+                throw new Error("bad or duplicate tag for " + cls + ": " + field.tag);
+            }
+            if (!_FIELD_KINDS.hasOwnProperty(field.kind)) {
+                throw new Error("bad kind for " + cls + ": " + field.kind);
+            }
+            tags.set(field.tag, i);
+        });
+        _bodyTypes.set(type, { cls: cls, fields: fields.slice(), tags: tags });
+        _bodyTypeIds.set(cls, type);
+    };
+
+    ns.registerBodyType(0x00, Payload, [
+        { tag: 0x01, kind: "string", critical: true },
+    ]);
+    ns.registerBodyType(0x01, ExplicitAck, [
+        { tag: 0x01, kind: "boolean" },
+    ]);
+    ns.registerBodyType(0x02, HeartBeat, [
+        { tag: 0x01, kind: "boolean" },
+    ]);
+    ns.registerBodyType(0x03, Consistency, [
+        { tag: 0x01, kind: "boolean", critical: true },
+    ]);
+    ns.registerBodyType(0x04, Attachment, [
+        { tag: 0x01, kind: "string", critical: true },
+        { tag: 0x02, kind: "string", critical: true },
+        { tag: 0x03, kind: "binary", critical: true },
+        { tag: 0x04, kind: "binary", critical: true },
+        { tag: 0x05, kind: "string" },
+        { tag: 0x06, kind: "uint32" },
+    ]);
+    ns.registerBodyType(0x05, SharedHistory, [
+        { tag: 0x01, kind: "binary", critical: true },
+    ]);
+
+    // values longer than a single TLV record are split over several
+    // consecutive records with the same tag
+    var _encodeField = function(tag, value) {
+        var out = "";
+        do {
+            out += codec.encodeTLV(tag, value.slice(0, 0xffff));
+            value = value.slice(0xffff);
+        } while (value.length);
+        return out;
+    };
+
+    var _popField = function(data) {
+        var record = codec.decodeTLV(data);
+        var value = record.value;
+        while (record.value.length === 0xffff && record.rest.length &&
+               codec._bin2short(record.rest.slice(0, 2)) === record.type) {
+            record = codec.decodeTLV(record.rest);
+            value += record.value;
+        }
+        return { tag: record.type, value: value, rest: record.rest };
+    };
+
+    /**
+     * Object for converting MessageBody to/from string representation.
+     *
+     * The body is encoded as a sequence of TLV records: first its type id,
+     * as registered via {@link module:mpenc/message.registerBodyType}, then
+     * one record for each of its fields. Bodies of unknown types, or with
+     * unknown critical fields, are decoded as a {@link
+     * module:mpenc/message.UnknownBody}. Bodies in the format of
+     * {@link module:mpenc/message.LegacyMessageCodec} are also decoded.
+     */
+    var DefaultMessageCodec = {
+
+        encode: function(body) {
+            if (body instanceof UnknownBody) {
+                // re-encode it as we received it, e.g. for session snapshots
+                return codec.encodeTLV(_BODY_TYPE_TAG, codec._short2bin(body.type)) + body.data;
+            }
+            if (!(body instanceof MessageBody) || !_bodyTypeIds.has(body.constructor)) {
+                throw new Error("tried to encode unregistered MessageBody: " + body);
+            }
+            var type = _bodyTypeIds.get(body.constructor);
+            var out = codec.encodeTLV(_BODY_TYPE_TAG, codec._short2bin(type));
+            _bodyTypes.get(type).fields.forEach(function(field, i) {
+                if (body[i] === undefined) {
+                    return;
+                }
+                var tag = field.critical ? field.tag | CRITICAL_FIELD : field.tag;
+                out += _encodeField(tag, _FIELD_KINDS[field.kind].encode(body[i]));
+            });
+            return out;
+        },
+
+        decode: function(data) {
+            if (data[1] === "[") {
+                // a type byte followed by JSON, i.e. the "body:default" format
+                return LegacyMessageCodec.decode(data);
+            }
+            var record = codec.decodeTLV(data);
+            if (record.type !== _BODY_TYPE_TAG || record.value.length !== 2) {
+                throw new Error("bad decode: no body type");
+            }
+            var type = codec._bin2short(record.value);
+            if (!_bodyTypes.has(type)) {
+                logger.info("decoded body of unknown type: " + type);
+                return new UnknownBody(type, record.rest);
+            }
+            var registered = _bodyTypes.get(type);
+            var values = [];
+            var rest = record.rest;
+            while (rest.length) {
+                var field = _popField(rest);
+                var tag = field.tag & (CRITICAL_FIELD - 1);
+                rest = field.rest;
+                if (registered.tags.has(tag)) {
+                    var i = registered.tags.get(tag);
+                    values[i] = _FIELD_KINDS[registered.fields[i].kind].decode(field.value);
+                } else if (field.tag & CRITICAL_FIELD) {
+                    // ignore just this message, not the session that it is in
+                    logger.info("decoded body with unknown critical field " + tag +
+                        " in body type " + type);
+                    return new UnknownBody(type, record.rest);
+                }
+            }
+            return new (Function.prototype.bind.apply(registered.cls, [undefined].concat(values)))();
+        },
+
     };
     ns.DefaultMessageCodec = DefaultMessageCodec;
 
@@ -256,13 +681,381 @@ define([
     ns.DecryptVerifyError = DecryptVerifyError;
 
 
-    var _dummyMessageSecrets = function(signature, content) {
+    /**
+     * Maximum number of keys that a {@link module:mpenc/message.SenderChain}
+     * will derive ahead of its current position, to decrypt a single message.
+     */
+    var MAX_SKIP = 512;
+
+    /**
+     * Maximum number of not-yet-used keys that a {@link
+     * module:mpenc/message.SenderChain} will remember, for messages that were
+     * received out-of-order. When this is exceeded, the oldest are deleted.
+     */
+    var MAX_SKIPPED_KEYS = 1024;
+
+    /**
+     * Number of keys that we skip in our own {@link
+     * module:mpenc/message.SenderChain}, when restoring it from a snapshot.
+     * The snapshot might be slightly older than the last message that we
+     * sent, and others will not accept a second message under the same key.
+     */
+    var RESTORE_SKIP = 16;
+
+    var _hmac = function(key, data) {
+        return utils.bytes2string(asmCrypto.HMAC_SHA256.bytes(data, key));
+    };
+
+    /**
+     * One-way chain of message keys for a single sender in a session.
+     *
+     * <pre>
+     * chainKey[0]   = HMAC(groupKey, "mpenc sender chain" || sender)
+     * messageKey[i] = HMAC(chainKey[i], 0x01)
+     * chainKey[i+1] = HMAC(chainKey[i], 0x02)
+     * </pre>
+     *
+     * Message keys are 32 bytes; a {@link module:mpenc/message.CipherSuite}
+     * that needs a shorter key uses a prefix of it.
+     *
+     * Only the latest chain key is kept, plus the message keys of any earlier
+     * positions that have not yet been used. Once a message key is used, it
+     * is deleted and cannot be recovered, even by someone who later learns
+     * the state of this chain.
+     *
+     * @class
+     * @private
+     * @param groupKey {?string} Group key of the session, or <code>null</code>
+     *      if this chain is to be restored from a snapshot before it is used.
+     * @param sender {string} Member whose messages this chain is for.
+     * @memberOf module:mpenc/message
+     */
+    var SenderChain = function(groupKey, sender) {
+        this._sender = sender;
+        this._chainKey = groupKey === null ? null : _hmac(groupKey, "mpenc sender chain" + sender);
+        this._index = 0;
+        this._skipped = new Map(); // index -> messageKey
+    };
+
+    SenderChain.prototype._messageKey = function(chainKey) {
+        return _hmac(chainKey, "\x01");
+    };
+
+    SenderChain.prototype._nextChainKey = function(chainKey) {
+        return _hmac(chainKey, "\x02");
+    };
+
+    /**
+     * @returns {number} The next position in the chain that was never used.
+     */
+    SenderChain.prototype.nextIndex = function() {
+        return this._index;
+    };
+
+    /**
+     * Get the message key at the given position, without using it up.
+     *
+     * @param index {number} Position in the chain.
+     * @returns {?string} The message key, or <code>null</code> if it was
+     *      already deleted or is too far ahead of the current position.
+     */
+    SenderChain.prototype.peek = function(index) {
+        if (index < this._index) {
+            return this._skipped.has(index) ? this._skipped.get(index) : null;
+        }
+        if (index - this._index >= MAX_SKIP) {
+            return null;
+        }
+        var chainKey = this._chainKey;
+        for (var i = this._index; i < index; i++) {
+            chainKey = this._nextChainKey(chainKey);
+        }
+        return this._messageKey(chainKey);
+    };
+
+    /**
+     * Use up the message key at the given position, deleting it. The chain is
+     * advanced past this position if necessary, and the message keys of any
+     * positions skipped over are remembered for later.
+     *
+     * @param index {number} Position in the chain.
+     */
+    SenderChain.prototype.consume = function(index) {
+        if (index < this._index) {
+            this._skipped.delete(index);
+            return;
+        }
+        _assert(index - this._index < MAX_SKIP, "tried to skip too many keys");
+        while (this._index < index) {
+            this._skipped.set(this._index, this._messageKey(this._chainKey));
+            this._advance();
+        }
+        this._advance();
+        while (this._skipped.size > MAX_SKIPPED_KEYS) {
+            var oldest = this._skipped.keys().next().value;
+            this._skipped.delete(oldest);
+            logger.warn("deleted unused message key " + oldest + " of " + this._sender +
+                        "; too many skipped keys");
+        }
+    };
+
+    /**
+     * Reserve the next position in the chain, for encrypting a new message.
+     * Its key is remembered until it is used up via <code>consume</code>.
+     *
+     * @returns {{ index: number, key: string }}
+     */
+    SenderChain.prototype.reserve = function() {
+        var index = this._index;
+        var key = this._messageKey(this._chainKey);
+        this._skipped.set(index, key);
+        this._advance();
+        return { index: index, key: key };
+    };
+
+    SenderChain.prototype._advance = function() {
+        this._chainKey = this._nextChainKey(this._chainKey);
+        this._index++;
+    };
+
+    /**
+     * @param [withSkipped] {boolean} Whether to include the keys of skipped
+     *      positions. Default: true.
+     * @returns {Object} The state of this chain, as a JSON-compatible object.
+     */
+    SenderChain.prototype.snapshot = function(withSkipped) {
+        var skipped = withSkipped === false ? [] : struct.iteratorToArray(this._skipped.entries());
+        return { chainKey: this._chainKey, index: this._index, skipped: skipped };
+    };
+
+    /**
+     * Replace the state of this chain with one from a snapshot.
+     *
+     * @param state {Object} As returned by <code>snapshot()</code>.
+     * @param [skip] {number} Number of further positions to skip, without
+     *      remembering their keys. Default: 0.
+     */
+    SenderChain.prototype.restore = function(state, skip) {
+        this._chainKey = state.chainKey;
+        this._index = state.index;
+        this._skipped = new Map(state.skipped);
+        for (var i = 0; i < (skip || 0); i++) {
+            this._advance();
+        }
+    };
+
+    ns.SenderChain = SenderChain;
+
+    /**
+     * Symmetric cipher used to encrypt the (padded) body of data messages.
+     *
+     * @interface
+     * @private
+     * @property id {number} 1-byte identifier used on the wire.
+     * @property name {string} Name, as used in the "cipher" feature category
+     *      of {@link module:mpenc/capability.Capabilities}.
+     * @property keySize {number} Number of key bytes used.
+     * @property nonceSize {number} Number of bytes in the IV/nonce.
+     * @property encrypt {function} 2-arg function (plaintext, key) that
+     *      returns <code>{ data: string, iv: string }</code>.
+     * @property decrypt {function} 3-arg function (data, key, iv) that returns
+     *      the plaintext, or <code>null</code> if the ciphertext failed to
+     *      authenticate.
+     * @memberOf module:mpenc/message
+     */
+    var CipherSuite = function() {
+        throw new Error("cannot instantiate an interface");
+    };
+    ns.CipherSuite = CipherSuite;
+
+    /**
+     * AES-128-CTR with a random 96-bit nonce. This is unauthenticated, and
+     * relies entirely on the message signature for integrity.
+     *
+     * @private
+     * @implements {module:mpenc/message.CipherSuite}
+     * @memberOf module:mpenc/message
+     */
+    var AES_CTR = {
+        id: 0x00,
+        name: "aes-ctr",
+        keySize: 16,
+        nonceSize: 12,
+        encrypt: function(plaintext, key) {
+            var nonce = utils.randomString(12);
+            var cipherBytes = asmCrypto.AES_CTR.encrypt(plaintext,
+                utils.string2bytes(key), utils.string2bytes(nonce + "\0\0\0\0"));
+            return { data: utils.bytes2string(cipherBytes), iv: nonce };
+        },
+        decrypt: function(data, key, iv) {
+            var clearBytes = asmCrypto.AES_CTR.decrypt(data,
+                utils.string2bytes(key), utils.string2bytes(iv.slice(0, 12) + "\0\0\0\0"));
+            return utils.bytes2string(clearBytes);
+        },
+    };
+    ns.AES_CTR = AES_CTR;
+
+    /**
+     * AES-128-GCM with a random 96-bit nonce and a 128-bit tag.
+     *
+     * @private
+     * @implements {module:mpenc/message.CipherSuite}
+     * @memberOf module:mpenc/message
+     */
+    var AES_GCM = {
+        id: 0x01,
+        name: "aes-gcm",
+        keySize: 16,
+        nonceSize: 12,
+        encrypt: function(plaintext, key) {
+            var nonce = utils.randomString(12);
+            var cipherBytes = asmCrypto.AES_GCM.encrypt(utils.string2bytes(plaintext),
+                utils.string2bytes(key), utils.string2bytes(nonce));
+            return { data: utils.bytes2string(cipherBytes), iv: nonce };
+        },
+        decrypt: function(data, key, iv) {
+            try {
+                return utils.bytes2string(asmCrypto.AES_GCM.decrypt(utils.string2bytes(data),
+                    utils.string2bytes(key), utils.string2bytes(iv)));
+            } catch (e) {
+                logger.debug("AES-GCM decryption failed: " + e);
+                return null;
+            }
+        },
+    };
+    ns.AES_GCM = AES_GCM;
+
+    /**
+     * XSalsa20-Poly1305 with a random 192-bit nonce, i.e. NaCl secretbox.
+     *
+     * @private
+     * @implements {module:mpenc/message.CipherSuite}
+     * @memberOf module:mpenc/message
+     */
+    var XSALSA20_POLY1305 = {
+        id: 0x02,
+        name: "xsalsa20-poly1305",
+        keySize: 32,
+        nonceSize: 24,
+        encrypt: function(plaintext, key) {
+            var nonce = utils.randomString(nacl.secretbox.nonceLength);
+            var cipherBytes = nacl.secretbox(utils.string2bytes(plaintext),
+                utils.string2bytes(nonce), utils.string2bytes(key));
+            return { data: utils.bytes2string(cipherBytes), iv: nonce };
+        },
+        decrypt: function(data, key, iv) {
+            if (iv.length !== nacl.secretbox.nonceLength) {
+                return null;
+            }
+            var clearBytes = nacl.secretbox.open(utils.string2bytes(data),
+                utils.string2bytes(iv), utils.string2bytes(key));
+            return clearBytes ? utils.bytes2string(clearBytes) : null;
+        },
+    };
+    ns.XSALSA20_POLY1305 = XSALSA20_POLY1305;
+
+    /**
+     * Supported cipher suites, indexed by name.
+     */
+    ns.CIPHER_SUITES = {};
+    [AES_CTR, AES_GCM, XSALSA20_POLY1305].forEach(function(suite) {
+        ns.CIPHER_SUITES[suite.name] = suite;
+    });
+
+    /**
+     * @param id {number} Wire identifier of a cipher suite.
+     * @returns {?module:mpenc/message.CipherSuite} The suite, or
+     *      <code>null</code> if we don't support it.
+     */
+    ns.cipherSuiteById = function(id) {
+        for (var name in ns.CIPHER_SUITES) {
+            if (ns.CIPHER_SUITES[name].id === id) {
+                return ns.CIPHER_SUITES[name];
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Maximum number of (UTF-8 encoded) body bytes carried by a single data
+     * packet. Larger bodies are split into several fragments, each sent as
+     * its own packet.
+     */
+    var FRAGMENT_SIZE = 0x8000;
+    ns.FRAGMENT_SIZE = FRAGMENT_SIZE;
+
+    /**
+     * Default maximum size of a (UTF-8 encoded) message body, that we are
+     * willing to send or reassemble from fragments.
+     */
+    var DEFAULT_MAX_MESSAGE_SIZE = 0x100000;
+    ns.DEFAULT_MAX_MESSAGE_SIZE = DEFAULT_MAX_MESSAGE_SIZE;
+
+    // Largest padded clear text, such that its cipher text (with up to 16
+    // bytes of authentication tag) still fits in a single TLV record.
+    var MAX_PADDED_SIZE = 0xffff - 16;
+
+    /**
+     * Cipher suite used to encrypt the bodies of whispers, and their keys to
+     * each reader. This is independent of the session's cipher suite, which
+     * still protects the rest of the packet.
+     *
+     * @private
+     */
+    var WHISPER_SUITE = XSALSA20_POLY1305;
+
+    var _whisperSeal = function(data, key) {
+        var encrypted = WHISPER_SUITE.encrypt(data, key);
+        return encrypted.iv + encrypted.data;
+    };
+
+    var _whisperOpen = function(data, key) {
+        var n = WHISPER_SUITE.nonceSize;
+        return WHISPER_SUITE.decrypt(data.slice(n), key, data.slice(0, n));
+    };
+
+    // parts: Array of signature + content of each packet of the message
+    var _messageId = function(parts) {
+        // ignore sidkeyHint since that's unauthenticated
+        return utils.sha256(parts.join("")).slice(0, 20);
+    };
+
+    var _messageSecrets = function(parts, chain, indexes, whisperKey) {
+        var deleteKeys = function() {
+            indexes.forEach(chain.consume.bind(chain));
+        };
         return {
-            // ignore sidkeyHint since that's unauthenticated
-            mId: utils.sha256(signature + content).slice(0, 20),
-            commit: function() {},
-            destroy: function() {},
+            mId: _messageId(parts),
+            messageKeys: indexes.map(chain.peek.bind(chain)),
+            whisperKey: whisperKey || null,
+            commit: deleteKeys,
+            destroy: deleteKeys,
+        };
+    };
+
+    var _encodeIndex = function(index) {
+        return codec._short2bin(index >>> 16) + codec._short2bin(index & 0xffff);
+    };
+
+    var _decodeIndex = function(value) {
+        if (value.length !== 4) {
+            codec.decodeError("unexpected length for MESSAGE_KEY_INDEX");
+        }
+        return codec._bin2short(value.slice(0, 2)) * 0x10000 + codec._bin2short(value.slice(2));
+    };
+
+    var _decodeFragment = function(value) {
+        if (value.length !== 4) {
+            codec.decodeError("unexpected length for MESSAGE_FRAGMENT");
+        }
+        var fragment = {
+            index: codec._bin2short(value.slice(0, 2)),
+            count: codec._bin2short(value.slice(2)),
         };
+        if (fragment.count < 2 || fragment.index >= fragment.count) {
+            throw new DecryptVerifyError("bad fragment " + fragment.index + " of " + fragment.count);
+        }
+        return fragment;
     };
 
     /**
@@ -275,8 +1068,9 @@ define([
      *     Parent message ids.
      * @property readers {module:mpenc/helper/struct.ImmutableSet}
      *     Readers of the message, as intended by the author.
-     * @property body {string}
-     *     MessageBody object encoded as a byte string.
+     * @property body {?string}
+     *     MessageBody object encoded as a byte string, or <code>null</code>
+     *     for a received whisper that we are not a reader of.
      */
 
     /**
@@ -285,6 +1079,12 @@ define([
      * @typedef {Object} PendingMessageSecrets
      * @property mId {string}
      *     Message identifier.
+     * @property messageKeys {Array.<string>}
+     *     Keys of the packets of the message, in order. These decrypt only
+     *     this message and no others, so they may be disclosed along with
+     *     it, e.g. in an archive; see {@link module:mpenc/message.openPackets}.
+     * @property whisperKey {?string}
+     *     Key of the body of the message, if it is a whisper that we can read.
      * @property commit {function}
      *     0-arg function, called when the message is accepted into the
      *     transcript, to commit the secrets to more permanent memory.
@@ -297,22 +1097,131 @@ define([
      * Component that holds cryptographic state needed to encrypt/decrypt
      * messages that are part of a session.
      *
+     * Each message is encrypted with a fresh key from its author's {@link
+     * module:mpenc/message.SenderChain}, which is deleted once the message is
+     * committed to or destroyed from the transcript. The group key is only
+     * used to seed these chains when this object is created, after which it
+     * is wiped from the GreetStore, so that it does not outlive the keys of
+     * the messages that were already sent. So are our private contributions
+     * to it, since together with the intermediate keys that were broadcast
+     * during the greeting, they would reproduce it; the next greeting then
+     * agrees on a new key from scratch, see {@link module:mpenc/greet/greeter}.
+     * An object created from a GreetStore that was already used like this,
+     * must be restored from a snapshot of the original one.
+     *
+     * Message bodies larger than {@link module:mpenc/message.FRAGMENT_SIZE}
+     * are split into several packets, each with its own key and signature.
+     * When receiving, fragments are decrypted and verified as they arrive, and
+     * buffered until the whole message can be reassembled. At most
+     * <code>maxMessageSize</code> bytes are buffered for each member.
+     *
+     * A message may be sent to only some of the other members, i.e. as a
+     * "whisper". Its body is encrypted under a fresh random key, which is
+     * then encrypted to each reader under a key shared only between them and
+     * the author, derived via Diffie-Hellman from the ephemeral keys of the
+     * greeting. The packet is otherwise the same as for other messages, so
+     * that all members can still verify it and learn its parents and readers,
+     * which they need to keep the transcript consistent. Only its readers
+     * learn its body.
+     *
      * @class
      * @private
      * @param greetStore {module:mpenc/greet/greeter.GreetStore}
-     * @param [paddingSize] {number}
-     *     Number of bytes to pad the cipher text to come out as (default: 0
-     *     to turn off padding). If the clear text will result in a larger
-     *     cipher text than paddingSize, power of two exponential padding sizes
-     *     will be used.
+     * @param [padding] {(module:mpenc/padding.PaddingStrategy|number)}
+     *     Strategy to pad the clear text of our own messages with (default:
+     *     no padding). A number is taken as the block size for {@link
+     *     module:mpenc/padding.ExponentialPadding}, with 0 meaning no padding.
+     * @param [cipherSuite] {string}
+     *     Name of the {@link module:mpenc/message.CipherSuite} negotiated
+     *     for the group (default: "aes-ctr"). We encrypt our own messages
+     *     with it, and reject messages from others that use any other suite,
+     *     so that nobody can downgrade the group to a weaker one.
+     * @param [maxMessageSize] {number}
+     *     Maximum size in bytes of a (UTF-8 encoded) message body, that we
+     *     will send or reassemble (default: {@link
+     *     module:mpenc/message.DEFAULT_MAX_MESSAGE_SIZE}).
      * @memberOf module:mpenc/message
      */
-    var MessageSecurity = function(greetStore, paddingSize) {
+    var MessageSecurity = function(greetStore, padding, cipherSuite, maxMessageSize) {
         if (!(this instanceof MessageSecurity)) {
-            return new MessageSecurity(greetStore, paddingSize);
+            return new MessageSecurity(greetStore, padding, cipherSuite, maxMessageSize);
+        }
+        cipherSuite = cipherSuite || AES_CTR.name;
+        if (!ns.CIPHER_SUITES.hasOwnProperty(cipherSuite)) {
+            throw new Error("unsupported cipher suite: " + cipherSuite);
         }
         this._greetStore = greetStore;
-        this._paddingSize = paddingSize || 0;
+        this._padding = padding ? paddingMod.fromOption(padding) : paddingMod.NONE;
+        this._cipherSuite = ns.CIPHER_SUITES[cipherSuite];
+        this._maxMessageSize = maxMessageSize || DEFAULT_MAX_MESSAGE_SIZE;
+        this._fragments = new Map(); // author -> Map(first key index -> partial message)
+        this._pairwiseKeys = new Map(); // member -> key shared with them
+        var groupKey = greetStore.groupKey || null;
+        this._sidkeyHash = groupKey === null ? null : utils.sha256(greetStore.sessionId + groupKey);
+        this._chains = new Map();
+        for (var i = 0; i < greetStore.members.length; i++) {
+            var member = greetStore.members[i];
+            this._chains.set(member, new SenderChain(groupKey, member));
+        }
+        greetStore.groupKey = null;
+        greetStore.privKeyList = [];
+        greetStore.intKeys = [];
+    };
+
+    /**
+     * Get the state of the sender chains, e.g. to save it across restarts.
+     * Fragments of incomplete messages are not included.
+     *
+     * @returns {Object} A JSON-compatible object.
+     */
+    MessageSecurity.prototype.snapshot = function() {
+        var owner = this._greetStore.id;
+        var chains = {};
+        this._chains.forEach(function(chain, member) {
+            // keys reserved for our own messages are never needed again
+            chains[member] = chain.snapshot(member !== owner);
+        });
+        return { sidkeyHash: this._sidkeyHash, chains: chains };
+    };
+
+    /**
+     * Restore the state of the sender chains from a snapshot. This must
+     * have been taken from an object created from the same greeting.
+     *
+     * Our own chain is advanced a bit further, in case we sent messages
+     * after the snapshot was taken. Even so, restoring a snapshot that is
+     * older than this will fail to deliver our messages, and reuse keys.
+     *
+     * @param state {Object} As returned by <code>snapshot()</code>.
+     * @throws {Error} If the snapshot does not match our members.
+     */
+    MessageSecurity.prototype.restore = function(state) {
+        var owner = this._greetStore.id;
+        this._chains.forEach(function(chain, member) {
+            if (!state.chains.hasOwnProperty(member)) {
+                throw new Error("no sender chain in snapshot for: " + member);
+            }
+            chain.restore(state.chains[member], member === owner ? RESTORE_SKIP : 0);
+        });
+        this._sidkeyHash = state.sidkeyHash;
+    };
+
+    /**
+     * Get the public values that others need to verify the signatures of
+     * packets in this session, without being able to decrypt them.
+     *
+     * @returns {{ sidkeyHash: string, signingKeys: Object }}
+     *     Hash of the session id and group key that is bound into every
+     *     signature, and the ephemeral signing key of each member.
+     * @see module:mpenc/message.verifyPackets
+     */
+    MessageSecurity.prototype.signingParams = function() {
+        var pubKeyMap = this._greetStore.pubKeyMap;
+        var signingKeys = {};
+        this._chains.forEach(function(_, member) {
+            signingKeys[member] = pubKeyMap[member];
+        });
+        return { sidkeyHash: this._sidkeyHash, signingKeys: signingKeys };
     };
 
     /**
@@ -325,44 +1234,133 @@ define([
      *     Message to authenticate and encrypt.
      * @returns {{
      *     pubtxt: string,
+     *     fragments: Array.<string>,
      *     secrets: module:mpenc/message.PendingMessageSecrets
      * }}
-     *     Authenticated ciphertext and message secrets.
+     *     Authenticated ciphertext and message secrets. If the message had to
+     *     be fragmented, <code>fragments</code> contains all the packets to
+     *     send, in order; otherwise it contains only <code>pubtxt</code>.
+     * @throws {Error} If the message body is larger than the maximum size.
      */
     MessageSecurity.prototype.authEncrypt = function(transcript, message) {
         _assert(message.author === this._greetStore.id);
+
+        var others = new ImmutableSet(this._greetStore.members).subtract(
+            new ImmutableSet([this._greetStore.id]));
+        _assert(message.readers.size && !message.readers.subtract(others).size,
+                'Readers not members of session: ' + message.readers +
+                '; current members: ' + this._greetStore.members);
+        var whisper = message.readers.equals(others) ? null : this._makeWhisper(message.readers);
+
+        // Protect multi-byte characters (encode UTF-8).
+        var body = unescape(encodeURIComponent(message.body));
+        if (body.length > this._maxMessageSize) {
+            throw new Error("message too large: " + body.length +
+                " bytes, maximum is " + this._maxMessageSize);
+        }
+        var chunks = [];
+        for (var i = 0; i === 0 || i < body.length; i += FRAGMENT_SIZE) {
+            chunks.push(body.slice(i, i + FRAGMENT_SIZE));
+        }
+
+        var chain = this._chains.get(message.author);
+        var fragments = [];
+        var parts = [];
+        var indexes = [];
+        for (i = 0; i < chunks.length; i++) {
+            // only the first fragment carries the parents
+            var packet = this._authEncryptPacket(chain, i ? null : message.parents, chunks[i],
+                chunks.length > 1 ? { index: i, count: chunks.length } : null, whisper);
+            fragments.push(packet.pubtxt);
+            parts.push(packet.signature + packet.content);
+            indexes.push(packet.index);
+        }
+
+        return {
+            pubtxt: fragments[fragments.length - 1],
+            fragments: fragments,
+            secrets: _messageSecrets(parts, chain, indexes, whisper ? whisper.key : null),
+        };
+    };
+
+    MessageSecurity.prototype._makeWhisper = function(readers) {
+        var key = utils.randomString(WHISPER_SUITE.keySize);
+        var self = this;
+        readers = readers.toArray();
+        readers.sort();
+        return {
+            key: key,
+            readers: readers,
+            readerKeys: readers.map(function(reader) {
+                return _whisperSeal(key, self._pairwiseKey(reader));
+            }),
+        };
+    };
+
+    MessageSecurity.prototype._pairwiseKey = function(member) {
+        if (!this._pairwiseKeys.has(member)) {
+            var pubKey = this._greetStore.pubKeyMap[member];
+            if (!pubKey) {
+                throw new Error("no key found for: " + member);
+            }
+            var shared = utils.bytes2string(nacl.scalarMult(
+                utils.string2bytes(utils.toCurve25519PrivKey(this._greetStore.ephemeralPrivKey)),
+                utils.string2bytes(utils.toCurve25519PubKey(pubKey))));
+            if (/^\x00*$/.test(shared)) {
+                // their key is of low order, so anyone could compute this
+                throw new Error("bad key for: " + member);
+            }
+            this._pairwiseKeys.set(member,
+                _hmac(shared, "mpenc pairwise key" + this._greetStore.sessionId));
+        }
+        return this._pairwiseKeys.get(member);
+    };
+
+    MessageSecurity.prototype._authEncryptPacket = function(chain, parents, body, fragment, whisper) {
         var privKey = this._greetStore.ephemeralPrivKey;
         var pubKey = this._greetStore.ephemeralPubKey;
 
         // We want message attributes in this order:
         // sid/key hint, message signature, protocol version, message type,
-        // iv, message data
-        var sessionID = this._greetStore.sessionId;
-        var groupKey = this._greetStore.groupKey;
-        var members = message.readers.union(new ImmutableSet([this._greetStore.id]));
-        _assert(members.equals(new ImmutableSet(this._greetStore.members)),
-                'Readers not members of session: ' + members +
-                '; current members: ' + this._greetStore.members);
+        // key index, cipher suite, fragment, iv, message data
 
         // Three portions: unsigned content (hint), signature, rest.
         // Compute info for the SIDKEY_HINT and signature.
-        var sidkeyHash = utils.sha256(sessionID + groupKey);
-
-        // Rest (protocol version, message type, iv, message data).
+        var sidkeyHash = this._sidkeyHash;
+
+        // Rest (protocol version, message type, key index, cipher suite,
+        // fragment, iv, message data). The cipher suite is omitted for
+        // AES-CTR, which is the default, and the fragment for unfragmented
+        // messages.
+        var messageKey = chain.reserve();
+        var suite = this._cipherSuite;
         var content = codec.ENCODED_VERSION + codec.ENCODED_TYPE_DATA;
+        content += codec.encodeTLV(codec.TLV_TYPE.MESSAGE_KEY_INDEX, _encodeIndex(messageKey.index));
+        if (suite !== AES_CTR) {
+            content += codec.encodeTLV(codec.TLV_TYPE.CIPHER_SUITE, String.fromCharCode(suite.id));
+        }
+        if (fragment) {
+            content += codec.encodeTLV(codec.TLV_TYPE.MESSAGE_FRAGMENT,
+                codec._short2bin(fragment.index) + codec._short2bin(fragment.count));
+        }
 
         // Encryption payload
         var rawBody = "";
-        if (message.parents) {
-            message.parents.forEach(function(pmId) {
+        if (parents) {
+            parents.forEach(function(pmId) {
                 rawBody += codec.encodeTLV(codec.TLV_TYPE.MESSAGE_PARENT, pmId);
             });
         }
-        // Protect multi-byte characters (encode UTF-8).
-        var body = unescape(encodeURIComponent(message.body));
+        if (whisper) {
+            whisper.readers.forEach(function(reader, i) {
+                rawBody += codec.encodeTLV(codec.TLV_TYPE.MESSAGE_READER, reader);
+                rawBody += codec.encodeTLV(codec.TLV_TYPE.MESSAGE_READER_KEY, whisper.readerKeys[i]);
+            });
+            body = _whisperSeal(body, whisper.key);
+        }
         rawBody += codec.encodeTLV(codec.TLV_TYPE.MESSAGE_BODY, body);
 
-        var encrypted = ns._encryptRaw(rawBody, groupKey, this._paddingSize);
+        var encrypted = ns._encryptRaw(rawBody, messageKey.key, this._padding, suite);
         content += codec.encodeTLV(codec.TLV_TYPE.MESSAGE_IV, encrypted.iv);
         content += codec.encodeTLV(codec.TLV_TYPE.MESSAGE_PAYLOAD, encrypted.data);
 
@@ -377,47 +1375,46 @@ define([
 
         return {
             pubtxt: codec.encodeWirePacket(out),
-            secrets: _dummyMessageSecrets(signature, content),
+            signature: signature,
+            content: content,
+            index: messageKey.index,
         };
     };
 
     /**
      * Encrypts a given data message.
      *
-     * The data message is encrypted using AES-128-CTR, and a new random
-     * IV/nonce (96 bits, 12 bytes) is generated and returned.
+     * The data message is encrypted using the given cipher suite, which
+     * generates and returns a new random IV/nonce.
      *
      * @param data {string}
      *     Binary string data message.
      * @param key {string}
-     *     Binary string representation of 128-bit encryption key.
-     * @param paddingSize {integer}
-     *     Number of bytes to pad the cipher text to come out as (default: 0
-     *     to turn off padding). If the clear text will result in a larger
-     *     cipher text than paddingSize, power of two exponential padding sizes
-     *     will be used.
+     *     Binary string representation of the encryption key. Only the first
+     *     <code>suite.keySize</code> bytes are used.
+     * @param [padding] {(module:mpenc/padding.PaddingStrategy|integer)}
+     *     Strategy to pad the clear text with before encrypting it (default:
+     *     no padding). A number is taken as the block size for {@link
+     *     module:mpenc/padding.ExponentialPadding}, with 0 meaning no padding.
+     * @param [suite] {module:mpenc/message.CipherSuite}
+     *     Cipher suite to use (default: AES-128-CTR).
      * @returns {Object}
      *     An object containing the message (in `data`, binary string) and
      *     the IV used (in `iv`, binary string).
      */
-    ns._encryptRaw = function(dataBytes, key, paddingSize) {
-        paddingSize = paddingSize | 0;
-        var keyBytes = utils.string2bytes(key);
+    ns._encryptRaw = function(dataBytes, key, padding, suite) {
+        padding = padding ? paddingMod.fromOption(padding) : paddingMod.NONE;
+        suite = suite || AES_CTR;
         // Prepend length in bytes to message.
         _assert(dataBytes.length < 0xffff,
                 'Message size too large for encryption scheme.');
         dataBytes = codec._short2bin(dataBytes.length) + dataBytes;
-        if (paddingSize) {
-            // Compute exponential padding size.
-            var exponentialPaddingSize = paddingSize
-                                       * (1 << Math.ceil(Math.log(Math.ceil((dataBytes.length) / paddingSize))
-                                                         / Math.log(2))) + 1;
-            var numPaddingBytes = exponentialPaddingSize - dataBytes.length;
-            dataBytes += (new Array(numPaddingBytes)).join('\u0000');
+        // Don't pad beyond what still fits in a TLV record, after the tag.
+        var paddedSize = Math.min(padding.paddedSize(dataBytes.length), MAX_PADDED_SIZE);
+        if (paddedSize > dataBytes.length) {
+            dataBytes += (new Array(paddedSize - dataBytes.length + 1)).join('\u0000');
         }
-        var nonce = utils.randomString(12);
-        var cipherBytes = asmCrypto.AES_CTR.encrypt(dataBytes, keyBytes, utils.string2bytes(nonce + "\0\0\0\0"));
-        return { data: utils.bytes2string(cipherBytes), iv: nonce };
+        return suite.encrypt(dataBytes, key.slice(0, suite.keySize));
     };
 
     /**
@@ -430,16 +1427,16 @@ define([
      *     transport and assumed to be public knowledge, to decrypt and verify.
      * @param authorHint {string}
      *     Claimed (unverified) author for the message.
-     * @returns {{
+     * @returns {?{
      *      message: module:mpenc/message.PendingMessage,
-     *      secrets: module:mpenc/message.PendingMessageSecrets
+     *      secrets: module:mpenc/message.PendingMessageSecrets,
+     *      packets: Array.<string>
      * }}
-     *     Verified message data and message secrets.
+     *     Verified message data and message secrets, and all the packets that
+     *     the message was sent in, in order; or <code>null</code> if the
+     *     packet was a verified fragment of a message that is not yet complete.
      */
     MessageSecurity.prototype.decryptVerify = function(transcript, pubtxt, authorHint) {
-        var sessionID = this._greetStore.sessionId;
-        var groupKey = this._greetStore.groupKey;
-
         if (!authorHint) {
             logger.warn('No message author for message available, '
                         + 'will not be able to decrypt: ' + pubtxt);
@@ -447,9 +1444,12 @@ define([
         }
 
         var decoded = codec.decodeWirePacket(pubtxt);
+        if (!decoded || decoded.type !== codec.MESSAGE_TYPE.MPENC_DATA_MESSAGE) {
+            throw new DecryptVerifyError("PacketRejected: not a data message");
+        }
         var signingPubKey = this._greetStore.pubKeyMap[authorHint];
         var inspected = _inspectMessage(decoded.content);
-        var sidkeyHash = utils.sha256(sessionID + groupKey);
+        var sidkeyHash = this._sidkeyHash;
 
         if (!signingPubKey) {
             throw new DecryptVerifyError("no key found for: " + authorHint);
@@ -466,18 +1466,253 @@ define([
             throw new DecryptVerifyError("bad signature");
         }
 
-        var decrypted = _decrypt(inspected, groupKey, authorHint, this._greetStore.members);
+        var chain = this._chains.get(authorHint);
+        if (!chain) {
+            throw new DecryptVerifyError("no sender chain for: " + authorHint);
+        }
+        var decrypted = this._openWhisper(authorHint, _decrypt(inspected, chain, authorHint, this._cipherSuite));
         logger.debug('Message from "' + authorHint + '" successfully decrypted.');
+        decrypted.packets = [pubtxt];
+        if (decrypted.fragment) {
+            decrypted = this._reassemble(authorHint, decrypted);
+            if (!decrypted) {
+                return null;
+            }
+        }
+
+        return {
+            secrets: _messageSecrets(decrypted.parts, chain, decrypted.indexes, decrypted.whisperKey),
+            message: {
+                author: authorHint,
+                parents: decrypted.parents,
+                readers: this._readers(authorHint, decrypted.readers),
+                // Undo protection for multi-byte characters (decode UTF-8).
+                body: decrypted.body === null ? null : decodeURIComponent(escape(decrypted.body)),
+            },
+            packets: decrypted.packets,
+        };
+    };
+
+    /**
+     * Verify the signatures of the packets of a message, without decrypting
+     * them, e.g. to check an archived transcript.
+     *
+     * @param packets {Array.<string>}
+     *     All the packets of the message, as encoded wire strings, in order.
+     * @param signingPubKey {string}
+     *     Ephemeral signing key of the claimed author of the message.
+     * @param sidkeyHash {string}
+     *     As returned by {@link module:mpenc/message.MessageSecurity#signingParams}.
+     * @returns {string}
+     *     The message id, as calculated from the packets.
+     * @throws {module:mpenc/message.DecryptVerifyError}
+     *     If any packet is not a data message, or its signature is bad.
+     */
+    ns.verifyPackets = function(packets, signingPubKey, sidkeyHash) {
+        if (!packets.length) {
+            throw new DecryptVerifyError("no packets");
+        }
+        return _messageId(packets.map(function(pubtxt) {
+            var decoded = codec.decodeWirePacket(pubtxt);
+            if (!decoded || decoded.type !== codec.MESSAGE_TYPE.MPENC_DATA_MESSAGE) {
+                throw new DecryptVerifyError("PacketRejected: not a data message");
+            }
+            var inspected = _inspectMessage(decoded.content);
+            if (!codec.verifyMessageSignature(codec.MESSAGE_TYPE.MPENC_DATA_MESSAGE,
+                    inspected.rawMessage, inspected.signature, signingPubKey, sidkeyHash)) {
+                throw new DecryptVerifyError("bad signature");
+            }
+            return inspected.signature + inspected.rawMessage;
+        }));
+    };
+
+    /**
+     * Decrypt the packets of a message with the given keys, without any other
+     * secrets, e.g. to check an archived transcript. This does not verify
+     * their signatures; use {@link module:mpenc/message.verifyPackets} first.
+     *
+     * @param packets {Array.<string>}
+     *     All the packets of the message, as encoded wire strings, in order.
+     * @param messageKeys {Array.<string>}
+     *     Key of each packet, as in {@link
+     *     module:mpenc/message.PendingMessageSecrets}.
+     * @param whisperKey {?string}
+     *     Key of the body, if the message is a whisper; without it, the body
+     *     of a whisper is not decrypted.
+     * @returns {{ parents: Array.<string>, readers: ?Array.<string>, body: ?string }}
+     *     The contents of the message. <code>readers</code> is
+     *     <code>null</code> unless the message is a whisper, and
+     *     <code>body</code> is <code>null</code> if it is a whisper that
+     *     could not be decrypted.
+     * @throws {module:mpenc/message.DecryptVerifyError}
+     *     If any packet does not decrypt, or they don't form a whole message.
+     */
+    ns.openPackets = function(packets, messageKeys, whisperKey) {
+        if (!packets.length || messageKeys.length !== packets.length) {
+            throw new DecryptVerifyError("need one key per packet");
+        }
+        var decrypted = packets.map(function(pubtxt, i) {
+            var inspected = _inspectMessage(codec.decodeWirePacket(pubtxt).content);
+            try {
+                return _decryptWith(inspected, _decodeMessage(inspected.rawMessage), messageKeys[i], "archive");
+            } catch (e) {
+                // e.g. garbage from a wrong key, for cipher suites without authentication
+                throw e instanceof DecryptVerifyError ? e : new DecryptVerifyError("bad key: " + e.message);
+            }
+        });
+        var readers = decrypted[0].readers;
+        decrypted.forEach(function(d, i) {
+            var fragment = d.fragment || { index: 0, count: 1 };
+            if (fragment.index !== i || fragment.count !== packets.length ||
+                    i && d.parents.length || String(d.readers) !== String(readers)) {
+                throw new DecryptVerifyError("packets are not the fragments of one message");
+            }
+        });
+        var body = decrypted.map(function(d) {
+            return !readers ? d.body : whisperKey ? _whisperOpen(d.body, whisperKey) : null;
+        });
+        if (readers && whisperKey && body.indexOf(null) >= 0) {
+            throw new DecryptVerifyError("whisper failed to authenticate");
+        }
+        return {
+            parents: decrypted[0].parents,
+            readers: readers,
+            body: body[0] === null ? null : decodeURIComponent(escape(body.join(""))),
+        };
+    };
+
+    MessageSecurity.prototype._readers = function(author, whisperReaders) {
+        var others = new ImmutableSet(this._greetStore.members).subtract(new ImmutableSet([author]));
+        if (!whisperReaders) {
+            return others;
+        }
+        var readers = new ImmutableSet(whisperReaders);
+        if (readers.size !== whisperReaders.length || readers.subtract(others).size) {
+            throw new DecryptVerifyError("bad readers " + readers + " from: " + author);
+        }
+        return readers;
+    };
+
+    MessageSecurity.prototype._openWhisper = function(author, decrypted) {
+        if (!decrypted.readers) {
+            return decrypted;
+        }
+        var idx = decrypted.readers.indexOf(this._greetStore.id);
+        if (idx < 0) {
+            // we can't read it, but it's still a valid part of the session
+            logger.debug('Message from "' + author + '" is a whisper to others.');
+            decrypted.body = null;
+            return decrypted;
+        }
+        var pairwiseKey;
+        try {
+            pairwiseKey = this._pairwiseKey(author);
+        } catch (e) {
+            throw new DecryptVerifyError(e.message);
+        }
+        var key = _whisperOpen(decrypted.readerKeys[idx], pairwiseKey);
+        var body = (key === null) ? null : _whisperOpen(decrypted.body, key);
+        if (body === null) {
+            throw new DecryptVerifyError("whisper failed to authenticate, from: " + author);
+        }
+        decrypted.body = body;
+        decrypted.whisperKey = key;
         return decrypted;
     };
 
-    var _decrypt = function(inspected, groupKey, author, members) {
-        var debugOutput = [];
+    // Partial messages from the given author, by the key index of their first fragment.
+    MessageSecurity.prototype._partials = function(author) {
+        if (!this._fragments.has(author)) {
+            this._fragments.set(author, new Map());
+        }
+        return this._fragments.get(author);
+    };
+
+    MessageSecurity.prototype._reassemble = function(author, decrypted) {
+        var fragment = decrypted.fragment;
+        var first = decrypted.indexes[0] - fragment.index;
+        var partials = this._partials(author);
+        var partial = partials.get(first);
+        if (!partial) {
+            partial = { count: fragment.count, received: [] };
+            partials.set(first, partial);
+        }
+        var existing = partial.received[fragment.index];
+        if (existing && existing.packets[0] === decrypted.packets[0]) {
+            // e.g. retransmitted by another member
+            logger.debug("ignored duplicate fragment " + fragment.index + " from: " + author);
+            return null;
+        }
+        if (partial.count !== fragment.count || existing) {
+            throw new DecryptVerifyError("bad or duplicate fragment " + fragment.index +
+                " of message at " + first + " from: " + author);
+        }
+        if (fragment.index && decrypted.parents.length) {
+            throw new DecryptVerifyError("parents in non-initial fragment from: " + author);
+        }
+        var received = partial.received.filter(Boolean);
+        if (received.length && String(received[0].readers) !== String(decrypted.readers)) {
+            throw new DecryptVerifyError("inconsistent readers in fragment " + fragment.index +
+                " of message at " + first + " from: " + author);
+        }
+
+        var buffered = _bodySize(decrypted);
+        partials.forEach(function(p) {
+            p.received.forEach(function(d) { buffered += _bodySize(d); });
+        });
+        if (buffered > this._maxMessageSize) {
+            partials.clear();
+            throw new DecryptVerifyError("too much fragmented data (" + buffered +
+                " bytes) from: " + author + "; dropped all partial messages");
+        }
+
+        partial.received[fragment.index] = decrypted;
+        received = partial.received.filter(Boolean);
+        if (received.length < partial.count) {
+            logger.debug("buffered fragment " + fragment.index + " of " + fragment.count +
+                " from: " + author);
+            return null;
+        }
+        partials.delete(first);
+        var hidden = received[0].body === null;
+        return {
+            parents: received[0].parents,
+            readers: received[0].readers,
+            body: hidden ? null : received.map(function(d) { return d.body; }).join(""),
+            whisperKey: received[0].whisperKey,
+            parts: received.map(function(d) { return d.parts[0]; }),
+            indexes: received.map(function(d) { return d.indexes[0]; }),
+            packets: received.map(function(d) { return d.packets[0]; }),
+        };
+    };
+
+    var _bodySize = function(decrypted) {
+        return decrypted.body === null ? 0 : decrypted.body.length;
+    };
+
+    var _decrypt = function(inspected, chain, author, suite) {
         var out = _decodeMessage(inspected.rawMessage);
         _assert(out.data);
+        if (out.cipherSuite !== suite) {
+            throw new DecryptVerifyError("cipher suite " + out.cipherSuite.name +
+                " was not negotiated, from: " + author);
+        }
+
+        var messageKey = chain.peek(out.keyIndex);
+        if (messageKey === null) {
+            // already used (e.g. a replay) or deleted, or too far ahead
+            throw new DecryptVerifyError("message key " + out.keyIndex + " not available for: " + author);
+        }
+        return _decryptWith(inspected, out, messageKey, author);
+    };
 
+    var _decryptWith = function(inspected, out, messageKey, author) {
+        var debugOutput = [];
         // Data message signatures were already verified through trial decryption.
-        var rest = ns._decryptRaw(out.data, groupKey, out.iv);
+        var rest = ns._decryptRaw(out.data, messageKey, out.iv, out.cipherSuite);
+        if (rest === null) {
+            throw new DecryptVerifyError("ciphertext failed to authenticate, from: " + author);
+        }
 
         var parents = [];
         rest = codec.popTLVAll(rest, _T.MESSAGE_PARENT, function(value) {
@@ -485,28 +1720,38 @@ define([
             debugOutput.push('parent: ' + btoa(value));
         });
 
+        var readers = [];
+        var readerKeys = [];
+        var pushReader = function(value) {
+            readers.push(value);
+            debugOutput.push('reader: ' + value);
+        };
+        var pushReaderKey = readerKeys.push.bind(readerKeys);
+        var oldrest;
+        do {
+            oldrest = rest;
+            rest = codec.popTLVMaybe(rest, _T.MESSAGE_READER, pushReader);
+            if (rest !== oldrest) {
+                rest = codec.popTLV(rest, _T.MESSAGE_READER_KEY, pushReaderKey);
+            }
+        } while (rest !== oldrest);
+
         var body;
         rest = codec.popTLV(rest, _T.MESSAGE_BODY, function(value) {
-            // Undo protection for multi-byte characters (decode UTF-8).
-            body = decodeURIComponent(escape(value));
+            body = value;
             debugOutput.push('body: ' + value);
         });
 
         logger.debug('mpENC decrypted message debug: ', debugOutput);
 
-        var idx = members.indexOf(author);
-        _assert(idx >= 0);
-        var readers = members.slice();
-        readers.splice(idx, 1);
-
         return {
-            secrets: _dummyMessageSecrets(inspected.signature, inspected.rawMessage),
-            message: {
-                author: author,
-                parents: parents,
-                readers: readers,
-                body: body,
-            },
+            parents: parents,
+            readers: readers.length ? readers : null,
+            readerKeys: readerKeys,
+            body: body,
+            fragment: out.fragment,
+            parts: [inspected.signature + inspected.rawMessage],
+            indexes: [out.keyIndex],
         };
     };
 
@@ -519,6 +1764,25 @@ define([
         rest = codec.popStandardFields(rest,
             codec.MESSAGE_TYPE.MPENC_DATA_MESSAGE, debugOutput);
 
+        rest = codec.popTLV(rest, _T.MESSAGE_KEY_INDEX, function(value) {
+            out.keyIndex = _decodeIndex(value);
+            debugOutput.push('keyIndex: ' + out.keyIndex);
+        });
+
+        out.cipherSuite = AES_CTR;
+        rest = codec.popTLVMaybe(rest, _T.CIPHER_SUITE, function(value) {
+            out.cipherSuite = ns.cipherSuiteById(value.charCodeAt(0));
+            if (value.length !== 1 || !out.cipherSuite) {
+                throw new DecryptVerifyError("unsupported cipher suite: 0x" + value.charCodeAt(0).toString(16));
+            }
+            debugOutput.push('cipherSuite: ' + out.cipherSuite.name);
+        });
+
+        rest = codec.popTLVMaybe(rest, _T.MESSAGE_FRAGMENT, function(value) {
+            out.fragment = _decodeFragment(value);
+            debugOutput.push('fragment: ' + out.fragment.index + ' of ' + out.fragment.count);
+        });
+
         rest = codec.popTLV(rest, _T.MESSAGE_IV, function(value) {
             out.iv = value;
             debugOutput.push('messageIV: ' + btoa(value));
@@ -560,26 +1824,29 @@ define([
     /**
      * Decrypts a given data message.
      *
-     * The data message is decrypted using AES-128-CTR.
-     *
      * @param data {string}
      *     Binary string data message.
      * @param key {string}
-     *     Binary string representation of 128-bit encryption key.
+     *     Binary string representation of the encryption key. Only the first
+     *     <code>suite.keySize</code> bytes are used.
      * @param iv {string}
-     *     Binary string representation of 96-bit nonce/IV.
-     * @returns {string}
-     *     The clear text message as a binary string.
+     *     Binary string representation of the nonce/IV.
+     * @param [suite] {module:mpenc/message.CipherSuite}
+     *     Cipher suite to use (default: AES-128-CTR).
+     * @returns {?string}
+     *     The clear text message as a binary string, or <code>null</code> if
+     *     the cipher text failed to authenticate.
      */
-    ns._decryptRaw = function(data, key, iv) {
+    ns._decryptRaw = function(data, key, iv, suite) {
         if (data === null || data === undefined) {
             return null;
         }
-        var keyBytes = utils.string2bytes(key);
-        var ivBytes = utils.string2bytes(iv.slice(0, 12) + "\0\0\0\0");
-        var clearBytes = asmCrypto.AES_CTR.decrypt(data, keyBytes, ivBytes);
+        suite = suite || AES_CTR;
+        var clearString = suite.decrypt(data, key.slice(0, suite.keySize), iv);
+        if (clearString === null) {
+            return null;
+        }
         // Strip off message size and zero padding.
-        var clearString = utils.bytes2string(clearBytes);
         var messageSize = codec._bin2short(clearString.slice(0, 2));
         clearString = clearString.slice(2, messageSize + 2);
         return clearString;
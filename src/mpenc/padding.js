@@ -0,0 +1,264 @@
+/*
+ * (c) 2014-2016 by Mega Limited, Auckland, New Zealand
+ *     https://mega.nz/
+ *
+ * This file is part of the multi-party chat encryption suite.
+ *
+ * This code is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License version 3
+ * as published by the Free Software Foundation. See the accompanying
+ * LICENSE file or <https://www.gnu.org/licenses/> if it is unavailable.
+ *
+ * This code is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ */
+
+define([
+    "mpenc/helper/utils"
+], function(utils) {
+    "use strict";
+
+    /**
+     * @exports mpenc/padding
+     * @description
+     * Strategies for padding packets, to hide their exact length.
+     *
+     * Padding is applied to the plaintext of data packets before encryption,
+     * and to greet packets as a signed record that is ignored by receivers.
+     * Receivers never need to know which strategy was used, so members of a
+     * session may each use a different one.
+     *
+     * Each strategy trades off bandwidth against how much length information
+     * is leaked:
+     *
+     * - {@link module:mpenc/padding.NoPadding}: nothing is hidden.
+     * - {@link module:mpenc/padding.ExponentialPadding}: powers of two; hides
+     *   a lot, but wastes up to half the bandwidth for large packets.
+     * - {@link module:mpenc/padding.BucketPadding}: a fixed set of sizes.
+     * - {@link module:mpenc/padding.PadmePadding}: Padmé, which leaks
+     *   O(log log n) bits of the length with at most 12% overhead.
+     * - {@link module:mpenc/padding.RandomPadding}: a random amount, which
+     *   hides less against repeated observation but may be combined with
+     *   other strategies.
+     */
+    var ns = {};
+
+    /**
+     * Strategy for padding packets.
+     *
+     * @interface
+     * @memberOf module:mpenc/padding
+     */
+    var PaddingStrategy = function() {
+        throw new Error("cannot instantiate an interface");
+    };
+    // jshint -W030
+
+    /**
+     * Short name of the strategy, for debugging.
+     *
+     * @member
+     * @type {string}
+     */
+    PaddingStrategy.prototype.name;
+
+    /**
+     * Size that a packet should be padded to.
+     *
+     * @method
+     * @param length {number} Unpadded size of the packet, in bytes.
+     * @returns {number} Padded size, at least <code>length</code>.
+     */
+    PaddingStrategy.prototype.paddedSize;
+
+    ns.PaddingStrategy = PaddingStrategy;
+    // jshint +W030
+
+
+    /**
+     * Don't pad at all.
+     *
+     * @class
+     * @implements {module:mpenc/padding.PaddingStrategy}
+     * @memberOf module:mpenc/padding
+     */
+    var NoPadding = function() {
+        if (!(this instanceof NoPadding)) { return new NoPadding(); }
+        this.name = "none";
+    };
+
+    NoPadding.prototype.paddedSize = function(length) {
+        return length;
+    };
+
+    ns.NoPadding = NoPadding;
+
+
+    /**
+     * Pad to <code>blockSize</code> times a power of two.
+     *
+     * @class
+     * @implements {module:mpenc/padding.PaddingStrategy}
+     * @param blockSize {number} Smallest size to pad to, in bytes.
+     * @memberOf module:mpenc/padding
+     */
+    var ExponentialPadding = function(blockSize) {
+        if (!(this instanceof ExponentialPadding)) { return new ExponentialPadding(blockSize); }
+        if (typeof blockSize !== "number" || blockSize <= 0) {
+            throw new Error("blockSize must be positive: " + blockSize);
+        }
+        this.name = "exponential";
+        this.blockSize = blockSize;
+    };
+
+    ExponentialPadding.prototype.paddedSize = function(length) {
+        var blocks = Math.ceil(length / this.blockSize);
+        return this.blockSize * (1 << Math.ceil(Math.log(Math.max(blocks, 1)) / Math.log(2)));
+    };
+
+    ns.ExponentialPadding = ExponentialPadding;
+
+
+    /**
+     * Pad to the smallest of a fixed set of sizes that fits. Longer packets
+     * are padded to a multiple of the largest size.
+     *
+     * @class
+     * @implements {module:mpenc/padding.PaddingStrategy}
+     * @param sizes {Array.<number>} Sizes to pad to, in bytes.
+     * @memberOf module:mpenc/padding
+     */
+    var BucketPadding = function(sizes) {
+        if (!(this instanceof BucketPadding)) { return new BucketPadding(sizes); }
+        if (!sizes || !sizes.length || !sizes.every(function(s) { return s > 0; })) {
+            throw new Error("sizes must be a non-empty list of positive numbers: " + sizes);
+        }
+        this.name = "buckets";
+        this.sizes = sizes.slice().sort(function(a, b) { return a - b; });
+    };
+
+    BucketPadding.prototype.paddedSize = function(length) {
+        for (var i = 0; i < this.sizes.length; i++) {
+            if (length <= this.sizes[i]) {
+                return this.sizes[i];
+            }
+        }
+        var largest = this.sizes[this.sizes.length - 1];
+        return largest * Math.ceil(length / largest);
+    };
+
+    ns.BucketPadding = BucketPadding;
+
+
+    /**
+     * Padmé, from "Reducing Metadata Leakage from Encrypted Files and
+     * Communication with PURBs" (Nikitin et al., 2019). A length of the form
+     * 2^E is padded so that only its top ⌊log2 E⌋ + 1 bits may be non-zero.
+     *
+     * @class
+     * @implements {module:mpenc/padding.PaddingStrategy}
+     * @memberOf module:mpenc/padding
+     */
+    var PadmePadding = function() {
+        if (!(this instanceof PadmePadding)) { return new PadmePadding(); }
+        this.name = "padme";
+    };
+
+    // floor(log2(n)) for n >= 1, avoiding floating-point rounding errors
+    var _log2floor = function(n) {
+        var e = 0;
+        while (Math.pow(2, e + 1) <= n) {
+            e++;
+        }
+        return e;
+    };
+
+    PadmePadding.prototype.paddedSize = function(length) {
+        if (length < 2) {
+            return length;
+        }
+        var e = _log2floor(length);
+        var s = _log2floor(e) + 1;
+        var step = Math.pow(2, e - s);
+        return step * Math.ceil(length / step);
+    };
+
+    ns.PadmePadding = PadmePadding;
+
+
+    /**
+     * Pad by a uniformly random number of bytes, chosen afresh for each
+     * packet.
+     *
+     * @class
+     * @implements {module:mpenc/padding.PaddingStrategy}
+     * @param maxExtra {number} Maximum number of bytes to add.
+     * @memberOf module:mpenc/padding
+     */
+    var RandomPadding = function(maxExtra) {
+        if (!(this instanceof RandomPadding)) { return new RandomPadding(maxExtra); }
+        if (typeof maxExtra !== "number" || maxExtra < 0 || maxExtra > 0xffff) {
+            throw new Error("maxExtra must be between 0 and 65535: " + maxExtra);
+        }
+        this.name = "random";
+        this.maxExtra = maxExtra;
+    };
+
+    RandomPadding.prototype.paddedSize = function(length) {
+        var r = utils.randomString(4);
+        var n = ((r.charCodeAt(0) << 24) >>> 0) + (r.charCodeAt(1) << 16) + (r.charCodeAt(2) << 8) + r.charCodeAt(3);
+        return length + n % (this.maxExtra + 1);
+    };
+
+    ns.RandomPadding = RandomPadding;
+
+
+    /**
+     * No padding.
+     */
+    ns.NONE = new NoPadding();
+
+    /**
+     * Default padding: exponential, from 128 bytes.
+     */
+    ns.DEFAULT = new ExponentialPadding(128);
+
+    var _BY_NAME = {
+        none: function() { return ns.NONE; },
+        exponential: function() { return ns.DEFAULT; },
+        buckets: function() { return new BucketPadding([128, 512, 2048, 8192, 32768]); },
+        padme: function() { return new PadmePadding(); },
+        random: function() { return new RandomPadding(256); }
+    };
+
+    /**
+     * Get a padding strategy from a user-supplied option.
+     *
+     * @param option {(module:mpenc/padding.PaddingStrategy|string|number)}
+     *      A strategy, which is returned as-is; or the name of a strategy,
+     *      one of "none", "exponential", "buckets", "padme" or "random", which
+     *      gives that strategy with default parameters; or a number, which
+     *      gives exponential padding with that block size, or no padding if
+     *      it is zero. If omitted, {@link module:mpenc/padding.DEFAULT}.
+     * @returns {module:mpenc/padding.PaddingStrategy}
+     */
+    ns.fromOption = function(option) {
+        if (option === undefined || option === null) {
+            return ns.DEFAULT;
+        } else if (typeof option === "number") {
+            return option ? new ExponentialPadding(option) : ns.NONE;
+        } else if (typeof option === "string") {
+            if (!_BY_NAME.hasOwnProperty(option)) {
+                throw new Error("unknown padding strategy: " + option);
+            }
+            return _BY_NAME[option]();
+        } else if (typeof option.paddedSize === "function") {
+            return option;
+        }
+        throw new Error("invalid padding strategy: " + option);
+    };
+
+
+    return ns;
+});
@@ -0,0 +1,223 @@
+/*
+ * (c) 2014-2016 by Mega Limited, Auckland, New Zealand
+ *     https://mega.nz/
+ *
+ * This file is part of the multi-party chat encryption suite.
+ *
+ * This code is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License version 3
+ * as published by the Free Software Foundation. See the accompanying
+ * LICENSE file or <https://www.gnu.org/licenses/> if it is unavailable.
+ *
+ * This code is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ */
+
+define([
+    "mpenc/message",
+    "mpenc/helper/utils",
+    "promise-polyfill",
+    "megalogger"
+], function(message, utils, Promise, MegaLogger) {
+    "use strict";
+
+    /**
+     * @exports mpenc/persist
+     * @description
+     * Saving sessions across restarts of the application.
+     *
+     * A {@link module:mpenc/session.Session#snapshot} contains the secret
+     * keys of the session, and the messages that we need to resume it. We
+     * encrypt it under a key that the application keeps elsewhere, e.g. in
+     * a password-protected key store, and save the result in a {@link
+     * module:mpenc/persist.SessionStorage}:
+     *
+     * @example
+     * var storageKey = mpenc.persist.generateKey(); // keep this safe
+     * var session = mpenc.createSession(context, sessionId, groupChannel, {
+     *   onSnapshot: mpenc.persist.autoSaver(window.localStorage, sessionId, storageKey)
+     * });
+     *
+     * // after restarting, whilst still in the channel:
+     * mpenc.persist.load(window.localStorage, sessionId, storageKey).then(function(snapshot) {
+     *   if (!snapshot || !session.restore(snapshot)) {
+     *     session.execute({ join: true });
+     *   }
+     * });
+     *
+     * Resuming an outdated snapshot will fail to deliver our messages, so a
+     * snapshot should be saved after every message; this is what
+     * <code>autoSaver</code> does.
+     */
+    var ns = {};
+
+    var logger = MegaLogger.getLogger('persist', undefined, 'mpenc');
+
+    /**
+     * Cipher suite used to encrypt snapshots.
+     *
+     * @private
+     */
+    var SUITE = message.XSALSA20_POLY1305;
+
+    /**
+     * Version of the format of encrypted snapshots. This is increased when
+     * the format changes incompatibly; older snapshots are then rejected.
+     */
+    var VERSION = 1;
+    ns.VERSION = VERSION;
+
+    /**
+     * Storage for encrypted snapshots, with the same interface as the
+     * synchronous <code>localStorage</code> of web browsers. Methods may
+     * also return a Promise, for asynchronous storage.
+     *
+     * @interface
+     * @memberOf module:mpenc/persist
+     * @see module:mpenc/impl/persist.MemoryStorage
+     */
+    var SessionStorage = function() {
+        throw new Error("cannot instantiate an interface");
+    };
+    // jshint -W030
+
+    /**
+     * @method
+     * @param name {string} Name of the item.
+     * @returns {(?string|Promise)} Data stored under the name, or
+     *      <code>null</code> if there is none; or a Promise for either.
+     */
+    SessionStorage.prototype.getItem;
+
+    /**
+     * @method
+     * @param name {string} Name of the item.
+     * @param data {string} Data to store, replacing any previous data.
+     * @returns {(undefined|Promise)} Optionally, a Promise that resolves
+     *      when the data was stored.
+     */
+    SessionStorage.prototype.setItem;
+
+    /**
+     * @method
+     * @param name {string} Name of the item.
+     * @returns {(undefined|Promise)} Optionally, a Promise that resolves
+     *      when the data was removed.
+     */
+    SessionStorage.prototype.removeItem;
+
+    ns.SessionStorage = SessionStorage;
+    // jshint +W030
+
+
+    /**
+     * @returns {string} A new random key to encrypt snapshots with.
+     */
+    ns.generateKey = function() {
+        return utils.randomString(SUITE.keySize);
+    };
+
+    /**
+     * Encrypt a snapshot.
+     *
+     * @param snapshot {Object} As returned by {@link
+     *      module:mpenc/session.Session#snapshot}.
+     * @param key {string} Key to encrypt with, as a binary string.
+     * @returns {string} Encrypted snapshot, as a base64 string, so that it
+     *      may be stored in storage that only accepts text.
+     */
+    ns.encrypt = function(snapshot, key) {
+        // Protect multi-byte characters (encode UTF-8).
+        var data = unescape(encodeURIComponent(JSON.stringify(snapshot)));
+        var encrypted = SUITE.encrypt(data, key);
+        return btoa(String.fromCharCode(VERSION) + encrypted.iv + encrypted.data);
+    };
+
+    /**
+     * Decrypt a snapshot.
+     *
+     * @param blob {string} As returned by {@link module:mpenc/persist.encrypt}.
+     * @param key {string} Key that it was encrypted with.
+     * @returns {Object} The snapshot.
+     * @throws {Error} If the snapshot is of an unsupported version, or
+     *      failed to decrypt, e.g. because it was modified in storage.
+     */
+    ns.decrypt = function(blob, key) {
+        var raw = atob(blob);
+        var version = raw.charCodeAt(0);
+        if (version !== VERSION) {
+            throw new Error("unsupported snapshot version: " + version);
+        }
+        var data = SUITE.decrypt(raw.slice(1 + SUITE.nonceSize), key, raw.slice(1, 1 + SUITE.nonceSize));
+        if (data === null) {
+            throw new Error("snapshot failed to decrypt");
+        }
+        return JSON.parse(decodeURIComponent(escape(data)));
+    };
+
+    /**
+     * Save a snapshot of a session.
+     *
+     * @param storage {module:mpenc/persist.SessionStorage} Where to save it.
+     * @param name {string} Name to save it under, e.g. the session id.
+     * @param session {module:mpenc/session.Session} Session to save.
+     * @param key {string} Key to encrypt the snapshot with.
+     * @returns {Promise} Resolves to whether a snapshot was saved; it is not
+     *      when the session may not be resumed from its current state.
+     */
+    ns.save = function(storage, name, session, key) {
+        var snapshot = session.snapshot();
+        if (!snapshot) {
+            return Promise.resolve(false);
+        }
+        return Promise.resolve(storage.setItem(name, ns.encrypt(snapshot, key))).then(function() {
+            return true;
+        });
+    };
+
+    /**
+     * Load a snapshot that was previously saved.
+     *
+     * @param storage {module:mpenc/persist.SessionStorage} Where it was saved.
+     * @param name {string} Name it was saved under.
+     * @param key {string} Key it was encrypted with.
+     * @returns {Promise} Resolves to the snapshot, or <code>null</code> if
+     *      there is none; rejects if it failed to decrypt.
+     */
+    ns.load = function(storage, name, key) {
+        return Promise.resolve(storage.getItem(name)).then(function(blob) {
+            return blob ? ns.decrypt(blob, key) : null;
+        });
+    };
+
+    /**
+     * Make a function to pass as the <code>onSnapshot</code> option of
+     * {@link module:mpenc.createSession}, which saves every snapshot, and
+     * removes the saved one when the session can no longer be resumed.
+     * Failures of the storage are logged and ignored.
+     *
+     * @param storage {module:mpenc/persist.SessionStorage} Where to save.
+     * @param name {string} Name to save under, e.g. the session id.
+     * @param key {string} Key to encrypt snapshots with.
+     * @returns {Function} 1-arg function that takes a snapshot or
+     *      <code>null</code>.
+     */
+    ns.autoSaver = function(storage, name, key) {
+        var warn = function(e) {
+            logger.warn("failed to update snapshot " + name + ": " + e);
+        };
+        return function(snapshot) {
+            try {
+                var result = snapshot ? storage.setItem(name, ns.encrypt(snapshot, key))
+                                      : storage.removeItem(name);
+                Promise.resolve(result).catch(warn);
+            } catch (e) {
+                warn(e);
+            }
+        };
+    };
+
+
+    return ns;
+});
@@ -0,0 +1,258 @@
+/*
+ * (c) 2014-2016 by Mega Limited, Auckland, New Zealand
+ *     https://mega.nz/
+ *
+ * This file is part of the multi-party chat encryption suite.
+ *
+ * This code is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License version 3
+ * as published by the Free Software Foundation. See the accompanying
+ * LICENSE file or <https://www.gnu.org/licenses/> if it is unavailable.
+ *
+ * This code is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ */
+
+define([
+    "mpenc/helper/async",
+    "mpenc/helper/struct",
+    "promise-polyfill",
+    "megalogger"
+], function(async, struct, Promise, MegaLogger) {
+    "use strict";
+
+    /**
+     * @exports mpenc/pubkeydir
+     * @description
+     * Directories of the long-term (identity) public keys of other users.
+     *
+     * The greeting protocol checks these keys synchronously, in the middle of
+     * processing packets, so it needs them to be available locally. Clients
+     * that look keys up asynchronously, e.g. from a server, should wrap their
+     * directory in a {@link module:mpenc/pubkeydir.CachingPubKeyDir}; this is
+     * done automatically by {@link module:mpenc.createContext} and by the
+     * greeter. Sessions then fetch the keys of users as they enter the
+     * transport channel, and hold back later packets until this is done, or
+     * until it times out; users whose keys are still missing are then kicked
+     * from any greetings that try to include them.
+     */
+    var ns = {};
+
+    var logger = MegaLogger.getLogger("pubkeydir", undefined, "mpenc");
+
+    /**
+     * Directory of long-term public keys, supplied by the client.
+     *
+     * @interface
+     * @memberOf module:mpenc/pubkeydir
+     */
+    var PubKeyDir = function() {
+        throw new Error("cannot instantiate an interface");
+    };
+    // jshint -W030
+
+    /**
+     * @method
+     * @param uId {string} User id.
+     * @returns {(string|Promise)} Ed25519 public key of the user, or a falsy
+     *      value if this is not known; or a Promise for either of these.
+     */
+    PubKeyDir.prototype.get;
+
+    Object.freeze(PubKeyDir.prototype);
+    ns.PubKeyDir = PubKeyDir;
+    // jshint +W030
+
+
+    /**
+     * The directory gave a different key for a user, than the one that we
+     * had pinned for them.
+     *
+     * @class
+     * @property uId {string} User id.
+     * @property oldKey {string} The key that was pinned.
+     * @property newKey {string} The key that the directory gave.
+     * @property blocked {boolean} Whether the old key is still pinned, until
+     *      the change is accepted.
+     * @memberOf module:mpenc/pubkeydir
+     */
+    var KeyChange = struct.createTupleClass("KeyChange", "uId oldKey newKey blocked");
+
+    Object.freeze(KeyChange.prototype);
+    ns.KeyChange = KeyChange;
+
+
+    /**
+     * A PubKeyDir that caches keys from another, possibly asynchronous, one.
+     *
+     * The first key that we see for a user is pinned ("trust on first use"),
+     * and {@link module:mpenc/pubkeydir.CachingPubKeyDir#get} returns only
+     * pinned keys, synchronously. Later fetches check the source again; if it
+     * gives a different key, a {@link module:mpenc/pubkeydir.KeyChange} is
+     * published. By default the new key is then pinned instead; with
+     * <code>blockOnChange</code>, the old key remains pinned until the change
+     * is accepted, so that greetings with the user will fail until then.
+     *
+     * @class
+     * @implements {module:mpenc/pubkeydir.PubKeyDir}
+     * @param source {module:mpenc/pubkeydir.PubKeyDir} Where to get keys from.
+     * @param [options] {Object}
+     * @param [options.blockOnChange] {boolean} Keep the old key pinned when
+     *      a user's key changes. Default: false.
+     * @param [options.pinned] {Map} Keys pinned previously, by user id.
+     * @memberOf module:mpenc/pubkeydir
+     */
+    var CachingPubKeyDir = function(source, options) {
+        if (!(this instanceof CachingPubKeyDir)) { return new CachingPubKeyDir(source, options); }
+        options = options || {};
+        this._source = source;
+        this._blockOnChange = options.blockOnChange || false;
+        this._pinned = new Map(options.pinned ? struct.iteratorToArray(options.pinned.entries()) : []);
+        this._changed = new Map();
+        this._fetching = new Map();
+        this._keyChange = new async.Observable();
+    };
+
+    /**
+     * @returns {(string|undefined)} The pinned key of the user, if any.
+     */
+    CachingPubKeyDir.prototype.get = function(uId) {
+        return this._pinned.get(uId);
+    };
+
+    /**
+     * @returns {boolean} Whether a key is pinned for the user.
+     */
+    CachingPubKeyDir.prototype.has = function(uId) {
+        return this._pinned.has(uId);
+    };
+
+    /**
+     * Pin a key for a user, e.g. our own key, or a key that was verified
+     * out-of-band. This replaces any previous key, without publishing a
+     * {@link module:mpenc/pubkeydir.KeyChange}.
+     *
+     * @param uId {string} User id.
+     * @param pubKey {string} Their key.
+     */
+    CachingPubKeyDir.prototype.pin = function(uId, pubKey) {
+        this._pinned.set(uId, pubKey);
+        this._changed.delete(uId);
+    };
+
+    /**
+     * @returns {Map} All pinned keys, by user id, e.g. to persist them.
+     */
+    CachingPubKeyDir.prototype.pinned = function() {
+        return new Map(struct.iteratorToArray(this._pinned.entries()));
+    };
+
+    /**
+     * @returns {boolean} Whether the user's key changed and we are blocking
+     *      the new key.
+     */
+    CachingPubKeyDir.prototype.isBlocked = function(uId) {
+        return this._changed.has(uId);
+    };
+
+    /**
+     * Accept a blocked key change, pinning the new key.
+     *
+     * @param uId {string} User id.
+     * @returns {boolean} Whether there was a blocked change to accept.
+     */
+    CachingPubKeyDir.prototype.accept = function(uId) {
+        if (!this._changed.has(uId)) {
+            return false;
+        }
+        this.pin(uId, this._changed.get(uId));
+        return true;
+    };
+
+    /**
+     * @returns {boolean} Whether we are still waiting for the source to give
+     *      us the user's key.
+     */
+    CachingPubKeyDir.prototype.isFetching = function(uId) {
+        return this._fetching.has(uId);
+    };
+
+    /**
+     * Fetch keys from the source, pinning new ones and detecting changes.
+     *
+     * Keys that the source returns synchronously are cached before this
+     * returns, so callers may check {@link
+     * module:mpenc/pubkeydir.CachingPubKeyDir#isFetching} straight afterwards
+     * to see whether they need to wait.
+     *
+     * @param uIds {Array.<string>} User ids.
+     * @returns {Promise} Resolves when all keys were fetched. Users that the
+     *      source does not know about are ignored; failures of the source are
+     *      logged and ignored.
+     */
+    CachingPubKeyDir.prototype.fetch = function(uIds) {
+        var self = this;
+        return Promise.all(uIds.map(function(uId) {
+            var result;
+            try {
+                result = self._source.get(uId);
+            } catch (e) {
+                result = Promise.reject(e);
+            }
+            if (result && typeof result.then === "function") {
+                var n = (self._fetching.get(uId) || 0) + 1;
+                self._fetching.set(uId, n);
+                return result.then(self._update.bind(self, uId), function(e) {
+                    logger.warn("failed to fetch public key of " + uId + ": " + e);
+                }).then(self._doneFetching.bind(self, uId));
+            }
+            self._update(uId, result);
+            return Promise.resolve();
+        }));
+    };
+
+    CachingPubKeyDir.prototype._doneFetching = function(uId) {
+        var n = this._fetching.get(uId) - 1;
+        if (n) {
+            this._fetching.set(uId, n);
+        } else {
+            this._fetching.delete(uId);
+        }
+    };
+
+    CachingPubKeyDir.prototype._update = function(uId, pubKey) {
+        if (!pubKey) {
+            return;
+        }
+        var oldKey = this._pinned.get(uId);
+        if (oldKey === undefined) {
+            this._pinned.set(uId, pubKey);
+        } else if (oldKey !== pubKey && this._changed.get(uId) !== pubKey) {
+            logger.warn("public key of " + uId + " changed" + (this._blockOnChange ? "; blocking it" : ""));
+            if (this._blockOnChange) {
+                this._changed.set(uId, pubKey);
+            } else {
+                this._pinned.set(uId, pubKey);
+            }
+            this._keyChange.publish(new KeyChange(uId, oldKey, pubKey, this._blockOnChange));
+        }
+    };
+
+    /**
+     * Subscribe to key changes.
+     *
+     * @method
+     * @param sub {module:mpenc/helper/async~subscriber} Takes a
+     *      {@link module:mpenc/pubkeydir.KeyChange}.
+     * @returns canceller {module:mpenc/helper/async~canceller}
+     */
+    CachingPubKeyDir.prototype.onKeyChange = function(sub) {
+        return this._keyChange.subscribe(sub);
+    };
+
+    ns.CachingPubKeyDir = CachingPubKeyDir;
+
+
+    return ns;
+});
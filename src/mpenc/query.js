@@ -0,0 +1,365 @@
+/*
+ * (c) 2014-2016 by Mega Limited, Auckland, New Zealand
+ *     https://mega.nz/
+ *
+ * This file is part of the multi-party chat encryption suite.
+ *
+ * This code is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License version 3
+ * as published by the Free Software Foundation. See the accompanying
+ * LICENSE file or <https://www.gnu.org/licenses/> if it is unavailable.
+ *
+ * This code is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ */
+
+define([
+    "mpenc/message",
+    "mpenc/helper/struct"
+], function(message, struct) {
+    "use strict";
+
+    /**
+     * @exports mpenc/query
+     * @description
+     * Queries over a {@link module:mpenc/transcript.MessageLog}, beyond its
+     * index-based access.
+     *
+     * A {@link module:mpenc/query.MessageQuery} indexes messages as they are
+     * added to the log, by author, sub-session, time and the words of their
+     * Payload content. It returns matches through a paged
+     * {@link module:mpenc/query.Cursor}, so that clients need not iterate
+     * through the whole log. Sessions provide one for their own log, via
+     * {@link module:mpenc/session.Session#query}.
+     */
+    var ns = {};
+
+    var ImmutableSet = struct.ImmutableSet;
+
+    /**
+     * Default number of messages in each page of a cursor.
+     *
+     * @memberOf module:mpenc/query
+     */
+    ns.DEFAULT_PAGE_SIZE = 50;
+
+    // lower-case words, split on whitespace and ASCII punctuation
+    var _words = function(text) {
+        return text.toLowerCase().split(/[\s!-\/:-@\[-`{-~]+/).filter(function(word) {
+            return word.length;
+        });
+    };
+
+    var _push = function(index, key, mId) {
+        if (!index.has(key)) {
+            index.set(key, []);
+        }
+        index.get(key).push(mId);
+    };
+
+    var _remove = function(index, pruned) {
+        index.forEach(function(mIds, key) {
+            mIds = mIds.filter(function(mId) { return !pruned.has(mId); });
+            if (mIds.length) {
+                index.set(key, mIds);
+            } else {
+                index.delete(key);
+            }
+        });
+    };
+
+
+    /**
+     * Results of a query, in pages.
+     *
+     * The results are fixed when the query is made; later messages are not
+     * included, and messages that are pruned from the log in the meantime
+     * are skipped.
+     *
+     * @class
+     * @param log {module:mpenc/transcript.MessageLog} Log that was queried.
+     * @param mIds {Array.<string>} All matching message ids, in the order
+     *      that they should be returned.
+     * @param pageSize {number} Maximum number of messages in each page.
+     * @memberOf module:mpenc/query
+     */
+    var Cursor = function(log, mIds, pageSize) {
+        if (!(this instanceof Cursor)) { return new Cursor(log, mIds, pageSize); }
+        this._log = log;
+        this._mIds = mIds;
+        this._pageSize = pageSize;
+        this._pos = 0;
+    };
+
+    /**
+     * @returns {number} Number of matching messages, when the query was made.
+     */
+    Cursor.prototype.size = function() {
+        return this._mIds.length;
+    };
+
+    /**
+     * @returns {boolean} Whether there may be more pages; the next one may
+     *      still be empty, if the remaining messages were pruned.
+     */
+    Cursor.prototype.hasNext = function() {
+        return this._pos < this._mIds.length;
+    };
+
+    /**
+     * @returns {Array.<string>} Ids of the messages in the next page, or an
+     *      empty Array if there are no more.
+     */
+    Cursor.prototype.next = function() {
+        var page = [];
+        while (page.length < this._pageSize && this._pos < this._mIds.length) {
+            var mId = this._mIds[this._pos];
+            this._pos++;
+            if (this._log.has(mId)) {
+                page.push(mId);
+            }
+        }
+        return page;
+    };
+
+    Object.freeze(Cursor.prototype);
+    ns.Cursor = Cursor;
+
+
+    /**
+     * Indexes of the messages of a log, that are kept up-to-date as messages
+     * are added to it.
+     *
+     * Messages are timestamped with the time that they were added to the
+     * log, or that this was created for messages that were already in it.
+     * The log may insert messages before earlier ones, so these times need
+     * not increase along the log. If the clock goes backwards, e.g. because
+     * the system time was changed, a message is timestamped with the time of
+     * the previous one instead, so that these times never decrease in the
+     * order that the messages were added.
+     *
+     * @class
+     * @param log {module:mpenc/transcript.MessageLog} Log to index.
+     * @param [options] {Object}
+     * @param [options.now] {function} 0-arg function that returns the current
+     *      time, as a number. Default: <code>Date.now</code>.
+     * @param [options.subSessionOf] {function} 1-arg function that returns
+     *      the id of the sub-session that a message was accepted in, or
+     *      <code>null</code> if there is none. Default: always null.
+     * @memberOf module:mpenc/query
+     */
+    var MessageQuery = function(log, options) {
+        if (!(this instanceof MessageQuery)) { return new MessageQuery(log, options); }
+        options = options || {};
+        this._log = log;
+        this._now = options.now || Date.now;
+        this._subSessionOf = options.subSessionOf || function() { return null; };
+
+        this._time = new Map(); // mId: time it was added to the log
+        this._added = []; // mIds, in the order they were added to the log
+        this._subSession = new Map(); // mId: sub-session id, or null
+        this._subSessions = []; // sub-session ids, in the order first seen
+        this._byAuthor = new Map(); // uId: [mId]
+        this._bySubSession = new Map(); // sId: [mId]
+        this._byWord = new Map(); // word: [mId]
+
+        log.slice().forEach(this._index.bind(this));
+        var self = this;
+        this._cancel = log.onUpdate(function(update) {
+            self._index(update.elem);
+        });
+    };
+
+    MessageQuery.prototype._index = function(mId) {
+        var self = this;
+        var msg = this._log.get(mId);
+        var sId = this._subSessionOf(mId);
+        var time = this._now();
+        if (this._added.length) {
+            time = Math.max(time, this._time.get(this._added[this._added.length - 1]));
+        }
+        this._time.set(mId, time);
+        this._added.push(mId);
+        this._subSession.set(mId, sId);
+        _push(this._byAuthor, msg.author, mId);
+        if (sId !== null) {
+            if (!this._bySubSession.has(sId)) {
+                this._subSessions.push(sId);
+            }
+            _push(this._bySubSession, sId, mId);
+        }
+        if (msg.body instanceof message.Payload) {
+            new ImmutableSet(_words(msg.body.content)).forEach(function(word) {
+                _push(self._byWord, word, mId);
+            });
+        }
+    };
+
+    /**
+     * Stop indexing new messages.
+     *
+     * @returns {boolean} Whether we were still indexing them.
+     */
+    MessageQuery.prototype.stop = function() {
+        return this._cancel();
+    };
+
+    /**
+     * Forget messages that were pruned from the log, e.g. by
+     * {@link module:mpenc/impl/transcript.DefaultMessageLog#prune}. Queries
+     * skip these anyway, but they are only removed from the indexes here.
+     *
+     * @param mIds {Array.<string>} Ids of the pruned messages.
+     */
+    MessageQuery.prototype.prune = function(mIds) {
+        var self = this;
+        var pruned = new ImmutableSet(mIds);
+        mIds.forEach(function(mId) {
+            self._time.delete(mId);
+            self._subSession.delete(mId);
+        });
+        this._added = this._added.filter(function(mId) { return !pruned.has(mId); });
+        _remove(this._byAuthor, pruned);
+        _remove(this._bySubSession, pruned);
+        _remove(this._byWord, pruned);
+        this._subSessions = this._subSessions.filter(this._bySubSession.has.bind(this._bySubSession));
+    };
+
+    /**
+     * @param mId {string} Message id.
+     * @returns {number} Time that the message was added to the log.
+     */
+    MessageQuery.prototype.time = function(mId) {
+        return struct.safeGet(this._time, mId);
+    };
+
+    /**
+     * @param mId {string} Message id.
+     * @returns {?string} Id of the sub-session that the message was accepted
+     *      in, or <code>null</code> if none, e.g. for shared history.
+     */
+    MessageQuery.prototype.subSession = function(mId) {
+        return struct.safeGet(this._subSession, mId);
+    };
+
+    /**
+     * @returns {Array.<string>} Ids of all sub-sessions that have messages
+     *      in the log, in the order of their first message.
+     */
+    MessageQuery.prototype.subSessions = function() {
+        return this._subSessions.slice();
+    };
+
+    // lowest index into _added whose message was added at or after time
+    MessageQuery.prototype._indexAt = function(time) {
+        var lo = 0;
+        var hi = this._added.length;
+        while (lo < hi) {
+            var mid = Math.floor((lo + hi) / 2);
+            if (this._time.get(this._added[mid]) < time) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+        return lo;
+    };
+
+    MessageQuery.prototype._range = function(criteria) {
+        var length = this._log.length;
+        var clamp = function(i, dflt) {
+            if (i === undefined) {
+                return dflt;
+            }
+            return Math.max(0, Math.min(length, i < 0 ? length + i : i));
+        };
+        return [clamp(criteria.begin, 0), clamp(criteria.end, length)];
+    };
+
+    // messages added in [since, until), in the order they were added
+    MessageQuery.prototype._addedBetween = function(since, until) {
+        var begin = (since === undefined) ? 0 : this._indexAt(since);
+        var end = (until === undefined) ? this._added.length : this._indexAt(until);
+        return this._added.slice(begin, end);
+    };
+
+    // lists of candidates from the indexes, or null if none apply
+    MessageQuery.prototype._candidates = function(criteria) {
+        var self = this;
+        var lists = [];
+        var add = function(index, key) {
+            lists.push(index.get(key) || []);
+        };
+        if (criteria.author !== undefined) {
+            add(this._byAuthor, criteria.author);
+        }
+        if (criteria.subSession !== undefined) {
+            add(this._bySubSession, criteria.subSession);
+        }
+        if (criteria.since !== undefined || criteria.until !== undefined) {
+            lists.push(this._addedBetween(criteria.since, criteria.until));
+        }
+        if (criteria.text !== undefined) {
+            _words(criteria.text).forEach(function(word) {
+                add(self._byWord, word);
+            });
+        }
+        return lists.length ? lists : null;
+    };
+
+    /**
+     * Find the messages that match all of the given criteria.
+     *
+     * @param [criteria] {Object} Omitted criteria match every message.
+     * @param [criteria.author] {string} Author of the messages.
+     * @param [criteria.subSession] {string} Id of the sub-session that they
+     *      were accepted in.
+     * @param [criteria.text] {string} Words that their Payload content must
+     *      all contain, ignoring case and punctuation.
+     * @param [criteria.begin] {number} Log index to start at, inclusive. If
+     *      negative, this is an offset from the end of the log.
+     * @param [criteria.end] {number} Log index to end at, exclusive. If
+     *      negative, this is an offset from the end of the log.
+     * @param [criteria.since] {number} Earliest time that they were added to
+     *      the log, inclusive.
+     * @param [criteria.until] {number} Latest time that they were added to
+     *      the log, exclusive.
+     * @param [options] {Object}
+     * @param [options.pageSize] {number} Maximum number of messages in each
+     *      page. Default: {@link module:mpenc/query.DEFAULT_PAGE_SIZE}.
+     * @param [options.reverse] {boolean} Return the latest messages first,
+     *      e.g. to load history backwards. Default: false.
+     * @returns {module:mpenc/query.Cursor} Matching messages, in log order.
+     */
+    MessageQuery.prototype.find = function(criteria, options) {
+        criteria = criteria || {};
+        options = options || {};
+        var log = this._log;
+        var range = this._range(criteria);
+        var lists = this._candidates(criteria);
+        var mIds;
+        if (lists === null) {
+            mIds = log.slice(range[0], range[1]);
+        } else {
+            lists.sort(function(a, b) { return a.length - b.length; });
+            var others = lists.slice(1).map(function(list) { return new ImmutableSet(list); });
+            mIds = lists[0].filter(function(mId) {
+                var i = log.indexOf(mId);
+                return i >= range[0] && i < range[1] && others.every(function(other) {
+                    return other.has(mId);
+                });
+            }).sort(function(a, b) { return log.indexOf(a) - log.indexOf(b); });
+        }
+        if (options.reverse) {
+            mIds.reverse();
+        }
+        return new Cursor(log, mIds, options.pageSize || ns.DEFAULT_PAGE_SIZE);
+    };
+
+    Object.freeze(MessageQuery.prototype);
+    ns.MessageQuery = MessageQuery;
+
+
+    return ns;
+});
@@ -17,9 +17,11 @@
  */
 
 define([
+    "mpenc/codec",
+    "mpenc/message",
     "mpenc/helper/struct",
     "mpenc/helper/assert",
-], function(struct, assert) {
+], function(codec, message, struct, assert) {
     "use strict";
 
     /**
@@ -76,16 +78,23 @@ define([
     /**
      * Things that can happen in a Session. Specifically, this can be one of:
      *
-     * - {@link module:mpenc/session.SNState} (not yet implemented)
+     * - {@link module:mpenc/session.SNState} (partly implemented)
      * - {@link module:mpenc/session.SNMembers}
      * - {@link module:mpenc/session.MsgReady}
      * - {@link module:mpenc/session.MsgFullyAcked}
      * - {@link module:mpenc/session.NotFullyAcked}
      * - {@link module:mpenc/session.NotDecrypted} (optional)
      * - {@link module:mpenc/session.NotAccepted} (optional)
+     * - {@link module:mpenc/session.NotCompatible}
+     * - {@link module:mpenc/session.SNPresence}
+     * - {@link module:mpenc/session.SNVerification}
+     * - {@link module:mpenc/session.SNKeyChanged}
+     * - {@link module:mpenc/session.SNOperationFailed}
+     * - {@link module:mpenc/session.SNError}
      *
-     * **API WARNING**: currently `SNState` is never emitted by any `Session`;
-     * clients should not expect to see these events yet.
+     * **API WARNING**: currently `SNState` is only emitted by a `Session` when
+     * it enters the `ERROR` state; clients should not expect to see these
+     * events for other state changes yet.
      *
      * `SessionNotice` events are all implicitly associated with a `Session`.
      * They do not contain an *explicit* reference to it, because this is not
@@ -215,6 +224,25 @@ define([
     Object.freeze(MsgFullyAcked.prototype);
     ns.MsgFullyAcked = MsgFullyAcked;
 
+    /**
+     * Messages were pruned from the log of the session by {@link
+     * module:mpenc/session.Session#checkpoint}, and may no longer be queried.
+     *
+     * No other events are published for these messages afterwards. Clients
+     * should remove them from any views of the log, or recreate the views,
+     * e.g. a {@link module:mpenc/binding.MessageListBinding}.
+     *
+     * @class
+     * @implements module:mpenc/session.SessionNotice
+     * @property mIds {Array.<string>} The message ids, in the order that
+     *      they were in the log.
+     * @memberOf module:mpenc/session
+     */
+    var MsgsPruned = struct.createTupleClass("MsgsPruned", "mIds");
+
+    Object.freeze(MsgsPruned.prototype);
+    ns.MsgsPruned = MsgsPruned;
+
     /**
      * A message is ready to be consumed by the higher-layer client.
      *
@@ -232,10 +260,11 @@ define([
      * message after which this one was inserted, and perhaps all re-render all
      * subsequent messages if this is necessary.
      *
-     * (Lazy clients for now can just `assert(rIdx === 0)` since our system
-     * currently only emits `0` values. But in the future, if we want to add a
-     * mechanism to ensure that primary sequence is the same on all clients,
-     * then we would start to emit different values here.)
+     * With the default "accept" message order, `rIdx` is always `0`. With the
+     * "topological" order, which gives the same primary sequence to all
+     * members that have the same messages, a late message may be inserted
+     * before earlier ones. {@link module:mpenc/binding.MessageListBinding}
+     * does the above bookkeeping for clients that prefer not to.
      *
      * To give a simple example: suppose we receive, in this order:
      *
@@ -372,6 +401,169 @@ define([
     Object.freeze(NotFullyAcked.prototype);
     ns.NotFullyAcked = NotFullyAcked;
 
+    /**
+     * Another member is not able to be in the same session as us, because
+     * they do not support the same protocol version or features.
+     *
+     * This is emitted when they advertise their capabilities to us, and again
+     * whenever we refuse to include them into the session because of this.
+     * Clients should tell the user, who may ask the other member to upgrade
+     * (or downgrade) their software.
+     *
+     * @class
+     * @implements module:mpenc/session.SessionNotice
+     * @property uId {string} The incompatible member.
+     * @property problems {Array.<string>} Human-readable reasons why they are
+     *      incompatible.
+     * @memberOf module:mpenc/session
+     */
+    var NotCompatible = struct.createTupleClass("NotCompatible", "uId problems");
+
+    Object.freeze(NotCompatible.prototype);
+    ns.NotCompatible = NotCompatible;
+
+    /**
+     * Presence of another member of the session, as far as we can tell from
+     * the messages that they send.
+     *
+     * Members that are not otherwise active send heartbeats periodically, so
+     * that others can tell that they are still around.
+     *
+     * @enum {number}
+     * @memberOf module:mpenc/session
+     */
+    var PresenceState = {
+        /** We recently received a message from them. */
+        ONLINE       : 1,
+        /** We recently received a message from them, but they say they are idle. */
+        IDLE         : 2,
+        /** We have not received any message from them for a while. */
+        UNRESPONSIVE : 3
+    };
+    ns.PresenceState = PresenceState;
+
+    /**
+     * The presence of another member has changed.
+     *
+     * Clients may use this to update e.g. a list of members in the UI. The
+     * current presence of every member may also be queried via {@link
+     * module:mpenc/session.Session#presence}.
+     *
+     * @class
+     * @implements module:mpenc/session.SessionNotice
+     * @property uId {string} The member whose presence changed.
+     * @property state {module:mpenc/session.PresenceState} Their new presence.
+     * @memberOf module:mpenc/session
+     */
+    var SNPresence = struct.createTupleClass("SNPresence", "uId state");
+
+    Object.freeze(SNPresence.prototype);
+    ns.SNPresence = SNPresence;
+
+    /**
+     * Our user has verified, or un-verified, the identity key of another
+     * member, e.g. in this or in another session that shares the same
+     * {@link module:mpenc/fingerprint.VerificationStore}.
+     *
+     * Clients may use this to show e.g. a "verified" badge for the member.
+     * The current state may also be queried via {@link
+     * module:mpenc/session.Session#verification}.
+     *
+     * @class
+     * @implements module:mpenc/session.SessionNotice
+     * @property uId {string} The member whose verification state changed.
+     * @property state {module:mpenc/fingerprint.VerificationState} Its new
+     *      state, for the identity key that we currently have for them.
+     * @memberOf module:mpenc/session
+     */
+    var SNVerification = struct.createTupleClass("SNVerification", "uId state");
+
+    Object.freeze(SNVerification.prototype);
+    ns.SNVerification = SNVerification;
+
+    /**
+     * The identity key of a user in the session or its transport channel has
+     * changed, compared to the one that we had pinned for them. This may be
+     * legitimate, e.g. if they reinstalled their client, or it may mean that
+     * someone is trying to impersonate them.
+     *
+     * If the change is blocked, we automatically kick the user out of the
+     * channel, and refuse to include them, until the change is accepted via
+     * {@link module:mpenc/pubkeydir.CachingPubKeyDir#accept}.
+     *
+     * @class
+     * @implements module:mpenc/session.SessionNotice
+     * @property uId {string} The user whose key changed.
+     * @property blocked {boolean} Whether the new key is blocked.
+     * @memberOf module:mpenc/session
+     */
+    var SNKeyChanged = struct.createTupleClass("SNKeyChanged", "uId blocked");
+
+    Object.freeze(SNKeyChanged.prototype);
+    ns.SNKeyChanged = SNKeyChanged;
+
+    /**
+     * One of our own membership operations failed because it timed out or
+     * was cancelled, before it could complete.
+     *
+     * Everyone must abort the operation in the same way, after which anyone
+     * may try another operation. For join and part operations, we leave the
+     * transport channel. For include, exclude and refresh operations, members
+     * that were holding up the operation, or else the members that it would
+     * include, are made to leave the transport channel. If the operation had
+     * not yet reached the others, it is withdrawn; if they receive it anyway,
+     * the members that it would include are made to leave. Existing session
+     * members that are made to leave in this way will be excluded
+     * automatically; the client may try to include them again later.
+     *
+     * @class
+     * @implements module:mpenc/session.SessionNotice
+     * @property unresponsive {module:mpenc/helper/struct.ImmutableSet}
+     *      Members that failed to respond in time. This may be empty, e.g.
+     *      if the operation had not reached the other members yet.
+     * @property message {string} Reason why the operation failed; this is
+     *      the same as the message of the error that rejected the operation.
+     * @memberOf module:mpenc/session
+     */
+    var SNOperationFailed = struct.createTupleClass("SNOperationFailed", "unresponsive message");
+
+    Object.freeze(SNOperationFailed.prototype);
+    ns.SNOperationFailed = SNOperationFailed;
+
+    /**
+     * A member of the session has reported an error, or we have detected an
+     * error (e.g. a protocol violation by another member) and reported it to
+     * the session ourselves.
+     *
+     * Only reports whose signature verified correctly against the claimed
+     * member's session key are emitted; others are dropped.
+     *
+     * If the error is terminal (see `isTerminal`), the session has been torn
+     * down and has entered the `ERROR` state, and will refuse further actions.
+     * Clients *must* communicate this to the user, since it may be due to an
+     * attack. A new session may be created to continue talking to the others.
+     *
+     * @class
+     * @implements module:mpenc/session.SessionNotice
+     * @property uId {string} Member that reported the error; this is the owner
+     *      of the session if we detected it ourselves.
+     * @property severity {number} One of {@link module:mpenc/codec.ERROR}.
+     * @property message {string} Human-readable description of the error, as
+     *      written by the reporter.
+     * @memberOf module:mpenc/session
+     */
+    var SNError = struct.createTupleClass("SNError", "uId severity message");
+
+    /**
+     * @returns {boolean} Whether this error terminated the session.
+     */
+    SNError.prototype.isTerminal = function() {
+        return this.severity === codec.ERROR.TERMINAL;
+    };
+
+    Object.freeze(SNError.prototype);
+    ns.SNError = SNError;
+
 
     /**
      * Things that can be done to/on the cryptographic logical session.
@@ -382,24 +574,105 @@ define([
      * @name SessionAction
      * @interface
      * @property [content] {string} Message to send, or if empty then send
-     *      an explicit ack. If this is set, other properties must not be set.
+     *      an explicit ack. If this is set, only <code>readers</code> may also
+     *      be set.
+     * @property [attachment] {module:mpenc/message.Attachment} Attachment to
+     *      send, e.g. as created by {@link module:mpenc/attachment.upload}.
+     *      If this is set, only <code>readers</code> may also be set.
+     * @property [readers] {module:mpenc/helper/struct.ImmutableSet} Other
+     *      members that may read the non-empty <code>content</code> or the
+     *      <code>attachment</code> being sent, i.e. make it a "whisper". These
+     *      must be current members of the session. Default: all others.
+     *      Other members still learn that a whisper was sent and to whom, but
+     *      not what it contained.
+     * @property [share] {Array.<string>} IDs of earlier messages to share
+     *      with <code>readers</code>, who must be set, e.g. to show members
+     *      that we recently included some of the history before they joined.
+     *      Whispers, and messages that were themselves shared with us, are
+     *      skipped. The readers see the messages marked as attested by us;
+     *      see {@link module:mpenc/transcript.MessageLog#attestedBy}. If
+     *      this is set, only <code>readers</code> may also be set.
      * @property [join] {boolean} Include all others into our session. This
      *      is everyone else that is currently in the group transport channel.
      *      If this is set, other properties must not be set.
      * @property [part] {boolean} Exclude all others from our session. These
      *      members will also be made to leave the group transport channel.
      *      If this is set, other properties must not be set.
+     * @property [refresh] {boolean} Refresh the group key, keeping the same
+     *      members, e.g. to regain security after a member's device was
+     *      compromised and then recovered. If this is set, only
+     *      <code>timeout</code> may also be set.
      * @property [include] {module:mpenc/helper/struct.ImmutableSet} Other
      *      members to try to include into the session. If this is set, only
      *      <code>exclude</code> may also be set.
      * @property [exclude] {module:mpenc/helper/struct.ImmutableSet} Other
      *      members to try to exclude from the session. If this is set, only
      *      <code>include</code> may also be set.
+     * @property [timeout] {number} Ticks after which to fail a join, part,
+     *      refresh, include or exclude operation, if it has not yet completed.
+     *      The Promise returned by <code>execute()</code> is then rejected with
+     *      an "OperationTimedOut" error, and {@link
+     *      module:mpenc/session.SNOperationFailed} is published. Default: no
+     *      timeout.
      * @see module:mpenc/session.Session#send
      * @see module:mpenc/session.SessionNotice
      * @memberOf module:mpenc/session
      */
 
+    var _checkReaders = function(act) {
+        if (!("readers" in act)) {
+            return act;
+        }
+        var readers = ImmutableSet.from(act.readers);
+        if (!readers.size) {
+            throw new Error("tried to create SessionAction with empty readers");
+        }
+        if ("attachment" in act) {
+            return { attachment: act.attachment, readers: readers };
+        } else if ("share" in act) {
+            return { share: act.share, readers: readers };
+        } else if ("content" in act && act.content) {
+            return { content: act.content, readers: readers };
+        }
+        throw new Error("tried to create SessionAction with readers but nothing to read");
+    };
+
+    var _checkTimeout = function(act, canonical) {
+        if (!("timeout" in act)) {
+            return canonical;
+        }
+        if ("content" in act || "attachment" in act || "share" in act) {
+            throw new Error("tried to create SessionAction with timeout but no operation");
+        }
+        if (typeof act.timeout !== "number" || act.timeout <= 0) {
+            throw new Error("tried to create SessionAction with non-positive timeout");
+        }
+        if (canonical) {
+            canonical.timeout = act.timeout;
+        }
+        return canonical;
+    };
+
+    var _checkSend = function(act) {
+        if ("content" in act && typeof act.content !== "string") {
+            throw new Error("tried to create SessionAction with non-string content");
+        } else if ("attachment" in act && !(act.attachment instanceof message.Attachment)) {
+            throw new Error("tried to create SessionAction with non-Attachment attachment");
+        } else if ("share" in act && !(act.share instanceof Array && act.share.length)) {
+            throw new Error("tried to create SessionAction with empty share");
+        } else if ("share" in act && !act.readers) {
+            throw new Error("tried to create SessionAction with share but no readers");
+        }
+    };
+
+    var _FLAG_ACTIONS = ["join", "part", "refresh"];
+
+    var _checkFlag = function(act, name) {
+        if (name in act && act[name] !== true) {
+            throw new Error("tried to create SessionAction with non-true " + name);
+        }
+    };
+
     /**
      * @param act {module:mpenc/session.SessionAction} Action to check.
      * @return {module:mpenc/session.SessionAction} Validated action, maybe
@@ -408,24 +681,21 @@ define([
      */
     ns.checkSessionAction = function(act) {
         var hasContent = "content" in act;
+        var hasAttachment = "attachment" in act;
+        var hasShare = "share" in act;
         var hasJoin = "join" in act;
         var hasPart = "part" in act;
+        var hasRefresh = "refresh" in act;
         var hasMemChg = "include" in act || "exclude" in act;
-        if (0 + hasContent + hasMemChg + hasJoin + hasPart !== 1) {
+        if (0 + hasContent + hasAttachment + hasShare + hasMemChg + hasJoin + hasPart + hasRefresh !== 1) {
             throw new Error("tried to create SessionAction with conflicting properties");
         }
-        if (hasContent) {
-            if (typeof act.content !== "string") {
-                throw new Error("tried to create SessionAction with non-string content");
-            }
-        } else if (hasJoin) {
-            if (act.join !== true) {
-                throw new Error("tried to create SessionAction with non-true join");
-            }
-        } else if (hasPart) {
-            if (act.part !== true) {
-                throw new Error("tried to create SessionAction with non-true part");
-            }
+        _checkTimeout(act);
+        act = _checkReaders(act);
+        if (hasContent || hasAttachment || hasShare) {
+            _checkSend(act);
+        } else if (!hasMemChg) {
+            _FLAG_ACTIONS.forEach(_checkFlag.bind(null, act));
         } else {
             var include = ImmutableSet.from(act.include);
             var exclude = ImmutableSet.from(act.exclude);
@@ -435,7 +705,7 @@ define([
             if (!struct.isDisjoint(include, exclude)) {
                 throw new Error("tried to create SessionAction with contradictory membership change");
             }
-            return { include: include, exclude: exclude };
+            return _checkTimeout(act, { include: include, exclude: exclude });
         }
         return act;
     };
@@ -481,7 +751,12 @@ define([
      *
      * Implementations *need not* define `execute()` for when the input has a
      * `content` property (i.e. sending a message), but they **must** define it
-     * for all other values.
+     * for all other values. For membership operations, the Promise returned
+     * by `execute()` also has a `cancel()` method, a {@link
+     * module:mpenc/helper/async~canceller} that rejects the Promise with an
+     * "OperationAborted" error if the operation is still in progress. It
+     * returns false if the operation is about to complete anyway, e.g. when
+     * only the transport has yet to echo its final packets.
      *
      * @example
      *
@@ -504,12 +779,29 @@ define([
      *   }
      *   ?uiUsersView.?renderMembership(evt.members());
      * });
+     * session.onEvent(SNPresence)(function(evt) {
+     *   ?uiUsersView.?renderPresence(evt.uId, evt.state, session.lastSeen(evt.uId));
+     * });
+     * session.onEvent(SNVerification)(function(evt) {
+     *   ?uiUsersView.?renderVerified(evt.uId,
+     *     evt.state === mpenc.fingerprint.VerificationState.VERIFIED);
+     * });
+     * session.onEvent(SNKeyChanged)(function(evt) {
+     *   ?uiStatusView.?renderNotice("the identity key of " + evt.uId + " changed",
+     *     evt.blocked ? "they cannot join until you accept it" : "");
+     * });
+     * session.onEvent(SNOperationFailed)(function(evt) {
+     *   ?uiStatusView.?renderNotice("operation failed: " + evt.message,
+     *     "these members did not respond: " + evt.unresponsive);
+     * });
+     * var uiMessages = [];
      * session.onEvent(MsgReady)(function(evt) {
-     *   assert(evt.rIdx === 0,
-     *     "handling non-append-only sequences is not currently implemented");
+     *   // or use mpenc.binding.MessageListBinding, which does this for you
+     *   var index = uiMessages.length - evt.rIdx;
+     *   uiMessages.splice(index, 0, evt.mId);
      *
      *   var message = log.get(evt.mId);
-     *   ?uiMessageView.?renderNewMessage(evt.mId, message.author, message.body.content);
+     *   ?uiMessageView.?renderNewMessage(index, evt.mId, message.author, message.body.content);
      *
      *   var sessMembers = session.curMembers();
      *   var msgMembers = message.members();
@@ -521,6 +813,10 @@ define([
      *     var realParents = log.parents(evt.mId);
      *     // handle this somehow, see MsgReady docstring for details.
      *   }
+     *
+     *   if (evt.rIdx > 0) {
+     *     // re-evaluate whether to highlight uiMessages[index + 1], as above.
+     *   }
      * });
      * session.onEvent(NotFullyAcked)(function(evt) {
      *   ?uiMessageView.?reRenderMessage(evt.mId, {
@@ -557,9 +853,10 @@ define([
      * }, function() {
      *   ?uiStatusView.?renderNotice("your invite failed! you can try again, though");
      * }).catch(console.log);
-     * // Automatic timeouts to reject 'promise' are not yet implemented, but you
-     * // could make your own using 'Promise.race()'
-     * // Aborting the operation is not yet implemented, but could be in future.
+     * // To give up automatically if some members do not respond in time, pass
+     * // e.g. { include: ?wantToInclude, timeout: 30000 } instead. You may also
+     * // give up manually by calling 'promise.cancel()', e.g. from a UI button.
+     * // Either way, 'promise' is rejected and SNOperationFailed is published.
      * // You should *not* need to call any methods on GroupChannel yourself; if you
      * // do then that is our bug that needs to be fixed.
      *
@@ -583,9 +880,10 @@ define([
      * @memberOf module:mpenc/session.Session
      * @see module:mpenc/session.SessionNotice
      */
-    Session.EventTypes = [SNState, SNMembers,
-                          MsgReady, MsgFullyAcked,
-                          NotDecrypted, NotAccepted, NotFullyAcked];
+    Session.EventTypes = [SNState, SNMembers, SNError, SNPresence, SNOperationFailed,
+                          SNVerification, SNKeyChanged,
+                          MsgReady, MsgFullyAcked, MsgsPruned,
+                          NotDecrypted, NotAccepted, NotFullyAcked, NotCompatible];
 
     /**
      * @method
@@ -607,6 +905,15 @@ define([
      */
     Session.prototype.messages;
 
+    /**
+     * @method
+     * @returns {module:mpenc/query.MessageQuery}
+     *      Indexes of the messages of this session, to find them by author,
+     *      sub-session, time or content. Times are in ticks of the timer of
+     *      the session context.
+     */
+    Session.prototype.query;
+
     /**
      * **API WARNING**: the behaviour of this is currently experimental;
      * clients should not rely on this yet.
@@ -631,6 +938,190 @@ define([
      */
     Session.prototype.isConsistent;
 
+    /**
+     * @method
+     * @param uId {string} Member of the session.
+     * @returns {?module:mpenc/session.PresenceState} Presence of the member,
+     *      or <code>null</code> if they are not a current member. Our own
+     *      presence is as set by {@link module:mpenc/session.Session#setIdle}.
+     */
+    Session.prototype.presence;
+
+    /**
+     * @method
+     * @param uId {string} Other member of the session.
+     * @returns {?Date} When we last received a message from the member,
+     *      including as part of a membership change, or <code>null</code> if
+     *      they are not another current member.
+     */
+    Session.prototype.lastSeen;
+
+    /**
+     * Tell other members whether our user is idle, e.g. away from their
+     * device. This is sent with our next heartbeat, which is sent immediately
+     * if the value changed.
+     *
+     * @method
+     * @param idle {boolean} Whether our user is idle.
+     */
+    Session.prototype.setIdle;
+
+    /**
+     * Fingerprint of a member's identity key, for our user to compare with
+     * what that member's own client shows, over a trusted channel.
+     *
+     * @method
+     * @param uId {string} Member of the session, possibly ourselves.
+     * @returns {?module:mpenc/fingerprint.Fingerprint} Fingerprint of the
+     *      member, or <code>null</code> if they are not a current member.
+     */
+    Session.prototype.fingerprint;
+
+    /**
+     * Fingerprint of the current sub-session and the identity keys of all of
+     * its members. This changes with every membership change, and should be
+     * the same for all members.
+     *
+     * @method
+     * @returns {?module:mpenc/fingerprint.Fingerprint} Fingerprint of the
+     *      session, or <code>null</code> if we are not in a session with
+     *      others.
+     */
+    Session.prototype.sessionFingerprint;
+
+    /**
+     * @method
+     * @param uId {string} Other member of the session.
+     * @returns {?module:mpenc/fingerprint.VerificationState} Whether our user
+     *      verified the identity key that we have for the member, or
+     *      <code>null</code> if they are not another current member.
+     */
+    Session.prototype.verification;
+
+    /**
+     * Record whether our user verified the identity key of another member,
+     * e.g. after comparing their {@link module:mpenc/session.Session#fingerprint}.
+     * If this changed the state, {@link module:mpenc/session.SNVerification}
+     * is published.
+     *
+     * @method
+     * @param uId {string} Other member of the session.
+     * @param state {module:mpenc/fingerprint.VerificationState} New state.
+     * @returns {boolean} Whether the state changed.
+     * @throws If the member is not another current member.
+     */
+    Session.prototype.setVerification;
+
+    /**
+     * Tell the session that a member's device may have been compromised, e.g.
+     * it was lost or infected and has since been recovered. We refresh the
+     * group key as soon as possible, becoming the initiator of the refresh.
+     *
+     * A refresh only renews the key share of its initiator, so this fully
+     * restores security if the flagged device is our own. For another
+     * member's device, whoever had access to it may still know that member's
+     * key share, until they initiate a refresh themselves (periodic refreshes
+     * rotate the initiator between members), or they are excluded and
+     * included again.
+     *
+     * Other members are not told about this.
+     *
+     * @method
+     * @param uId {string} Member of the session, possibly ourselves.
+     * @returns {boolean} Whether a refresh was scheduled, i.e. whether the
+     *      member is a current member of the session, and there are others.
+     */
+    Session.prototype.flagDevice;
+
+    /**
+     * Forget the oldest messages of the session, to bound its memory use.
+     *
+     * This prunes the longest prefix of each sub-session whose messages were
+     * acknowledged by all of their readers, keeping only the messages that
+     * later ones may still refer to. The pruned messages are removed from
+     * {@link module:mpenc/session.Session#messages} and {@link
+     * module:mpenc/session.Session#query}, and {@link
+     * module:mpenc/session.MsgsPruned} is published. Save them in
+     * <code>archive</code>, if the user should still be able to see them.
+     *
+     * This does nothing during a membership operation, whose greeting may
+     * still refer to the messages; nor if the session was created with the
+     * <code>archive</code> option, which keeps all messages for {@link
+     * module:mpenc/session.Session#exportArchive}.
+     *
+     * @method
+     * @param [archive] {function} 1-arg function, called with an Array of the
+     *      {@link module:mpenc/message.Message} that were removed from the
+     *      log, in the order that they were in it, before the event is
+     *      published. Default: none.
+     * @returns {Array.<string>} IDs of the messages that were removed from
+     *      the log, in the order that they were in it.
+     */
+    Session.prototype.checkpoint;
+
+    /**
+     * Get the state of the session, so that it may be resumed after the
+     * application restarts, without a new greeting. This contains secret
+     * keys; see {@link module:mpenc/persist} for how to store it safely.
+     *
+     * A snapshot can only be taken whilst we are joined and there is no
+     * ongoing membership operation. It only contains the messages of the
+     * current group key since the last {@link
+     * module:mpenc/session.Session#checkpoint}; earlier messages are not
+     * resumed.
+     *
+     * @method
+     * @returns {?Object} A JSON-compatible object, or <code>null</code> if
+     *      the session may not be resumed from its current state.
+     */
+    Session.prototype.snapshot;
+
+    /**
+     * Resume the session from a snapshot, instead of joining it again.
+     *
+     * This is only possible on a fresh session object, whilst we are in the
+     * transport channel with exactly the members of the snapshot, e.g.
+     * because it kept us in the channel whilst we restarted. Otherwise, the
+     * session is left as it was, and the application should join it again
+     * as normal. When this succeeds, events for all resumed messages are
+     * published again, and we are joined to the session.
+     *
+     * Only resume the most recent snapshot, which should have been taken
+     * after the last message that we sent. Others will not accept messages
+     * from an older snapshot, and we might reuse message keys.
+     *
+     * @method
+     * @param snapshot {Object} As returned by {@link
+     *      module:mpenc/session.Session#snapshot}.
+     * @returns {boolean} Whether the session was resumed.
+     */
+    Session.prototype.restore;
+
+    /**
+     * Export an archive of the session, e.g. for compliance purposes. This
+     * covers every sub-session since the session object was created, with
+     * its members and all messages, including their acknowledgement state.
+     * It contains no session secrets; see {@link module:mpenc/archive} for
+     * the format, and how to check it offline.
+     *
+     * Messages are only archived together with their signed packets, and
+     * the keys that decrypt only those, if the session was created with the
+     * <code>archive</code> option.
+     *
+     * @method
+     * @returns {Object} A JSON-compatible object.
+     */
+    Session.prototype.exportArchive;
+
+    /**
+     * Detach the session from the transport channel and stop all its timers,
+     * without telling anyone, e.g. before the application shuts down. The
+     * session must not be used afterwards.
+     *
+     * @method
+     */
+    Session.prototype.stop;
+
     ns.Session = Session;
     // jshint +W030
 
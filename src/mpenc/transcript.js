@@ -132,7 +132,8 @@ define([
 
     /**
      * The latest message before mId authored by the same author, or
-     * <code>null</code> if mId is the first message authored by them.
+     * <code>null</code> if mId is the first message authored by them, or
+     * if that message was pruned.
      *
      * @method
      * @param mId {string} Message id.
@@ -142,7 +143,8 @@ define([
 
     /**
      * The latest message before mId authored by the given reader of mId, or
-     * <code>null</code> if they did not author any such messages.
+     * <code>null</code> if they did not author any such messages, or if that
+     * message was pruned.
      *
      * @method
      * @param mId {string} Message id.
@@ -197,6 +199,12 @@ define([
      * well (i.e. has a lower `indexOf`). This prevents most "user surprises"
      * regarding ordering.
      *
+     * Some implementations may insert a new message before messages that were
+     * already in the log, e.g. to give members with the same messages the same
+     * total order. Subscribers to the log (if it is observable) must then use
+     * the `rIdx` of each {@link module:mpenc/helper/async.SequenceInsert} to
+     * find where the message went, rather than assuming it is at the end.
+     *
      * All of the query methods deal with message IDs (global) and indexes
      * (local to this data structure). To get an actual `Message` object, e.g.
      * to retrieve its contents, first find its message ID, then call `get`.
@@ -264,6 +272,37 @@ define([
      */
     MessageLog.prototype.curParents;
 
+    /**
+     * Whether anyone could have forged the given message, because its author
+     * later published the key that it was signed with.
+     *
+     * This happens when members leave a session in deniable mode. The message
+     * was authentic when we accepted it, but this cannot be proven to anyone
+     * else afterwards; exported history should say so.
+     *
+     * @method
+     * @param mId {string} Message ID.
+     * @returns {boolean}
+     */
+    MessageLog.prototype.isForgeable;
+
+    /**
+     * The member that shared the given message with us, if it was sent before
+     * we were included into the session, and only shown to us afterwards.
+     *
+     * We cannot verify that such a message was really written by its stated
+     * author, nor that its stated parents are accurate; we only have the word
+     * of the member that shared it. The UI should show it as such, e.g. as
+     * "shared history, attested by X", rather than as a first-hand message.
+     * Its parents in this log are only those that are also in this log.
+     *
+     * @method
+     * @param mId {string} Message ID.
+     * @returns {?string} Member that attested to the message, or
+     *      <code>null</code> if we received it first-hand.
+     */
+    MessageLog.prototype.attestedBy;
+
     /**
      * Returns the latest Payload messages before-or-same as the given set of
      * messages. For example, if mIds are the real parents of some message,
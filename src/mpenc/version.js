@@ -26,8 +26,33 @@ define([], function() {
      */
     var ns = {};
 
-    /** Protocol version indicator. */
-    ns.PROTOCOL_VERSION = 1;
+    /**
+     * Protocol version indicator.
+     *
+     * Version 2 derives each message key from a per-sender hash ratchet (see
+     * {@link module:mpenc/message.SenderChain}) rather than using the group
+     * key directly, and binds the greeting metadata into the session
+     * signatures of the key exchange. So members of different versions cannot
+     * read each other's messages, nor complete a greeting together.
+     */
+    ns.PROTOCOL_VERSION = 2;
+
+    /** Protocol versions that this library is able to speak. */
+    ns.SUPPORTED_VERSIONS = [ns.PROTOCOL_VERSION];
+
+    /**
+     * Optional features that this library supports, as "category:name"
+     * strings, most preferred first within each category. These are
+     * advertised to other members; see {@link module:mpenc/capability}.
+     */
+    ns.FEATURES = [
+        "body:tlv",
+        "body:default",
+        "cipher:aes-gcm",
+        "cipher:xsalsa20-poly1305",
+        "cipher:aes-ctr",
+        "padding:exponential",
+    ];
 
     return ns;
 });
@@ -0,0 +1,144 @@
+/**
+ * @fileOverview
+ * Test of the `mpenc/archive` module.
+ */
+
+/*
+ * (c) 2014-2016 by Mega Limited, Auckland, New Zealand
+ *     https://mega.nz/
+ *
+ * This file is part of the multi-party chat encryption suite.
+ *
+ * This code is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License version 3
+ * as published by the Free Software Foundation. See the accompanying
+ * LICENSE file or <https://www.gnu.org/licenses/> if it is unavailable.
+ *
+ * This code is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ */
+
+define([
+    "mpenc/archive",
+    "mpenc/message",
+    "mpenc/impl/transcript",
+    "mpenc/helper/struct",
+    "chai"
+], function(ns, message, transcript, struct, chai) {
+    "use strict";
+
+    var assert = chai.assert;
+    var ImmutableSet = struct.ImmutableSet;
+
+    var members = new ImmutableSet(['Moe', 'Larry']);
+    var readers = new ImmutableSet(['Larry']);
+
+    // a sub-session where Moe sent two messages, the second in reply to the first
+    var mkRecord = function(keepPackets) {
+        var msgsec = new message.MessageSecurity({
+            id: 'Moe',
+            sessionId: _td.SESSION_ID,
+            members: members.toArray(),
+            groupKey: _td.GROUP_KEY,
+            ephemeralPrivKey: _td.ED25519_PRIV_KEY,
+            ephemeralPubKey: _td.ED25519_PUB_KEY,
+            pubKeyMap: { 'Moe': _td.ED25519_PUB_KEY, 'Larry': _td.C25519_PUB_KEY },
+        });
+        var ts = new transcript.BaseTranscript();
+        var signed = new Map();
+        var parents = ImmutableSet.EMPTY;
+        ["first", "second"].forEach(function(content) {
+            var body = new message.Payload(content);
+            var enc = msgsec.authEncrypt(ts, {
+                author: 'Moe',
+                parents: parents,
+                readers: readers,
+                body: message.DefaultMessageCodec.encode(body),
+            });
+            var mId = enc.secrets.mId;
+            enc.secrets.commit();
+            ts.add(new message.Message(mId, 'Moe', parents, readers, body));
+            signed.set(mId, new ns.SignedMessage(enc.fragments, enc.secrets.messageKeys, enc.secrets.whisperKey));
+            parents = new ImmutableSet([mId]);
+        });
+        return new ns.SubSessionRecord(_td.SESSION_ID, members, new ImmutableSet(['Moe']),
+            ImmutableSet.EMPTY, ts, message.DefaultMessageCodec, msgsec.signingParams(),
+            keepPackets ? signed : null);
+    };
+
+    // as stored and loaded again
+    var exportArchive = function(record) {
+        return JSON.parse(JSON.stringify(ns.exportArchive("s", "Moe", [record])));
+    };
+
+    describe("exportArchive() and verify()", function() {
+        it('round trip', function() {
+            var archive = exportArchive(mkRecord(true));
+            assert.strictEqual(archive.version, ns.VERSION);
+            var sub = archive.subSessions[0];
+            assert.deepEqual(sub.include, ['Larry']);
+            assert.deepEqual(sub.exclude, []);
+            var mIds = sub.messages.map(function(m) { return m.mId; });
+            assert.deepEqual(sub.messages[1].parents, [mIds[0]]);
+            assert.deepEqual(sub.messages[1].unackby, ['Larry']);
+            assert.strictEqual(ns.readBody(sub.messages[1]).content, "second");
+
+            var result = ns.verify(archive);
+            assert.ok(result.ok());
+            assert.deepEqual(result.signed, mIds);
+            assert.deepEqual(result.unsigned, []);
+            assert.deepEqual(result.forgeable, []);
+        });
+
+        it('without packets', function() {
+            var result = ns.verify(exportArchive(mkRecord(false)));
+            assert.ok(result.ok());
+            assert.deepEqual(result.signed, []);
+            assert.lengthOf(result.unsigned, 2);
+        });
+
+        it('forgeable messages', function() {
+            var record = mkRecord(true);
+            record.transcript.markForgeable('Moe');
+            var result = ns.verify(exportArchive(record));
+            assert.ok(result.ok());
+            assert.deepEqual(result.forgeable, result.signed);
+            assert.lengthOf(result.forgeable, 2);
+        });
+
+        it('tampering is detected', function() {
+            var record = mkRecord(true);
+            var tamper = function(change, error) {
+                var archive = exportArchive(record);
+                change(archive.subSessions[0], archive.subSessions[0].messages);
+                var result = ns.verify(archive);
+                assert.notOk(result.ok());
+                assert.match(result.errors[0], error);
+            };
+            tamper(function(sub, messages) { messages[0].author = 'Larry'; }, /readers not all other/);
+            tamper(function(sub, messages) {
+                messages[0].author = 'Larry';
+                messages[0].readers = ['Moe'];
+                messages[0].unackby = ['Moe'];
+            }, /failed to verify/);
+            tamper(function(sub, messages) { messages.reverse(); }, /parents not all earlier/);
+            tamper(function(sub, messages) { messages[1].packets = messages[0].packets; }, /another message/);
+            tamper(function(sub, messages) { messages[1].unackby = ['Curly']; }, /non-readers/);
+            tamper(function(sub, messages) { messages.push(messages[0]); }, /duplicate/);
+            // what the author signed is checked too, not just the packets
+            tamper(function(sub, messages) { messages[1].body = messages[0].body; }, /body differs/);
+            tamper(function(sub, messages) { messages[1].parents = []; }, /parents differ/);
+            tamper(function(sub, messages) { messages[0].keys = null; }, /without their keys/);
+            tamper(function(sub, messages) { messages[0].keys = messages[1].keys; }, /failed to verify/);
+            tamper(function(sub) { sub.parents = [sub.messages[0].mId]; }, /not all in earlier/);
+            tamper(function(sub) { sub.exclude = ['Larry']; }, /inconsistent with members/);
+        });
+
+        it('unsupported version', function() {
+            var archive = exportArchive(mkRecord(false));
+            archive.version = ns.VERSION + 1;
+            assert.throws(function() { ns.verify(archive); }, /unsupported archive version/);
+        });
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * @fileOverview
+ * Test of the `mpenc/attachment` module.
+ */
+
+/*
+ * (c) 2014-2016 by Mega Limited, Auckland, New Zealand
+ *     https://mega.nz/
+ *
+ * This file is part of the multi-party chat encryption suite.
+ *
+ * This code is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License version 3
+ * as published by the Free Software Foundation. See the accompanying
+ * LICENSE file or <https://www.gnu.org/licenses/> if it is unavailable.
+ *
+ * This code is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ */
+
+define([
+    "mpenc/attachment",
+    "mpenc/impl/attachment",
+    "mpenc/message",
+    "mpenc/helper/utils",
+    "chai"
+], function(ns, impl, message, utils, chai) {
+    "use strict";
+
+    var assert = chai.assert;
+
+    var logError = function(e) { console.log(e.stack); };
+
+    describe("upload() and download()", function() {
+        var data = _tu.cheapRandomString(1000);
+
+        it('round trip', function(done) {
+            var storage = new impl.MemoryStorage();
+            ns.upload(storage, data, "cat.png", "image/png").then(function(attachment) {
+                assert.instanceOf(attachment, message.Attachment);
+                assert.instanceOf(attachment, message.Payload);
+                assert.strictEqual(attachment.content, "cat.png");
+                assert.strictEqual(attachment.mimeType, "image/png");
+                assert.strictEqual(attachment.size, 1000);
+                var stored = storage._data.get(attachment.ref);
+                assert.notInclude(stored, data);
+                return ns.download(storage, attachment);
+            }).then(function(result) {
+                assert.strictEqual(result, data);
+                done();
+            }).catch(logError);
+        });
+
+        it('modified ciphertext is rejected', function(done) {
+            var storage = new impl.MemoryStorage();
+            var attachment;
+            ns.upload(storage, data, "cat.png", "image/png").then(function(att) {
+                attachment = att;
+                var stored = storage._data.get(att.ref);
+                storage._data.set(att.ref, stored.slice(0, -1) + "x");
+                return ns.download(storage, attachment);
+            }).then(function() {
+                assert.fail("download should have failed");
+            }, function(e) {
+                assert.include(e.message, "failed hash check");
+                // ciphertext modified along with its hash
+                var forged = new message.Attachment(attachment.content, attachment.ref,
+                    attachment.key, utils.sha256(storage._data.get(attachment.ref)),
+                    attachment.mimeType, attachment.size);
+                return ns.download(storage, forged);
+            }).then(function() {
+                assert.fail("download should have failed");
+            }, function(e) {
+                assert.include(e.message, "failed to decrypt");
+                done();
+            }).catch(logError);
+        });
+
+        it('missing ciphertext is rejected', function(done) {
+            var storage = new impl.MemoryStorage();
+            ns.upload(storage, data, "cat.png", "image/png").then(function(attachment) {
+                assert.ok(storage.remove(attachment.ref));
+                return ns.download(storage, attachment);
+            }).then(function() {
+                assert.fail("download should have failed");
+            }, function(e) {
+                assert.include(e.message, "not found");
+                done();
+            }).catch(logError);
+        });
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * @fileOverview
+ * Test of the `mpenc/binding` module.
+ */
+
+/*
+ * (c) 2014-2016 by Mega Limited, Auckland, New Zealand
+ *     https://mega.nz/
+ *
+ * This file is part of the multi-party chat encryption suite.
+ *
+ * This code is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License version 3
+ * as published by the Free Software Foundation. See the accompanying
+ * LICENSE file or <https://www.gnu.org/licenses/> if it is unavailable.
+ *
+ * This code is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ */
+
+define([
+    "mpenc/binding",
+    "mpenc/session",
+    "mpenc/message",
+    "mpenc/impl/transcript",
+    "chai"
+], function(ns, session, message, transcriptImpl, chai) {
+    "use strict";
+
+    var assert = chai.assert;
+    var M = message.Message;
+    var P = message.Payload;
+
+    // just enough of a Session to publish MsgReady for its log
+    var mkSession = function(log) {
+        return {
+            messages: function() { return log; },
+            onEvent: function(evtcls) {
+                assert.strictEqual(evtcls, session.MsgReady);
+                return function(sub) {
+                    return log.onUpdate(function(update) {
+                        sub(session.MsgReady.fromMessageLogUpdate(log, update));
+                    });
+                };
+            }
+        };
+    };
+
+    var mkView = function() {
+        var view = { rows: [] };
+        view.insert = function(index, mId, highlight) {
+            view.rows.splice(index, 0, [mId, highlight]);
+        };
+        view.highlight = function(index, mId, highlight) {
+            assert.strictEqual(view.rows[index][0], mId);
+            view.rows[index][1] = highlight;
+        };
+        return view;
+    };
+
+    describe("MessageListBinding class", function() {
+        var tr1 = new transcriptImpl.BaseTranscript();
+        tr1.add(new M("O", "Alice", [], ["Bob"], new P("x")));
+        tr1.add(new M("A", "Alice", ["O"], ["Bob"], new P("x")));
+        tr1.add(new M("B", "Bob", ["A"], ["Alice"], new P("x")));
+        var tr2 = new transcriptImpl.BaseTranscript();
+        tr2.add(new M("X", "Alice", [], ["Bob"], new P("x")));
+        tr2.add(new M("Y", "Bob", ["X"], ["Alice"], new P("x")));
+
+        it('mirrors a log with mid-sequence inserts', function() {
+            var log = new transcriptImpl.DefaultMessageLog({ order: "topological" });
+            var sub1 = log.getSubscriberFor(tr1);
+            var sub2 = log.getSubscriberFor(tr2);
+            sub2("X");
+            sub2("Y");
+            var view = mkView();
+            var binding = new ns.MessageListBinding(mkSession(log), view);
+            assert.deepEqual(view.rows, [["X", false], ["Y", false]]);
+
+            "OAB".split("").forEach(sub1);
+            assert.deepEqual(view.rows, [
+                ["O", false], ["X", true], ["A", true], ["Y", true], ["B", true]]);
+            assert.deepEqual(binding.mIds(), log.slice());
+
+            assert.strictEqual(binding.stop(), true);
+            assert.strictEqual(binding.stop(), false);
+        });
+
+        it('accept order only appends', function() {
+            var log = new transcriptImpl.DefaultMessageLog();
+            var view = mkView();
+            var binding = new ns.MessageListBinding(mkSession(log), view);
+            var sub1 = log.getSubscriberFor(tr1);
+            var sub2 = log.getSubscriberFor(tr2);
+            sub2("X");
+            "OAB".split("").forEach(sub1);
+            sub2("Y");
+            assert.deepEqual(view.rows, [
+                ["X", false], ["O", true], ["A", false], ["B", false], ["Y", true]]);
+            assert.deepEqual(binding.mIds(), "XOABY".split(""));
+            binding.stop();
+        });
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * @fileOverview
+ * Test of the `mpenc/capability` module.
+ */
+
+/*
+ * (c) 2014-2016 by Mega Limited, Auckland, New Zealand
+ *     https://mega.nz/
+ *
+ * This file is part of the multi-party chat encryption suite.
+ *
+ * This code is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License version 3
+ * as published by the Free Software Foundation. See the accompanying
+ * LICENSE file or <https://www.gnu.org/licenses/> if it is unavailable.
+ *
+ * This code is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ */
+
+define([
+    "mpenc/capability",
+    "mpenc/version",
+    "chai"
+], function(ns, version, chai) {
+    "use strict";
+
+    var assert = chai.assert;
+    var Capabilities = ns.Capabilities;
+
+    describe("Capabilities class", function() {
+        var caps = new Capabilities([1, 2], [
+            "cipher:aes-gcm", "cipher:aes-ctr", "padding:exponential", "body:default"]);
+
+        it('ctor rejects bad values', function() {
+            assert.throws(function() { return new Capabilities(["1"], []); });
+            assert.throws(function() { return new Capabilities([1], ["nocategory"]); });
+            assert.throws(function() { return new Capabilities([1], null); });
+        });
+
+        it('#inCategory() and #preferred()', function() {
+            assert.deepEqual(caps.inCategory("cipher"), ["aes-gcm", "aes-ctr"]);
+            assert.deepEqual(caps.inCategory("attachment"), []);
+            assert.strictEqual(caps.preferred("cipher"), "aes-gcm");
+            assert.strictEqual(caps.preferred("attachment"), null);
+        });
+
+        it('#prefer()', function() {
+            var preferred = caps.prefer("cipher:aes-ctr");
+            assert.deepEqual(preferred.versions, [1, 2]);
+            assert.strictEqual(preferred.preferred("cipher"), "aes-ctr");
+            assert.deepEqual(preferred.inCategory("cipher"), ["aes-ctr", "aes-gcm"]);
+            assert.deepEqual(caps.inCategory("cipher"), ["aes-gcm", "aes-ctr"]);
+            assert.throws(function() { return caps.prefer("cipher:aes-siv"); });
+        });
+
+        it('#intersect() keeps our order', function() {
+            var other = new Capabilities([1], [
+                "body:default", "cipher:aes-ctr", "cipher:aes-gcm", "padding:none"]);
+            var common = caps.intersect(other);
+            assert.deepEqual(common.versions, [1]);
+            assert.deepEqual(common.features, ["cipher:aes-gcm", "cipher:aes-ctr", "body:default"]);
+        });
+
+        it('#problems()', function() {
+            assert.deepEqual(ns.DEFAULT.problems(), []);
+            var problems = new Capabilities([version.PROTOCOL_VERSION + 1], ["body:default"]).problems();
+            assert.strictEqual(problems.length, 3);
+            assert.include(problems[0], "no common protocol version");
+            assert.include(problems, "no common cipher feature");
+            assert.include(problems, "no common padding feature");
+        });
+    });
+
+    describe("negotiate()", function() {
+        it('no others', function() {
+            assert.strictEqual(ns.negotiate(ns.DEFAULT, []), ns.DEFAULT);
+        });
+
+        it('legacy members are incompatible', function() {
+            var own = new Capabilities([1, 2], ns.DEFAULT.features.concat(["cipher:aes-siv"]));
+            var common = ns.negotiate(own, [own, ns.LEGACY]);
+            assert.deepEqual(common.versions, [1]);
+            assert.deepEqual(common.features, ns.LEGACY.features);
+            var problems = common.problems();
+            assert.strictEqual(problems.length, 1);
+            assert.include(problems[0], "no common protocol version");
+        });
+
+        it('in the order of the initiator', function() {
+            var other = ns.DEFAULT.prefer("body:default").prefer("cipher:aes-ctr");
+            var common = ns.negotiate(ns.DEFAULT, [other, ns.DEFAULT]);
+            assert.deepEqual(common.features, ns.DEFAULT.features);
+            var theirs = ns.negotiate(other, [ns.DEFAULT, other]);
+            assert.deepEqual(theirs.features, other.features);
+        });
+
+        it('incompatible member', function() {
+            var other = new Capabilities(ns.DEFAULT.versions, [
+                "body:default", "cipher:aes-siv", "padding:exponential"]);
+            var common = ns.negotiate(ns.DEFAULT, [other]);
+            assert.deepEqual(common.problems(), ["no common cipher feature"]);
+        });
+    });
+});
@@ -19,16 +19,18 @@
 define([
     "mpenc/impl/channel",
     "mpenc/greet/greeter",
+    "mpenc/helper/async",
     "mpenc/helper/struct",
     "mpenc/helper/utils",
     "chai",
     "sinon/stub"
-], function(ns, greeter, struct, utils, chai, stub) {
+], function(ns, greeter, async, struct, utils, chai, stub) {
     "use strict";
     var assert = chai.assert;
 
     var GreetingSummary = greeter.GreetingSummary;
     var GreetingMetadata = greeter.GreetingMetadata;
+    var ChannelMux = ns.ChannelMux;
     var ServerOrder = ns.ServerOrder;
     var ImmutableSet = struct.ImmutableSet;
 
@@ -243,4 +245,60 @@ define([
             assert.notOk(accepted, "Packet should not be accepted twice");
         });
     });
+
+    describe("ChannelMux class", function() {
+        var mkTransport = function() {
+            var recv = new async.Observable();
+            return {
+                sent: [],
+                onRecv: recv.subscribe.bind(recv),
+                recv: function(recv_in) { return recv.publish(recv_in).some(Boolean); },
+                send: function(send_out) { this.sent.push(send_out); return true; },
+            };
+        };
+
+        it("tag and untag items", function() {
+            var transport = mkTransport();
+            var mux = new ChannelMux(transport);
+            var chA = mux.get("a");
+            var chB = mux.get("b");
+            assert.strictEqual(mux.get("a"), chA);
+            assert.ok(mux.has("b"));
+            var recvA = [];
+            var recvB = [];
+            chA.onRecv(function(recv_in) { recvA.push(recv_in); });
+            chB.onRecv(function(recv_in) { recvB.push(recv_in); });
+
+            assert.ok(chA.send({ pubtxt: "hi", recipients: new ImmutableSet(["2"]) }));
+            assert.strictEqual(transport.sent.length, 1);
+            assert.strictEqual(transport.sent[0].channelId, "a");
+            assert.strictEqual(transport.sent[0].pubtxt, "hi");
+
+            assert.ok(transport.recv({ channelId: "b", enter: true, members: new ImmutableSet(["1", "2"]) }));
+            assert.ok(transport.recv({ channelId: "b", pubtxt: "yo", sender: "2" }));
+            assert.notOk(transport.recv({ channelId: "c", pubtxt: "yo", sender: "2" }));
+            assert.strictEqual(recvA.length, 0);
+            assert.strictEqual(recvB.length, 2);
+            assert.notOk("channelId" in recvB[1]);
+            assert.strictEqual(recvB[1].pubtxt, "yo");
+            assert.deepEqual(chB.curMembers().toArray(), ["1", "2"]);
+            assert.strictEqual(chA.curMembers(), null);
+        });
+
+        it("remove and stop", function() {
+            var transport = mkTransport();
+            var mux = new ChannelMux(transport);
+            var chA = mux.get("a");
+            mux.get("b");
+            assert.ok(mux.remove("a"));
+            assert.notOk(mux.remove("a"));
+            assert.notOk(mux.has("a"));
+            assert.notOk(chA.send({ pubtxt: "hi", recipients: new ImmutableSet(["2"]) }));
+            assert.notOk(transport.recv({ channelId: "a", enter: true, members: new ImmutableSet(["1"]) }));
+            mux.stop();
+            assert.notOk(mux.has("b"));
+            assert.notOk(transport.recv({ channelId: "b", enter: true, members: new ImmutableSet(["1"]) }));
+            assert.strictEqual(transport.sent.length, 0);
+        });
+    });
 });
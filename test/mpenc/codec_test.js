@@ -197,6 +197,22 @@ define([
                 }
             });
         });
+
+        describe("getProtocolVersion()", function() {
+            it('after the signature', function() {
+                assert.strictEqual(ns.getProtocolVersion(_td.DATA_MESSAGE_STRING), ns.PROTOCOL_VERSION);
+                assert.strictEqual(ns.getProtocolVersion(_td.ERROR_MESSAGE_STRING), ns.PROTOCOL_VERSION);
+            });
+
+            it('other version', function() {
+                var message = ns.encodeTLV(ns.TLV_TYPE.PROTOCOL_VERSION, '\u0001') + ns.ENCODED_TYPE_DATA;
+                assert.strictEqual(ns.getProtocolVersion(message), 1);
+            });
+
+            it('none', function() {
+                assert.strictEqual(ns.getProtocolVersion(ns.ENCODED_TYPE_DATA), null);
+            });
+        });
     });
 
     describe("encodeErrorMessage()", function() {
@@ -233,7 +249,7 @@ define([
                             from: 'a.dumbledore@hogwarts.ac.uk/android123',
                             severity: ns.ERROR.TERMINAL,
                             message: 'Signature verification for q.quirrell@hogwarts.ac.uk/wp8possessed666 failed.',
-                            signature: atob('MYHyWtTnI58QQ1KW/4a2ierQOLA+Duslwtsh5IXo8uVGEI6jQZmFtHrPSA2w9f3HuzzM2MsWH1nSTp0tFHdfAQ==') };
+                            signature: atob('P/ZHAmSZNSzI9/rFppFmm4Y4rqJvE8FpIcxgdVdHGeevKgXUCtOEzp7PbscLaIp2ZpZUcWZaRs/aB88qMGJKDA==') };
             sandbox.stub(ns, 'verifyMessageSignature').returns(false);
             var result = ns.decodeErrorMessage(_td.ERROR_MESSAGE_STRING,
                                                function() { return _td.ED25519_PUB_KEY; });
@@ -243,6 +259,24 @@ define([
             assert.deepEqual(result, compare);
         });
 
+        it('looks up the signing key of the decoded sender', function() {
+            var getPubKey = sandbox.stub().returns(_td.ED25519_PUB_KEY);
+            sandbox.stub(ns, 'verifyMessageSignature').returns(true);
+            var result = ns.decodeErrorMessage(_td.ERROR_MESSAGE_STRING, getPubKey);
+            sinon_assert.calledOnce(getPubKey);
+            assert.strictEqual(getPubKey.getCall(0).args[0], 'a.dumbledore@hogwarts.ac.uk/android123');
+            assert.strictEqual(ns.verifyMessageSignature.getCall(0).args[3], _td.ED25519_PUB_KEY);
+            assert.strictEqual(result.signatureOk, true);
+        });
+
+        it('signed error message from a sender with unknown key', function() {
+            sandbox.spy(ns, 'verifyMessageSignature');
+            var result = ns.decodeErrorMessage(_td.ERROR_MESSAGE_STRING,
+                                               function() { return undefined; });
+            assert.strictEqual(ns.verifyMessageSignature.callCount, 0);
+            assert.strictEqual(result.signatureOk, null);
+        });
+
         it('processing for an unsigned error message', function() {
             var compare = { signatureOk: null,
                             from: 'a.dumbledore@hogwarts.ac.uk/android123',
@@ -255,6 +289,114 @@ define([
         });
     });
 
+    describe("encodeQueryMessage()/decodeQueryMessage()", function() {
+        var query = {
+            from: 'a.dumbledore@hogwarts.ac.uk/android123',
+            versions: [1, 2],
+            features: ['body:default', 'cipher:aes-ctr', 'padding:exponential']
+        };
+
+        it('signed round trip', function() {
+            var content = ns.encodeQueryMessage(query, _td.ED25519_PRIV_KEY, _td.ED25519_PUB_KEY);
+            var getPubKey = sandbox.stub().returns(_td.ED25519_PUB_KEY);
+            var result = ns.decodeQueryMessage(content, getPubKey);
+            assert.strictEqual(getPubKey.getCall(0).args[0], query.from);
+            assert.strictEqual(result.signatureOk, true);
+            assert.strictEqual(result.version, version.PROTOCOL_VERSION);
+            assert.strictEqual(result.from, query.from);
+            assert.deepEqual(result.versions, query.versions);
+            assert.deepEqual(result.features, query.features);
+        });
+
+        it('wire packet type', function() {
+            var content = ns.encodeQueryMessage(query, _td.ED25519_PRIV_KEY, _td.ED25519_PUB_KEY);
+            var packet = ns.decodeWirePacket(ns.encodeWirePacket(content));
+            assert.strictEqual(packet.type, ns.MESSAGE_TYPE.MPENC_QUERY);
+            assert.strictEqual(packet.content, content);
+        });
+
+        it('tampered message', function() {
+            var content = ns.encodeQueryMessage(query, _td.ED25519_PRIV_KEY, _td.ED25519_PUB_KEY);
+            content += ns.encodeTLV(ns.TLV_TYPE.QUERY_FEATURE, 'padding:none');
+            var result = ns.decodeQueryMessage(content, function() { return _td.ED25519_PUB_KEY; });
+            assert.strictEqual(result.signatureOk, false);
+            assert.include(result.features, 'padding:none');
+        });
+
+        it('unsigned message', function() {
+            sandbox.spy(ns, 'verifyMessageSignature');
+            var result = ns.decodeQueryMessage(ns.encodeQueryMessage(query),
+                                               function() { return _td.ED25519_PUB_KEY; });
+            assert.strictEqual(ns.verifyMessageSignature.callCount, 0);
+            assert.strictEqual(result.signatureOk, null);
+            assert.deepEqual(result.features, query.features);
+        });
+
+        it('bare query', function() {
+            var result = ns.decodeQueryMessage(ns.MPENC_QUERY_MESSAGE);
+            assert.strictEqual(result.from, null);
+            assert.deepEqual(result.versions, []);
+            assert.deepEqual(result.features, []);
+            assert.strictEqual(result.signatureOk, null);
+        });
+
+        it('unknown records are ignored', function() {
+            var content = ns.encodeQueryMessage(query) + ns.encodeTLV(0x04ff, 'from the future');
+            var result = ns.decodeQueryMessage(content);
+            assert.deepEqual(result.versions, query.versions);
+            assert.deepEqual(result.features, query.features);
+        });
+
+        it('not a query message', function() {
+            assert.throws(function() { ns.decodeQueryMessage(_td.ERROR_MESSAGE_STRING); },
+                          'expected message type');
+        });
+    });
+
+    describe("encodeSigningKeyMessage()/decodeSigningKeyMessage()", function() {
+        it('round trip', function() {
+            var content = ns.encodeSigningKeyMessage({
+                from: 'a.dumbledore@hogwarts.ac.uk/android123',
+                signingKey: _td.ED25519_PRIV_KEY
+            });
+            var packet = ns.decodeWirePacket(ns.encodeWirePacket(content));
+            assert.strictEqual(packet.type, ns.MESSAGE_TYPE.MPENC_SIGNING_KEY);
+            var result = ns.decodeSigningKeyMessage(packet.content);
+            assert.strictEqual(result.from, 'a.dumbledore@hogwarts.ac.uk/android123');
+            assert.strictEqual(result.signingKey, _td.ED25519_PRIV_KEY);
+        });
+
+        it('not a signing key message', function() {
+            assert.throws(function() { ns.decodeSigningKeyMessage(ns.MPENC_QUERY_MESSAGE); },
+                          'expected message type');
+        });
+    });
+
+    describe("encodeRetransmitMessage()/decodeRetransmitMessage()", function() {
+        it('request round trip', function() {
+            var content = ns.encodeRetransmitMessage({ mIds: ["mId1", "mId2"] });
+            var packet = ns.decodeWirePacket(ns.encodeWirePacket(content));
+            assert.strictEqual(packet.type, ns.MESSAGE_TYPE.MPENC_RETRANSMIT);
+            assert.deepEqual(ns.decodeRetransmitMessage(packet.content), { mIds: ["mId1", "mId2"] });
+        });
+
+        it('reply round trip, longer than a record', function() {
+            var long = new Array(0x10000 + 100).join("x");
+            var content = ns.encodeRetransmitMessage({ to: "2", author: "1", packet: long });
+            var result = ns.decodeRetransmitMessage(content);
+            assert.strictEqual(result.to, "2");
+            assert.strictEqual(result.author, "1");
+            assert.strictEqual(result.packet, long);
+        });
+
+        it('reply without a packet', function() {
+            var content = ns.ENCODED_VERSION + ns.ENCODED_TYPE_RETRANSMIT +
+                ns.encodeTLV(ns.TLV_TYPE.DEST, "2") + ns.encodeTLV(ns.TLV_TYPE.SOURCE, "1");
+            assert.throws(function() { ns.decodeRetransmitMessage(content); },
+                          'expected TLV type');
+        });
+    });
+
     describe("signMessage()", function() {
         it('greet messages', function() {
             var tests = ['42', "Don't panic!", 'Flying Spaghetti Monster',
@@ -0,0 +1,82 @@
+/**
+ * @fileOverview
+ * Test of the `mpenc/fingerprint` module.
+ */
+
+/*
+ * (c) 2014-2016 by Mega Limited, Auckland, New Zealand
+ *     https://mega.nz/
+ *
+ * This file is part of the multi-party chat encryption suite.
+ *
+ * This code is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License version 3
+ * as published by the Free Software Foundation. See the accompanying
+ * LICENSE file or <https://www.gnu.org/licenses/> if it is unavailable.
+ *
+ * This code is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ */
+
+define([
+    "mpenc/fingerprint",
+    "chai"
+], function(ns, chai) {
+    "use strict";
+
+    var assert = chai.assert;
+    var VerificationState = ns.VerificationState;
+
+    var KEY_1 = _td.ED25519_PUB_KEY;
+    var KEY_2 = _td.ED25519_PUB_KEY.substring(1) + "x";
+
+    describe("fingerprints", function() {
+        it('member fingerprint', function() {
+            var fp = ns.memberFingerprint("1", KEY_1);
+            assert.ok(fp.equals(ns.memberFingerprint("1", KEY_1)));
+            assert.notOk(fp.equals(ns.memberFingerprint("1", KEY_2)));
+            assert.notOk(fp.equals(ns.memberFingerprint("2", KEY_1)));
+            assert.match(fp.numeric(), /^(\d{5} ){5}\d{5}$/);
+            assert.lengthOf(fp.emoji(), ns.EMOJI_LENGTH);
+            assert.isAtLeast(ns.EMOJI_LENGTH * 6, Math.log(Math.pow(10, 30)) / Math.LN2);
+            assert.notDeepEqual(fp.emoji(), ns.memberFingerprint("2", KEY_1).emoji());
+        });
+
+        it('session fingerprint', function() {
+            var keys = new Map([["1", KEY_1], ["2", KEY_2]]);
+            var fp = ns.sessionFingerprint("sId", keys);
+            assert.ok(fp.equals(ns.sessionFingerprint("sId", new Map([["2", KEY_2], ["1", KEY_1]]))));
+            assert.notOk(fp.equals(ns.sessionFingerprint("sId2", keys)));
+            assert.notOk(fp.equals(ns.sessionFingerprint("sId", new Map([["1", KEY_1], ["2", KEY_1]]))));
+            // ids and keys are not ambiguously concatenated
+            assert.notOk(ns.sessionFingerprint("sId", new Map([["1", KEY_1 + "2"]])).equals(
+                         ns.sessionFingerprint("sId", new Map([["1", KEY_1], ["2", ""]]))));
+        });
+    });
+
+    describe("MemoryVerificationStore", function() {
+        it('verifying keys', function() {
+            var store = new ns.MemoryVerificationStore();
+            var changes = [];
+            store.onChange(function(change) { changes.push(change.slice()); });
+            assert.strictEqual(store.get("1", KEY_1), VerificationState.UNVERIFIED);
+            assert.notOk(store.set("1", KEY_1, VerificationState.UNVERIFIED));
+            assert.ok(store.set("1", KEY_1, VerificationState.VERIFIED));
+            assert.notOk(store.set("1", KEY_1, VerificationState.VERIFIED));
+            assert.strictEqual(store.get("1", KEY_1), VerificationState.VERIFIED);
+            assert.strictEqual(store.get("1", KEY_2), VerificationState.UNVERIFIED);
+            assert.strictEqual(store.get("2", KEY_1), VerificationState.UNVERIFIED);
+            assert.ok(store.set("1", KEY_2, VerificationState.VERIFIED));
+            assert.strictEqual(store.get("1", KEY_1), VerificationState.UNVERIFIED);
+            assert.ok(store.set("1", KEY_2, VerificationState.UNVERIFIED));
+            assert.deepEqual(changes, [
+                ["1", KEY_1, VerificationState.VERIFIED],
+                ["1", KEY_1, VerificationState.UNVERIFIED],
+                ["1", KEY_2, VerificationState.VERIFIED],
+                ["1", KEY_2, VerificationState.UNVERIFIED]
+            ]);
+            assert.throws(function() { store.set("1", KEY_1, 0); });
+        });
+    });
+});
@@ -27,6 +27,7 @@ define([
     "mpenc/helper/utils",
     "mpenc/helper/struct",
     "mpenc/codec",
+    "mpenc/padding",
     "asmcrypto",
     "promise-polyfill",
     "megalogger",
@@ -35,7 +36,7 @@ define([
     "sinon/sandbox",
     "sinon/spy",
     "sinon/stub",
-], function(ns, async, utils, struct, codec, asmCrypto, Promise, MegaLogger,
+], function(ns, async, utils, struct, codec, padding, asmCrypto, Promise, MegaLogger,
             chai, sinon_assert, sinon_sandbox, sinon_spy, stub) {
     "use strict";
 
@@ -228,6 +229,23 @@ define([
             assert.strictEqual(result, _td.DOWNFLOW_MESSAGE_STRING);
         });
 
+        it('padded message', function() {
+            var result = ns.encodeGreetMessage(_td.UPFLOW_MESSAGE_CONTENT,
+                                               _td.ED25519_PRIV_KEY,
+                                               _td.ED25519_PUB_KEY,
+                                               new padding.ExponentialPadding(256));
+            assert.lengthOf(result, 256);
+            var decoded = ns.decodeGreetMessage(result, _td.ED25519_PUB_KEY);
+            assert.ok(decoded.signatureOk);
+            assert.strictEqual(decoded.source, _td.UPFLOW_MESSAGE_CONTENT.source);
+            assert.deepEqual(decoded.members, _td.UPFLOW_MESSAGE_CONTENT.members);
+            var unpadded = ns.encodeGreetMessage(_td.UPFLOW_MESSAGE_CONTENT,
+                                                 _td.ED25519_PRIV_KEY,
+                                                 _td.ED25519_PUB_KEY,
+                                                 padding.NONE);
+            assert.strictEqual(unpadded, _td.UPFLOW_MESSAGE_STRING);
+        });
+
         it('null message', function() {
             assert.strictEqual(ns.encodeGreetMessage(null,
                                _td.ED25519_PRIV_KEY, _td.ED25519_PUB_KEY),
@@ -258,8 +276,8 @@ define([
                                     _td.ED25519_PUB_KEY);
             var log = MegaLogger.getLogger("greeter")._log.getCall(0).args;
             assert.deepEqual(log, [0, ['mpENC decoded message debug: ',
-                                       ['messageSignature: FOZgJa4GtQwNsqvtR7y8qVrSUcjMn50ZK8E92oZFYU/1Y4LNTG191DUfpUugi6pE0m1iFam2CXNzIKStziNcBw==',
-                                        'protocol: 1',
+                                       ['messageSignature: P5fFUGzG9RVjfM0zOMDp1J4D1pLADfzOobxLDZ77CQCXD0Tg64X68gzPTQMHvlxb/XwrUdyGzppDpFSpvaDADA==',
+                                        'protocol: 2',
                                         'messageType: 0x2 (MPENC_GREET_MESSAGE)',
                                         'greetType: 0x9c (INIT_INITIATOR_UP)',
                                         'from: 1', 'to: 2',
@@ -851,6 +869,20 @@ define([
             assert.deepEqual(greetRefresh.members.toArray(), ['2', '3']);
         });
 
+        it("Test _determineFlowType with erased key material", function() {
+            var owner = '1';
+            var oldMembers = new Set(['1', '2', '3']);
+            [new Set(['1', '2']), new Set(['1', '2', '3', '4']), oldMembers].forEach(function(newMembers) {
+                var greetData = ns._determineFlowType(owner, oldMembers, newMembers, true);
+                assert.strictEqual(greetData.greetType, ns.GREET_TYPE.INIT_INITIATOR_UP,
+                    "Expected init, got " + ns.GREET_TYPE_MAPPING[greetData.greetType]);
+                assert.deepEqual(greetData.members.toArray(), newMembers.toArray().slice(1));
+            });
+            // nobody else to agree with
+            var greetSolo = ns._determineFlowType(owner, oldMembers, new Set(['1']), true);
+            assert.strictEqual(greetSolo.greetType, ns.GREET_TYPE.EXCLUDE_AUX_INITIATOR_DOWN);
+        });
+
         it("Test _determineFlowType incorrect data", function() {
             var owner = '1';
             var oldMembers = new Set(['1', '2', '3']);
@@ -892,6 +924,37 @@ define([
             }
         });
 
+        it("asynchronous public key directory", function(done) {
+            var asyncPubKeyDir = { get: function() { return Promise.resolve(_td.ED25519_PUB_KEY); } };
+            stubPartialDecodeInternals(function(type) {
+                switch (type) {
+                case codec.TLV_TYPE.GREET_TYPE: return ns.GREET_TYPE.INIT_INITIATOR_UP;
+                case codec.TLV_TYPE.SOURCE: return "2";
+                case codec.TLV_TYPE.CHAIN_HASH: return utils.sha256("dummyHash");
+                case codec.TLV_TYPE.PREV_PF: return utils.sha256("dummyPrevPf");
+                case codec.TLV_TYPE.LATEST_PM: return utils.sha256("dummyParent");
+                }
+            });
+            sandbox.stub(codec, "popTLVAll", function(rest, type, action) {
+                ["1", "2", "3"].forEach(action);
+                return rest;
+            });
+            var gtr = new ns.Greeter("1", _td.ED25519_PRIV_KEY, _td.ED25519_PUB_KEY, asyncPubKeyDir);
+            var dir = gtr.staticPubKeyDir;
+            assert.strictEqual(dir.get("1"), _td.ED25519_PUB_KEY);
+            assert.notOk(dir.has("2"));
+            var fetch = sandbox.spy(dir, "fetch");
+            // the keys of the members of a proposal are fetched straight away
+            assert.ok(gtr.partialDecode(prevMem, "random message", "2", fakePid));
+            assert.deepEqual(fetch.getCall(0).args[0], ["2", "3"]);
+            assert.ok(dir.isFetching("2"));
+            fetch.returnValues[0].then(function() {
+                assert.strictEqual(dir.get("2"), _td.ED25519_PUB_KEY);
+                assert.strictEqual(dir.get("3"), _td.ED25519_PUB_KEY);
+                done();
+            }).catch(done);
+        });
+
         it("Test return null from partialDecode.", function() {
             var acceptedTypes = [
                 ns.GREET_TYPE.INIT_PARTICIPANT_DOWN,
@@ -1208,6 +1271,7 @@ define([
                 if (expectSuccess) {
                     assert.ok(greeting.getResultState(), "greeting did not complete");
                     assert.strictEqual(greeting._finished, 1, "_finished flag not complete");
+                    assert.ok(greeting.metadataIsAuthenticated(), "metadata not authenticated");
                     resultStates.set(id, greeting.getResultState());
                 } else {
                     assert.throws(greeting.getResultState.bind(greeting), "OperationFailed");
@@ -1299,6 +1363,26 @@ define([
             }).catch(console.log);
         });
 
+        it("pending members", function(done) {
+            this.timeout(this.timeout() * 15);
+            var greeters = new Map();
+            var setNewGreeter = function(id) { greeters.set(id, makeNewGreeter(id)); };
+            var pending = [];
+
+            Promise.resolve(initOutput).then(function(prev) {
+                var channelMembers = new Set(["0", "1", "2"]);
+                channelMembers.forEach(setNewGreeter);
+                var members1 = channelMembers;
+                return runGreetings(greeters, "0", channelMembers, prev, members1, function(greetings, sendQueue) {
+                    pending.push(greetings.get("0").getPendingMembers().toArray());
+                });
+            }).then(function(prev) {
+                // upflow goes 0 -> 1 -> 2, then everyone broadcasts a downflow
+                assert.deepEqual(pending.slice(0, 3), [["1"], ["2"], ["1"]]);
+                done();
+            }).catch(console.log);
+        });
+
         it("simple fail start", function(done) {
             this.timeout(this.timeout() * 15);
             var greeters = new Map();
@@ -1323,6 +1407,42 @@ define([
             }).catch(console.log);
         });
 
+        it("fail start with mismatching metadata", function(done) {
+            this.timeout(this.timeout() * 15);
+            var greeters = new Map();
+            var setNewGreeter = function(id) { greeters.set(id, makeNewGreeter(id)); };
+            var forged = false;
+
+            Promise.resolve(initOutput).then(function(prev) {
+                var channelMembers = new Set(["0", "1", "2"]);
+                channelMembers.forEach(setNewGreeter);
+                var members1 = channelMembers;
+                return runGreetings(greeters, "0", channelMembers, prev, members1, function(greetings, sendQueue) {
+                    if (!forged) {
+                        // as if the server gave "1" a different initial packet
+                        greetings.get("1").askeMember.metadataHash = utils.sha256("forged metadata");
+                        forged = true;
+                        return undefined;
+                    }
+                    if (!greetings.get("1")._finished) {
+                        return undefined;
+                    }
+                    // others would fail too, when they see the session signature of "1"
+                    greetings.forEach(function(greeting, id) {
+                        if (!greeting._finished) {
+                            greeting.fail(new Error("test expected failure"));
+                        }
+                    });
+                    sendQueue.splice(0, sendQueue.length);
+                    return "dummyPrevPf";
+                }, true);
+            }).then(function(prev) {
+                assert.strictEqual(prev.rejected.length, 3);
+                assert.match(prev.rejected[1].message, /^AuthenticationFailed: SessionAuthFailed: /);
+                done();
+            }).catch(console.log);
+        });
+
     });
 
 });
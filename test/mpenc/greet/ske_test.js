@@ -229,6 +229,35 @@ define([
                 assert.strictEqual(participant3._verifySessionSig('1', signature),
                                    true);
             });
+
+            it('roundtrip sign/verify with metadata hash', function() {
+                var participant1 = new ns.SignatureKeyExchangeMember('1');
+                participant1.nonce = _td.ED25519_PUB_KEY; // Same form as nonce.
+                participant1.sessionId = _td.SESSION_ID;
+                participant1.ephemeralPubKey = _td.ED25519_PUB_KEY;
+                participant1.staticPrivKey = _td.ED25519_PRIV_KEY;
+                participant1.staticPubKeyDir = _td.STATIC_PUB_KEY_DIR;
+                participant1.metadataHash = 'metadata hash';
+                var signature = participant1._computeSessionSig();
+                var participant3 = new ns.SignatureKeyExchangeMember('3');
+                participant3.sessionId = _td.SESSION_ID;
+                participant3.members = ['1', '2', '3', '4', '5'];
+                participant3.ephemeralPubKeys = [];
+                participant3.nonces = [];
+                for (var i = 0; i < 5; i++) {
+                    participant3.ephemeralPubKeys.push(_td.ED25519_PUB_KEY);
+                    participant3.nonces.push(_td.ED25519_PUB_KEY);
+                }
+                participant3.staticPubKeyDir = _td.STATIC_PUB_KEY_DIR;
+                assert.strictEqual(participant3._verifySessionSig('1', signature),
+                                   false);
+                participant3.metadataHash = 'other metadata hash';
+                assert.strictEqual(participant3._verifySessionSig('1', signature),
+                                   false);
+                participant3.metadataHash = 'metadata hash';
+                assert.strictEqual(participant3._verifySessionSig('1', signature),
+                                   true);
+            });
         });
 
         describe('#upflow() method', function() {
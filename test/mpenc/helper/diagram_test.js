@@ -0,0 +1,97 @@
+/**
+ * @fileOverview
+ * Test of the `mpenc/helper/diagram` module.
+ */
+
+/*
+ * (c) 2014-2016 by Mega Limited, Auckland, New Zealand
+ *     https://mega.nz/
+ *
+ * This file is part of the multi-party chat encryption suite.
+ *
+ * This code is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License version 3
+ * as published by the Free Software Foundation. See the accompanying
+ * LICENSE file or <https://www.gnu.org/licenses/> if it is unavailable.
+ *
+ * This code is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ */
+
+define([
+    "mpenc/helper/diagram",
+    "mpenc/message",
+    "mpenc/impl/transcript",
+    "chai"
+], function(ns, message, transcriptImpl, chai) {
+    "use strict";
+
+    var assert = chai.assert;
+    var M = message.Message;
+    var P = message.Payload;
+
+    // as seen by 52; 50 whispered w to 51, who replied to everyone
+    var mkTranscript = function() {
+        var tr = new transcriptImpl.BaseTranscript();
+        tr.add(new M("a", "50", [], ["51", "52"], new P("hi")));
+        tr.add(new M("w", "50", ["a"], ["51"], null));
+        tr.add(new M("b", "51", ["w"], ["50", "52"], new P("ho")));
+        return tr;
+    };
+
+    var sorted = function(arr) {
+        return arr.slice().sort();
+    };
+
+    describe("toNodeLink()", function() {
+        it('transcript', function() {
+            var graph = ns.toNodeLink(mkTranscript(), { encodeId: String });
+            assert.ok(graph.directed);
+            assert.deepEqual(graph.nodes.map(function(n) { return n.id; }), ["a", "w", "b"]);
+            assert.deepEqual(graph.nodes.map(function(n) { return n.bodyType; }), ["Payload", null, "Payload"]);
+            assert.deepEqual(graph.nodes[1].readers, ["51"]);
+            assert.notProperty(graph.nodes[0], "subSession");
+            assert.deepEqual(sorted(graph.nodes[2].unackby), ["50", "52"]);
+            assert.deepEqual(graph.links, [
+                { source: "a", target: "w", ack: false },
+                { source: "w", target: "b", ack: true },
+            ]);
+        });
+
+        it('several sub-sessions, with binary ids', function() {
+            var tr0 = mkTranscript();
+            var tr1 = new transcriptImpl.BaseTranscript();
+            tr1.add(new M("\xff", "51", [], ["50"], new P("new")));
+            var graph = ns.toNodeLink([tr0, tr1]);
+            assert.deepEqual(graph.nodes.map(function(n) { return n.subSession; }), [0, 0, 0, 1]);
+            assert.strictEqual(graph.nodes[3].id, btoa("\xff"));
+            assert.strictEqual(JSON.parse(JSON.stringify(graph)).links.length, 2);
+        });
+    });
+
+    describe("toDot()", function() {
+        it('transcript', function() {
+            var dot = ns.toDot(mkTranscript(), { encodeId: String });
+            var lines = dot.split("\n");
+            assert.strictEqual(lines[0], "digraph transcript {");
+            assert.include(lines, '    "w" [label="w\\n50\\n(whisper)"];');
+            assert.include(lines, '    "a" -> "w" [style=dotted];');
+            assert.include(lines, '    "w" -> "b";');
+            assert.match(dot, /"b" \[label="b\\n51\\nPayload", style=dashed, xlabel="unacked by 5[02], 5[02]"\];/);
+            assert.notInclude(dot, "subgraph");
+            assert.strictEqual(dot.slice(-2), "}\n");
+        });
+
+        it('several sub-sessions', function() {
+            var tr1 = new transcriptImpl.BaseTranscript();
+            tr1.add(new M('x"y', "51", [], ["50"], new P("new")));
+            var dot = ns.toDot([mkTranscript(), tr1], { encodeId: String });
+            var lines = dot.split("\n");
+            assert.include(lines, '    subgraph "cluster_1" {');
+            assert.include(lines, '        label="sub-session 1";');
+            assert.include(lines,
+                '        "x\\"y" [label="x\\"y\\n51\\nPayload", style=dashed, xlabel="unacked by 50"];');
+        });
+    });
+});
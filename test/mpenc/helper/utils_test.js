@@ -25,7 +25,8 @@ define([
     "mpenc/helper/utils",
     "chai",
     "asmcrypto",
-], function(ns, chai, asmCrypto) {
+    "tweetnacl",
+], function(ns, chai, asmCrypto, nacl) {
     "use strict";
 
     var assert = chai.assert;
@@ -61,6 +62,18 @@ define([
             });
         });
 
+        describe('toCurve25519PrivKey()/toCurve25519PubKey()', function() {
+            it('converted keys correspond', function() {
+                for (var i = 0; i < 5; i++) {
+                    var seed = ns.randomString(32);
+                    var privKey = ns.toCurve25519PrivKey(seed);
+                    var pubKey = ns.toCurve25519PubKey(ns.toPublicKey(seed));
+                    assert.strictEqual(pubKey,
+                        ns.bytes2string(nacl.scalarMult.base(ns.string2bytes(privKey))));
+                }
+            });
+        });
+
         describe('sha256()', function() {
             it('hash some values', function() {
                 var values = ['42', "Don't panic!", 'Flying Spaghetti Monster',
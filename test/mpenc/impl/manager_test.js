@@ -0,0 +1,155 @@
+/**
+ * @fileOverview
+ * Test of the `mpenc/impl/manager` module.
+ */
+
+/*
+ * (c) 2014-2016 by Mega Limited, Auckland, New Zealand
+ *     https://mega.nz/
+ *
+ * This file is part of the multi-party chat encryption suite.
+ *
+ * This code is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License version 3
+ * as published by the Free Software Foundation. See the accompanying
+ * LICENSE file or <https://www.gnu.org/licenses/> if it is unavailable.
+ *
+ * This code is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ */
+
+define([
+    "mpenc/impl/manager",
+    "mpenc",
+    "mpenc/impl/dummy",
+    "mpenc/helper/async",
+    "chai"
+], function(ns,
+    mpenc, dummy,
+    async,
+    chai
+) {
+    "use strict";
+    var assert = chai.assert;
+
+    var pubKeyDir = new Map();
+    var testTimer;
+
+    beforeEach(function() {
+        pubKeyDir.clear();
+        testTimer = new async.Timer();
+    });
+
+    afterEach(function() {
+        testTimer.stop();
+    });
+
+    var logError = function(e) { console.log(e.stack); };
+
+    var copyExcept = function(item, except) {
+        var copy = {};
+        Object.keys(item).forEach(function(k) {
+            if (k !== except) {
+                copy[k] = item[k];
+            }
+        });
+        return copy;
+    };
+
+    // A single transport for the given owner, that carries the channels of
+    // several dummy servers, tagged with the key of each server.
+    var mkTransport = function(owner, servers) {
+        var recv = new async.Observable();
+        servers.forEach(function(server, channelId) {
+            server.getChannel(owner).onRecv(function(recv_in) {
+                var tagged = copyExcept(recv_in);
+                tagged.channelId = channelId;
+                return recv.publish(tagged).some(Boolean);
+            });
+        });
+        return {
+            onRecv: recv.subscribe.bind(recv),
+            send: function(send_out) {
+                var channel = servers.get(send_out.channelId).getChannel(owner);
+                return channel.send(copyExcept(send_out, "channelId"));
+            },
+        };
+    };
+
+    var mkSessionManager = function(owner, servers) {
+        var ownKeyPair = mpenc.createKeyPair();
+        pubKeyDir.set(owner, ownKeyPair.pubKey);
+        var context = mpenc.createContext(owner, testTimer,
+            ownKeyPair, pubKeyDir, new dummy.DummyFlowControl());
+        return mpenc.createSessionManager(context, mkTransport(owner, servers));
+    };
+
+    var execute = function(server, member, action) {
+        var p = member.execute(action);
+        server.runAsync(4, testTimer);
+        return p;
+    };
+
+    describe("SessionManager", function() {
+        it('create and look up sessions', function() {
+            var servers = new Map([["a", new dummy.DummyGroupServer()]]);
+            var manager = mkSessionManager("51", servers);
+            var sess = manager.create("a");
+            assert.strictEqual(manager.get("a"), sess);
+            assert.strictEqual(manager.get("b"), null);
+            assert.deepEqual(manager.sessionIds(), ["a"]);
+            assert.strictEqual(sess.owner(), manager.context().owner);
+            assert.throws(function() { manager.create("a"); }, /session already exists/);
+            assert.ok(manager.remove("a"));
+            assert.notOk(manager.remove("a"));
+            assert.deepEqual(manager.sessionIds(), []);
+        });
+
+        it('sessions over a single transport, with unread counts', function(done) {
+            this.timeout(this.timeout() * 30);
+            var serverA = new dummy.DummyGroupServer();
+            var serverB = new dummy.DummyGroupServer();
+            var servers = new Map([["a", serverA], ["b", serverB]]);
+            var m1 = mkSessionManager("51", servers);
+            var m2 = mkSessionManager("52", servers);
+            var s1a = m1.create("a");
+            var s1b = m1.create("b");
+            var s2a = m2.create("a");
+            var s2b = m2.create("b");
+            var counts = [];
+            m2.onUnreadCount(function(evt) { counts.push(evt.slice()); });
+
+            Promise.resolve(true).then(function() {
+                return execute(serverA, s1a, { join: true });
+            }).then(function() {
+                return execute(serverA, s1a, { include: ["52"] });
+            }).then(function() {
+                return execute(serverB, s1b, { join: true });
+            }).then(function() {
+                return execute(serverB, s1b, { include: ["52"] });
+            }).then(function() {
+                assert.deepEqual(s2a.curMembers().toArray(), ["51", "52"]);
+                assert.deepEqual(s2b.curMembers().toArray(), ["51", "52"]);
+                return serverA.sendAndWait(s1a, s2a, "hi in a", testTimer);
+            }).then(function() {
+                return serverB.sendAndWait(s1b, s2b, "hi in b", testTimer);
+            }).then(function() {
+                return serverA.sendAndWait(s2a, s1a, "reply in a", testTimer);
+            }).then(function() {
+                assert.strictEqual(m2.unread("a"), 1);
+                assert.strictEqual(m2.unread("b"), 1);
+                assert.strictEqual(m2.unread(), 2);
+                assert.strictEqual(m1.unread(), 1);
+                m2.markRead("a");
+                assert.strictEqual(m2.unread(), 1);
+                assert.deepEqual(counts, [["a", 1, 1], ["b", 1, 2], ["a", 0, 1]]);
+                m1.stop();
+                m2.stop();
+                assert.deepEqual(m1.sessionIds(), []);
+                assert.strictEqual(m2.unread(), 0);
+                done();
+            }).catch(logError);
+        });
+    });
+});
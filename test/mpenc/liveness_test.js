@@ -24,13 +24,14 @@
 define([
     "mpenc/liveness",
     "mpenc/impl/liveness",
+    "mpenc/session",
     "mpenc/helper/async",
     "mpenc/helper/struct",
     "megalogger",
     "chai",
     "sinon/assert",
     "sinon/stub"
-], function(ns, impl, async, struct,
+], function(ns, impl, session, async, struct,
     MegaLogger, chai, sinon_assert, stub
 ) {
     "use strict";
@@ -123,4 +124,38 @@ define([
         });
     });
 
+    describe("PresenceTracker", function() {
+        var PresenceState = session.PresenceState;
+
+        it("renew, expire and absent", function(done) {
+            var changes = [];
+            var presence = new impl.PresenceTracker(timer, function(uId, state) {
+                changes.push([uId, state]);
+            });
+            presence.renew("Alice", undefined, 5);
+            presence.renew("Bob", true);
+            presence.renew("Bob");
+            assert.deepEqual(changes, [["Alice", PresenceState.ONLINE], ["Bob", PresenceState.IDLE]]);
+            assert.instanceOf(presence.lastSeen("Alice"), Date);
+            assert.strictEqual(presence.state("Carol"), null);
+            assert.strictEqual(presence.lastSeen("Carol"), null);
+            timer.after(7, function() {
+                assert.strictEqual(presence.state("Alice"), PresenceState.UNRESPONSIVE);
+                assert.strictEqual(presence.state("Bob"), PresenceState.IDLE);
+                presence.renew("Alice", false, 5);
+                presence.absent("Bob");
+                assert.strictEqual(presence.state("Bob"), null);
+                assert.deepEqual(changes.slice(2), [
+                    ["Alice", PresenceState.UNRESPONSIVE], ["Alice", PresenceState.ONLINE]]);
+                presence.stop();
+                timer.after(7, function() {
+                    // expiry was cancelled
+                    assert.strictEqual(changes.length, 4);
+                    assert.strictEqual(presence.state("Alice"), null);
+                    done();
+                });
+            });
+        });
+    });
+
 });
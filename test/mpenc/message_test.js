@@ -23,7 +23,10 @@
 
 define([
     "mpenc/message",
+    "mpenc/greet/cliques",
+    "mpenc/greet/greeter",
     "mpenc/codec",
+    "mpenc/padding",
     "mpenc/helper/struct",
     "mpenc/helper/utils",
     "asmcrypto",
@@ -31,7 +34,7 @@ define([
     "chai",
     "sinon/sandbox",
     "sinon/assert",
-], function(ns, codec, struct, utils, asmCrypto, MegaLogger,
+], function(ns, cliques, greeter, codec, padding, struct, utils, asmCrypto, MegaLogger,
             chai, sinon_sandbox) {
     "use strict";
 
@@ -49,16 +52,16 @@ define([
         sandbox.restore();
     });
 
-    function _dummyMessageSecurity(paddingSize) {
+    function _dummyMessageSecurity(paddingSize, cipherSuite, maxMessageSize, id) {
         return new ns.MessageSecurity({
-            id: 'Moe',
+            id: id || 'Moe',
             sessionId: _td.SESSION_ID,
             members : ['Moe', 'Larry', 'Curly'],
             groupKey : _td.GROUP_KEY,
             ephemeralPrivKey : _td.ED25519_PRIV_KEY,
             ephemeralPubKey : _td.ED25519_PUB_KEY,
             pubKeyMap : { 'Moe': _td.ED25519_PUB_KEY },
-        }, paddingSize);
+        }, paddingSize, cipherSuite, maxMessageSize);
     }
 
     var defaultReaders = new ImmutableSet(['Larry', 'Curly']);
@@ -73,8 +76,12 @@ define([
             assertEncodeDecode(new ns.Payload("hello"));
             assertEncodeDecode(new ns.ExplicitAck(true));
             assertEncodeDecode(new ns.ExplicitAck(false));
+            assertEncodeDecode(new ns.HeartBeat(true));
+            assertEncodeDecode(new ns.HeartBeat(false));
             assertEncodeDecode(new ns.Consistency(true));
             assertEncodeDecode(new ns.Consistency(false));
+            assertEncodeDecode(new ns.Attachment("cat.png", "ref0",
+                _td.ED25519_PUB_KEY, utils.sha256("cat"), "image/png", 1234));
         });
 
         it("encode fail", function() {
@@ -98,9 +105,129 @@ define([
             assert.throws(codec.decode.bind(null, '\x01[]'));
             assert.throws(codec.decode.bind(null, '\x01[123]'));
             assert.throws(codec.decode.bind(null, '\x01["x"]'));
+            assert.throws(codec.decode.bind(null, '\x02[]'));
+            assert.throws(codec.decode.bind(null, '\x02["x"]'));
             assert.throws(codec.decode.bind(null, '\x03[]'));
             assert.throws(codec.decode.bind(null, '\x03[123]'));
             assert.throws(codec.decode.bind(null, '\x03["x"]'));
+            assert.throws(codec.decode.bind(null, '\x04["x"]'));
+            assert.throws(codec.decode.bind(null, '\x04["x","ref0","short","short","",0]'));
+            assert.throws(codec.decode.bind(null, '\x00\x00\x00\x01\x00'));
+            assert.throws(codec.decode.bind(null, '\x00\x00\x00\x02\x00\x01\x00\x01\x00\x01\x02'));
+        });
+
+        it("decode legacy format", function() {
+            var legacy = ns.LegacyMessageCodec;
+            var body = new ns.Payload("hello \u263a");
+            assert.strictEqual(legacy.encode(body), '\x00["hello \u263a"]');
+            assert.deepEqual(codec.decode(legacy.encode(body)), body);
+            assert.deepEqual(legacy.decode(legacy.encode(body)), body);
+            assert.notStrictEqual(codec.encode(body), legacy.encode(body));
+        });
+
+        it("shared history", function() {
+            var messages = [
+                new ns.Message("m1", "1", [], ["2"], new ns.Payload("hello \u263a")),
+                new ns.Message("m2", "2", ["m1", "m0"], ["1", "3"], new ns.Attachment("cat.png", "ref0",
+                    _td.ED25519_PUB_KEY, utils.sha256("cat"), "image/png", 1234)),
+            ];
+            var body = ns.SharedHistory.fromMessages(messages);
+            assertEncodeDecode(body);
+            var decoded = codec.decode(codec.encode(body)).messages();
+            assert.strictEqual(decoded.length, 2);
+            assert.strictEqual(decoded[0].mId, "m1");
+            assert.deepEqual(decoded[0].body, messages[0].body);
+            assert.deepEqual(decoded[1].parents.toArray().sort(), ["m0", "m1"]);
+            assert.deepEqual(decoded[1].readers.toArray().sort(), ["1", "3"]);
+            assert.deepEqual(decoded[1].body, messages[1].body);
+            assert.throws(function() {
+                ns.SharedHistory.fromMessages([new ns.Message("m3", "1", [], ["2"], new ns.ExplicitAck(false))]);
+            }, /non-Payload/);
+            assert.throws(function() {
+                new ns.SharedHistory(codec.encode(new ns.Payload("x"))).messages();
+            });
+        });
+
+        it("binary and long values", function() {
+            assertEncodeDecode(new ns.Payload(_tu.cheapRandomString(0x20000)));
+            assertEncodeDecode(new ns.Payload(new Array(0xffff + 1).join("a")));
+        });
+
+        describe("application-defined types", function() {
+            var Poll = struct.createTupleClass("Poll", "question open", ns.MessageBody);
+            var PollV2 = struct.createTupleClass("PollV2", "question open deadline", ns.MessageBody);
+            var POLL = 0x1234;
+
+            // replace the type id of an encoded body
+            var withType = function(type, data) {
+                return data.slice(0, 4) + String.fromCharCode(type >> 8, type & 0xff) + data.slice(6);
+            };
+
+            before(function() {
+                ns.registerBodyType(POLL, Poll, [
+                    { tag: 0x01, kind: "string", critical: true },
+                    { tag: 0x02, kind: "boolean" },
+                ]);
+                ns.registerBodyType(POLL + 1, PollV2, [
+                    { tag: 0x01, kind: "string", critical: true },
+                    { tag: 0x02, kind: "boolean" },
+                    { tag: 0x03, kind: "uint32" },
+                ]);
+            });
+
+            it("registration", function() {
+                assert.throws(function() { ns.registerBodyType(POLL, Poll, []); });
+                assert.throws(function() { ns.registerBodyType(0x10000, ns.Consistency, []); });
+                assert.throws(function() {
+                    ns.registerBodyType(POLL + 2, struct.createTupleClass("X", "a"), []);
+                });
+                assert.throws(function() {
+                    ns.registerBodyType(POLL + 2, struct.createTupleClass("X", "a", ns.MessageBody), [
+                        { tag: ns.CRITICAL_FIELD, kind: "string" },
+                    ]);
+                });
+                assert.throws(function() {
+                    ns.registerBodyType(POLL + 2, struct.createTupleClass("X", "a", ns.MessageBody), [
+                        { tag: 0x01, kind: "float" },
+                    ]);
+                });
+            });
+
+            it("encode-decode", function() {
+                assertEncodeDecode(new Poll("lunch?", true));
+                assertEncodeDecode(new Poll("lunch?"));
+                assertEncodeDecode(new PollV2("lunch?", false, 1234567890));
+            });
+
+            it("unknown fields", function() {
+                // pretend PollV2 is a later version of Poll
+                var data = withType(POLL, codec.encode(new PollV2("lunch?", true, 3)));
+                assert.deepEqual(codec.decode(data), new Poll("lunch?", true));
+            });
+
+            it("unknown critical fields", function() {
+                var data = codec.encode(new Poll("lunch?", true));
+                // set the critical flag on the "open" field
+                var critical = data.replace("\x00\x02\x00\x01\x01", "\x80\x02\x00\x01\x01");
+                assert.notStrictEqual(critical, data);
+                assert.deepEqual(codec.decode(critical), new Poll("lunch?", true));
+                var unknown = data.replace("\x00\x02\x00\x01\x01", "\x80\x09\x00\x01\x01");
+                // the message is ignored, rather than rejected
+                var body = codec.decode(unknown);
+                assert.instanceOf(body, ns.UnknownBody);
+                assert.strictEqual(body.type, POLL);
+                assert.strictEqual(codec.encode(body), unknown);
+            });
+
+            it("unknown types", function() {
+                var data = codec.encode(new Poll("lunch?", true));
+                var unknown = withType(0xfffe, data);
+                var body = codec.decode(unknown);
+                assert.instanceOf(body, ns.UnknownBody);
+                assert.strictEqual(body.type, 0xfffe);
+                assert.strictEqual(body.data, data.slice(6));
+                assert.strictEqual(codec.encode(body), unknown);
+            });
         });
 
     });
@@ -115,8 +242,8 @@ define([
                 body: "foo"
             });
             // sid/key hint (4 + 1), signature (4 + 64), protocol v (4 + 1),
-            // msg. type (4 + 1), IV (4 + 12), encr. message (4 + (4 + 5))
-            assert.lengthOf(codec.decodeWirePacket(result.pubtxt).content, 112);
+            // msg. type (4 + 1), key index (4 + 4), IV (4 + 12), encr. message (4 + (4 + 5))
+            assert.lengthOf(codec.decodeWirePacket(result.pubtxt).content, 120);
         });
 
         it('data message with exponential padding', function() {
@@ -127,8 +254,8 @@ define([
                 body: "foo"
             });
             // sid/key hint (4 + 1), signature (4 + 64), protocol v (4 + 1),
-            // msg. type (4 + 1), IV (4 + 12), encr. message (4 + 32)
-            assert.lengthOf(codec.decodeWirePacket(result.pubtxt).content, 135);
+            // msg. type (4 + 1), key index (4 + 4), IV (4 + 12), encr. message (4 + 32)
+            assert.lengthOf(codec.decodeWirePacket(result.pubtxt).content, 143);
         });
 
         it('data message with parents', function() {
@@ -139,8 +266,8 @@ define([
                 body: "foo"
             });
             // sid/key hint (4 + 1), signature (4 + 64), protocol v (4 + 1),
-            // msg. type (4 + 1), IV (4 + 12), encr. message (4 + (4 + 5 + parents (4 + 4) * 2))
-            assert.lengthOf(codec.decodeWirePacket(result.pubtxt).content, 128);
+            // msg. type (4 + 1), key index (4 + 4), IV (4 + 12), encr. message (4 + (4 + 5 + parents (4 + 4) * 2))
+            assert.lengthOf(codec.decodeWirePacket(result.pubtxt).content, 136);
         });
 
         it('data message with parents and padding', function() {
@@ -151,8 +278,8 @@ define([
                 body: "foo"
             });
             // sid/key hint (4 + 1), signature (4 + 64), protocol v (4 + 1),
-            // msg. type (4 + 1), IV (4 + 12), encr. message (4 + 32)
-            assert.lengthOf(codec.decodeWirePacket(result.pubtxt).content, 135);
+            // msg. type (4 + 1), key index (4 + 4), IV (4 + 12), encr. message (4 + 32)
+            assert.lengthOf(codec.decodeWirePacket(result.pubtxt).content, 143);
         });
     });
 
@@ -207,11 +334,431 @@ define([
                 assert.strictEqual(result.message.author, 'Moe');
                 assert.strictEqual(result.message.body, tests[i]);
                 var tlv = codec.decodeWirePacket(encrypted).content;
-                assert(tlv.length === 135 || tlv.length === 135 + 32);
+                assert(tlv.length === 143 || tlv.length === 143 + 32);
             }
         });
     });
 
+    describe("SenderChain", function() {
+        it('keys are consistent between instances', function() {
+            var chain0 = new ns.SenderChain(_td.GROUP_KEY, 'Moe');
+            var chain1 = new ns.SenderChain(_td.GROUP_KEY, 'Moe');
+            var other = new ns.SenderChain(_td.GROUP_KEY, 'Larry');
+            var reserved = chain0.reserve();
+            assert.strictEqual(reserved.index, 0);
+            assert.lengthOf(reserved.key, 32);
+            assert.strictEqual(chain1.peek(0), reserved.key);
+            assert.notStrictEqual(other.peek(0), reserved.key);
+            assert.strictEqual(chain1.peek(1), chain0.reserve().key);
+        });
+
+        it('used keys are deleted', function() {
+            var chain = new ns.SenderChain(_td.GROUP_KEY, 'Moe');
+            var key0 = chain.peek(0);
+            var key1 = chain.peek(1);
+            chain.consume(0);
+            assert.strictEqual(chain.nextIndex(), 1);
+            assert.strictEqual(chain.peek(0), null);
+            assert.strictEqual(chain.peek(1), key1);
+            assert.notStrictEqual(key0, key1);
+        });
+
+        it('skipped keys are kept until used', function() {
+            var chain = new ns.SenderChain(_td.GROUP_KEY, 'Moe');
+            var key1 = chain.peek(1);
+            var key2 = chain.peek(2);
+            chain.consume(3);
+            assert.strictEqual(chain.nextIndex(), 4);
+            assert.strictEqual(chain.peek(3), null);
+            assert.strictEqual(chain.peek(1), key1);
+            chain.consume(1);
+            assert.strictEqual(chain.peek(1), null);
+            assert.strictEqual(chain.peek(2), key2);
+        });
+
+        it('bounded skip', function() {
+            var chain = new ns.SenderChain(_td.GROUP_KEY, 'Moe');
+            assert.strictEqual(chain.peek(100000), null);
+            assert.throws(function() { chain.consume(100000); });
+        });
+
+        it('snapshot and restore', function() {
+            var chain = new ns.SenderChain(_td.GROUP_KEY, 'Moe');
+            var key1 = chain.peek(1);
+            var key4 = chain.peek(4);
+            chain.consume(2);
+            var restored = new ns.SenderChain(_td.GROUP_KEY, 'Moe');
+            restored.restore(JSON.parse(JSON.stringify(chain.snapshot())));
+            assert.strictEqual(restored.nextIndex(), 3);
+            assert.strictEqual(restored.peek(1), key1);
+            assert.strictEqual(restored.peek(2), null);
+            assert.strictEqual(restored.peek(4), key4);
+            restored.restore(chain.snapshot(false), 1);
+            assert.strictEqual(restored.nextIndex(), 4);
+            assert.strictEqual(restored.peek(1), null);
+            assert.strictEqual(restored.peek(4), key4);
+        });
+    });
+
+    describe("MessageSecurity per-message keys", function() {
+        var _encryptFromMoe = function(mSecurity, body) {
+            return mSecurity.authEncrypt(null, {
+                author: 'Moe',
+                parents: null,
+                readers: defaultReaders,
+                body: body
+            });
+        };
+
+        it('out-of-order delivery, and no replays', function() {
+            this.timeout(this.timeout() * 5);
+            var sender = _dummyMessageSecurity();
+            var receiver = _dummyMessageSecurity();
+            var encrypted = ['0', '1', '2'].map(_encryptFromMoe.bind(null, sender));
+            encrypted.forEach(function(enc) { enc.secrets.commit(); });
+
+            var result = receiver.decryptVerify(null, encrypted[2].pubtxt, 'Moe');
+            assert.strictEqual(result.message.body, '2');
+            result.secrets.commit();
+            assert.throws(function() {
+                receiver.decryptVerify(null, encrypted[2].pubtxt, 'Moe');
+            }, ns.DecryptVerifyError);
+
+            result = receiver.decryptVerify(null, encrypted[0].pubtxt, 'Moe');
+            assert.strictEqual(result.message.body, '0');
+            result.secrets.destroy();
+            assert.throws(function() {
+                receiver.decryptVerify(null, encrypted[0].pubtxt, 'Moe');
+            }, ns.DecryptVerifyError);
+
+            result = receiver.decryptVerify(null, encrypted[1].pubtxt, 'Moe');
+            assert.strictEqual(result.message.body, '1');
+        });
+
+        it('own message keys are deleted on commit', function() {
+            var sender = _dummyMessageSecurity();
+            var enc = _encryptFromMoe(sender, 'foo');
+            assert.strictEqual(sender.decryptVerify(null, enc.pubtxt, 'Moe').message.body, 'foo');
+            enc.secrets.commit();
+            assert.throws(function() {
+                sender.decryptVerify(null, enc.pubtxt, 'Moe');
+            }, ns.DecryptVerifyError);
+        });
+
+        it('non-data packets are rejected', function() {
+            assert.throws(function() {
+                _dummyMessageSecurity().decryptVerify(null, _td.DOWNFLOW_MESSAGE_PAYLOAD, 'Moe');
+            }, ns.DecryptVerifyError);
+        });
+
+        it('snapshot and restore', function() {
+            this.timeout(this.timeout() * 5);
+            var sender = _dummyMessageSecurity();
+            var receiver = _dummyMessageSecurity(0, undefined, undefined, 'Larry');
+            var encrypted = ['0', '1'].map(_encryptFromMoe.bind(null, sender));
+            encrypted.forEach(function(enc) { enc.secrets.commit(); });
+            receiver.decryptVerify(null, encrypted[1].pubtxt, 'Moe').secrets.commit();
+
+            var restored = _dummyMessageSecurity(0, undefined, undefined, 'Larry');
+            restored.restore(JSON.parse(JSON.stringify(receiver.snapshot())));
+            assert.throws(function() {
+                restored.decryptVerify(null, encrypted[1].pubtxt, 'Moe');
+            }, ns.DecryptVerifyError);
+            assert.strictEqual(restored.decryptVerify(null, encrypted[0].pubtxt, 'Moe').message.body, '0');
+
+            // our own chain skips ahead, past keys that we might have used after the snapshot
+            var resumed = _dummyMessageSecurity();
+            resumed.restore(sender.snapshot());
+            var enc = _encryptFromMoe(resumed, '2');
+            assert.isAbove(resumed._chains.get('Moe').nextIndex(), 3);
+            assert.strictEqual(restored.decryptVerify(null, enc.pubtxt, 'Moe').message.body, '2');
+        });
+
+        it('group key cannot be rebuilt once the chains are seeded', function() {
+            var moe = new cliques.CliquesMember('Moe');
+            var larry = new cliques.CliquesMember('Larry');
+            var curly = new cliques.CliquesMember('Curly');
+            var broadcast = curly.upflow(larry.upflow(moe.ika(['Larry', 'Curly'])));
+            moe.downflow(broadcast);
+            larry.downflow(broadcast);
+            assert.strictEqual(larry.groupKey, moe.groupKey);
+
+            var members = ['Moe', 'Larry', 'Curly'];
+            var pubKeys = [_td.ED25519_PUB_KEY, _td.ED25519_PUB_KEY, _td.ED25519_PUB_KEY];
+            var sender = new ns.MessageSecurity(new greeter.GreetStore('Moe', greeter.STATE.READY, members,
+                _td.SESSION_ID, _td.ED25519_PRIV_KEY, _td.ED25519_PUB_KEY, null, pubKeys, [],
+                moe.groupKey, moe.privKeyList, moe.intKeys));
+            var enc = _encryptFromMoe(sender, 'foo');
+            var greetStore = new greeter.GreetStore('Larry', greeter.STATE.READY, members,
+                _td.SESSION_ID, _td.ED25519_PRIV_KEY, _td.ED25519_PUB_KEY, null, pubKeys, [],
+                larry.groupKey, larry.privKeyList, larry.intKeys);
+            var receiver = new ns.MessageSecurity(greetStore);
+            assert.strictEqual(greetStore.groupKey, null);
+            assert.deepEqual(greetStore.privKeyList, []);
+            assert.deepEqual(greetStore.intKeys, []);
+
+            // not even with the intermediate keys that were broadcast
+            var attacker = new cliques.CliquesMember('Larry');
+            var state = JSON.parse(JSON.stringify(greetStore.snapshot()));
+            attacker.members = state.members;
+            attacker.privKeyList = state.privKeyList;
+            assert.throws(function() { attacker.downflow(broadcast); }, "No private keys");
+
+            // a later object from the same store needs the keys from a snapshot
+            var restored = new ns.MessageSecurity(greetStore);
+            restored.restore(JSON.parse(JSON.stringify(receiver.snapshot())));
+            assert.deepEqual(restored.signingParams(), receiver.signingParams());
+            assert.strictEqual(restored.decryptVerify(null, enc.pubtxt, 'Moe').message.body, 'foo');
+        });
+    });
+
+    describe("MessageSecurity cipher suites", function() {
+        var _encryptFromMoe = function(mSecurity, body) {
+            return mSecurity.authEncrypt(null, {
+                author: 'Moe',
+                parents: null,
+                readers: defaultReaders,
+                body: body
+            });
+        };
+
+        it('unsupported suite', function() {
+            assert.throws(function() { _dummyMessageSecurity(0, "rot13"); });
+        });
+
+        it('suite is advertised, except for aes-ctr', function() {
+            var ctr = _encryptFromMoe(_dummyMessageSecurity(0, "aes-ctr"), 'foo');
+            var gcm = _encryptFromMoe(_dummyMessageSecurity(0, "aes-gcm"), 'foo');
+            var ctrLength = codec.decodeWirePacket(ctr.pubtxt).content.length;
+            var gcmLength = codec.decodeWirePacket(gcm.pubtxt).content.length;
+            // cipher suite (4 + 1) + tag (16)
+            assert.strictEqual(gcmLength, ctrLength + 5 + 16);
+        });
+
+        Object.keys(ns.CIPHER_SUITES).forEach(function(name) {
+            it('round trip with ' + name, function() {
+                this.timeout(this.timeout() * 2);
+                var sender = _dummyMessageSecurity(0, name);
+                var receiver = _dummyMessageSecurity(0, name);
+                var enc = _encryptFromMoe(sender, 'foo');
+                var result = receiver.decryptVerify(null, enc.pubtxt, 'Moe');
+                assert.strictEqual(result.message.body, 'foo');
+            });
+        });
+
+        it('suites that were not negotiated are rejected', function() {
+            var receiver = _dummyMessageSecurity(0, "aes-gcm");
+            ["aes-ctr", "xsalsa20-poly1305"].forEach(function(name) {
+                var enc = _encryptFromMoe(_dummyMessageSecurity(0, name), 'foo');
+                assert.throws(function() {
+                    receiver.decryptVerify(null, enc.pubtxt, 'Moe');
+                }, ns.DecryptVerifyError, "cipher suite " + name + " was not negotiated");
+            });
+        });
+
+        it('tampered ciphertext fails authentication', function() {
+            ["aes-gcm", "xsalsa20-poly1305"].forEach(function(name) {
+                var suite = ns.CIPHER_SUITES[name];
+                var key = utils.randomString(32);
+                var encrypted = ns._encryptRaw('foo', key, 0, suite);
+                var last = encrypted.data.length - 1;
+                var tampered = encrypted.data.slice(0, last) +
+                    String.fromCharCode(encrypted.data.charCodeAt(last) ^ 1);
+                assert.strictEqual(ns._decryptRaw(encrypted.data, key, encrypted.iv, suite), 'foo');
+                assert.strictEqual(ns._decryptRaw(tampered, key, encrypted.iv, suite), null);
+            });
+        });
+    });
+
+    describe("MessageSecurity fragmentation", function() {
+        var _encryptFromMoe = function(mSecurity, body) {
+            return mSecurity.authEncrypt(null, {
+                author: 'Moe',
+                parents: new ImmutableSet(['parent']),
+                readers: defaultReaders,
+                body: body
+            });
+        };
+
+        it('small messages are not fragmented', function() {
+            var enc = _encryptFromMoe(_dummyMessageSecurity(), 'foo');
+            assert.deepEqual(enc.fragments, [enc.pubtxt]);
+        });
+
+        it('reassembly out-of-order', function() {
+            this.timeout(this.timeout() * 5);
+            var sender = _dummyMessageSecurity();
+            var receiver = _dummyMessageSecurity();
+            // ASCII only, so its UTF-8 encoding is the same length
+            var body = new Array(2 * ns.FRAGMENT_SIZE + 11).join("a");
+            var enc = _encryptFromMoe(sender, body);
+            assert.lengthOf(enc.fragments, 3);
+            assert.strictEqual(enc.pubtxt, enc.fragments[2]);
+
+            assert.strictEqual(receiver.decryptVerify(null, enc.fragments[2], 'Moe'), null);
+            assert.strictEqual(receiver.decryptVerify(null, enc.fragments[0], 'Moe'), null);
+            // exact duplicates, e.g. retransmitted ones, are ignored; but not others
+            assert.strictEqual(receiver.decryptVerify(null, enc.fragments[0], 'Moe'), null);
+            var other = _encryptFromMoe(_dummyMessageSecurity(), body);
+            assert.throws(function() {
+                receiver.decryptVerify(null, other.fragments[0], 'Moe');
+            }, ns.DecryptVerifyError);
+            var result = receiver.decryptVerify(null, enc.fragments[1], 'Moe');
+            assert.strictEqual(result.message.body, body);
+            assert.deepEqual(result.message.parents, ['parent']);
+            assert.strictEqual(result.secrets.mId, enc.secrets.mId);
+            assert.deepEqual(result.packets, enc.fragments);
+
+            result.secrets.commit();
+            enc.fragments.forEach(function(fragment) {
+                assert.throws(function() {
+                    receiver.decryptVerify(null, fragment, 'Moe');
+                }, ns.DecryptVerifyError);
+            });
+        });
+
+        it('signatures are verified without decrypting', function() {
+            this.timeout(this.timeout() * 2);
+            var sender = _dummyMessageSecurity();
+            var enc = _encryptFromMoe(sender, new Array(ns.FRAGMENT_SIZE + 11).join("a"));
+            var params = sender.signingParams();
+            var pubKey = params.signingKeys.Moe;
+            assert.strictEqual(pubKey, _td.ED25519_PUB_KEY);
+            assert.strictEqual(ns.verifyPackets(enc.fragments, pubKey, params.sidkeyHash), enc.secrets.mId);
+            assert.notStrictEqual(ns.verifyPackets(enc.fragments.slice(1), pubKey, params.sidkeyHash),
+                                  enc.secrets.mId);
+            assert.throws(function() {
+                ns.verifyPackets(enc.fragments, pubKey, utils.sha256("another session"));
+            }, ns.DecryptVerifyError);
+            assert.throws(function() {
+                ns.verifyPackets([], pubKey, params.sidkeyHash);
+            }, ns.DecryptVerifyError);
+        });
+
+        it('packets are decrypted with their own keys alone', function() {
+            this.timeout(this.timeout() * 2);
+            var body = new Array(ns.FRAGMENT_SIZE + 11).join("a");
+            var enc = _encryptFromMoe(_dummyMessageSecurity(), body);
+            var keys = enc.secrets.messageKeys;
+            assert.lengthOf(keys, 2);
+            assert.strictEqual(enc.secrets.whisperKey, null);
+            var opened = ns.openPackets(enc.fragments, keys, null);
+            assert.strictEqual(opened.body, body);
+            assert.deepEqual(opened.parents, ['parent']);
+            assert.strictEqual(opened.readers, null);
+            assert.throws(function() {
+                ns.openPackets(enc.fragments.slice(1), keys.slice(1), null);
+            }, ns.DecryptVerifyError);
+            assert.throws(function() {
+                ns.openPackets(enc.fragments, keys.slice().reverse(), null);
+            }, ns.DecryptVerifyError);
+        });
+
+        it('maximum message size', function() {
+            this.timeout(this.timeout() * 5);
+            var maxSize = ns.FRAGMENT_SIZE + 10;
+            var body = new Array(maxSize + 2).join("a");
+            assert.throws(function() {
+                _encryptFromMoe(_dummyMessageSecurity(0, null, maxSize), body);
+            }, /too large/);
+
+            // receiver has a smaller limit than the sender
+            var enc = _encryptFromMoe(_dummyMessageSecurity(), body);
+            var receiver = _dummyMessageSecurity(0, null, maxSize);
+            assert.strictEqual(receiver.decryptVerify(null, enc.fragments[0], 'Moe'), null);
+            assert.throws(function() {
+                receiver.decryptVerify(null, enc.fragments[1], 'Moe');
+            }, ns.DecryptVerifyError);
+            assert.strictEqual(receiver._fragments.get('Moe').size, 0);
+        });
+    });
+
+    describe("MessageSecurity whispers", function() {
+        var members = ['Moe', 'Larry', 'Curly'];
+        var privKeys = {};
+        var pubKeyMap = {};
+        members.forEach(function(member) {
+            privKeys[member] = utils.randomString(32);
+            pubKeyMap[member] = utils.toPublicKey(privKeys[member]);
+        });
+
+        var _messageSecurityFor = function(id) {
+            return new ns.MessageSecurity({
+                id: id,
+                sessionId: _td.SESSION_ID,
+                members: members,
+                groupKey: _td.GROUP_KEY,
+                ephemeralPrivKey: privKeys[id],
+                ephemeralPubKey: pubKeyMap[id],
+                pubKeyMap: pubKeyMap,
+            });
+        };
+
+        var _whisperFromMoe = function(body) {
+            return _messageSecurityFor('Moe').authEncrypt(null, {
+                author: 'Moe',
+                parents: new ImmutableSet(['parent']),
+                readers: new ImmutableSet(['Larry']),
+                body: body
+            });
+        };
+
+        it('pairwise keys', function() {
+            var moe = _messageSecurityFor('Moe');
+            assert.strictEqual(moe._pairwiseKey('Larry'), _messageSecurityFor('Larry')._pairwiseKey('Moe'));
+            assert.notStrictEqual(moe._pairwiseKey('Larry'), moe._pairwiseKey('Curly'));
+        });
+
+        it('only readers can read the body', function() {
+            var enc = _whisperFromMoe('psst');
+            var larry = _messageSecurityFor('Larry').decryptVerify(null, enc.pubtxt, 'Moe');
+            var curly = _messageSecurityFor('Curly').decryptVerify(null, enc.pubtxt, 'Moe');
+            assert.strictEqual(larry.message.body, 'psst');
+            assert.strictEqual(curly.message.body, null);
+            [larry, curly].forEach(function(result) {
+                assert.deepEqual(result.message.readers.toArray(), ['Larry']);
+                assert.deepEqual(result.message.parents, ['parent']);
+                assert.strictEqual(result.secrets.mId, enc.secrets.mId);
+            });
+        });
+
+        it('fragmented whisper', function() {
+            this.timeout(this.timeout() * 5);
+            var body = new Array(ns.FRAGMENT_SIZE + 11).join("a");
+            var enc = _whisperFromMoe(body);
+            assert.lengthOf(enc.fragments, 2);
+            var larry = _messageSecurityFor('Larry');
+            var curly = _messageSecurityFor('Curly');
+            assert.strictEqual(larry.decryptVerify(null, enc.fragments[0], 'Moe'), null);
+            assert.strictEqual(curly.decryptVerify(null, enc.fragments[0], 'Moe'), null);
+            var result = larry.decryptVerify(null, enc.fragments[1], 'Moe');
+            assert.strictEqual(result.message.body, body);
+            assert.strictEqual(curly.decryptVerify(null, enc.fragments[1], 'Moe').message.body, null);
+
+            // the keys that Larry keeps open only this message
+            assert.deepEqual(result.secrets.messageKeys, enc.secrets.messageKeys);
+            assert.strictEqual(result.secrets.whisperKey, enc.secrets.whisperKey);
+            var opened = ns.openPackets(enc.fragments, result.secrets.messageKeys, result.secrets.whisperKey);
+            assert.strictEqual(opened.body, body);
+            assert.deepEqual(opened.readers, ['Larry']);
+            assert.strictEqual(ns.openPackets(enc.fragments, result.secrets.messageKeys, null).body, null);
+        });
+
+        it('readers must be other members', function() {
+            var moe = _messageSecurityFor('Moe');
+            [[], ['Moe'], ['Larry', 'Shemp']].forEach(function(readers) {
+                assert.throws(function() {
+                    moe.authEncrypt(null, {
+                        author: 'Moe',
+                        parents: ImmutableSet.EMPTY,
+                        readers: new ImmutableSet(readers),
+                        body: 'psst'
+                    });
+                });
+            });
+        });
+    });
+
     describe("_encryptRaw()/_decryptRaw()", function() {
         it('several round trips', function() {
             for (var i = 0; i < 5; i++) {
@@ -225,6 +772,26 @@ define([
                 assert.strictEqual(message, clear);
             }
         });
+
+        it('padding strategies', function() {
+            var key = utils.randomString(16);
+            var strategies = [new padding.PadmePadding(), new padding.BucketPadding([100, 1000]), 0, 32];
+            var expected = [[10, 512], [100, 1000], [10, 502], [32, 512]];
+            for (var i = 0; i < strategies.length; i++) {
+                var short = ns._encryptRaw('01234567', key, strategies[i]);
+                var long = ns._encryptRaw(_tu.cheapRandomString(500), key, strategies[i]);
+                assert.deepEqual([short.data.length, long.data.length], expected[i]);
+                assert.strictEqual(ns._decryptRaw(short.data, key, short.iv), '01234567');
+            }
+        });
+
+        it('padding is capped to fit in a record', function() {
+            var key = utils.randomString(16);
+            var message = _tu.cheapRandomString(0x8100);
+            var encryptResult = ns._encryptRaw(message, key, new padding.ExponentialPadding(128));
+            assert.strictEqual(encryptResult.data.length, 0xffff - 16);
+            assert.strictEqual(ns._decryptRaw(encryptResult.data, key, encryptResult.iv), message);
+        });
     });
 
 });
@@ -0,0 +1,102 @@
+/**
+ * @fileOverview
+ * Test of the `mpenc/padding` module.
+ */
+
+/*
+ * (c) 2014-2016 by Mega Limited, Auckland, New Zealand
+ *     https://mega.nz/
+ *
+ * This file is part of the multi-party chat encryption suite.
+ *
+ * This code is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License version 3
+ * as published by the Free Software Foundation. See the accompanying
+ * LICENSE file or <https://www.gnu.org/licenses/> if it is unavailable.
+ *
+ * This code is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ */
+
+define([
+    "mpenc/padding",
+    "chai"
+], function(ns, chai) {
+    "use strict";
+
+    var assert = chai.assert;
+
+    var _paddedSizes = function(strategy, lengths) {
+        return lengths.map(function(n) { return strategy.paddedSize(n); });
+    };
+
+    describe("padding strategies", function() {
+        it('NoPadding', function() {
+            assert.deepEqual(_paddedSizes(new ns.NoPadding(), [0, 1, 100, 1000]), [0, 1, 100, 1000]);
+        });
+
+        it('ExponentialPadding', function() {
+            assert.deepEqual(_paddedSizes(new ns.ExponentialPadding(32), [0, 1, 32, 33, 64, 65, 200]),
+                             [32, 32, 32, 64, 64, 128, 256]);
+            assert.throws(function() { return new ns.ExponentialPadding(0); });
+        });
+
+        it('BucketPadding', function() {
+            var strategy = new ns.BucketPadding([1024, 256]);
+            assert.deepEqual(_paddedSizes(strategy, [0, 256, 257, 1024, 1025, 3000]),
+                             [256, 256, 1024, 1024, 2048, 3072]);
+            assert.throws(function() { return new ns.BucketPadding([]); });
+            assert.throws(function() { return new ns.BucketPadding([256, -1]); });
+        });
+
+        it('PadmePadding', function() {
+            assert.deepEqual(_paddedSizes(new ns.PadmePadding(), [0, 1, 9, 100, 1000, 1025, 65536]),
+                             [0, 1, 10, 104, 1024, 1088, 65536]);
+            for (var n = 1; n < 5000; n += 37) {
+                var padded = new ns.PadmePadding().paddedSize(n);
+                assert.operator(padded, '>=', n);
+                assert.operator(padded, '<=', n * 1.12 + 2);
+            }
+        });
+
+        it('RandomPadding', function() {
+            var strategy = new ns.RandomPadding(16);
+            for (var i = 0; i < 100; i++) {
+                var padded = strategy.paddedSize(100);
+                assert.operator(padded, '>=', 100);
+                assert.operator(padded, '<=', 116);
+            }
+            assert.strictEqual(new ns.RandomPadding(0).paddedSize(100), 100);
+            assert.throws(function() { return new ns.RandomPadding(-1); });
+        });
+    });
+
+    describe("fromOption()", function() {
+        it('defaults', function() {
+            assert.strictEqual(ns.fromOption(), ns.DEFAULT);
+            assert.strictEqual(ns.fromOption(null), ns.DEFAULT);
+            assert.strictEqual(ns.DEFAULT.paddedSize(1), 128);
+        });
+
+        it('numbers', function() {
+            assert.strictEqual(ns.fromOption(0), ns.NONE);
+            assert.strictEqual(ns.fromOption(64).paddedSize(65), 128);
+        });
+
+        it('names', function() {
+            ["none", "exponential", "buckets", "padme", "random"].forEach(function(name) {
+                assert.strictEqual(ns.fromOption(name).name, name);
+            });
+            assert.throws(function() { ns.fromOption("rot13"); });
+            assert.throws(function() { ns.fromOption("toString"); });
+        });
+
+        it('strategy objects', function() {
+            var strategy = { name: "custom", paddedSize: function(n) { return n + 1; } };
+            assert.strictEqual(ns.fromOption(strategy), strategy);
+            assert.throws(function() { ns.fromOption({}); });
+        });
+    });
+
+});
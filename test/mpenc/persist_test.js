@@ -0,0 +1,103 @@
+/**
+ * @fileOverview
+ * Test of the `mpenc/persist` module.
+ */
+
+/*
+ * (c) 2014-2016 by Mega Limited, Auckland, New Zealand
+ *     https://mega.nz/
+ *
+ * This file is part of the multi-party chat encryption suite.
+ *
+ * This code is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License version 3
+ * as published by the Free Software Foundation. See the accompanying
+ * LICENSE file or <https://www.gnu.org/licenses/> if it is unavailable.
+ *
+ * This code is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ */
+
+define([
+    "mpenc/persist",
+    "mpenc/impl/persist",
+    "chai"
+], function(ns, impl, chai) {
+    "use strict";
+
+    var assert = chai.assert;
+
+    var logError = function(e) { console.log(e.stack); };
+
+    var snapshot = { sId: "\x00\xff\x80", members: ["1", "2"], text: "☺" };
+
+    describe("encrypt() and decrypt()", function() {
+        it('round trip', function() {
+            var key = ns.generateKey();
+            var blob = ns.encrypt(snapshot, key);
+            assert.notInclude(atob(blob), "members");
+            assert.deepEqual(ns.decrypt(blob, key), snapshot);
+        });
+
+        it('wrong key', function() {
+            var blob = ns.encrypt(snapshot, ns.generateKey());
+            assert.throws(function() { ns.decrypt(blob, ns.generateKey()); },
+                "snapshot failed to decrypt");
+        });
+
+        it('unsupported version', function() {
+            var key = ns.generateKey();
+            var blob = btoa("\x02" + atob(ns.encrypt(snapshot, key)).slice(1));
+            assert.throws(function() { ns.decrypt(blob, key); },
+                "unsupported snapshot version: 2");
+        });
+    });
+
+    describe("save() and load()", function() {
+        var session = { snapshot: function() { return snapshot; } };
+
+        it('round trip', function(done) {
+            var storage = new impl.MemoryStorage();
+            var key = ns.generateKey();
+            ns.load(storage, "s", key).then(function(result) {
+                assert.strictEqual(result, null);
+                return ns.save(storage, "s", session, key);
+            }).then(function(saved) {
+                assert.ok(saved);
+                return ns.load(storage, "s", key);
+            }).then(function(result) {
+                assert.deepEqual(result, snapshot);
+                done();
+            }).catch(logError);
+        });
+
+        it('session that may not be resumed', function(done) {
+            var storage = new impl.MemoryStorage();
+            ns.save(storage, "s", { snapshot: function() { return null; } }, ns.generateKey()).then(function(saved) {
+                assert.notOk(saved);
+                assert.strictEqual(storage.getItem("s"), null);
+                done();
+            }).catch(logError);
+        });
+    });
+
+    describe("autoSaver()", function() {
+        it('saves and removes snapshots', function() {
+            var storage = new impl.MemoryStorage();
+            var key = ns.generateKey();
+            var save = ns.autoSaver(storage, "s", key);
+            save(snapshot);
+            assert.deepEqual(ns.decrypt(storage.getItem("s"), key), snapshot);
+            save(null);
+            assert.strictEqual(storage.getItem("s"), null);
+        });
+
+        it('storage failures are ignored', function() {
+            var save = ns.autoSaver({
+                setItem: function() { throw new Error("quota exceeded"); }
+            }, "s", ns.generateKey());
+            save(snapshot);
+        });
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * @fileOverview
+ * Test of the `mpenc/pubkeydir` module.
+ */
+
+/*
+ * (c) 2014-2016 by Mega Limited, Auckland, New Zealand
+ *     https://mega.nz/
+ *
+ * This file is part of the multi-party chat encryption suite.
+ *
+ * This code is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License version 3
+ * as published by the Free Software Foundation. See the accompanying
+ * LICENSE file or <https://www.gnu.org/licenses/> if it is unavailable.
+ *
+ * This code is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ */
+
+define([
+    "mpenc/pubkeydir",
+    "promise-polyfill",
+    "chai"
+], function(ns, Promise, chai) {
+    "use strict";
+
+    var assert = chai.assert;
+
+    describe("CachingPubKeyDir", function() {
+        it('synchronous source', function() {
+            var source = new Map([["1", "key1"]]);
+            var dir = new ns.CachingPubKeyDir(source);
+            assert.strictEqual(dir.get("1"), undefined);
+            dir.fetch(["1", "2"]);
+            assert.strictEqual(dir.get("1"), "key1");
+            assert.notOk(dir.has("2"));
+            assert.notOk(dir.isFetching("1"));
+        });
+
+        it('asynchronous source', function(done) {
+            var source = { get: function(uId) { return Promise.resolve("key" + uId); } };
+            var dir = new ns.CachingPubKeyDir(source);
+            var p = dir.fetch(["1"]);
+            assert.notOk(dir.has("1"));
+            assert.ok(dir.isFetching("1"));
+            p.then(function() {
+                assert.strictEqual(dir.get("1"), "key1");
+                assert.notOk(dir.isFetching("1"));
+                done();
+            }).catch(console.log);
+        });
+
+        it('key changes', function() {
+            var source = new Map([["1", "key1"], ["2", "key2"]]);
+            var changes = [];
+            var dir = new ns.CachingPubKeyDir(source);
+            dir.onKeyChange(function(change) { changes.push(change.slice()); });
+            dir.fetch(["1", "2"]);
+            source.set("1", "key1b");
+            dir.fetch(["1", "2"]);
+            assert.strictEqual(dir.get("1"), "key1b");
+            assert.notOk(dir.isBlocked("1"));
+            assert.deepEqual(changes, [["1", "key1", "key1b", false]]);
+        });
+
+        it('blocked key changes', function() {
+            var source = new Map([["1", "key1b"]]);
+            var changes = [];
+            var dir = new ns.CachingPubKeyDir(source, {
+                blockOnChange: true,
+                pinned: new Map([["1", "key1"]])
+            });
+            dir.onKeyChange(function(change) { changes.push(change.slice()); });
+            dir.fetch(["1"]);
+            dir.fetch(["1"]);
+            assert.strictEqual(dir.get("1"), "key1");
+            assert.ok(dir.isBlocked("1"));
+            assert.deepEqual(changes, [["1", "key1", "key1b", true]]);
+            assert.ok(dir.accept("1"));
+            assert.notOk(dir.accept("1"));
+            assert.strictEqual(dir.get("1"), "key1b");
+            assert.notOk(dir.isBlocked("1"));
+            assert.strictEqual(dir.pinned().get("1"), "key1b");
+        });
+    });
+});
@@ -0,0 +1,169 @@
+/**
+ * @fileOverview
+ * Test of the `mpenc/query` module.
+ */
+
+/*
+ * (c) 2014-2016 by Mega Limited, Auckland, New Zealand
+ *     https://mega.nz/
+ *
+ * This file is part of the multi-party chat encryption suite.
+ *
+ * This code is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License version 3
+ * as published by the Free Software Foundation. See the accompanying
+ * LICENSE file or <https://www.gnu.org/licenses/> if it is unavailable.
+ *
+ * This code is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ */
+
+define([
+    "mpenc/query",
+    "mpenc/message",
+    "mpenc/impl/transcript",
+    "chai"
+], function(ns, message, transcriptImpl, chai) {
+    "use strict";
+
+    var assert = chai.assert;
+    var M = message.Message;
+    var P = message.Payload;
+
+    // Alice and Bob chat in sub-session s1, then again in s2
+    var mkQuery = function() {
+        var clock = 0;
+        var log = new transcriptImpl.DefaultMessageLog();
+        var tr1 = new transcriptImpl.BaseTranscript();
+        var tr2 = new transcriptImpl.BaseTranscript();
+        var query = new ns.MessageQuery(log, {
+            now: function() { return clock; },
+            subSessionOf: function(mId) { return tr1.has(mId) ? "s1" : tr2.has(mId) ? "s2" : null; }
+        });
+        var sub1 = log.getSubscriberFor(tr1);
+        var add = function(tr, sub, msg) {
+            clock++;
+            tr.add(msg);
+            sub(msg.mId);
+        };
+        add(tr1, sub1, new M("O", "Alice", [], ["Bob"], new P("Hello, world!")));
+        add(tr1, sub1, new M("A", "Bob", ["O"], ["Alice"], new P("hello Alice")));
+        add(tr1, sub1, new M("C", "Alice", ["A"], ["Bob"], new message.ExplicitAck(false)));
+        add(tr1, sub1, new M("B", "Bob", ["C"], ["Alice"], new P("lunch at noon?")));
+        var sub2 = log.getSubscriberFor(tr2, new Map([[["C"], tr1]]));
+        add(tr2, sub2, new M("X", "Alice", [], ["Bob"], new P("Lunch, yes.")));
+        add(tr2, sub2, new M("Y", "Bob", ["X"], ["Alice"], new P("See you at LUNCH")));
+        return { query: query, log: log, tr1: tr1 };
+    };
+
+    var find = function(query, criteria) {
+        return query.find(criteria).next();
+    };
+
+    describe("MessageQuery class", function() {
+        it('indexed criteria', function() {
+            var query = mkQuery().query;
+            assert.deepEqual(find(query, { author: "Bob" }), ["A", "B", "Y"]);
+            assert.deepEqual(find(query, { author: "Carol" }), []);
+            assert.deepEqual(find(query, { subSession: "s2" }), ["X", "Y"]);
+            assert.deepEqual(find(query, { subSession: "s1", author: "Alice" }), ["O"]);
+            assert.deepEqual(find(query, { text: "lunch" }), ["B", "X", "Y"]);
+            assert.deepEqual(find(query, { text: "HELLO alice" }), ["A"]);
+            assert.deepEqual(find(query, { text: "lunch", author: "Bob" }), ["B", "Y"]);
+            assert.deepEqual(find(query, { text: "lunch noon bob" }), []);
+            assert.deepEqual(query.subSessions(), ["s1", "s2"]);
+            assert.strictEqual(query.subSession("X"), "s2");
+            assert.throws(function() { query.subSession("C"); });
+        });
+
+        it('index and time ranges', function() {
+            var query = mkQuery().query;
+            assert.deepEqual(find(query, {}), ["O", "A", "B", "X", "Y"]);
+            assert.deepEqual(find(query, { begin: 1, end: -1 }), ["A", "B", "X"]);
+            assert.strictEqual(query.time("B"), 4);
+            assert.deepEqual(find(query, { since: 3, until: 6 }), ["B", "X"]);
+            assert.deepEqual(find(query, { since: 7 }), []);
+            assert.deepEqual(find(query, { text: "lunch", since: 5 }), ["X", "Y"]);
+            assert.deepEqual(find(query, { author: "Bob", begin: -2 }), ["Y"]);
+        });
+
+        it('time ranges when messages are inserted mid-sequence', function() {
+            var clock = 0;
+            var log = new transcriptImpl.DefaultMessageLog({ order: "topological" });
+            var query = new ns.MessageQuery(log, { now: function() { return clock; } });
+            var add = function(tr, sub, msg) {
+                clock++;
+                tr.add(msg);
+                sub(msg.mId);
+            };
+            var tr1 = new transcriptImpl.BaseTranscript();
+            var tr2 = new transcriptImpl.BaseTranscript();
+            var sub1 = log.getSubscriberFor(tr1);
+            var sub2 = log.getSubscriberFor(tr2);
+            add(tr2, sub2, new M("X", "Alice", [], ["Bob"], new P("x")));
+            add(tr2, sub2, new M("Y", "Bob", ["X"], ["Alice"], new P("x")));
+            add(tr1, sub1, new M("O", "Alice", [], ["Bob"], new P("x")));
+            add(tr1, sub1, new M("A", "Bob", ["O"], ["Alice"], new P("x")));
+            add(tr1, sub1, new M("B", "Alice", ["A"], ["Bob"], new P("x")));
+            assert.deepEqual(log.slice(), ["O", "X", "A", "Y", "B"]);
+            assert.deepEqual(find(query, { since: 3 }), ["O", "A", "B"]);
+            assert.deepEqual(find(query, { until: 3 }), ["X", "Y"]);
+            assert.deepEqual(find(query, { since: 2, until: 5, begin: 2 }), ["A", "Y"]);
+            assert.deepEqual(find(query, { since: 2, author: "Bob" }), ["A", "Y"]);
+        });
+
+        it('pages', function() {
+            var query = mkQuery().query;
+            var cursor = query.find({}, { pageSize: 2, reverse: true });
+            assert.strictEqual(cursor.size(), 5);
+            assert.deepEqual(cursor.next(), ["Y", "X"]);
+            assert.deepEqual(cursor.next(), ["B", "A"]);
+            assert.ok(cursor.hasNext());
+            assert.deepEqual(cursor.next(), ["O"]);
+            assert.notOk(cursor.hasNext());
+            assert.deepEqual(cursor.next(), []);
+        });
+
+        it('pruned messages', function() {
+            var q = mkQuery();
+            var cursor = q.query.find({ author: "Bob" }, { pageSize: 1 });
+            var pruned = q.log.prune(q.tr1.checkpoint());
+            assert.deepEqual(pruned, ["O", "A"]);
+            assert.deepEqual(cursor.next(), ["B"]);
+            assert.deepEqual(find(q.query, { text: "hello" }), []);
+            assert.deepEqual(find(q.query, { since: 2, until: 5 }), ["B"]);
+            q.query.prune(pruned);
+            assert.throws(function() { q.query.time("O"); });
+            assert.deepEqual(find(q.query, { author: "Bob" }), ["B", "Y"]);
+            assert.deepEqual(q.query.subSessions(), ["s1", "s2"]);
+        });
+
+        it('time ranges when the clock goes backwards', function() {
+            var times = [5, 3, 7];
+            var log = new transcriptImpl.DefaultMessageLog();
+            var query = new ns.MessageQuery(log, { now: function() { return times.shift(); } });
+            var tr = new transcriptImpl.BaseTranscript();
+            var sub = log.getSubscriberFor(tr);
+            [new M("O", "Alice", [], ["Bob"], new P("x")),
+             new M("A", "Bob", ["O"], ["Alice"], new P("x")),
+             new M("B", "Alice", ["A"], ["Bob"], new P("x"))].forEach(function(msg) {
+                tr.add(msg);
+                sub(msg.mId);
+            });
+            assert.strictEqual(query.time("A"), 5);
+            assert.deepEqual(find(query, { since: 4 }), ["O", "A", "B"]);
+            assert.deepEqual(find(query, { since: 5, until: 7 }), ["O", "A"]);
+        });
+
+        it('existing messages, and stopping', function() {
+            var q = mkQuery();
+            q.query.stop();
+            var query = new ns.MessageQuery(q.log, { now: function() { return 10; } });
+            assert.deepEqual(find(query, { text: "lunch" }), ["B", "X", "Y"]);
+            assert.strictEqual(query.time("O"), 10);
+            assert.strictEqual(query.subSession("O"), null);
+            assert.deepEqual(query.subSessions(), []);
+        });
+    });
+});
@@ -24,9 +24,17 @@
 define([
     "mpenc/session",
     "mpenc/impl/session",
+    "mpenc/archive",
+    "mpenc/codec",
+    "mpenc/capability",
+    "mpenc/fingerprint",
+    "mpenc/persist",
+    "mpenc/pubkeydir",
     "mpenc/greet/greeter",
     "mpenc/message",
     "mpenc/impl/dummy",
+    "mpenc/impl/liveness",
+    "mpenc/impl/persist",
     "mpenc/impl/transcript",
     "mpenc/helper/async",
     "mpenc/helper/struct",
@@ -34,7 +42,8 @@ define([
     "megalogger",
     "chai",
     "sinon/stub",
-], function(ns, impl, greeter, message, dummy, transcriptImpl,
+], function(ns, impl, archive, codec, capability, fingerprint, persist, pubkeydir, greeter, message, dummy,
+    livenessImpl, persistImpl, transcriptImpl,
     async, struct, utils,
     MegaLogger, chai, stub
 ) {
@@ -49,6 +58,7 @@ define([
     var DefaultMessageCodec  = message.DefaultMessageCodec;
     var Payload = message.Payload;
     var ExplicitAck = message.ExplicitAck;
+    var HeartBeat = message.HeartBeat;
     var Consistency = message.Consistency;
     var DefaultMessageLog = transcriptImpl.DefaultMessageLog;
     var MessageSecurity = message.MessageSecurity;
@@ -56,9 +66,20 @@ define([
     var MsgAccepted   = ns.MsgAccepted;
     var MsgReady      = ns.MsgReady;
     var MsgFullyAcked = ns.MsgFullyAcked;
+    var MsgsPruned    = ns.MsgsPruned;
     var NotAccepted   = ns.NotAccepted;
     var NotFullyAcked = ns.NotFullyAcked;
+    var NotDecrypted  = ns.NotDecrypted;
     var SNState       = ns.SNState;
+    var SNError       = ns.SNError;
+    var NotCompatible = ns.NotCompatible;
+    var SNPresence    = ns.SNPresence;
+    var SNMembers     = ns.SNMembers;
+    var SNVerification = ns.SNVerification;
+    var SNKeyChanged  = ns.SNKeyChanged;
+    var SNOperationFailed = ns.SNOperationFailed;
+    var PresenceState = ns.PresenceState;
+    var VerificationState = fingerprint.VerificationState;
 
     var StateMachine = impl.StateMachine;
     var SessionState = ns.SessionState;
@@ -78,16 +99,16 @@ define([
 
     var logError = function(e) { console.log(e.stack); };
 
-    var mkSessionBase = function(owner) {
+    var mkSessionBase = function(owner, keepfresh) {
         owner = owner || "51";
         var context = new SessionContext(
-            owner, false, testTimer, null, null, null,
+            owner, keepfresh || false, testTimer, null, null, null,
             new dummy.DummyFlowControl(), DefaultMessageCodec, null);
 
         var members = new ImmutableSet(["50", "51", "52"]);
         var sId = 's01';
         return new SessionBase(context, sId, members,
-            new dummy.DummyMessageSecurity({ sessionId: sId }));
+            new dummy.DummyMessageSecurity({ sessionId: sId, id: owner }));
     };
 
     describe("SessionBase test", function() {
@@ -129,20 +150,51 @@ define([
 
             assert(fullyAcked.notCalled);
             assert.strictEqual(sess.isConsistent(), true);
-            sess._add(M("0", "50", [], ["51", "52"], new Payload("plaintext 0")), 'ciphertext 0');
+            sess._add(M("0", "50", [], ["51", "52"], new Payload("plaintext 0")), ['ciphertext 0']);
             assert.strictEqual(sess.isConsistent(), false);
-            sess._add(M("1", "51", ["0"], ["50", "52"], new ExplicitAck(true)), 'ciphertext 1');
+            sess._add(M("1", "51", ["0"], ["50", "52"], new ExplicitAck(true)), ['ciphertext 1']);
             assert(fullyAcked.notCalled);
-            sess._add(M("2", "52", ["1"], ["50", "51"], new ExplicitAck(false)), 'ciphertext 2');
+            sess._add(M("2", "52", ["1"], ["50", "51"], new ExplicitAck(false)), ['ciphertext 2']);
             assert(fullyAcked.calledOnce);
             assert.strictEqual(sess.isConsistent(), true);
         });
+        it('#snapshot() after #checkpoint()', function() {
+            var sess = mkSessionBase("51");
+            sess._msgsec.snapshot = stub().returns({});
+            sess._msgsec.restore = stub();
+            sess._add(new M("0", "50", [], ["51", "52"], new Payload("plaintext 0")), ['ciphertext 0']);
+            sess._add(new M("1", "51", ["0"], ["50", "52"], new Payload("plaintext 1")), ['ciphertext 1']);
+            sess._add(new M("2", "52", ["1"], ["50", "51"], new Payload("plaintext 2")), ['ciphertext 2']);
+            sess._add(new M("3", "50", ["2"], ["51", "52"], new Payload("plaintext 3")), ['ciphertext 3']);
+
+            // fully-acked messages are only encoded once
+            var before = sess.snapshot();
+            assert.strictEqual(sess.snapshot().messages[0], before.messages[0]);
+            assert.notStrictEqual(sess.snapshot().messages[3], before.messages[3]);
+            assert.deepEqual(before.messages[3].packets, ['ciphertext 3']);
+
+            // 1 is the latest message by 51, and takes the place of 0
+            assert.deepEqual(sess.checkpoint(), ["0"]);
+            var after = sess.snapshot();
+            assert.deepEqual(after.messages.map(function(m) { return m.mId; }), ["1", "2", "3"]);
+            assert.deepEqual(after.messages[0].parents, []);
+            assert.deepEqual(after.messages[1].parents, ["1"]);
+
+            var restored = mkSessionBase("51");
+            restored._msgsec.restore = stub();
+            restored.restore(after);
+            assert.deepEqual(restored.transcript().all(), ["1", "2", "3"]);
+            assert.deepEqual(restored.transcript().unacked(), ["2", "3"]);
+            assert.deepEqual(restored.transcript().unackby("2").toArray(), ["51"]);
+            sess.stop();
+            restored.stop();
+        });
         it('consistency monitor auto-acks others\' messges', function(done) {
             var sess = mkSessionBase("51");
             var timer = sess._timer;
             var ts = sess._transcript;
             var notAcked = stub();
-            sess._add(M("0", "50", [], ["51", "52"], new Payload("plaintext 0")), 'ciphertext 0');
+            sess._add(M("0", "50", [], ["51", "52"], new Payload("plaintext 0")), ['ciphertext 0']);
             sess.onEvent(NotFullyAcked)(notAcked);
             sess.onSend(stub().returns(true)); // suppress "no subscriber" warnings
 
@@ -251,6 +303,48 @@ define([
             }
             assert.strictEqual(accepted.length, 5);
         });
+        it('whispers', function() {
+            var sessions = [mkSessionBase("50"), mkSessionBase("51"), mkSessionBase("52")];
+            var sess0 = sessions[0];
+            var sess1 = sessions[1];
+            var sess2 = sessions[2];
+            sessions.forEach(function(sess) {
+                sess.onSend(function(send_out) {
+                    sessions.forEach(function(other) {
+                        if (send_out.recipients.has(other.owner())) {
+                            assert.ok(other.recv({ pubtxt: send_out.pubtxt, sender: sess.owner() }));
+                        }
+                    });
+                    return true;
+                });
+            });
+
+            assert.throws(function() { sess1.sendData("psst", new ImmutableSet(["51"])); });
+            assert.throws(function() { sess1.sendData("psst", new ImmutableSet(["53"])); });
+            assert.ok(sess1.sendData("psst", new ImmutableSet(["50"])));
+            var mId = sess1.transcript().by("51")[0];
+            sessions.forEach(function(sess) {
+                assert.deepEqual(sess.transcript().get(mId).readers.toArray(), ["50"]);
+                assert.deepEqual(sess.transcript().unackby(mId).toArray(), ["50"]);
+            });
+            assert.strictEqual(sess0.transcript().get(mId).body.content, "psst");
+            assert.strictEqual(sess2.transcript().get(mId).body, null);
+            assert.notOk(sess2.needAckmon(mId));
+
+            // non-readers don't reference it, but everyone can still accept their messages
+            assert.ok(sess2.sendData("hi"));
+            var mId2 = sess2.transcript().by("52")[0];
+            assert.strictEqual(sess2.transcript().get(mId2).parents.size, 0);
+            assert.ok(sess0.transcript().has(mId2));
+            assert.ok(sess1.transcript().has(mId2));
+
+            // only the reader needs to ack it
+            assert.ok(sess0.sendData("ok"));
+            sessions.forEach(function(sess) {
+                assert.strictEqual(sess.transcript().unackby(mId).size, 0);
+            });
+        });
+
         it('#fin() on empty session', function(done) {
             var sess = mkSessionBase();
             var timer = sess._timer;
@@ -269,7 +363,7 @@ define([
         it('#fin() on inconsistent session', function(done) {
             var sess = mkSessionBase();
             var timer = sess._timer;
-            sess._add(M("0", "50", [], ["51", "52"], new Payload("plaintext 0")), 'ciphertext 0');
+            sess._add(M("0", "50", [], ["51", "52"], new Payload("plaintext 0")), ['ciphertext 0']);
             assert.strictEqual(sess.isConsistent(), false);
 
             sess.onSend(stub().returns(true));
@@ -287,7 +381,7 @@ define([
         it('#fin() on consistent non-empty session', function(done) {
             var sess = mkSessionBase();
             var timer = sess._timer;
-            sess._add(M("0", "50", [], ["51", "52"], new Payload("plaintext 0")), 'ciphertext 0');
+            sess._add(M("0", "50", [], ["51", "52"], new Payload("plaintext 0")), ['ciphertext 0']);
             assert.strictEqual(sess.isConsistent(), false);
 
             sess.onSend(stub().returns(true));
@@ -301,11 +395,82 @@ define([
             });
             sess.fin();
             assert.strictEqual(sess.state(), SessionState.PARTING);
-            sess._add(M("2", "52", ["0"], ["50", "51"], new ExplicitAck(false)), 'ciphertext 2');
+            sess._add(M("2", "52", ["0"], ["50", "51"], new ExplicitAck(false)), ['ciphertext 2']);
+        });
+        it('invalid message published to #onInvalidMessage()', function() {
+            var sess = mkSessionBase("50");
+            var invalid = stub();
+            sess.onInvalidMessage(invalid);
+            var pubtxt = JSON.stringify({
+                sId: btoa('s01'),
+                author: "51",
+                parents: [],
+                readers: ["50", "52"],
+                sectxt: btoa("\u0000not a valid body")
+            });
+            assert.ok(sess.recv({ pubtxt: pubtxt, sender: "51" }));
+            assert(invalid.calledOnce);
+            assert.strictEqual(invalid.getCall(0).args[0].author, "51");
+            assert.instanceOf(invalid.getCall(0).args[0].error, Error);
+            assert.strictEqual(sess.transcript().size(), 0);
+            sess.stop();
+        });
+        it('#updateFreshness()', function() {
+            var sess = mkSessionBase("51");
+            var changes = [];
+            var presence = new livenessImpl.PresenceTracker(testTimer, function(uId, state) {
+                changes.push([uId, state]);
+            });
+            var addAndUpdate = function(msg) {
+                sess._add(msg, ['ciphertext ' + msg.mId]);
+                sess.updateFreshness(presence, new MsgAccepted(msg.mId));
+            };
+            addAndUpdate(new M("0", "50", [], ["51", "52"], new HeartBeat(true)));
+            addAndUpdate(new M("1", "52", ["0"], ["50", "51"], new Payload("plaintext 1")));
+            assert.deepEqual(changes, [["50", PresenceState.IDLE], ["52", PresenceState.ONLINE]]);
+            assert.instanceOf(presence.lastSeen("50"), Date);
+            // acks don't change whether someone is idle
+            addAndUpdate(new M("2", "50", ["1"], ["51", "52"], new ExplicitAck(false)));
+            assert.strictEqual(presence.state("50"), PresenceState.IDLE);
+            addAndUpdate(new M("3", "50", ["2"], ["51", "52"], new Payload("plaintext 3")));
+            assert.strictEqual(presence.state("50"), PresenceState.ONLINE);
+            // members that part are absent once everyone has seen it
+            addAndUpdate(new M("4", "52", ["3"], ["50", "51"], new Consistency(true)));
+            assert.strictEqual(presence.state("52"), PresenceState.ONLINE);
+            addAndUpdate(new M("5", "50", ["4"], ["51", "52"], new ExplicitAck(false)));
+            sess._add(new M("6", "51", ["5"], ["50", "52"], new ExplicitAck(false)), ['ciphertext 6']);
+            assert.strictEqual(presence.state("52"), null);
+            assert.strictEqual(presence.lastSeen("52"), null);
+            presence.stop();
+            sess.stop();
+        });
+        it('heartbeats', function(done) {
+            var sess = mkSessionBase("51", true);
+            var ts = sess.transcript();
+            var interval = sess._heartbeatInterval();
+            var sent = [];
+            sess.onSend(function() {
+                sent.push(ts.get(ts.by("51").slice(-1)[0]).body);
+                return true;
+            });
+            assert.strictEqual(interval, 4 * dummyFlowControl.getFullAckInterval());
+            assert.ok(sess.sendData("txt"));
+            sess.setIdle(true);
+            sess.setIdle(true);
+            assert.deepEqual(sent, [new Payload("txt"), new HeartBeat(true)]);
+            assert.notOk(sess.needAckmon(ts.by("51")[1]));
+
+            testTimer.after(interval + 1, function() {
+                assert.deepEqual(sent.slice(2), [new HeartBeat(true)]);
+                sess.fin();
+                testTimer.after(interval + 1, function() {
+                    // no more heartbeats after fin
+                    assert.deepEqual(sent.slice(3), [new Consistency(true)]);
+                    sess.stop();
+                    done();
+                });
+            });
         });
-        /*it('#updateFreshness()', function() {
-            // TODO(xl): do this when we actually implement a PresenceTracker
-        });*/
         it('#chainUserEventsTo()', function() {
             var base = mkSessionBase();
             var types = SessionBase.EventTypes;
@@ -343,17 +508,20 @@ define([
         });
     });
 
-    var mkHybridSession = function(sId, owner, server, options) {
-        var context = new SessionContext(owner, false, testTimer,
-            _td.ED25519_PRIV_KEY, _td.ED25519_PUB_KEY, {
+    var mkHybridSession = function(sId, owner, server, options, keepfresh, pubKeyDir) {
+        var context = new SessionContext(owner, keepfresh || false, testTimer,
+            _td.ED25519_PRIV_KEY, _td.ED25519_PUB_KEY, pubKeyDir || {
                 get: function() { return _td.ED25519_PUB_KEY; }
             },
             new dummy.DummyFlowControl(), DefaultMessageCodec, DefaultMessageLog);
         // TODO(xl): replace with a dummy greeter so the tests run quicker
         var dummyGreeter = new greeter.Greeter(owner,
             context.privKey, context.pubKey, context.pubKeyDir);
+        var makeMessageSecurity = function(greetState, caps) {
+            return new MessageSecurity(greetState, 0, caps.preferred("cipher"));
+        };
         return new HybridSession(context, sId, server.getChannel(owner),
-            dummyGreeter, MessageSecurity, options);
+            dummyGreeter, makeMessageSecurity, options);
     };
 
     describe("HybridSession test", function() {
@@ -750,6 +918,1131 @@ define([
             }).catch(logError);
         });
 
+        it('terminal error on protocol violation', function(done) {
+            this.timeout(this.timeout() * 10);
+            var server = new dummy.DummyGroupServer();
+            var s1 = mkHybridSession('myTestSession', "51", server);
+            var s2 = mkHybridSession('myTestSession', "52", server);
+            var exec = execute.bind(null, server);
+            var errors1 = [];
+            var errors2 = [];
+            s1.onEvent(SNError)(function(evt) { errors1.push(evt); });
+            s2.onEvent(SNError)(function(evt) { errors2.push(evt); });
+
+            Promise.resolve(true).then(function() {
+                return exec(s1, { join: true });
+            }).then(function() {
+                return exec(s1, { include: ["52"] });
+            }).then(function() {
+                assertMembers(["51", "52"], s1, s2, server);
+                assertSessionState("COS_", s1, s2);
+                // s2 detects a bad message from s1
+                var sess = s2._current.sess;
+                sess._handleInvalidMessage("fake mId", "51", ImmutableSet.EMPTY,
+                    new ImmutableSet(["52"]), new Error("bad message"));
+                assert.strictEqual(s2.state(), SessionState.ERROR);
+                assert.strictEqual(errors2.length, 1);
+                assert.strictEqual(errors2[0].uId, "52");
+                assert.ok(errors2[0].isTerminal());
+                assertSessionParted(s2);
+                server.runAsync(4, testTimer);
+                return async.timeoutPromise(testTimer, 100);
+            }).then(function() {
+                // s1 verified the error from s2, and shut down as well
+                assert.strictEqual(errors1.length, 1);
+                assert.strictEqual(errors1[0].uId, "52");
+                assert.ok(errors1[0].isTerminal());
+                assert.strictEqual(s1.state(), SessionState.ERROR);
+                assertSessionParted(s1, s2);
+                assertMembers([], server);
+                assert.throws(function() { s1.execute({ join: true }); }, "OperationRefused");
+                assert.notOk(s1.send({ content: "hello?" }));
+                done();
+            }).catch(logError);
+        });
+
+        it('unverified error packets are ignored', function(done) {
+            this.timeout(this.timeout() * 10);
+            var server = new dummy.DummyGroupServer();
+            var s1 = mkHybridSession('myTestSession', "51", server);
+            var s2 = mkHybridSession('myTestSession', "52", server);
+            var exec = execute.bind(null, server);
+            var errors1 = [];
+            s1.onEvent(SNError)(function(evt) { errors1.push(evt); });
+
+            Promise.resolve(true).then(function() {
+                return exec(s1, { join: true });
+            }).then(function() {
+                return exec(s1, { include: ["52"] });
+            }).then(function() {
+                // unsigned error claiming to be from s2
+                var pubtxt = codec.encodeWirePacket(codec.encodeErrorMessage({
+                    from: "52",
+                    severity: codec.ERROR.TERMINAL,
+                    message: "go away"
+                }));
+                s2._channel.send({ pubtxt: pubtxt, recipients: new ImmutableSet(["51"]) });
+                server.run();
+                assert.strictEqual(errors1.length, 0);
+                assertMembers(["51", "52"], s1, s2, server);
+                assertSessionState("COS_", s1, s2);
+                assertSessionStable(s1, s2);
+                done();
+            }).catch(logError);
+        });
+
+        it('sending a fragmented message', function(done) {
+            this.timeout(this.timeout() * 10);
+            var server = new dummy.DummyGroupServer();
+            var s1 = mkHybridSession('myTestSession', "51", server);
+            var s2 = mkHybridSession('myTestSession', "52", server);
+            var exec = execute.bind(null, server);
+            var content = _tu.cheapRandomString(message.FRAGMENT_SIZE + 1);
+            var ready = [];
+            s2.onEvent(MsgReady)(function(evt) { ready.push(evt); });
+
+            Promise.resolve(true).then(function() {
+                return exec(s1, { join: true });
+            }).then(function() {
+                return exec(s1, { include: ["52"] });
+            }).then(function() {
+                assert.ok(s1.send({ content: content }));
+                var mId = s1.messages().at(-1);
+                var p = async.newPromiseAndWriters();
+                s2.onEvent(MsgReady, [mId])(p.resolve);
+                server.runAsync(16, testTimer);
+                return p.promise;
+            }).then(function(evt) {
+                assert.lengthOf(ready, 1);
+                assert.strictEqual(s2.messages().get(evt.mId).body.content, content);
+                done();
+            }).catch(logError);
+        });
+
+        it('sending an attachment', function(done) {
+            this.timeout(this.timeout() * 10);
+            var server = new dummy.DummyGroupServer();
+            var s1 = mkHybridSession('myTestSession', "51", server);
+            var s2 = mkHybridSession('myTestSession', "52", server);
+            var exec = execute.bind(null, server);
+            var att = new message.Attachment("cat.png", "ref0",
+                _td.ED25519_PUB_KEY, utils.sha256("cat"), "image/png", 1234);
+
+            Promise.resolve(true).then(function() {
+                return exec(s1, { join: true });
+            }).then(function() {
+                return exec(s1, { include: ["52"] });
+            }).then(function() {
+                assert.throws(function() { s1.send({ attachment: "cat.png" }); });
+                assert.ok(s1.send({ attachment: att }));
+                var mId = s1.messages().at(-1);
+                var p = async.newPromiseAndWriters();
+                s2.onEvent(MsgReady, [mId])(p.resolve);
+                server.runAsync(16, testTimer);
+                return p.promise;
+            }).then(function(evt) {
+                var body = s2.messages().get(evt.mId).body;
+                assert.instanceOf(body, message.Attachment);
+                assert.ok(body.equals(att));
+                done();
+            }).catch(logError);
+        });
+
+        it('sending a whisper', function(done) {
+            this.timeout(this.timeout() * 20);
+            var server = new dummy.DummyGroupServer();
+            var s1 = mkHybridSession('myTestSession', "51", server);
+            var s2 = mkHybridSession('myTestSession', "52", server);
+            var s3 = mkHybridSession('myTestSession', "53", server);
+            var exec = execute.bind(null, server);
+            var ready3 = [];
+            s3.onEvent(MsgReady)(function(evt) { ready3.push(evt.mId); });
+
+            Promise.resolve(true).then(function() {
+                return exec(s1, { join: true });
+            }).then(function() {
+                return exec(s1, { include: ["52", "53"] });
+            }).then(function() {
+                assert.throws(function() { s1.send({ content: "", readers: ["52"] }); });
+                assert.ok(s1.send({ content: "psst", readers: ["52"] }));
+                var mId = s1.messages().at(-1);
+                var p = async.newPromiseAndWriters();
+                s2.onEvent(MsgReady, [mId])(p.resolve);
+                server.runAsync(16, testTimer);
+                return p.promise;
+            }).then(function(evt) {
+                var msg = s2.messages().get(evt.mId);
+                assert.strictEqual(msg.body.content, "psst");
+                assert.deepEqual(msg.readers.toArray(), ["52"]);
+                assert.notInclude(ready3, evt.mId);
+                assert.ok(s3._current.sess.transcript().has(evt.mId));
+                assert.notOk(s3.messages().has(evt.mId));
+                done();
+            }).catch(logError);
+        });
+
+        it('retransmit messages missed by a member', function(done) {
+            this.timeout(this.timeout() * 20);
+            var server = new dummy.DummyGroupServer();
+            var s1 = mkHybridSession('myTestSession', "51", server);
+            var s2 = mkHybridSession('myTestSession', "52", server);
+            var s3 = mkHybridSession('myTestSession', "53", server);
+            var exec = execute.bind(null, server);
+            var mId1;
+            var mId2;
+
+            Promise.resolve(true).then(function() {
+                return exec(s1, { join: true });
+            }).then(function() {
+                return exec(s1, { include: ["52", "53"] });
+            }).then(function() {
+                assert.ok(s1.send({ content: "one" }));
+                mId1 = s1.messages().at(-1);
+                assert.ok(s1._current.sess.cachedPackets(mId1));
+                // 53 never receives it
+                server.recvAll();
+                assert.strictEqual(server._queues.get("53").pop().sender, "51");
+                var p = async.newPromiseAndWriters();
+                s2.onEvent(MsgReady, [mId1])(p.resolve);
+                server.runAsync(16, testTimer);
+                return p.promise;
+            }).then(function() {
+                assert.ok(s2.send({ content: "two" }));
+                mId2 = s2.messages().at(-1);
+                var p = async.newPromiseAndWriters();
+                s3.onEvent(MsgReady, [mId2])(p.resolve);
+                server.runAsync(64, testTimer);
+                return p.promise;
+            }).then(function() {
+                assert.deepEqual(s3.messages().slice(), [mId1, mId2]);
+                assert.strictEqual(s3.messages().get(mId1).author, "51");
+                assert.strictEqual(s3.messages().get(mId1).body.content, "one");
+                assert.strictEqual(s3._current.sess.missing().size, 0);
+                // relays can't pass off other packets as being from the author
+                var trials = [];
+                s3._tryDecrypt.trial = function(recv_in) { trials.push(recv_in); };
+                var error = codec.encodeWirePacket(codec.encodeErrorMessage({
+                    from: "51",
+                    severity: codec.ERROR.TERMINAL,
+                    message: "go away"
+                }));
+                var relay = codec.encodeRetransmitMessage({ to: "53", author: "51", packet: error });
+                assert.ok(s3._recvRetransmit({ pubtxt: codec.encodeWirePacket(relay), sender: "52" }));
+                assert.lengthOf(trials, 0);
+                done();
+            }).catch(logError);
+        });
+
+        it('retransmit fragmented messages missed by a member', function(done) {
+            this.timeout(this.timeout() * 20);
+            var server = new dummy.DummyGroupServer();
+            var s1 = mkHybridSession('myTestSession', "51", server);
+            var s2 = mkHybridSession('myTestSession', "52", server);
+            var s3 = mkHybridSession('myTestSession', "53", server);
+            var exec = execute.bind(null, server);
+            var content = _tu.cheapRandomString(message.FRAGMENT_SIZE + 1);
+            var notDecrypted = [];
+            s3.onEvent(NotDecrypted)(function(evt) { notDecrypted.push(evt); });
+            var mId1;
+            var mId2;
+
+            Promise.resolve(true).then(function() {
+                return exec(s1, { join: true });
+            }).then(function() {
+                return exec(s1, { include: ["52", "53"] });
+            }).then(function() {
+                assert.ok(s1.send({ content: content }));
+                mId1 = s1.messages().at(-1);
+                assert.isAbove(s1._current.sess.cachedPackets(mId1).length, 1);
+                // 53 never receives the last fragment
+                server.recvAll();
+                assert.strictEqual(server._queues.get("53").pop().sender, "51");
+                var p = async.newPromiseAndWriters();
+                s2.onEvent(MsgReady, [mId1])(p.resolve);
+                server.runAsync(16, testTimer);
+                return p.promise;
+            }).then(function() {
+                // 52 keeps every fragment, not just the last one
+                assert.deepEqual(s2._current.sess.cachedPackets(mId1), s1._current.sess.cachedPackets(mId1));
+                assert.ok(s2.send({ content: "two" }));
+                mId2 = s2.messages().at(-1);
+                var p = async.newPromiseAndWriters();
+                s3.onEvent(MsgReady, [mId2])(p.resolve);
+                server.runAsync(64, testTimer);
+                return p.promise;
+            }).then(function() {
+                assert.deepEqual(s3.messages().slice(), [mId1, mId2]);
+                assert.strictEqual(s3.messages().get(mId1).body.content, content);
+                server.runAsync(64, testTimer);
+                return async.timeoutPromise(testTimer, 100);
+            }).then(function() {
+                // the retransmitted fragment that we already had was not a problem
+                assert.lengthOf(notDecrypted, 0);
+                done();
+            }).catch(logError);
+        });
+
+        it('presence of members', function(done) {
+            this.timeout(this.timeout() * 10);
+            var server = new dummy.DummyGroupServer();
+            var s1 = mkHybridSession('myTestSession', "51", server, {}, true);
+            var s2 = mkHybridSession('myTestSession', "52", server, {}, true);
+            var exec = execute.bind(null, server);
+            var changes = [];
+            s1.onEvent(SNPresence)(function(evt) { changes.push(evt.slice()); });
+
+            Promise.resolve(true).then(function() {
+                return exec(s1, { join: true });
+            }).then(function() {
+                return exec(s1, { include: ["52"] });
+            }).then(function() {
+                assert.strictEqual(s1.presence("51"), PresenceState.ONLINE);
+                assert.strictEqual(s1.presence("52"), PresenceState.ONLINE);
+                assert.strictEqual(s1.presence("53"), null);
+                assert.instanceOf(s1.lastSeen("52"), Date);
+                assert.deepEqual(changes, [["52", PresenceState.ONLINE]]);
+                s2.setIdle(true);
+                assert.strictEqual(s2.presence("52"), PresenceState.IDLE);
+                server.runAsync(16, testTimer);
+                return async.timeoutPromise(testTimer, 20);
+            }).then(function() {
+                // s2 may have briefly been unresponsive, if the greeting was slow
+                assert.strictEqual(s1.presence("52"), PresenceState.IDLE);
+                assert.deepEqual(changes.slice(-1), [["52", PresenceState.IDLE]]);
+                return exec(s2, { part: true });
+            }).then(function() {
+                assert.strictEqual(s1.presence("52"), null);
+                assert.strictEqual(s1.lastSeen("52"), null);
+                done();
+            }).catch(logError);
+        });
+
+        it('fingerprints and verification', function(done) {
+            this.timeout(this.timeout() * 10);
+            var server = new dummy.DummyGroupServer();
+            var store = new fingerprint.MemoryVerificationStore();
+            var s1 = mkHybridSession('myTestSession', "51", server, { verificationStore: store });
+            var s2 = mkHybridSession('myTestSession', "52", server);
+            var exec = execute.bind(null, server);
+            var changes = [];
+            s1.onEvent(SNVerification)(function(evt) { changes.push(evt.slice()); });
+
+            Promise.resolve(true).then(function() {
+                assert.strictEqual(s1.sessionFingerprint(), null);
+                assert.strictEqual(s1.fingerprint("52"), null);
+                return exec(s1, { join: true });
+            }).then(function() {
+                return exec(s1, { include: ["52"] });
+            }).then(function() {
+                assert.ok(s1.fingerprint("52").equals(s2.fingerprint("52")));
+                assert.ok(s1.fingerprint("51").equals(s2.fingerprint("51")));
+                assert.notOk(s1.fingerprint("51").equals(s1.fingerprint("52")));
+                assert.ok(s1.sessionFingerprint().equals(s2.sessionFingerprint()));
+                assert.strictEqual(s1.verification("51"), null);
+                assert.strictEqual(s1.verification("52"), VerificationState.UNVERIFIED);
+                assert.throws(function() { s1.setVerification("53", VerificationState.VERIFIED); });
+                assert.ok(s1.setVerification("52", VerificationState.VERIFIED));
+                assert.notOk(s1.setVerification("52", VerificationState.VERIFIED));
+                assert.strictEqual(s1.verification("52"), VerificationState.VERIFIED);
+                assert.strictEqual(s2.verification("51"), VerificationState.UNVERIFIED);
+                assert.deepEqual(changes, [["52", VerificationState.VERIFIED]]);
+                // changes made elsewhere are also published
+                store.set("52", _td.ED25519_PUB_KEY, VerificationState.UNVERIFIED);
+                store.set("53", _td.ED25519_PUB_KEY, VerificationState.VERIFIED);
+                assert.deepEqual(changes.slice(1), [["52", VerificationState.UNVERIFIED]]);
+                done();
+            }).catch(logError);
+        });
+
+        it('asynchronous public key directory', function(done) {
+            this.timeout(this.timeout() * 20);
+            var server = new dummy.DummyGroupServer();
+            var source = {
+                get: function() {
+                    return async.timeoutPromise(testTimer, 10).then(function() {
+                        return _td.ED25519_PUB_KEY;
+                    });
+                }
+            };
+            var mkDir = function(owner, options) {
+                var dir = new pubkeydir.CachingPubKeyDir(source, options);
+                dir.pin(owner, _td.ED25519_PUB_KEY);
+                return dir;
+            };
+            // s1 has previously seen a different key for 52
+            var dir1 = mkDir("51", { blockOnChange: true, pinned: new Map([["52", "old key"]]) });
+            var s1 = mkHybridSession('myTestSession', "51", server, {}, false, dir1);
+            var s2 = mkHybridSession('myTestSession', "52", server, {}, false, mkDir("52"));
+            var exec = execute.bind(null, server);
+            var changes = [];
+            s1.onEvent(SNKeyChanged)(function(evt) { changes.push(evt.slice()); });
+
+            Promise.resolve(true).then(function() {
+                return exec(s1, { join: true }, 32);
+            }).then(function() {
+                return async.reversePromise(exec(s1, { include: ["52"] }, 32));
+            }).then(function(reason) {
+                assert.match(reason.message, /^OperationAborted: public key of 52 changed/);
+                assert.deepEqual(changes, [["52", true]]);
+                assert.ok(dir1.isBlocked("52"));
+                assert.strictEqual(dir1.get("52"), "old key");
+                server.runAsync(16, testTimer);
+                return async.timeoutPromise(testTimer, 100);
+            }).then(function() {
+                assertMembers(["51"], s1, server);
+                assert.throws(function() { s1.execute({ include: ["52"] }); }, /OperationRefused/);
+                assert.ok(dir1.accept("52"));
+                return exec(s1, { include: ["52"] }, 32);
+            }).then(function() {
+                assertMembers(["51", "52"], s1, s2, server);
+                assertSessionStable(s1, s2);
+                assert.strictEqual(changes.length, 1);
+                done();
+            }).catch(logError);
+        });
+
+        it('hung public key directory', function(done) {
+            this.timeout(this.timeout() * 20);
+            var server = new dummy.DummyGroupServer();
+            var hung = { get: function() { return new Promise(function() {}); } };
+            var dir1 = new pubkeydir.CachingPubKeyDir(hung);
+            dir1.pin("51", _td.ED25519_PUB_KEY);
+            var s1 = mkHybridSession('myTestSession', "51", server, {}, false, dir1);
+            var s2 = mkHybridSession('myTestSession', "52", server);
+            var exec = execute.bind(null, server);
+            var p;
+
+            Promise.resolve(true).then(function() {
+                return exec(s1, { join: true }, 32);
+            }).then(function() {
+                p = s1.execute({ include: ["52"] });
+                server.runAsync(64, testTimer);
+                return async.timeoutPromise(testTimer, 1000);
+            }).then(function() {
+                // s1 stops waiting for the key, and fails the greeting
+                // without treating it as an attack
+                assert.ok(dir1.isFetching("52"));
+                assert.strictEqual(s1._keyFetch, null);
+                assert.deepEqual(s1._heldForKeys, []);
+                assert.notOk(s1._greeting);
+                assert.notOk(s1._terminalError);
+                return async.reversePromise(p);
+            }).then(function(reason) {
+                assert.match(reason.message, /^OperationAborted: others left the channel: 52/);
+                server.runAsync(16, testTimer);
+                return async.timeoutPromise(testTimer, 100);
+            }).then(function() {
+                // 52 was kicked, so that they stop waiting for the greeting
+                assertMembers(["51"], s1, server);
+                assertMembers(["52"], s2);
+                dir1.pin("52", _td.ED25519_PUB_KEY);
+                return exec(s1, { include: ["52"] }, 32);
+            }).then(function() {
+                assertMembers(["51", "52"], s1, s2, server);
+                assertSessionStable(s1, s2);
+                done();
+            }).catch(logError);
+        });
+
+        it('stalled operations time out or are cancelled', function(done) {
+            this.timeout(this.timeout() * 40);
+            var server = new dummy.DummyGroupServer();
+            var s1 = mkHybridSession('myTestSession', "51", server);
+            var s2 = mkHybridSession('myTestSession', "52", server);
+            var s3 = mkHybridSession('myTestSession', "53", server);
+            var exec = execute.bind(null, server);
+            var failed = [];
+            s1.onEvent(SNOperationFailed)(function(evt) { failed.push(evt); });
+            // s3 enters the channel when asked to, but ignores all greetings
+            var stall = stub(s3, "_recvPacket").returns(true);
+            var p;
+
+            Promise.resolve(true).then(function() {
+                return exec(s1, { join: true });
+            }).then(function() {
+                return async.reversePromise(exec(s1, { include: ["52", "53"], timeout: 2000 }));
+            }).then(function(reason) {
+                assert.match(reason.message, /^OperationTimedOut: .*; unresponsive: 53$/);
+                assert.strictEqual(failed.length, 1);
+                assert.deepEqual(failed[0].unresponsive.toArray(), ["53"]);
+                assert.strictEqual(failed[0].message, reason.message);
+                // everyone aborts the greeting once s3 is kicked
+                server.runAsync(16, testTimer);
+                return async.timeoutPromise(testTimer, 100);
+            }).then(function() {
+                assertMembers(["51", "52"], server);
+                assertMembers(["51"], s1);
+                assertMembers(["52"], s2);
+                assertSessionStable(s1, s2);
+                p = s1.execute({ include: ["53"] });
+                server.runAsync(4, testTimer);
+                return async.timeoutPromise(testTimer, 1000);
+            }).then(function() {
+                assert.ok(p.cancel());
+                assert.notOk(p.cancel());
+                return async.reversePromise(p);
+            }).then(function(reason) {
+                assert.match(reason.message, /^OperationAborted: .*; unresponsive: 53$/);
+                assert.strictEqual(failed.length, 2);
+                server.runAsync(16, testTimer);
+                return async.timeoutPromise(testTimer, 100);
+            }).then(function() {
+                assertMembers(["51", "52"], server);
+                assertSessionStable(s1, s2);
+                stall.restore();
+                return exec(s1, { include: ["52", "53"] });
+            }).then(function() {
+                assertMembers(["51", "52", "53"], s1, s2, s3, server);
+                assertSessionStable(s1, s2, s3);
+                done();
+            }).catch(logError);
+        });
+
+        it('timed-out joins and parts leave the channel', function(done) {
+            this.timeout(this.timeout() * 40);
+            var server = new dummy.DummyGroupServer();
+            var s1 = mkHybridSession('myTestSession', "51", server);
+            var s2 = mkHybridSession('myTestSession', "52", server);
+            var s3 = mkHybridSession('myTestSession', "53", server);
+            var exec = execute.bind(null, server);
+            var failed = [];
+            s2.onEvent(SNOperationFailed)(function(evt) { failed.push(evt); });
+            var stall;
+
+            Promise.resolve(true).then(function() {
+                return exec(s1, { join: true });
+            }).then(function() {
+                return exec(s1, { include: ["53"] });
+            }).then(function() {
+                // nobody includes s2
+                return async.reversePromise(exec(s2, { join: true, timeout: 500 }));
+            }).then(function(reason) {
+                assert.match(reason.message, /^OperationTimedOut: after 500 ticks$/);
+                assert.strictEqual(failed.length, 1);
+                server.runAsync(16, testTimer);
+                return async.timeoutPromise(testTimer, 100);
+            }).then(function() {
+                assertMembers(["51", "53"], s1, s3, server);
+                assertSessionState("cos_", s2);
+                return exec(s1, { include: ["52"] });
+            }).then(function() {
+                // s2 ignores everything, so keeps waiting for acks of its final message
+                stall = stub(s2, "_recvPacket").returns(true);
+                s2._flowctl.getBroadcastLatency = function() { return 5000; };
+                return async.reversePromise(exec(s2, { part: true, timeout: 500 }));
+            }).then(function(reason) {
+                assert.match(reason.message, /^OperationTimedOut: after 500 ticks$/);
+                assert.strictEqual(failed.length, 2);
+                stall.restore();
+                server.runAsync(64, testTimer);
+                return async.timeoutPromise(testTimer, 3000);
+            }).then(function() {
+                // s2 left anyway, and the others excluded it
+                assertMembers(["51", "53"], s1, s3, server);
+                assertSessionState("cos_", s2);
+                assertSessionStable(s1, s3);
+                done();
+            }).catch(logError);
+        });
+
+        it('operations cancelled before they are echoed', function(done) {
+            this.timeout(this.timeout() * 40);
+            var server = new dummy.DummyGroupServer();
+            var s1 = mkHybridSession('myTestSession', "51", server);
+            var s2 = mkHybridSession('myTestSession', "52", server);
+            var exec = execute.bind(null, server);
+            var p;
+
+            Promise.resolve(true).then(function() {
+                return exec(s1, { join: true });
+            }).then(function() {
+                // cancel as soon as the proposal is sent
+                var propose = s1._proposeGreetInit;
+                s1._proposeGreetInit = function() {
+                    var r = propose.apply(this, arguments);
+                    assert.ok(p.cancel());
+                    return r;
+                };
+                p = s1.execute({ include: ["52"] });
+                server.runAsync(16, testTimer);
+                return async.reversePromise(p);
+            }).then(function(reason) {
+                assert.match(reason.message, /^OperationAborted: cancelled by the user$/);
+                assert.notOk(s1._ownProposalHash);
+                delete s1._proposeGreetInit;
+                return async.timeoutPromise(testTimer, 500);
+            }).then(function() {
+                // the proposal was still echoed, so everyone aborted it
+                assertMembers(["51"], s1, server);
+                assertMembers(["52"], s2);
+                assertSessionStable(s1);
+                return exec(s1, { include: ["52"] });
+            }).then(function() {
+                assertMembers(["51", "52"], s1, s2, server);
+                assertSessionStable(s1, s2);
+                done();
+            }).catch(logError);
+        });
+
+        it('refreshing the group key', function(done) {
+            this.timeout(this.timeout() * 40);
+            var server = new dummy.DummyGroupServer();
+            var opts = { refreshEveryMessages: 2 };
+            var s1 = mkHybridSession('myTestSession', "51", server, opts);
+            var s2 = mkHybridSession('myTestSession', "52", server, opts);
+            var exec = execute.bind(null, server);
+            var memberChanges = [];
+            s1.onEvent(SNMembers)(function(evt) { memberChanges.push(evt); });
+            var sess;
+
+            Promise.resolve(true).then(function() {
+                return exec(s1, { join: true });
+            }).then(function() {
+                return exec(s1, { include: ["52"] });
+            }).then(function() {
+                assert.strictEqual(memberChanges.length, 1);
+                sess = s1._current.sess;
+                return exec(s2, { refresh: true });
+            }).then(function() {
+                assertMembers(["51", "52"], s1, s2, server);
+                assertSessionStable(s1, s2);
+                assert.notStrictEqual(s1._current.sess, sess);
+                assert.strictEqual(memberChanges.length, 1);
+                sess = s1._current.sess;
+                return server.sendAndWait(s1, s2, "one", testTimer);
+            }).then(function() {
+                assert.strictEqual(s1._current.sess, sess);
+                return server.sendAndWait(s2, s1, "two", testTimer);
+            }).then(function() {
+                // whoever was elected, refreshes automatically
+                server.runAsync(16, testTimer);
+                return async.timeoutPromise(testTimer, 1000);
+            }).then(function() {
+                assertSessionStable(s1, s2);
+                assert.notStrictEqual(s1._current.sess, sess);
+                assert.strictEqual(s1._current.sess._sId, s2._current.sess._sId);
+                assert.strictEqual(memberChanges.length, 1);
+                assert.notOk(s1.flagDevice("53"));
+                assert.ok(s1.flagDevice("52"));
+                sess = s1._current.sess;
+                server.runAsync(16, testTimer);
+                return async.timeoutPromise(testTimer, 1000);
+            }).then(function() {
+                assertSessionStable(s1, s2);
+                assert.notStrictEqual(s1._current.sess, sess);
+                return server.sendAndWait(s2, s1, "three", testTimer);
+            }).then(function(mId) {
+                assert.strictEqual(s1.messages().get(mId).body.content, "three");
+                assertMembers(["51", "52"], s1, s2, server);
+                assert.strictEqual(memberChanges.length, 1);
+                done();
+            }).catch(logError);
+        });
+
+        it('deniable parting publishes the signing key', function(done) {
+            this.timeout(this.timeout() * 30);
+            var server = new dummy.DummyGroupServer();
+            var s1 = mkHybridSession('myTestSession', "51", server);
+            var s2 = mkHybridSession('myTestSession', "52", server, { deniable: true });
+            var s3 = mkHybridSession('myTestSession', "53", server);
+            var exec = execute.bind(null, server);
+            var mId1;
+            var mId2;
+            // testTimer is real-time and greetings are slow; give others
+            // enough time to ack our final message before fin() times out
+            s2._flowctl.getBroadcastLatency = function() { return 50; };
+
+            Promise.resolve(true).then(function() {
+                return exec(s1, { join: true });
+            }).then(function() {
+                return exec(s1, { include: ["52", "53"] });
+            }).then(function() {
+                return server.sendAndWait(s1, [s2, s3], "one", testTimer);
+            }).then(function(mId) {
+                mId1 = mId;
+                return server.sendAndWait(s2, [s1, s3], "two", testTimer);
+            }).then(function(mId) {
+                mId2 = mId;
+                // keys of the wrong length are dropped, not thrown out of recv
+                var badKey = codec.encodeSigningKeyMessage({ from: "52", signingKey: "short" });
+                assert.ok(s1._recvSigningKey({ pubtxt: codec.encodeWirePacket(badKey), sender: "52" }));
+                assert.notOk(s1.messages().isForgeable(mId2));
+                // others must have time to ack our final message
+                return exec(s2, { part: true }, 64);
+            }).then(function() {
+                return async.timeoutPromise(testTimer, 100);
+            }).then(function() {
+                assertMembers(["51", "53"], s1, s3, server);
+                assert.ok(s1.messages().isForgeable(mId2));
+                assert.ok(s3.messages().isForgeable(mId2));
+                assert.ok(s2.messages().isForgeable(mId2));
+                // s1 was not deniable, and has not parted anyway
+                assert.notOk(s1.messages().isForgeable(mId1));
+                assert.notOk(s3.messages().isForgeable(mId1));
+                done();
+            }).catch(logError);
+        });
+
+        it('share history with included members', function(done) {
+            this.timeout(this.timeout() * 30);
+            var server = new dummy.DummyGroupServer();
+            var included = [];
+            var s1 = mkHybridSession('myTestSession', "51", server, {
+                shareHistory: function(log, include) {
+                    included.push(include.toArray());
+                    return log.slice();
+                }
+            });
+            var s2 = mkHybridSession('myTestSession', "52", server);
+            var s3 = mkHybridSession('myTestSession', "53", server);
+            var s4 = mkHybridSession('myTestSession', "54", server);
+            var exec = execute.bind(null, server);
+            var mId1;
+            var mId2;
+            var mIdW;
+
+            Promise.resolve(true).then(function() {
+                return exec(s1, { join: true });
+            }).then(function() {
+                return exec(s1, { include: ["52", "53"] });
+            }).then(function() {
+                return server.sendAndWait(s1, s2, { content: "one" }, testTimer);
+            }).then(function(mId) {
+                mId1 = mId;
+                return server.sendAndWait(s1, s2, { content: "psst", readers: ["52"] }, testTimer);
+            }).then(function(mId) {
+                mIdW = mId;
+                return server.sendAndWait(s2, s1, { content: "two" }, testTimer);
+            }).then(function(mId) {
+                mId2 = mId;
+                var p = async.newPromiseAndWriters();
+                s4.onEvent(MsgReady, [mId2])(p.resolve);
+                exec(s1, { include: ["54"] }, 16);
+                return p.promise;
+            }).then(function() {
+                var log = s4.messages();
+                assert.deepEqual(log.slice(), [mId1, mId2]);
+                assert.strictEqual(log.get(mId2).author, "52");
+                assert.strictEqual(log.get(mId2).body.content, "two");
+                // its real parents include the whisper, which was not shared
+                assert.ok(log.get(mId2).parents.has(mIdW));
+                assert.deepEqual(log.parents(mId2).toArray(), []);
+                assert.strictEqual(log.attestedBy(mId1), "51");
+                assert.strictEqual(log.attestedBy(mId2), "51");
+                assert.notOk(log.has(mIdW));
+                assert.deepEqual(included, [["52", "53"], ["54"]]);
+                // others already had it, and were not sent it again
+                assert.strictEqual(s2.messages().attestedBy(mId1), null);
+                assert.strictEqual(s3.messages().length, 2);
+                // we only share first-hand messages
+                assert.notOk(s4.send({ share: [mId1], readers: ["51"] }));
+                done();
+            }).catch(logError);
+        });
+
+        it('export and verify an archive', function(done) {
+            this.timeout(this.timeout() * 30);
+            var server = new dummy.DummyGroupServer();
+            var s1 = mkHybridSession('myTestSession', "51", server, { archive: true });
+            var s2 = mkHybridSession('myTestSession', "52", server);
+            var s3 = mkHybridSession('myTestSession', "53", server);
+            var exec = execute.bind(null, server);
+            var mIds = [];
+
+            Promise.resolve(true).then(function() {
+                return exec(s1, { join: true });
+            }).then(function() {
+                return exec(s1, { include: ["52", "53"] });
+            }).then(function() {
+                return server.sendAndWait(s1, s2, { content: "one" }, testTimer);
+            }).then(function(mId) {
+                mIds.push(btoa(mId));
+                return server.sendAndWait(s2, s1, { content: "psst", readers: ["51"] }, testTimer);
+            }).then(function(mId) {
+                mIds.push(btoa(mId));
+                return exec(s1, { exclude: ["53"] });
+            }).then(function() {
+                return server.sendAndWait(s2, s1, { content: "two" }, testTimer);
+            }).then(function(mId) {
+                mIds.push(btoa(mId));
+                var exported = JSON.parse(JSON.stringify(s1.exportArchive()));
+                assert.strictEqual(exported.sId, 'myTestSession');
+                var subs = exported.subSessions;
+                assert.lengthOf(subs, 2);
+                assert.deepEqual(subs[0].include.sort(), ["52", "53"]);
+                assert.deepEqual(subs[1].exclude, ["53"]);
+                assert.deepEqual(subs[1].members.sort(), ["51", "52"]);
+                assert.strictEqual(subs[1].sId, btoa(s1._current.sess.sId()));
+                var bodies = subs[0].messages.concat(subs[1].messages).map(archive.readBody);
+                var contents = bodies.filter(function(body) {
+                    return body instanceof message.Payload;
+                }).map(function(body) { return body.content; });
+                assert.deepEqual(contents, ["one", "psst", "two"]);
+
+                var result = archive.verify(exported);
+                assert.ok(result.ok(), result.errors.join("; "));
+                assert.deepEqual(result.unsigned, []);
+                mIds.forEach(function(mId) { assert.include(result.signed, mId); });
+
+                // without the archive option, messages are exported without their packets
+                result = archive.verify(s3.exportArchive());
+                assert.ok(result.ok(), result.errors.join("; "));
+                assert.deepEqual(result.signed, []);
+                assert.include(result.unsigned, mIds[0]);
+
+                // the body of a whisper is checked against what its author signed
+                var byId = function(mId) {
+                    return subs[0].messages.filter(function(m) { return m.mId === mId; })[0];
+                };
+                assert.ok(byId(mIds[1]).whisperKey);
+                byId(mIds[1]).body = byId(mIds[0]).body;
+                assert.match(archive.verify(exported).errors[0], /body differs/);
+                done();
+            }).catch(logError);
+        });
+
+        it('query messages by author, sub-session and content', function(done) {
+            this.timeout(this.timeout() * 30);
+            var server = new dummy.DummyGroupServer();
+            var s1 = mkHybridSession('myTestSession', "51", server);
+            var s2 = mkHybridSession('myTestSession', "52", server);
+            var s3 = mkHybridSession('myTestSession', "53", server);
+            var exec = execute.bind(null, server);
+
+            Promise.resolve(true).then(function() {
+                return exec(s1, { join: true });
+            }).then(function() {
+                return exec(s1, { include: ["52", "53"] });
+            }).then(function() {
+                return server.sendAndWait(s2, s1, "lunch?", testTimer);
+            }).then(function() {
+                return server.sendAndWait(s3, s1, "no thanks", testTimer);
+            }).then(function() {
+                return exec(s1, { exclude: ["53"] });
+            }).then(function() {
+                return server.sendAndWait(s2, s1, "Lunch is at noon", testTimer);
+            }).then(function() {
+                var query = s1.query();
+                var log = s1.messages();
+                var bySession = query.subSessions();
+                assert.lengthOf(bySession, 2);
+                assert.strictEqual(bySession[1], s1._current.sess.sId());
+                assert.deepEqual(query.find({ author: "52" }).next(), [log.at(0), log.at(2)]);
+                assert.deepEqual(query.find({ subSession: bySession[0] }).next(), [log.at(0), log.at(1)]);
+                assert.deepEqual(query.find({ text: "LUNCH", since: query.time(log.at(1)) }).next(), [log.at(2)]);
+                done();
+            }).catch(logError);
+        });
+
+        it('checkpoint prunes acknowledged messages', function(done) {
+            this.timeout(this.timeout() * 30);
+            var server = new dummy.DummyGroupServer();
+            var s1 = mkHybridSession('myTestSession', "51", server);
+            var archived2 = [];
+            var s2 = mkHybridSession('myTestSession', "52", server, {
+                checkpointEveryMessages: 2,
+                checkpointArchive: function(msgs) { archived2.push.apply(archived2, msgs); }
+            });
+            var s3 = mkHybridSession('myTestSession', "53", server, { archive: true });
+            var exec = execute.bind(null, server);
+            var pruned = [];
+            s1.onEvent(MsgsPruned)(function(evt) { pruned.push(evt.mIds); });
+            var archived = [];
+            var mIds = [];
+            var keep = function(mId) { mIds.push(mId); };
+
+            Promise.resolve(true).then(function() {
+                return exec(s1, { join: true });
+            }).then(function() {
+                return exec(s1, { include: ["52", "53"] });
+            }).then(function() {
+                return server.sendAndWait(s1, [s2, s3], "one", testTimer);
+            }).then(keep).then(function() {
+                return server.sendAndWait(s2, [s1, s3], "two", testTimer);
+            }).then(keep).then(function() {
+                return server.sendAndWait(s3, [s1, s2], "three", testTimer);
+            }).then(keep).then(function() {
+                return server.sendAndWait(s1, [s2, s3], "four", testTimer);
+            }).then(keep).then(function() {
+                var sess = s1._current.sess;
+                var removed = s1.checkpoint(function(msgs) {
+                    // called before the event
+                    assert.lengthOf(pruned, 0);
+                    archived.push.apply(archived, msgs);
+                });
+                // "two" is kept, as the latest message of 52
+                assert.include(removed, mIds[0]);
+                assert.notInclude(removed, mIds[1]);
+                assert.notInclude(removed, mIds[3]);
+                assert.deepEqual(pruned, [removed]);
+                assert.deepEqual(archived.map(function(msg) { return msg.mId; }), removed);
+                assert.strictEqual(archived[0].body.content, "one");
+                assert.deepEqual(s1.checkpoint(), []);
+                removed.forEach(function(mId) {
+                    assert.notOk(s1.messages().has(mId));
+                    assert.throws(function() { sess.ctime(mId); });
+                    assert.strictEqual(sess.cachedPackets(mId), null);
+                    sess._pubtxt.forEach(function(v, k) { assert.notEqual(v, mId); assert.notEqual(k, mId); });
+                });
+                assert.notInclude(s1.query().find({ author: "51" }).next(), mIds[0]);
+                assert.strictEqual(s1.messages().at(-1), mIds[3]);
+                // the queries about the messages that were kept only return those too
+                var ts = sess.transcript();
+                ts.all().forEach(function(mId) {
+                    assert(ts.pre_uId(mId) === null || ts.has(ts.pre_uId(mId)));
+                    ts.pre_ruId(mId).forEach(function(m) { assert(m === null || ts.has(m)); });
+                });
+                // s3 keeps everything for its archive
+                assert.deepEqual(s3.checkpoint(), []);
+                assert.strictEqual(s3.messages().length, 4);
+                return server.sendAndWait(s2, [s1, s3], "five", testTimer);
+            }).then(function(mId) {
+                assert.strictEqual(s1.messages().get(mId).body.content, "five");
+                // s2 checkpointed by itself
+                assert.notOk(s2.messages().has(mIds[0]));
+                assert.strictEqual(archived2[0].mId, mIds[0]);
+                assertSessionStable(s1, s2, s3);
+                done();
+            }).catch(logError);
+        });
+
+        it('resume from a snapshot without a new greeting', function(done) {
+            this.timeout(this.timeout() * 30);
+            var server = new dummy.DummyGroupServer();
+            var storage = new persistImpl.MemoryStorage();
+            var key = persist.generateKey();
+            var s1 = mkHybridSession('myTestSession', "51", server);
+            var s2 = mkHybridSession('myTestSession', "52", server, {
+                onSnapshot: persist.autoSaver(storage, "myTestSession", key)
+            });
+            var s2b;
+            var exec = execute.bind(null, server);
+            var mId1;
+
+            Promise.resolve(true).then(function() {
+                return exec(s1, { join: true });
+            }).then(function() {
+                assert.strictEqual(storage.getItem("myTestSession"), null);
+                return exec(s1, { include: ["52"] });
+            }).then(function() {
+                return server.sendAndWait(s1, s2, "one", testTimer);
+            }).then(function(mId) {
+                mId1 = mId;
+                return server.sendAndWait(s2, s1, "two", testTimer);
+            }).then(function() {
+                // "restart" s2, whilst the channel keeps it as a member
+                s2.stop();
+                return persist.load(storage, "myTestSession", key);
+            }).then(function(snapshot) {
+                assert.notOk(s1.restore(snapshot));
+                s2b = mkHybridSession('myTestSession', "52", server);
+                assert.ok(s2b.restore(snapshot));
+                assertSessionState("COS_", s2b);
+                assertMembers(["51", "52"], s1, s2b);
+                assert.strictEqual(s2b.messages().length, 2);
+                assert.strictEqual(s2b.messages().at(0), mId1);
+                return server.sendAndWait(s1, s2b, "three", testTimer);
+            }).then(function() {
+                return server.sendAndWait(s2b, s1, "four", testTimer);
+            }).then(function(mId) {
+                assert.strictEqual(s1.messages().get(mId).body.content, "four");
+                assertSessionStable(s1, s2b);
+                done();
+            }).catch(logError);
+        });
+
+        it('capabilities advertised on channel enter', function(done) {
+            this.timeout(this.timeout() * 10);
+            var server = new dummy.DummyGroupServer();
+            var s1 = mkHybridSession('myTestSession', "51", server);
+            var s2 = mkHybridSession('myTestSession', "52", server);
+            var exec = execute.bind(null, server);
+
+            Promise.resolve(true).then(function() {
+                return exec(s1, { join: true });
+            }).then(function() {
+                return exec(s1, { include: ["52"] });
+            }).then(function() {
+                assertMembers(["51", "52"], s1, s2, server);
+                assert.deepEqual(s1._peerCaps.get("52").features, capability.DEFAULT.features);
+                assert.deepEqual(s2._peerCaps.get("51").features, capability.DEFAULT.features);
+                assert.deepEqual(s1._current.caps.features, capability.DEFAULT.features);
+                assert.strictEqual(s1._current.sess._codec, DefaultMessageCodec);
+                return exec(s2, { part: true });
+            }).then(function() {
+                assert.notOk(s1._peerCaps.has("52"));
+                assert.strictEqual(s2._peerCaps.size, 0);
+                done();
+            }).catch(logError);
+        });
+
+        it('incompatible members are refused', function(done) {
+            this.timeout(this.timeout() * 10);
+            var server = new dummy.DummyGroupServer();
+            var s1 = mkHybridSession('myTestSession', "51", server);
+            var s2 = mkHybridSession('myTestSession', "52", server, {
+                capabilities: new capability.Capabilities(capability.DEFAULT.versions, [
+                    "body:default", "cipher:aes-siv", "padding:exponential"])
+            });
+            var exec = execute.bind(null, server);
+            var notices1 = [];
+            var notices2 = [];
+            s1.onEvent(NotCompatible)(function(evt) { notices1.push(evt); });
+            s2.onEvent(NotCompatible)(function(evt) { notices2.push(evt); });
+
+            Promise.resolve(true).then(function() {
+                return exec(s1, { join: true });
+            }).then(function() {
+                s2._channel.execute({ enter: true });
+                server.run();
+                assertMembers(["51", "52"], server);
+                assert.strictEqual(notices1.length, 1);
+                assert.strictEqual(notices1[0].uId, "52");
+                assert.deepEqual(notices1[0].problems, ["no common cipher feature"]);
+                assert.strictEqual(notices2.length, 1);
+                assert.strictEqual(notices2[0].uId, "51");
+                return s1.execute({ include: ["52"] });
+            }).then(function() {
+                assert.fail("include should have been refused");
+            }, function(e) {
+                assert.include(e.message, "incompatible members: 52");
+                assert.strictEqual(notices1.length, 2);
+                assertMembers(["51"], s1);
+                assertSessionStable(s1);
+                done();
+            }).catch(logError);
+        });
+
+        it('others including incompatible members are refused', function(done) {
+            this.timeout(this.timeout() * 10);
+            var server = new dummy.DummyGroupServer();
+            var s1 = mkHybridSession('myTestSession', "51", server);
+            var s2 = mkHybridSession('myTestSession', "52", server, {
+                capabilities: new capability.Capabilities(capability.DEFAULT.versions, [
+                    "body:default", "cipher:aes-siv", "padding:exponential"])
+            });
+            var s3 = mkHybridSession('myTestSession', "53", server);
+            var exec = execute.bind(null, server);
+            var notices = [];
+            s1.onEvent(NotCompatible)(function(evt) { notices.push(evt); });
+            var pending;
+
+            Promise.resolve(true).then(function() {
+                return exec(s1, { join: true });
+            }).then(function() {
+                return exec(s1, { include: ["53"] });
+            }).then(function() {
+                s2._channel.execute({ enter: true });
+                server.run();
+                assert.strictEqual(notices.length, 1);
+                // pretend that 53 didn't see the capabilities of 52 yet
+                s3._peerCaps.delete("52");
+                pending = s3.execute({ include: ["52"] });
+                server.runAsync(16, testTimer);
+                return async.timeoutPromise(testTimer, 100);
+            }).then(function() {
+                // 51 kicked 52, so the greeting failed
+                assert.strictEqual(notices.length, 2);
+                assertMembers(["51", "53"], s1, s3, server);
+                return async.reversePromise(pending);
+            }).then(function(reason) {
+                assert.match(reason.message, /^OperationAborted: others left the channel: 52/);
+                assertSessionStable(s1, s3);
+                done();
+            }).catch(logError);
+        });
+
+        it('features are chosen by the initiator', function(done) {
+            this.timeout(this.timeout() * 10);
+            var server = new dummy.DummyGroupServer();
+            var s1 = mkHybridSession('myTestSession', "51", server);
+            var s2 = mkHybridSession('myTestSession', "52", server, {
+                capabilities: capability.DEFAULT.prefer("body:default").prefer("cipher:aes-ctr")
+            });
+            var exec = execute.bind(null, server);
+
+            Promise.resolve(true).then(function() {
+                return exec(s1, { join: true });
+            }).then(function() {
+                return exec(s1, { include: ["52"] });
+            }).then(function() {
+                assertMembers(["51", "52"], s1, s2, server);
+                assert.deepEqual(s1._current.caps.features, capability.DEFAULT.features);
+                assert.deepEqual(s2._current.caps.features, capability.DEFAULT.features);
+                assert.strictEqual(s2._current.sess._codec, DefaultMessageCodec);
+                assertSessionStable(s1, s2);
+                done();
+            }).catch(logError);
+        });
+
+        it('included members who never advertised are refused', function(done) {
+            this.timeout(this.timeout() * 10);
+            var server = new dummy.DummyGroupServer();
+            var s1 = mkHybridSession('myTestSession', "51", server);
+            var s2 = mkHybridSession('myTestSession', "52", server);
+            var exec = execute.bind(null, server);
+            var notices = [];
+            s1.onEvent(NotCompatible)(function(evt) { notices.push(evt); });
+
+            Promise.resolve(true).then(function() {
+                return exec(s1, { join: true });
+            }).then(function() {
+                // pretend that 52 doesn't advertise anything
+                s2._advertise = function() {};
+                s2._channel.execute({ enter: true });
+                server.run();
+                assert.notOk(s1._peerCaps.has("52"));
+                return exec(s1, { include: ["52"] });
+            }).then(function() {
+                assert.fail("include should have been refused");
+            }, function(e) {
+                assert.match(e.message, /^OperationAborted: no common capabilities: no common protocol version/);
+                assert.strictEqual(notices.length, 1);
+                assert.strictEqual(notices[0].uId, "52");
+                assert.include(notices[0].problems[0], "no common protocol version");
+                // we kicked 52
+                server.run();
+                assertMembers(["51"], s1, server);
+                assertSessionStable(s1);
+                done();
+            }).catch(logError);
+        });
+
+        it('packets of other protocol versions are dropped', function(done) {
+            this.timeout(this.timeout() * 10);
+            var server = new dummy.DummyGroupServer();
+            var s1 = mkHybridSession('myTestSession', "51", server);
+            var s2 = mkHybridSession('myTestSession', "52", server);
+            var exec = execute.bind(null, server);
+            var notices = [];
+            s1.onEvent(NotCompatible)(function(evt) { notices.push(evt); });
+            var oldPacket = codec.encodeTLV(codec.TLV_TYPE.PROTOCOL_VERSION, '\u0001') + codec.ENCODED_TYPE_GREET +
+                codec.encodeTLV(codec.TLV_TYPE.GREET_TYPE, '\u0000\u009c');
+
+            Promise.resolve(true).then(function() {
+                return exec(s1, { join: true });
+            }).then(function() {
+                s2._channel.execute({ enter: true });
+                server.run();
+                // pretend that 52 runs an older version, that doesn't advertise
+                s1._peerCaps.delete("52");
+                s2._channel.send({ pubtxt: codec.encodeWirePacket(oldPacket), recipients: new ImmutableSet(["51"]) });
+                server.run();
+                assert.strictEqual(notices.length, 1);
+                assert.strictEqual(notices[0].uId, "52");
+                assert.include(notices[0].problems[0], "no common protocol version");
+                assertSessionState("COsJ", s1);
+                return s1.execute({ include: ["52"] });
+            }).then(function() {
+                assert.fail("include should have been refused");
+            }, function(e) {
+                assert.include(e.message, "incompatible members: 52");
+                assertMembers(["51"], s1);
+                assertSessionStable(s1);
+                done();
+            }).catch(logError);
+        });
+
         it('quick reinclude', function(done) {
             this.timeout(this.timeout() * 40);
             var server = new dummy.DummyGroupServer();
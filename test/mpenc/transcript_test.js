@@ -245,6 +245,81 @@ define([
             assert.strictEqual(tr.suc_ruId(0, 51), null);
             assert.strictEqual(tr.suc_ruId(2, 51), 3);
         });
+
+        it('checkpoint', function() {
+            var tr = new impl.BaseTranscript();
+            var archived = [];
+            var archive = function(msgs) {
+                archived.push(msgs.map(function(msg) { return msg.mId; }));
+            };
+            tr.add(M(0, 50, [], [51, 52]));
+            tr.add(M(1, 50, [0], [51, 52]));
+            tr.add(M(2, 51, [1], [50, 52]));
+            tr.add(M(3, 52, [1], [50, 51]));
+            tr.add(M(4, 52, [2, 3], [50, 51]));
+            tr.add(M(5, 50, [3], [51, 52]));
+            tr.add(M(6, 51, [4], [50, 52]));
+
+            // 1, 3 are parents of unacked messages
+            assert.deepEqual(tr.checkpoint(archive), [0]);
+            assert.deepEqual(archived, [[0]]);
+            assert.notOk(tr.has(0));
+            assert.throws(function() { tr.get(0); });
+            assert.strictEqual(tr.size(), 6);
+            assert(tr.frontier().equals(new Set([1, 3])));
+            assert(tr.min().equals(new Set([1])));
+            assert.strictEqual(tr.pre_ruId(2, 50), 1);
+            assert.deepEqual(tr.checkpoint(archive), []);
+            graph.CausalOrder.checkInvariants(tr);
+
+            checkAdd(tr, M(7, 50, [5, 6], [51, 52]));
+            assert.deepEqual(tr.unacked(), [5, 6, 7]);
+            // 3 is a parent of unacked 5, and 4 is the latest by 52
+            assert.deepEqual(tr.checkpoint(archive), [1, 2]);
+            assert.deepEqual(archived, [[0], [1, 2]]);
+            assert(tr.frontier().equals(new Set([3, 4])));
+            assert(tr.min().equals(new Set([3])));
+            assert(tr.pre(4).equals(new Set([3])));
+            assert(tr.suc(3).equals(new Set([4, 5])));
+            assert.deepEqual(tr.all(), [3, 4, 5, 6, 7]);
+            assert.deepEqual(tr.by(51), [6]);
+            graph.CausalOrder.checkInvariants(tr);
+
+            // causal queries still work for the messages that were kept
+            assert(tr.le(3, 7));
+            assert(tr.le(4, 6));
+            assert.notOk(tr.le(5, 6));
+            assert(tr.unackby(5).equals(new Set([51, 52])));
+            assert.strictEqual(tr.pre_uId(7), 5);
+            assert.strictEqual(tr.pre_uId(4), 3);
+            assert.strictEqual(tr.pre_ruId(7, 52), 4);
+            // ... but not for the ones that were pruned
+            assert.strictEqual(tr.pre_uId(5), null);
+            assert.strictEqual(tr.pre_ruId(6, 50), null);
+            tr.pre_ruId(6).forEach(function(m) { assert(m === null || tr.has(m)); });
+
+            // 52 may still reply to the frontier, not having seen 5, 6, 7
+            checkAdd(tr, M(8, 52, [4], [50, 51]));
+            assert(tr.unackby(8).equals(new Set([50, 51])));
+            checkAdd(tr, M(9, 51, [7, 8], [50, 52]));
+            assert(tr.unackby(5).equals(new Set([52])));
+            assert.deepEqual(tr.unacked(), [5, 6, 7, 8, 9]);
+            assert.throws(function() { tr.add(M(10, 52, [0, 9], [50, 51])); });
+        });
+
+        it('checkpoint keeps long transcripts small', function() {
+            this.timeout(this.timeout() * 5);
+            var tr = createHellGraph(4);
+            for (var i = 4; i < 256; i++) {
+                tr.add(M(2 * i + 1, 50, [2 * i - 1, 2 * i], [51]));
+                tr.add(M(2 * i + 2, 51, [2 * i - 1, 2 * i], [50]));
+                tr.checkpoint();
+                assert.isBelow(tr.size(), 8);
+            }
+            graph.CausalOrder.checkInvariants(tr);
+            assert.deepEqual(tr.unacked(), [511, 512]);
+            assert(tr.mergeMembers([511, 512]).equals(new Set([50, 51])));
+        });
     });
 
     describe("DefaultMessageLog class", function() {
@@ -336,6 +411,33 @@ define([
             assert.deepEqual(log.unacked(), "BXYE".split(""));
         });
 
+        it("topological order is independent of accept order", function() {
+            var accept = function(acceptOrder) {
+                var obs1 = new async.Observable();
+                var obs2 = new async.Observable();
+                var log = new impl.DefaultMessageLog({ order: "topological" });
+                bindSource(log, obs1.subscribe, tr);
+                bindSource(log, obs2.subscribe, tr2);
+                var rIdxs = [];
+                log.onUpdate(function(update) {
+                    assert.strictEqual(log.at(log.length - 1 - update.rIdx), update.elem);
+                    rIdxs.push(update.rIdx);
+                });
+                acceptOrder.split("").forEach(function(mId) {
+                    (tr2.has(mId) ? obs2 : obs1).publish(mId);
+                });
+                assert.deepEqual(log.slice(), "OXAYBE".split(""));
+                log.slice().forEach(function(mId, i) {
+                    assert.strictEqual(log.indexOf(mId), i);
+                });
+                assert.deepEqual(log.parents("E").toArray(), ["B"]);
+                return rIdxs;
+            };
+            assert.deepEqual(accept("OACBXDYEZ"), [0, 0, 0, 2, 1, 0]);
+            assert.deepEqual(accept("XYZOACBDE"), [0, 0, 2, 1, 0, 0]);
+            assert.throws(function() { return new impl.DefaultMessageLog({ order: "random" }); });
+        });
+
         it("accumulating multiple transcripts with parent splicing", function() {
             var obs1 = new async.Observable();
             var obs2 = new async.Observable();
@@ -364,6 +466,88 @@ define([
             assert.deepEqual(log.slice(), "OABXYE".split(""));
             assert.deepEqual(log.unacked(), "BXYE".split(""));
         });
+
+        it("shared history", function() {
+            var obs = new async.Observable();
+            var log = new impl.DefaultMessageLog();
+            bindSource(log, obs.subscribe, tr);
+            tr.all().forEach(obs.publish.bind(obs));
+            var shared = [
+                M("P", "Carol", [], ["Alice"], new message.Payload("x")),
+                M("O", "Alice", [], ["Bob"], new message.Payload("x")),
+                M("Q", "Carol", ["P", "N"], ["Alice"], new message.Payload("x")),
+            ];
+            var seen = [];
+            log.onUpdate(function(update) {
+                seen.push(update.elem);
+            });
+            assert.deepEqual(log.addShared(tr, "D", shared), ["P", "Q"]);
+            assert.deepEqual(seen, ["P", "Q"]);
+            assert.deepEqual(log.slice(), "OABEPQ".split(""));
+            assert.strictEqual(log.get("Q"), shared[2]);
+            assert.deepEqual(log.parents("Q").toArray(), ["P"]);
+            assert.deepEqual(log.unackby("Q").toArray(), []);
+            assert.strictEqual(log.attestedBy("Q"), "Bob");
+            assert.strictEqual(log.attestedBy("O"), null);
+            assert.throws(function() { log.attestedBy("N"); });
+            assert.notOk(log.isForgeable("Q"));
+            assert.deepEqual(log.unacked(), "BE".split(""));
+        });
+
+        it("pruning", function() {
+            var tr3 = new impl.BaseTranscript();
+            var obs = new async.Observable();
+            var log = new impl.DefaultMessageLog();
+            bindSource(log, obs.subscribe, tr3);
+            var add = function(msg) {
+                tr3.add(msg);
+                obs.publish(msg.mId);
+            };
+            add(M("O", "Alice", [], ["Bob"], new message.Payload("x")));
+            add(M("A", "Bob", ["O"], ["Alice"], new message.Payload("x")));
+            add(M("C", "Alice", ["A"], ["Bob"], new message.ExplicitAck(false)));
+            add(M("B", "Bob", ["C"], ["Alice"], new message.Payload("x")));
+            add(M("D", "Alice", ["B"], ["Bob"], new message.Payload("x")));
+            log.addShared(tr3, "A", [M("P", "Carol", [], ["Bob"], new message.Payload("x"))]);
+            assert.deepEqual(log.slice(), "OABDP".split(""));
+
+            var pruned = tr3.checkpoint();
+            assert.deepEqual(pruned, ["O", "A", "C"]);
+            var archived = [];
+            var archive = function(msgs) {
+                archived.push(msgs.map(function(msg) { return msg.mId; }));
+            };
+            assert.deepEqual(log.prune(pruned, archive), ["O", "A", "P"]);
+            // only the shared history; the transcript archives its own
+            assert.deepEqual(archived, [["P"]]);
+            assert.deepEqual(log.slice(), ["B", "D"]);
+            assert.strictEqual(log.indexOf("D"), 1);
+            assert.strictEqual(log.indexOf("A"), -1);
+            assert.deepEqual(log.parents("B").toArray(), []);
+            assert.deepEqual(log.parents("D").toArray(), ["B"]);
+            assert.deepEqual(log.unacked(), ["D"]);
+            assert.deepEqual(log.curParents().toArray(), ["D"]);
+            assert.deepEqual(log.prune(pruned), []);
+        });
+
+        it("topological order after pruning", function() {
+            var obs1 = new async.Observable();
+            var obs2 = new async.Observable();
+            var log = new impl.DefaultMessageLog({ order: "topological" });
+            bindSource(log, obs1.subscribe, tr);
+            bindSource(log, obs2.subscribe, tr2);
+            "OACB".split("").forEach(obs1.publish.bind(obs1));
+            "XYZ".split("").forEach(obs2.publish.bind(obs2));
+            assert.deepEqual(log.slice(), "OXAYB".split(""));
+
+            assert.deepEqual(log.prune(["O", "A", "B"]), ["O", "A", "B"]);
+            assert.deepEqual(log.slice(), ["X", "Y"]);
+            // E still references B, so it goes after everything that was pruned
+            "DE".split("").forEach(obs1.publish.bind(obs1));
+            assert.deepEqual(log.slice(), "XYE".split(""));
+            assert.strictEqual(log.indexOf("E"), 2);
+            assert.deepEqual(log.parents("E").toArray(), ["B"]);
+        });
     });
 
     // jshint +W064
@@ -54,14 +54,14 @@ _td.STATIC_PUB_KEY_DIR = {
 /* Constants mainly for the mpenc.codec and mpenc.greet.handler. */
 
 _td.GROUP_KEY = atob('Fla5bB1SQ2itQ+XRUXGAVg==');
-_td.UPFLOW_MESSAGE_STRING = atob('AAMAQBTmYCWuBrUMDbKr7Ue8vKla0lHIzJ+dGSvBPdqG'
-                                 + 'RWFP9WOCzUxtfdQ1H6VLoIuqRNJtYhWptglzcyCkrc'
-                                 + '4jXAcAAQABAQACAAECAf8AAgCcAQAAATEBAQABMgEC'
-                                 + 'AAExAQIAATIBAgABMwECAAE0AQIAATUBAgABNgEDAA'
-                                 + 'ABAwAghSDwCYkwp1R0i33ctD73Wg2/Og0mOBr066Sp'
-                                 + 'jqqbTmoBBAAghSDwCYkwp1R0i33ctD73Wg2/Og0mOB'
-                                 + 'r066SpjqqbTmoBBQAg11qYAYKxCrfVS/7TyWQHOg7h'
-                                 + 'cvPapiMlrwIaaPcHURo=');
+_td.UPFLOW_MESSAGE_STRING = atob('AAMAQD+XxVBsxvUVY3zNMzjA6dSeA9aSwA38zqG8Sw2'
+                                 + 'e+wkAlw9E4OuF+vIMz00DB75cW/18K1Hchs6aQ6RUqb'
+                                 + '2gwAwAAQABAgACAAECAf8AAgCcAQAAATEBAQABMgECA'
+                                 + 'AExAQIAATIBAgABMwECAAE0AQIAATUBAgABNgEDAAAB'
+                                 + 'AwAghSDwCYkwp1R0i33ctD73Wg2/Og0mOBr066Spjqq'
+                                 + 'bTmoBBAAghSDwCYkwp1R0i33ctD73Wg2/Og0mOBr066'
+                                 + 'SpjqqbTmoBBQAg11qYAYKxCrfVS/7TyWQHOg7hcvPap'
+                                 + 'iMlrwIaaPcHURo=');
 
 _td.UPFLOW_MESSAGE_CONTENT = {
     source: '1',
@@ -83,26 +83,27 @@ _td.DOWNFLOW_MESSAGE_CONTENT = {
     greetType: '\u0000\u00d3', // greeter.GREET_TYPE.QUIT_DOWN
     signingKey: _td.ED25519_PRIV_KEY,
 };
-_td.DOWNFLOW_MESSAGE_STRING = atob('AAMAQEI7aL7VPi+ay79q4wImezN4Sc1qVmo1vUT3KZ'
-                                   + 'z03btjuiiHHoN7H+nvWdtjoqWqn4Zuc6Gm7sPcfq'
-                                   + 'bdLFsOPw0AAQABAQACAAECAf8AAgDTAQAAATEBAQ'
-                                   + 'AAAQcAIJ1hsZ3v/VpguoRK9JLsLMREScVpezJpGX'
-                                   + 'A7rAMcrn9g');
+_td.DOWNFLOW_MESSAGE_STRING = atob('AAMAQK0znw1fEcDfaRwf/mq0kneyzN4K5d60k2VXf'
+                                   + 'RNNYEFCrnSV8o/RmfvG0SnOL1RYlkVKSvvaFpPfcm'
+                                   + '0RHmW2KQAAAQABAgACAAECAf8AAgDTAQAAATEBAQA'
+                                   + 'AAQcAIJ1hsZ3v/VpguoRK9JLsLMREScVpezJpGXA7'
+                                   + 'rAMcrn9g');
 
 _td.DOWNFLOW_MESSAGE_PAYLOAD = '?mpENC:' + btoa(_td.DOWNFLOW_MESSAGE_STRING) + '.';
 
-_td.DATA_MESSAGE_STRING = atob('ABIAAVQAAwBAsqcfdFBp1P+ei9LTWIGpXn144fzi3UorsC'
-                             + 'G7moGQzsoJFCJeLJYcj358uISQqRPej+nuscs7PPcMH58G'
-                             + 'bn1iAwABAAEBAAIAAQMAEQAMevs2iGlNE8kspMvZABAACY'
-                             + 'wQ7EMaeuivXg==');
-_td.DATA_MESSAGE_STRING2 = atob('ABIAAVQAAwBAh/aR5NsEbF0bqwjdIjGCM11653LX07Lvc'
-                              + 't86jiSuawHF63N21R8s/cP2WTl4/j2rVcDxnMAeqghnN0'
-                              + 'NfI/GwAgABAAEBAAIAAQMAEQAMYEJcgRKug0h+aSSBABA'
-                              + 'ACWT5Ftq26HvaBQ==');
-_td.DATA_MESSAGE_STRING32 = atob('ABIAAVQAAwBAkJN7pyCATSef9Li1omFV4AKMf4y5koDM'
-                               + 'Em5uEtwnT1D3WiMdJs2cA7dMh2JYo9lXtDBt1YadRmT4'
-                               + 'cQwa7v3rCAABAAEBAAIAAQMAEQAMy3mFpbiHeD4F3n0u'
-                               + 'ABAACfWUXRE7ijLczA==');
+_td.DATA_MESSAGE_STRING = atob('ABIAAVQAAwBAqHcpmhJQOdv3oUM++NFihAukwbqLvvwh6G'
+                             + 'bVby69lhe7vSfpVzlFXP4zYnlwAYAU3lhVRlNsMKONrc1Q'
+                             + 'bOLiDQABAAECAAIAAQMAFQAEAAAAAAARAAywmaX5bKiehK'
+                             + 'qzYOEAEAAJgn0sAOElSlfj');
+_td.DATA_MESSAGE_STRING2 = atob('ABIAAVQAAwBAMYB+1fr0yaBV/0bo6rNXF7xlSyl5B2ziBP'
+                              + 'xtbSQ8vEZ0rWXWuggMnsN42YMaylI/nrA90CO/VgRovrb1'
+                              + 'mN4fDAABAAECAAIAAQMAFQAEAAAAAAARAAxQasLZf+Sq8j'
+                              + 'lQMscAEAAJVWAKLTsErI3W');
+_td.DATA_MESSAGE_STRING32 = atob('ABIAAVQAAwBAQaigwozxXtvmDVjIK8bPgQB7WdWy1YiquD'
+                               + '/w1R5qKf+f3cxgpIFOpSt6idQS5daaW7HN4bNnqlc6/dgh'
+                               + 'ThrcBQABAAECAAIAAQMAFQAEAAAAAAARAAxFynWT37YdeJ'
+                               + 'FXsdIAEAAgDjxmEpA4oSkhnf1Dtwb5hnZJTEByuLttgaiv'
+                               + 'snGvq0k=');
 
 _td.DATA_MESSAGE_PAYLOAD = '?mpENC:' + btoa(_td.DATA_MESSAGE_STRING) + '.';
 _td.DATA_MESSAGE_CONTENT = {
@@ -113,10 +114,10 @@ _td.DATA_MESSAGE_CONTENT = {
     data: 'foo',
 };
 
-_td.ERROR_MESSAGE_STRING = atob('AAMAQDGB8lrU5yOfEENSlv+Gtonq0DiwPg7rJcLbIeSF6'
-                                 + 'PLlRhCOo0GZhbR6z0gNsPX9x7s8zNjLFh9Z0k6dLRR'
-                                 + '3XwEAAQABAQACAAEEAQAAJmEuZHVtYmxlZG9yZUBob'
-                                 + '2d3YXJ0cy5hYy51ay9hbmRyb2lkMTIzAgEAAQIAEAB'
-                                 + 'MU2lnbmF0dXJlIHZlcmlmaWNhdGlvbiBmb3IgcS5xd'
-                                 + 'WlycmVsbEBob2d3YXJ0cy5hYy51ay93cDhwb3NzZXN'
-                                 + 'zZWQ2NjYgZmFpbGVkLg==');
+_td.ERROR_MESSAGE_STRING = atob('AAMAQD/2RwJkmTUsyPf6xaaRZpuGOK6ibxPBaSHMYHVX'
+                                 + 'RxnnryoF1ArThM6ez27HC2iKdmaWVHFmWkbP2gfPKjBi'
+                                 + 'SgwAAQABAgACAAEEAQAAJmEuZHVtYmxlZG9yZUBob2d3'
+                                 + 'YXJ0cy5hYy51ay9hbmRyb2lkMTIzAgEAAQIAEABMU2ln'
+                                 + 'bmF0dXJlIHZlcmlmaWNhdGlvbiBmb3IgcS5xdWlycmVs'
+                                 + 'bEBob2d3YXJ0cy5hYy51ay93cDhwb3NzZXNzZWQ2NjYg'
+                                 + 'ZmFpbGVkLg==');